@@ -8,11 +8,15 @@ import Events from "./pages/Events";
 import Apps from "./pages/Apps";
 import Monitoring from "./pages/Monitoring";
 import MqttTopics from "./pages/MqttTopics";
+import Webhooks from "./pages/Webhooks";
 import Settings from "./pages/Settings";
+import Users from "./pages/Users";
+import Audit from "./pages/Audit";
+import Clients from "./pages/Clients";
 
-// Protected route wrapper
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+// Protected route wrapper (optionally requiring a minimum role)
+const ProtectedRoute = ({ children, role }) => {
+  const { isAuthenticated, loading, hasRole } = useAuth();
 
   if (loading) {
     return (
@@ -22,7 +26,11 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return !role || hasRole(role) ? children : <Navigate to="/" replace />;
 };
 
 // Public route (redirect to dashboard if authenticated)
@@ -91,6 +99,14 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/webhooks"
+        element={
+          <ProtectedRoute>
+            <Webhooks />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/settings"
         element={
@@ -99,6 +115,30 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/users"
+        element={
+          <ProtectedRoute role="admin">
+            <Users />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/audit"
+        element={
+          <ProtectedRoute>
+            <Audit />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/clients"
+        element={
+          <ProtectedRoute>
+            <Clients />
+          </ProtectedRoute>
+        }
+      />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
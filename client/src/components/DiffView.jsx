@@ -0,0 +1,74 @@
+import PropTypes from "prop-types";
+
+const PREFIX = { add: "+ ", del: "- ", same: "  " };
+
+// Pair each run of deleted lines with the added lines that follow it
+const toRows = (lines) => {
+  const rows = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    if (lines[index].type === "same") {
+      rows.push({ left: lines[index], right: lines[index] });
+      index++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < lines.length && lines[index].type === "del") removed.push(lines[index++]);
+    while (index < lines.length && lines[index].type === "add") added.push(lines[index++]);
+
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+  }
+
+  return rows;
+};
+
+const Cell = ({ line }) => (
+  <span className={`diff-line ${line ? line.type : "empty"}`}>{line ? line.text : ""}</span>
+);
+
+Cell.propTypes = {
+  line: PropTypes.shape({ type: PropTypes.string, text: PropTypes.string }),
+};
+
+// Line diff from the server ({ type: "same" | "add" | "del", text }),
+// unified (default) or side by side (before | after)
+const DiffView = ({ lines, split = false }) => {
+  if (split) {
+    return (
+      <div className="surface diff diff-split">
+        {toRows(lines).map((row, index) => [
+          <Cell key={`${index}-left`} line={row.left} />,
+          <Cell key={`${index}-right`} line={row.right} />,
+        ])}
+      </div>
+    );
+  }
+
+  return (
+    <pre className="surface diff">
+      {lines.map((line, index) => (
+        <span key={index} className={`diff-line ${line.type}`}>
+          {PREFIX[line.type]}
+          {line.text}
+        </span>
+      ))}
+    </pre>
+  );
+};
+
+DiffView.propTypes = {
+  lines: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.oneOf(["same", "add", "del"]).isRequired,
+      text: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  split: PropTypes.bool,
+};
+
+export default DiffView;
@@ -3,17 +3,21 @@ import {
   Activity,
   ChartSpline,
   Gauge,
+  History,
   LogOut,
+  MonitorSmartphone,
   Radio,
   Settings,
   Shield,
+  Users,
+  Webhook,
 } from "lucide-react";
 import { useAuth } from "../context/AuthContext";
 import ConnectionStatus from "./ConnectionStatus";
 import Button from "./ui/Button";
 
 const Layout = ({ children }) => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasRole } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -65,6 +69,13 @@ const Layout = ({ children }) => {
             <ChartSpline size={14} style={{ marginRight: "0.45rem", verticalAlign: "middle" }} />
             Monitoring
           </Link>
+          <Link
+            to="/clients"
+            className={`nav-link ${isActive("/clients") ? "is-active" : ""}`}
+          >
+            <MonitorSmartphone size={14} style={{ marginRight: "0.45rem", verticalAlign: "middle" }} />
+            Clients
+          </Link>
           <Link
             to="/mqtt"
             className={`nav-link ${isActive("/mqtt") ? "is-active" : ""}`}
@@ -72,6 +83,13 @@ const Layout = ({ children }) => {
             <Radio size={14} style={{ marginRight: "0.45rem", verticalAlign: "middle" }} />
             MQTT Topics
           </Link>
+          <Link
+            to="/webhooks"
+            className={`nav-link ${isActive("/webhooks") ? "is-active" : ""}`}
+          >
+            <Webhook size={14} style={{ marginRight: "0.45rem", verticalAlign: "middle" }} />
+            Webhooks
+          </Link>
           <Link
             to="/settings"
             className={`nav-link ${isActive("/settings") ? "is-active" : ""}`}
@@ -79,6 +97,22 @@ const Layout = ({ children }) => {
             <Settings size={14} style={{ marginRight: "0.45rem", verticalAlign: "middle" }} />
             Settings
           </Link>
+          <Link
+            to="/audit"
+            className={`nav-link ${isActive("/audit") ? "is-active" : ""}`}
+          >
+            <History size={14} style={{ marginRight: "0.45rem", verticalAlign: "middle" }} />
+            Audit Log
+          </Link>
+          {hasRole("admin") && (
+            <Link
+              to="/users"
+              className={`nav-link ${isActive("/users") ? "is-active" : ""}`}
+            >
+              <Users size={14} style={{ marginRight: "0.45rem", verticalAlign: "middle" }} />
+              Users
+            </Link>
+          )}
         </nav>
 
         <div className="sidebar-user">
@@ -3,6 +3,9 @@ import { authAPI } from "../services/api";
 
 const AuthContext = createContext(null);
 
+// Lowest to highest; each role includes the ones before it
+const ROLES = ["viewer", "operator", "admin"];
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -63,6 +66,10 @@ export const AuthProvider = ({ children }) => {
     setIsAuthenticated(false);
   };
 
+  // Does the current user have at least this role?
+  const hasRole = (minRole) =>
+    ROLES.includes(user?.role) && ROLES.indexOf(user.role) >= ROLES.indexOf(minRole);
+
   return (
     <AuthContext.Provider
       value={{
@@ -72,6 +79,7 @@ export const AuthProvider = ({ children }) => {
         login,
         logout,
         checkAuth,
+        hasRole,
       }}
     >
       {children}
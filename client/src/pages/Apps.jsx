@@ -10,29 +10,69 @@ import {
   Save,
   Trash2,
   X,
+  XCircle,
 } from "lucide-react";
 import Layout from "../components/Layout";
 import { appsAPI } from "../services/api";
 import { useToast } from "../components/Toast";
+import { useAuth } from "../context/AuthContext";
 import Dialog from "../components/ui/Dialog";
 import Button from "../components/ui/Button";
 import Card from "../components/ui/Card";
 import Input from "../components/ui/Input";
+import Textarea from "../components/ui/Textarea";
 
 const initialForm = {
   appName: "",
   channels: "",
+  allowedCidrs: "",
+  maxSockets: "",
+  initialStatePerMinute: "",
+  columnRules: "",
+  rowFilters: "",
   description: "",
 };
 
+const COLUMN_RULES_PLACEHOLDER = `[
+  { "channel": "VESSEL_*", "column": "OWNER_NAME", "action": "hide" },
+  { "channel": "VESSEL_ALONGSIDE", "column": "IMO_NO", "action": "mask", "keep": 3 },
+  { "channel": "VESSEL_ALONGSIDE", "column": "DRAFT", "action": "round", "digits": 1 }
+]`;
+
+const ROW_FILTERS_PLACEHOLDER = `[
+  { "channel": "VESSEL_ALONGSIDE", "column": "BERTH_NO", "in": ["B1", "B2"] }
+]`;
+
+// Stored rules are compact JSON; pretty-print them for editing
+const formatJson = (raw) => {
+  if (!raw) return "";
+  try {
+    return JSON.stringify(JSON.parse(raw), null, 2);
+  } catch {
+    return raw;
+  }
+};
+
+const countRules = (raw) => {
+  try {
+    return JSON.parse(raw).length;
+  } catch {
+    return 0;
+  }
+};
+
 const Apps = () => {
   const [apps, setApps] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingApp, setEditingApp] = useState(null);
   const [newSecret, setNewSecret] = useState(null);
+  const [rotatingApp, setRotatingApp] = useState(null);
+  const [graceHours, setGraceHours] = useState("");
   const [formData, setFormData] = useState(initialForm);
   const toast = useToast();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("admin");
 
   useEffect(() => {
     fetchApps();
@@ -60,6 +100,11 @@ const Apps = () => {
     setFormData({
       appName: app.APP_NAME,
       channels: app.APP_CHANNELS || "",
+      allowedCidrs: app.ALLOWED_CIDRS ? app.ALLOWED_CIDRS.split(",").join("\n") : "",
+      maxSockets: app.MAX_SOCKETS ?? "",
+      initialStatePerMinute: app.INITIAL_STATE_PER_MINUTE ?? "",
+      columnRules: formatJson(app.COLUMN_RULES),
+      rowFilters: formatJson(app.ROW_FILTERS),
       description: app.DESCRIPTION || "",
     });
     setShowModal(true);
@@ -112,19 +157,41 @@ const Apps = () => {
     }
   };
 
-  const handleRotateSecret = async (id, name) => {
-    if (!confirm(`Rotate secret for "${name}"? The old secret will stop working.`)) return;
+  const openRotateModal = (app) => {
+    setRotatingApp(app);
+    setGraceHours("");
+  };
+
+  const handleRotateSecret = async (e) => {
+    e.preventDefault();
 
     try {
-      const response = await appsAPI.rotateSecret(id);
+      const response = await appsAPI.rotateSecret(
+        rotatingApp.APP_ID,
+        graceHours === "" ? undefined : Number(graceHours)
+      );
       setNewSecret({
         appName: response.data.data.appName,
         appSecret: response.data.data.newSecret,
+        previousSecretExpiresAt: response.data.data.previousSecretExpiresAt,
       });
       toast.success("Secret rotated successfully");
+      setRotatingApp(null);
+      fetchApps();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to rotate secret");
+    }
+  };
+
+  const handleRevokePrevious = async (id, name) => {
+    if (!confirm(`Revoke the previous secret of "${name}"? Clients still using it will be rejected.`)) return;
+
+    try {
+      await appsAPI.revokePreviousSecret(id);
+      toast.success("Previous secret revoked");
       fetchApps();
     } catch {
-      toast.error("Failed to rotate secret");
+      toast.error("Failed to revoke previous secret");
     }
   };
 
@@ -162,18 +229,22 @@ const Apps = () => {
           <p className="page-subtitle">Allowed applications and secrets for websocket auth</p>
         </div>
         <div className="actions">
-          <Button onClick={handleReload} icon={RefreshCw}>
-            Reload
-          </Button>
-          <Button onClick={openCreateModal} variant="primary" icon={Plus}>
-            Register App
-          </Button>
+          {hasRole("operator") && (
+            <Button onClick={handleReload} icon={RefreshCw}>
+              Reload
+            </Button>
+          )}
+          {canEdit && (
+            <Button onClick={openCreateModal} variant="primary" icon={Plus}>
+              Register App
+            </Button>
+          )}
         </div>
       </div>
 
       <Card className="muted">
-        Manage which applications can connect. Restrict channels by comma-separated values,
-        or leave empty to grant all channels.
+        Manage which applications can connect. Restrict channels by comma-separated names or
+        patterns, or leave empty to grant all channels. Network and connection limits are optional.
       </Card>
 
       {newSecret && (
@@ -192,6 +263,12 @@ const Apps = () => {
           <pre className="surface" style={{ marginTop: "0.6rem", overflow: "auto" }}>
             {newSecret.appSecret}
           </pre>
+          {newSecret.previousSecretExpiresAt && (
+            <div className="help" style={{ marginTop: "0.5rem" }}>
+              The previous secret keeps working until{" "}
+              {new Date(newSecret.previousSecretExpiresAt).toLocaleString()}.
+            </div>
+          )}
         </Card>
       )}
 
@@ -205,9 +282,10 @@ const Apps = () => {
                 <th>App Name</th>
                 <th>Secret</th>
                 <th>Channels</th>
+                <th>Limits</th>
                 <th>Status</th>
                 <th>Last Connected</th>
-                <th>Actions</th>
+                {canEdit && <th>Actions</th>}
               </tr>
             </thead>
             <tbody>
@@ -217,17 +295,62 @@ const Apps = () => {
                     <div style={{ fontWeight: 700 }}>{app.APP_NAME}</div>
                     {app.DESCRIPTION && <div className="help">{app.DESCRIPTION}</div>}
                   </td>
-                  <td><code>{app.APP_SECRET}</code></td>
+                  <td>
+                    <code>{app.APP_SECRET_HINT}</code>
+                    {app.PREVIOUS_SECRET_EXPIRES_AT && (
+                      <div className="help">
+                        Previous <code>{app.PREVIOUS_SECRET_HINT}</code> valid until{" "}
+                        {new Date(app.PREVIOUS_SECRET_EXPIRES_AT).toLocaleString()}
+                        {canEdit && (
+                          <div style={{ marginTop: "0.3rem" }}>
+                            <Button
+                              onClick={() => handleRevokePrevious(app.APP_ID, app.APP_NAME)}
+                              icon={XCircle}
+                            >
+                              Revoke
+                            </Button>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </td>
                   <td>
                     {app.APP_CHANNELS ? (
                       <div className="actions">
                         {app.APP_CHANNELS.split(",").map((ch) => (
-                          <span key={ch.trim()} className="badge">{ch.trim()}</span>
+                          <span
+                            key={ch.trim()}
+                            className={`badge ${ch.trim().startsWith("!") ? "error" : ""}`}
+                          >
+                            {ch.trim()}
+                          </span>
                         ))}
                       </div>
                     ) : (
                       <span className="badge">ALL</span>
                     )}
+                    {(app.COLUMN_RULES || app.ROW_FILTERS) && (
+                      <div className="help" style={{ marginTop: "0.3rem" }}>
+                        {[
+                          app.COLUMN_RULES && `${countRules(app.COLUMN_RULES)} column rule(s)`,
+                          app.ROW_FILTERS && `${countRules(app.ROW_FILTERS)} row filter(s)`,
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <div>
+                      {app.CONNECTED_SOCKETS}
+                      {app.MAX_SOCKETS ? ` / ${app.MAX_SOCKETS}` : ""} sockets
+                    </div>
+                    <div className="help">
+                      {app.ALLOWED_CIDRS ? app.ALLOWED_CIDRS.split(",").join(", ") : "Any address"}
+                    </div>
+                    {app.INITIAL_STATE_PER_MINUTE && (
+                      <div className="help">{app.INITIAL_STATE_PER_MINUTE} initial state requests/min</div>
+                    )}
                   </td>
                   <td>
                     <span className={`badge ${app.IS_ACTIVE ? "success" : ""}`}>
@@ -235,31 +358,33 @@ const Apps = () => {
                     </span>
                   </td>
                   <td>{app.LAST_CONNECTED_AT ? new Date(app.LAST_CONNECTED_AT).toLocaleString() : "Never"}</td>
-                  <td>
-                    <div className="actions">
-                      <Button
-                        onClick={() => handleToggle(app.APP_ID, app.APP_NAME)}
-                        icon={app.IS_ACTIVE ? Pause : Play}
-                      >
-                        {app.IS_ACTIVE ? "Pause" : "Resume"}
-                      </Button>
-                      <Button onClick={() => handleEdit(app)} icon={Pencil}>Edit</Button>
-                      <Button
-                        onClick={() => handleRotateSecret(app.APP_ID, app.APP_NAME)}
-                        variant="warn"
-                        icon={KeyRound}
-                      >
-                        Rotate
-                      </Button>
-                      <Button
-                        onClick={() => handleDelete(app.APP_ID, app.APP_NAME)}
-                        variant="destructive"
-                        icon={Trash2}
-                      >
-                        Delete
-                      </Button>
-                    </div>
-                  </td>
+                  {canEdit && (
+                    <td>
+                      <div className="actions">
+                        <Button
+                          onClick={() => handleToggle(app.APP_ID, app.APP_NAME)}
+                          icon={app.IS_ACTIVE ? Pause : Play}
+                        >
+                          {app.IS_ACTIVE ? "Pause" : "Resume"}
+                        </Button>
+                        <Button onClick={() => handleEdit(app)} icon={Pencil}>Edit</Button>
+                        <Button
+                          onClick={() => openRotateModal(app)}
+                          variant="warn"
+                          icon={KeyRound}
+                        >
+                          Rotate
+                        </Button>
+                        <Button
+                          onClick={() => handleDelete(app.APP_ID, app.APP_NAME)}
+                          variant="destructive"
+                          icon={Trash2}
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -290,7 +415,85 @@ const Apps = () => {
               onChange={(e) => setFormData({ ...formData, channels: e.target.value })}
               placeholder="Leave empty for ALL channels"
             />
-            <div className="help">Comma-separated channel names.</div>
+            <div className="help">
+              Comma-separated channel names. <code>*</code> and <code>?</code> match any
+              characters or one character (e.g., <code>MONITORING_GATE_*</code>); prefix an entry
+              with <code>!</code> to deny it. Only deny entries = all other channels.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Column Rules (optional)</label>
+            <Textarea
+              value={formData.columnRules}
+              onChange={(e) => setFormData({ ...formData, columnRules: e.target.value })}
+              rows={4}
+              style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" }}
+              placeholder={COLUMN_RULES_PLACEHOLDER}
+            />
+            <div className="help">
+              JSON list of columns to <code>hide</code>, <code>mask</code> (keep the last
+              <code> keep</code> characters) or <code>round</code> (to <code>digits</code> decimals)
+              in event rows sent to this app. <code>channel</code> accepts the same patterns as
+              Allowed Channels; the last rule for a column wins.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Row Filters (optional)</label>
+            <Textarea
+              value={formData.rowFilters}
+              onChange={(e) => setFormData({ ...formData, rowFilters: e.target.value })}
+              rows={3}
+              style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" }}
+              placeholder={ROW_FILTERS_PLACEHOLDER}
+            />
+            <div className="help">
+              JSON list limiting the event rows this app receives: each filter keeps rows whose
+              <code> column</code> value is <code>in</code> (or <code>notIn</code>) the list. All
+              filters matching a channel must pass.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Allowed Addresses (optional)</label>
+            <Textarea
+              value={formData.allowedCidrs}
+              onChange={(e) => setFormData({ ...formData, allowedCidrs: e.target.value })}
+              rows={3}
+              placeholder={"Leave empty for any address\ne.g., 10.20.0.0/16"}
+            />
+            <div className="help">
+              IPv4/IPv6 addresses or CIDR ranges, one per line or comma-separated. Connected
+              sockets outside the list are disconnected when saved.
+            </div>
+          </div>
+
+          <div className="grid" style={{ gridTemplateColumns: "1fr 1fr" }}>
+            <div className="field">
+              <label>Max Sockets</label>
+              <Input
+                type="number"
+                value={formData.maxSockets}
+                onChange={(e) => setFormData({ ...formData, maxSockets: e.target.value })}
+                min="1"
+                placeholder="No limit"
+              />
+            </div>
+            <div className="field">
+              <label>Initial State Requests / min</label>
+              <Input
+                type="number"
+                value={formData.initialStatePerMinute}
+                onChange={(e) => setFormData({ ...formData, initialStatePerMinute: e.target.value })}
+                min="1"
+                placeholder="No limit"
+              />
+            </div>
+          </div>
+          <div className="help">
+            Concurrent sockets for this app and REQUEST_INITIAL_STATE calls per socket. New limits
+            apply to new connections and requests.
           </div>
 
           <div className="field">
@@ -315,6 +518,43 @@ const Apps = () => {
           </div>
         </form>
       </Dialog>
+
+      <Dialog
+        open={!!rotatingApp}
+        onClose={() => setRotatingApp(null)}
+        title={rotatingApp ? `Rotate Secret: ${rotatingApp.APP_NAME}` : ""}
+      >
+        <form onSubmit={handleRotateSecret} className="grid">
+          <div className="field">
+            <label>Keep the current secret valid for (hours)</label>
+            <Input
+              type="number"
+              value={graceHours}
+              onChange={(e) => setGraceHours(e.target.value)}
+              min="0"
+              max="720"
+              step="any"
+              placeholder="Server default"
+            />
+            <div className="help">
+              Both secrets work during this period, so client apps can be redeployed without
+              downtime. Use 0 to cut the current secret off immediately.
+            </div>
+          </div>
+
+          {rotatingApp?.PREVIOUS_SECRET_EXPIRES_AT && (
+            <div className="alert warning">
+              The previous secret <code>{rotatingApp.PREVIOUS_SECRET_HINT}</code> from the last
+              rotation stops working now.
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <Button type="button" onClick={() => setRotatingApp(null)} icon={X}>Cancel</Button>
+            <Button type="submit" variant="warn" icon={KeyRound}>Rotate Secret</Button>
+          </div>
+        </form>
+      </Dialog>
     </Layout>
   );
 };
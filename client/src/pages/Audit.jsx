@@ -0,0 +1,312 @@
+import { useState, useEffect } from "react";
+import { ChevronLeft, ChevronRight, Eye, Search } from "lucide-react";
+import Layout from "../components/Layout";
+import DiffView from "../components/DiffView";
+import { auditAPI } from "../services/api";
+import { useToast } from "../components/Toast";
+import Dialog from "../components/ui/Dialog";
+import Button from "../components/ui/Button";
+import Card from "../components/ui/Card";
+import Input from "../components/ui/Input";
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TYPES = [
+  { value: "event", label: "Event" },
+  { value: "app", label: "App" },
+  { value: "mqtt-topic", label: "MQTT Topic" },
+  { value: "webhook", label: "Webhook" },
+  { value: "origin", label: "Origin" },
+  { value: "user", label: "User" },
+  { value: "socket", label: "Socket" },
+];
+
+const ACTIONS = [
+  "create",
+  "update",
+  "toggle",
+  "delete",
+  "rollback",
+  "rotate-secret",
+  "revoke-previous-secret",
+  "change-password",
+  "disconnect",
+];
+
+const initialFilters = {
+  entityType: "",
+  action: "",
+  username: "",
+  search: "",
+  from: "",
+  to: "",
+};
+
+const actionBadge = (action) =>
+  action === "delete" ? "error" : action === "create" ? "success" : action === "update" ? "" : "warn";
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Date inputs give local days; "to" includes the whole selected day
+const toQueryParams = (filters, offset) => {
+  const params = { limit: PAGE_SIZE, offset };
+  for (const key of ["entityType", "action", "username", "search"]) {
+    if (filters[key].trim()) params[key] = filters[key].trim();
+  }
+  if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+  if (filters.to) {
+    const end = new Date(`${filters.to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    params.to = end.toISOString();
+  }
+  return params;
+};
+
+const Audit = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState(initialFilters);
+  // Applied filters and page; changing the filters starts again from the first page
+  const [query, setQuery] = useState({ filters: initialFilters, offset: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [selected, setSelected] = useState(null);
+  const toast = useToast();
+  const offset = query.offset;
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const response = await auditAPI.getAll(toQueryParams(query.filters, query.offset));
+        setEntries(response.data.data || []);
+        setTotal(response.data.total || 0);
+        setError("");
+      } catch (err) {
+        setError(err.response?.data?.message || "Failed to fetch audit log");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [query]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery({ filters, offset: 0 });
+  };
+
+  const handleReset = () => {
+    setFilters(initialFilters);
+    setQuery({ filters: initialFilters, offset: 0 });
+  };
+
+  const openEntry = async (id) => {
+    try {
+      const response = await auditAPI.getById(id);
+      setSelected(response.data.data);
+    } catch {
+      toast.error("Failed to load audit record");
+    }
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <Card style={{ display: "grid", placeItems: "center" }}>
+          <div className="spinner" />
+        </Card>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="page-head">
+        <div>
+          <h1 className="page-title">Audit Log</h1>
+          <p className="page-subtitle">Who changed what, and when</p>
+        </div>
+      </div>
+
+      <Card>
+        <form
+          onSubmit={handleSearch}
+          className="grid"
+          style={{ gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", alignItems: "end" }}
+        >
+          <div className="field">
+            <label>Entity</label>
+            <select
+              className="input"
+              value={filters.entityType}
+              onChange={(e) => setFilters({ ...filters, entityType: e.target.value })}
+            >
+              <option value="">All</option>
+              {ENTITY_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="field">
+            <label>Action</label>
+            <select
+              className="input"
+              value={filters.action}
+              onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+            >
+              <option value="">All</option>
+              {ACTIONS.map((action) => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+          </div>
+          <div className="field">
+            <label>User</label>
+            <Input
+              type="text"
+              value={filters.username}
+              onChange={(e) => setFilters({ ...filters, username: e.target.value })}
+              placeholder="Username"
+            />
+          </div>
+          <div className="field">
+            <label>Name contains</label>
+            <Input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              placeholder="e.g., VESSEL"
+            />
+          </div>
+          <div className="field">
+            <label>From</label>
+            <Input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            />
+          </div>
+          <div className="field">
+            <label>To</label>
+            <Input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            />
+          </div>
+          <div className="actions">
+            <Button type="submit" variant="primary" icon={Search}>Search</Button>
+            <Button type="button" onClick={handleReset}>Reset</Button>
+          </div>
+        </form>
+      </Card>
+
+      {error && <div className="alert error">{error}</div>}
+
+      {entries.length === 0 ? (
+        <div className="empty">No audit records match these filters.</div>
+      ) : (
+        <Card className="table-wrap">
+          <table className="ui-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Entity</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.AUDIT_ID}>
+                  <td>{new Date(entry.CREATED_AT).toLocaleString()}</td>
+                  <td>
+                    <div style={{ fontWeight: 700 }}>{entry.USERNAME}</div>
+                    <div className="help">{entry.USER_ROLE}{entry.IP_ADDRESS ? ` · ${entry.IP_ADDRESS}` : ""}</div>
+                  </td>
+                  <td>
+                    <span className={`badge ${actionBadge(entry.ACTION)}`}>{entry.ACTION}</span>
+                  </td>
+                  <td>
+                    <div>{entry.ENTITY_NAME || "—"}</div>
+                    <div className="help">
+                      {entry.ENTITY_TYPE}{entry.ENTITY_ID ? ` #${entry.ENTITY_ID}` : ""}
+                    </div>
+                  </td>
+                  <td>
+                    <Button onClick={() => openEntry(entry.AUDIT_ID)} icon={Eye}>Details</Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="page-head" style={{ marginTop: "0.75rem", alignItems: "center" }}>
+            <div className="muted">
+              {offset + 1}–{offset + entries.length} of {total}
+            </div>
+            <div className="actions">
+              <Button
+                onClick={() => setQuery({ ...query, offset: Math.max(0, offset - PAGE_SIZE) })}
+                disabled={offset === 0}
+                icon={ChevronLeft}
+              >
+                Newer
+              </Button>
+              <Button
+                onClick={() => setQuery({ ...query, offset: offset + PAGE_SIZE })}
+                disabled={offset + PAGE_SIZE >= total}
+                icon={ChevronRight}
+              >
+                Older
+              </Button>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      <Dialog
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected ? `${selected.ACTION} ${selected.ENTITY_TYPE} ${selected.ENTITY_NAME || ""}` : ""}
+      >
+        {selected && (
+          <div className="grid">
+            <div className="muted">
+              {selected.USERNAME} ({selected.USER_ROLE}) · {new Date(selected.CREATED_AT).toLocaleString()}
+            </div>
+
+            {selected.changes.length === 0 ? (
+              <div className="empty">No field values recorded for this action.</div>
+            ) : (
+              selected.changes.map((change) => (
+                <div key={change.field} className="field">
+                  <label>{change.field}</label>
+                  {change.lines ? (
+                    <DiffView lines={change.lines} />
+                  ) : (
+                    <div>
+                      <code>{formatValue(change.before)}</code> → <code>{formatValue(change.after)}</code>
+                    </div>
+                  )}
+                </div>
+              ))
+            )}
+
+            <div className="modal-actions">
+              <Button onClick={() => setSelected(null)}>Close</Button>
+            </div>
+          </div>
+        )}
+      </Dialog>
+    </Layout>
+  );
+};
+
+export default Audit;
@@ -0,0 +1,235 @@
+import { useState, useEffect } from "react";
+import { Unplug } from "lucide-react";
+import Layout from "../components/Layout";
+import { monitoringAPI } from "../services/api";
+import { useToast } from "../components/Toast";
+import { useAuth } from "../context/AuthContext";
+import Button from "../components/ui/Button";
+import Card from "../components/ui/Card";
+import Input from "../components/ui/Input";
+
+const AUTH_TYPES = [
+  { value: "registered-app", label: "Registered App" },
+  { value: "jwt", label: "JWT" },
+  { value: "api-key", label: "API Key" },
+  { value: "sse", label: "SSE Stream" },
+];
+
+const formatBytes = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+const formatDuration = (since) => {
+  const seconds = Math.max(0, Math.floor((Date.now() - new Date(since).getTime()) / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${seconds % 60}s`;
+};
+
+const identityOf = (socket) => {
+  if (socket.appName) return socket.appName;
+  if (socket.authType === "sse") return socket.userId ? `${socket.userId} (SSE)` : "SSE client";
+  if (socket.authType === "jwt") return socket.userId ? `${socket.userId} (${socket.role || "no role"})` : "JWT client";
+  return "API key client";
+};
+
+const Clients = () => {
+  const [sockets, setSockets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState("");
+  const [authType, setAuthType] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const toast = useToast();
+  const { hasRole } = useAuth();
+  const canDisconnect = hasRole("operator");
+
+  useEffect(() => {
+    const fetchSockets = async () => {
+      try {
+        const response = await monitoringAPI.getSockets();
+        setSockets(response.data.data || []);
+      } catch {
+        // Keep last known values if request fails.
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSockets();
+    const interval = setInterval(fetchSockets, 5000);
+    return () => clearInterval(interval);
+  }, [reloadKey]);
+
+  const reloadSockets = () => setReloadKey((key) => key + 1);
+
+  const handleDisconnect = async (socket) => {
+    if (!confirm(`Disconnect ${identityOf(socket)} (${socket.id})? The client may reconnect.`)) return;
+
+    try {
+      await monitoringAPI.disconnectSocket(socket.id);
+      toast.success("Socket disconnected");
+      reloadSockets();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to disconnect socket");
+    }
+  };
+
+  const handleDisconnectApp = async (appName) => {
+    if (!confirm(`Disconnect every socket of ${appName}? Clients may reconnect.`)) return;
+
+    try {
+      const response = await monitoringAPI.disconnectApp(appName);
+      toast.success(response.data.message);
+      reloadSockets();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to disconnect app");
+    }
+  };
+
+  const needle = filter.trim().toLowerCase();
+  const visible = sockets.filter(
+    (socket) =>
+      (!authType || socket.authType === authType) &&
+      (!needle ||
+        [socket.id, socket.appName, socket.userId, socket.ip, socket.forwardedFor, socket.userAgent]
+          .filter(Boolean)
+          .some((value) => String(value).toLowerCase().includes(needle)))
+  );
+
+  // Sockets per registered app, for the per-app disconnect buttons
+  const appCounts = sockets.reduce((counts, socket) => {
+    if (socket.appName) counts[socket.appName] = (counts[socket.appName] || 0) + 1;
+    return counts;
+  }, {});
+
+  if (loading) {
+    return (
+      <Layout>
+        <Card style={{ display: "grid", placeItems: "center" }}>
+          <div className="spinner" />
+        </Card>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="page-head">
+        <div>
+          <h1 className="page-title">Connected Clients</h1>
+          <p className="page-subtitle">{sockets.length} socket(s) · auto-refreshing every 5 seconds</p>
+        </div>
+      </div>
+
+      {Object.keys(appCounts).length > 0 && (
+        <Card>
+          <div className="actions">
+            {Object.entries(appCounts).map(([appName, count]) => (
+              <span key={appName} className="actions">
+                <span className="badge">
+                  {appName}: {count}
+                </span>
+                {canDisconnect && (
+                  <Button onClick={() => handleDisconnectApp(appName)} variant="destructive" icon={Unplug}>
+                    Disconnect all
+                  </Button>
+                )}
+              </span>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      <Card>
+        <div className="grid" style={{ gridTemplateColumns: "2fr 1fr" }}>
+          <div className="field">
+            <label>Search</label>
+            <Input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="App, user, IP, user agent or socket ID"
+            />
+          </div>
+          <div className="field">
+            <label>Auth Type</label>
+            <select className="input" value={authType} onChange={(e) => setAuthType(e.target.value)}>
+              <option value="">All</option>
+              {AUTH_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </Card>
+
+      {visible.length === 0 ? (
+        <div className="empty">No connected clients match.</div>
+      ) : (
+        <Card className="table-wrap">
+          <table className="ui-table">
+            <thead>
+              <tr>
+                <th>Client</th>
+                <th>Address</th>
+                <th>Connected</th>
+                <th>Channels</th>
+                <th>Sent</th>
+                {canDisconnect && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((socket) => (
+                <tr key={socket.id}>
+                  <td>
+                    <div style={{ fontWeight: 700 }}>{identityOf(socket)}</div>
+                    <div className="help">
+                      <span className="badge">{socket.authType}</span> <code>{socket.id}</code>
+                    </div>
+                  </td>
+                  <td>
+                    <div>{socket.forwardedFor || socket.ip}</div>
+                    <div className="help" title={socket.userAgent || ""}>
+                      {socket.transport}
+                      {socket.userAgent ? ` · ${socket.userAgent.slice(0, 60)}` : ""}
+                    </div>
+                  </td>
+                  <td>
+                    <div>{formatDuration(socket.connectedAt)}</div>
+                    <div className="help">{new Date(socket.connectedAt).toLocaleString()}</div>
+                  </td>
+                  <td>
+                    {socket.channels.length === 0 ? (
+                      <span className="muted">None</span>
+                    ) : (
+                      <div className="actions">
+                        {socket.channels.map((channel) => (
+                          <span key={channel} className="badge">{channel}</span>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <div>{socket.messagesSent} msgs</div>
+                    <div className="help">{formatBytes(socket.bytesSent)}</div>
+                  </td>
+                  {canDisconnect && (
+                    <td>
+                      <Button onClick={() => handleDisconnect(socket)} variant="destructive" icon={Unplug}>
+                        Disconnect
+                      </Button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </Layout>
+  );
+};
+
+export default Clients;
@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
-import { FlaskConical, Pause, Pencil, Play, Plus, Save, Trash2, X } from "lucide-react";
+import { FlaskConical, History, Pause, Pencil, Play, Plus, RotateCcw, Save, Trash2, X } from "lucide-react";
 import Layout from "../components/Layout";
+import DiffView from "../components/DiffView";
 import Dialog from "../components/ui/Dialog";
 import Button from "../components/ui/Button";
 import Card from "../components/ui/Card";
@@ -8,11 +9,49 @@ import Input from "../components/ui/Input";
 import Textarea from "../components/ui/Textarea";
 import { eventsAPI } from "../services/api";
 import { useToast } from "../components/Toast";
+import { useAuth } from "../context/AuthContext";
 
 const initialForm = {
   eventName: "",
   sqlQuery: "",
   intervalSeconds: 5,
+  keyColumn: "",
+  parameters: "",
+  cronExpression: "",
+  activeWindows: "",
+  timeoutSeconds: "",
+  mqttPublishTopic: "",
+  mqttPublishQos: 0,
+  mqttPublishRetain: false,
+  mqttPublishMode: "full",
+};
+
+const PARAMETERS_PLACEHOLDER = `[
+  { "name": "berthNo", "type": "string", "allowed": ["B1", "B2"] }
+]`;
+
+const WINDOWS_PLACEHOLDER = `[
+  { "days": ["MON", "TUE", "WED", "THU", "FRI"], "start": "06:00", "end": "18:00" },
+  { "start": "18:00", "end": "06:00", "intervalSeconds": 300 }
+]`;
+
+const VERSION_SOURCES = {
+  initial: "existing definition",
+  create: "created",
+  update: "edited",
+  rollback: "rollback",
+};
+
+const formatValue = (value) => (value === null || value === undefined ? "—" : String(value));
+
+// Stored definitions are compact JSON; pretty-print them for editing
+const formatJson = (raw) => {
+  if (!raw) return "";
+  try {
+    return JSON.stringify(JSON.parse(raw), null, 2);
+  } catch {
+    return raw;
+  }
 };
 
 const Events = () => {
@@ -23,7 +62,12 @@ const Events = () => {
   const [formData, setFormData] = useState(initialForm);
   const [testResult, setTestResult] = useState(null);
   const [testing, setTesting] = useState(false);
+  const [historyEvent, setHistoryEvent] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
   const toast = useToast();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("operator");
 
   useEffect(() => {
     fetchEvents();
@@ -53,6 +97,15 @@ const Events = () => {
       eventName: event.EVENT_NAME,
       sqlQuery: event.SQL_QUERY,
       intervalSeconds: event.INTERVAL_SECONDS,
+      keyColumn: event.KEY_COLUMN || "",
+      parameters: formatJson(event.PARAMETERS),
+      cronExpression: event.CRON_EXPRESSION || "",
+      activeWindows: formatJson(event.ACTIVE_WINDOWS),
+      timeoutSeconds: event.TIMEOUT_SECONDS || "",
+      mqttPublishTopic: event.MQTT_PUBLISH_TOPIC || "",
+      mqttPublishQos: event.MQTT_PUBLISH_QOS || 0,
+      mqttPublishRetain: event.MQTT_PUBLISH_RETAIN === 1,
+      mqttPublishMode: event.MQTT_PUBLISH_MODE || "full",
     });
     setTestResult(null);
     setShowModal(true);
@@ -80,6 +133,43 @@ const Events = () => {
     }
   };
 
+  const selectVersion = async (eventId, versionNo) => {
+    try {
+      const response = await eventsAPI.getVersion(eventId, versionNo);
+      setSelectedVersion(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load version");
+    }
+  };
+
+  const openHistory = async (event) => {
+    try {
+      const response = await eventsAPI.getVersions(event.EVENT_ID);
+      const list = response.data.data || [];
+      setHistoryEvent(event);
+      setVersions(list);
+      setSelectedVersion(null);
+      if (list.length > 0) selectVersion(event.EVENT_ID, list[0].VERSION_NO);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to fetch version history");
+    }
+  };
+
+  const handleRollback = async (versionNo) => {
+    if (!confirm(`Roll back "${historyEvent.EVENT_NAME}" to version ${versionNo}? It goes live immediately.`)) {
+      return;
+    }
+
+    try {
+      const response = await eventsAPI.rollback(historyEvent.EVENT_ID, versionNo);
+      toast.success(response.data.message);
+      setHistoryEvent(null);
+      fetchEvents();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Rollback failed");
+    }
+  };
+
   const handleTestQuery = async () => {
     if (!formData.sqlQuery.trim()) {
       toast.warning("Please enter a SQL query");
@@ -90,7 +180,7 @@ const Events = () => {
     setTestResult(null);
 
     try {
-      const response = await eventsAPI.testQuery(formData.sqlQuery);
+      const response = await eventsAPI.testQuery(formData.sqlQuery, formData.parameters);
       setTestResult(response.data.data);
 
       if (!editingEvent && formData.intervalSeconds === 5) {
@@ -149,9 +239,11 @@ const Events = () => {
           <h1 className="page-title">Event Management</h1>
           <p className="page-subtitle">Manage SQL events and broadcast intervals</p>
         </div>
-        <Button onClick={openCreateModal} variant="primary" icon={Plus}>
-          Create Event
-        </Button>
+        {canEdit && (
+          <Button onClick={openCreateModal} variant="primary" icon={Plus}>
+            Create Event
+          </Button>
+        )}
       </div>
 
       {events.length === 0 ? (
@@ -162,7 +254,7 @@ const Events = () => {
             <thead>
               <tr>
                 <th>Name</th>
-                <th>Interval</th>
+                <th>Schedule</th>
                 <th>Status</th>
                 <th>Last Execution</th>
                 <th>Actions</th>
@@ -172,7 +264,13 @@ const Events = () => {
               {events.map((event) => (
                 <tr key={event.EVENT_ID}>
                   <td>{event.EVENT_NAME}</td>
-                  <td>{event.INTERVAL_SECONDS}s</td>
+                  <td>
+                    {event.CRON_EXPRESSION ? <code>{event.CRON_EXPRESSION}</code> : `${event.INTERVAL_SECONDS}s`}
+                    {event.ACTIVE_WINDOWS && <span className="badge">windows</span>}
+                    {event.MQTT_PUBLISH_TOPIC && (
+                      <span className="badge" title={event.MQTT_PUBLISH_TOPIC}>mqtt</span>
+                    )}
+                  </td>
                   <td>
                     <span className={`badge ${event.IS_ACTIVE ? "success" : ""}`}>
                       {event.IS_ACTIVE ? "Active" : "Inactive"}
@@ -182,7 +280,9 @@ const Events = () => {
                         className={`badge ${
                           (event.RUNTIME_STATUS || event.LAST_EXECUTION_STATUS) === "success"
                             ? "success"
-                            : "error"
+                            : (event.RUNTIME_STATUS || event.LAST_EXECUTION_STATUS) === "timeout"
+                              ? "warn"
+                              : "error"
                         }`}
                       >
                         {event.RUNTIME_STATUS || event.LAST_EXECUTION_STATUS}
@@ -196,22 +296,31 @@ const Events = () => {
                   </td>
                   <td>
                     <div className="actions">
-                      <Button
-                        onClick={() => handleToggle(event.EVENT_ID, event.EVENT_NAME)}
-                        icon={event.IS_ACTIVE ? Pause : Play}
-                      >
-                        {event.IS_ACTIVE ? "Pause" : "Resume"}
-                      </Button>
-                      <Button onClick={() => handleEdit(event)} icon={Pencil}>
-                        Edit
-                      </Button>
-                      <Button
-                        onClick={() => handleDelete(event.EVENT_ID, event.EVENT_NAME)}
-                        variant="destructive"
-                        icon={Trash2}
-                      >
-                        Delete
+                      {canEdit && (
+                        <>
+                          <Button
+                            onClick={() => handleToggle(event.EVENT_ID, event.EVENT_NAME)}
+                            icon={event.IS_ACTIVE ? Pause : Play}
+                          >
+                            {event.IS_ACTIVE ? "Pause" : "Resume"}
+                          </Button>
+                          <Button onClick={() => handleEdit(event)} icon={Pencil}>
+                            Edit
+                          </Button>
+                        </>
+                      )}
+                      <Button onClick={() => openHistory(event)} icon={History}>
+                        History
                       </Button>
+                      {canEdit && (
+                        <Button
+                          onClick={() => handleDelete(event.EVENT_ID, event.EVENT_NAME)}
+                          variant="destructive"
+                          icon={Trash2}
+                        >
+                          Delete
+                        </Button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -255,6 +364,21 @@ const Events = () => {
             </div>
           </div>
 
+          <div className="field">
+            <label>Parameters (optional)</label>
+            <Textarea
+              value={formData.parameters}
+              onChange={(e) => setFormData({ ...formData, parameters: e.target.value })}
+              rows={4}
+              style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" }}
+              placeholder={PARAMETERS_PLACEHOLDER}
+            />
+            <div className="help">
+              JSON list of bind variables used in the query (e.g. <code>:berthNo</code>). Subscribers
+              supply values on SUBSCRIBE; Test Query uses each default or first allowed value.
+            </div>
+          </div>
+
           {testResult && (
             <div className={`alert ${testResult.error ? "error" : ""}`}>
               {testResult.error ? (
@@ -297,6 +421,121 @@ const Events = () => {
             )}
           </div>
 
+          <div className="field">
+            <label>Query Timeout (seconds, optional)</label>
+            <Input
+              type="number"
+              value={formData.timeoutSeconds}
+              onChange={(e) => setFormData({ ...formData, timeoutSeconds: e.target.value })}
+              min="1"
+              max="3600"
+              placeholder="Server default"
+            />
+            <div className="help">
+              Executions running longer are cancelled and reported as <code>timeout</code>.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Cron Schedule (optional)</label>
+            <Input
+              type="text"
+              value={formData.cronExpression}
+              onChange={(e) => setFormData({ ...formData, cronExpression: e.target.value })}
+              placeholder="e.g., 0 6,14,22 * * *"
+            />
+            <div className="help">
+              minute hour day-of-month month day-of-week, in server time. When set, the event runs at
+              these times instead of every interval.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Active Windows (optional)</label>
+            <Textarea
+              value={formData.activeWindows}
+              onChange={(e) => setFormData({ ...formData, activeWindows: e.target.value })}
+              rows={4}
+              style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" }}
+              placeholder={WINDOWS_PLACEHOLDER}
+            />
+            <div className="help">
+              Time windows in which the event is polled; none means around the clock. A window may
+              set its own <code>intervalSeconds</code>, and may end past midnight.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Key Column (optional)</label>
+            <Input
+              type="text"
+              value={formData.keyColumn}
+              onChange={(e) => setFormData({ ...formData, keyColumn: e.target.value })}
+              placeholder="e.g., id"
+            />
+            <div className="help">
+              Column that uniquely identifies a row. When set, clients receive row-level patches
+              instead of the full result on every change.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>MQTT Publish Topic (optional)</label>
+            <Input
+              type="text"
+              value={formData.mqttPublishTopic}
+              onChange={(e) => setFormData({ ...formData, mqttPublishTopic: e.target.value })}
+              placeholder="e.g., tpks/dashboard/vessel-alongside"
+            />
+            <div className="help">
+              Every changed result is also published to this broker topic. Parameterized events can
+              use placeholders such as <code>{"{berthNo}"}</code>.
+            </div>
+          </div>
+
+          {formData.mqttPublishTopic.trim() && (
+            <div className="actions" style={{ flexWrap: "wrap" }}>
+              <label>
+                QoS{" "}
+                <select
+                  className="input"
+                  value={formData.mqttPublishQos}
+                  onChange={(e) => setFormData({ ...formData, mqttPublishQos: Number(e.target.value) })}
+                >
+                  <option value={0}>0 (at most once)</option>
+                  <option value={1}>1 (at least once)</option>
+                  <option value={2}>2 (exactly once)</option>
+                </select>
+              </label>
+              <label>
+                Payload{" "}
+                <select
+                  className="input"
+                  value={formData.mqttPublishMode}
+                  onChange={(e) =>
+                    setFormData({
+                      ...formData,
+                      mqttPublishMode: e.target.value,
+                      mqttPublishRetain: e.target.value === "full" && formData.mqttPublishRetain,
+                    })
+                  }
+                >
+                  <option value="full">Full result</option>
+                  <option value="delta">Same as broadcast (patch with key column)</option>
+                </select>
+              </label>
+              <label style={{ display: "flex", gap: "0.35rem", alignItems: "center" }}>
+                <input
+                  type="checkbox"
+                  checked={formData.mqttPublishRetain}
+                  disabled={formData.mqttPublishMode !== "full"}
+                  onChange={(e) => setFormData({ ...formData, mqttPublishRetain: e.target.checked })}
+                />
+                Retain
+              </label>
+            </div>
+          )}
+
           <div className="modal-actions">
             <Button type="button" onClick={() => setShowModal(false)} icon={X}>
               Cancel
@@ -307,6 +546,91 @@ const Events = () => {
           </div>
         </form>
       </Dialog>
+
+      <Dialog
+        open={!!historyEvent}
+        onClose={() => setHistoryEvent(null)}
+        title={historyEvent ? `Version History: ${historyEvent.EVENT_NAME}` : ""}
+      >
+        {historyEvent && (
+          <div className="grid">
+            {versions.length === 0 ? (
+              <div className="empty">No saved versions yet. A version is stored on every save.</div>
+            ) : (
+              <div className="version-list">
+                {versions.map((version) => (
+                  <button
+                    key={version.VERSION_NO}
+                    type="button"
+                    className={`version-item ${
+                      selectedVersion?.version.VERSION_NO === version.VERSION_NO ? "is-active" : ""
+                    }`}
+                    onClick={() => selectVersion(historyEvent.EVENT_ID, version.VERSION_NO)}
+                  >
+                    <span>
+                      <strong>v{version.VERSION_NO}</strong>{" "}
+                      <span className="muted">
+                        {VERSION_SOURCES[version.SOURCE] || version.SOURCE}
+                        {version.RESTORED_FROM ? ` from v${version.RESTORED_FROM}` : ""}
+                      </span>
+                      {version.VERSION_NO === versions[0].VERSION_NO && (
+                        <span className="badge success">current</span>
+                      )}
+                    </span>
+                    <span className="help">
+                      {version.CREATED_BY || "—"} · {new Date(version.CREATED_AT).toLocaleString()}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {selectedVersion && (
+              <>
+                <div className="muted">
+                  {selectedVersion.compareTo
+                    ? `Changes in v${selectedVersion.version.VERSION_NO} compared with v${selectedVersion.compareTo.VERSION_NO}`
+                    : `v${selectedVersion.version.VERSION_NO} is the first saved version`}
+                </div>
+
+                {selectedVersion.changes.length === 0 ? (
+                  <div className="empty">Same definition as the previous version.</div>
+                ) : (
+                  selectedVersion.changes.map((change) => (
+                    <div key={change.field} className="field">
+                      <label>{change.field}</label>
+                      {change.lines ? (
+                        <DiffView lines={change.lines} split />
+                      ) : (
+                        <div>
+                          <code>{formatValue(change.before)}</code> → <code>{formatValue(change.after)}</code>
+                        </div>
+                      )}
+                    </div>
+                  ))
+                )}
+              </>
+            )}
+
+            <div className="modal-actions">
+              <Button onClick={() => setHistoryEvent(null)} icon={X}>
+                Close
+              </Button>
+              {canEdit &&
+                selectedVersion &&
+                selectedVersion.version.VERSION_NO !== versions[0]?.VERSION_NO && (
+                  <Button
+                    onClick={() => handleRollback(selectedVersion.version.VERSION_NO)}
+                    variant="primary"
+                    icon={RotateCcw}
+                  >
+                    Roll back to v{selectedVersion.version.VERSION_NO}
+                  </Button>
+                )}
+            </div>
+          </div>
+        )}
+      </Dialog>
     </Layout>
   );
 };
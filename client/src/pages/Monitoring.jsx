@@ -106,9 +106,18 @@ const Monitoring = () => {
                       <td>{event.eventName}</td>
                       <td>{event.intervalSeconds}s</td>
                       <td>
-                        <span className={`badge ${event.isRunning ? "warn" : ""}`}>
-                          {event.isRunning ? "Running" : "Idle"}
-                        </span>
+                        {event.circuit?.state === "OPEN" ? (
+                          <span
+                            className="badge error"
+                            title={`Next probe: ${new Date(event.circuit.nextProbeAt).toLocaleTimeString()}`}
+                          >
+                            Circuit Open
+                          </span>
+                        ) : (
+                          <span className={`badge ${event.isRunning ? "warn" : ""}`}>
+                            {event.isRunning ? "Running" : "Idle"}
+                          </span>
+                        )}
                       </td>
                       <td>{event.stats.totalExecutions}</td>
                       <td>{event.stats.successCount}</td>
@@ -139,6 +148,13 @@ const Monitoring = () => {
             )}
           </section>
 
+          {stats?.events?.some((e) => e.circuit?.state === "OPEN") && (
+            <div className="alert error">
+              Some events failed repeatedly and are paused (circuit open). They are retried with
+              increasing delays and resume automatically once a query succeeds.
+            </div>
+          )}
+
           {stats?.events?.some((e) => e.stats.skippedCount > 0) && (
             <div className="alert warning">
               Some events were skipped due to overlapping runs. Increase their interval or optimize
@@ -3,6 +3,7 @@ import { Pause, Play, Plus, RefreshCw, Trash2 } from "lucide-react";
 import Layout from "../components/Layout";
 import { mqttAPI } from "../services/api";
 import { useToast } from "../components/Toast";
+import { useAuth } from "../context/AuthContext";
 import Button from "../components/ui/Button";
 import Card from "../components/ui/Card";
 import Input from "../components/ui/Input";
@@ -14,6 +15,8 @@ const MqttTopics = () => {
   const [form, setForm] = useState({ topicFilter: "", description: "" });
   const [submitting, setSubmitting] = useState(false);
   const toast = useToast();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("operator");
 
   useEffect(() => {
     fetchAll();
@@ -69,8 +72,8 @@ const MqttTopics = () => {
       await mqttAPI.toggle(topic.topicId);
       toast.success(topic.isActive ? "Topic deactivated" : "Topic activated");
       await fetchAll();
-    } catch {
-      toast.error("Failed to toggle topic");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to toggle topic");
     }
   };
 
@@ -81,8 +84,8 @@ const MqttTopics = () => {
       await mqttAPI.delete(topic.topicId);
       toast.success("Topic removed");
       await fetchAll();
-    } catch {
-      toast.error("Failed to remove topic");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to remove topic");
     }
   };
 
@@ -115,7 +118,7 @@ const MqttTopics = () => {
           <h1 className="page-title">MQTT Topics</h1>
           <p className="page-subtitle">Configure broker subscriptions sent to websocket clients</p>
         </div>
-        <Button onClick={handleReload} icon={RefreshCw}>Reload Subscriptions</Button>
+        {canEdit && <Button onClick={handleReload} icon={RefreshCw}>Reload Subscriptions</Button>}
       </div>
 
       <Card className="grid" style={{ gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))" }}>
@@ -133,31 +136,42 @@ const MqttTopics = () => {
           <div className="muted">Subscribed</div>
           <strong>{status?.subscribedTopics?.length || 0} topic(s)</strong>
         </div>
+        <div>
+          <div className="muted">Published Event Results</div>
+          <strong>{status?.publish?.published || 0}</strong>
+          {status?.publish?.failed > 0 && (
+            <span className="badge error" title={status.publish.lastError || ""}>
+              {status.publish.failed} failed
+            </span>
+          )}
+        </div>
       </Card>
 
-      <Card>
-        <h2 className="page-title" style={{ fontSize: "1.05rem" }}>Add Topic</h2>
-        <form onSubmit={handleAdd} className="grid" style={{ marginTop: "0.7rem" }}>
-          <Input
-            type="text"
-            placeholder="Topic filter (e.g. /monitoring/gate or #)"
-            value={form.topicFilter}
-            onChange={(e) => setForm({ ...form, topicFilter: e.target.value })}
-            required
-          />
-          <Input
-            type="text"
-            placeholder="Description (optional)"
-            value={form.description}
-            onChange={(e) => setForm({ ...form, description: e.target.value })}
-          />
-          <div>
-            <Button type="submit" disabled={submitting} variant="primary" icon={Plus}>
-              {submitting ? "Adding..." : "Add"}
-            </Button>
-          </div>
-        </form>
-      </Card>
+      {canEdit && (
+        <Card>
+          <h2 className="page-title" style={{ fontSize: "1.05rem" }}>Add Topic</h2>
+          <form onSubmit={handleAdd} className="grid" style={{ marginTop: "0.7rem" }}>
+            <Input
+              type="text"
+              placeholder="Topic filter (e.g. /monitoring/gate or #)"
+              value={form.topicFilter}
+              onChange={(e) => setForm({ ...form, topicFilter: e.target.value })}
+              required
+            />
+            <Input
+              type="text"
+              placeholder="Description (optional)"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+            />
+            <div>
+              <Button type="submit" disabled={submitting} variant="primary" icon={Plus}>
+                {submitting ? "Adding..." : "Add"}
+              </Button>
+            </div>
+          </form>
+        </Card>
+      )}
 
       <Card className="table-wrap">
         <h2 className="page-title" style={{ fontSize: "1.05rem" }}>Configured Topics</h2>
@@ -173,7 +187,7 @@ const MqttTopics = () => {
                 <th>Description</th>
                 <th>Active</th>
                 <th>Subscribed</th>
-                <th>Actions</th>
+                {canEdit && <th>Actions</th>}
               </tr>
             </thead>
             <tbody>
@@ -191,16 +205,18 @@ const MqttTopics = () => {
                       {subscribedSet.has(topic.topicFilter) ? "Yes" : "No"}
                     </span>
                   </td>
-                  <td>
-                    <div className="actions">
-                      <Button onClick={() => handleToggle(topic)} icon={topic.isActive ? Pause : Play}>
-                        {topic.isActive ? "Deactivate" : "Activate"}
-                      </Button>
-                      <Button onClick={() => handleDelete(topic)} variant="destructive" icon={Trash2}>
-                        Delete
-                      </Button>
-                    </div>
-                  </td>
+                  {canEdit && (
+                    <td>
+                      <div className="actions">
+                        <Button onClick={() => handleToggle(topic)} icon={topic.isActive ? Pause : Play}>
+                          {topic.isActive ? "Deactivate" : "Activate"}
+                        </Button>
+                        <Button onClick={() => handleDelete(topic)} variant="destructive" icon={Trash2}>
+                          Delete
+                        </Button>
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -1,8 +1,9 @@
 import { useState, useEffect } from "react";
-import { Plus, Trash2 } from "lucide-react";
+import { KeyRound, Plus, Trash2 } from "lucide-react";
 import Layout from "../components/Layout";
-import { originsAPI } from "../services/api";
+import { authAPI, originsAPI } from "../services/api";
 import { useToast } from "../components/Toast";
+import { useAuth } from "../context/AuthContext";
 import Button from "../components/ui/Button";
 import Card from "../components/ui/Card";
 import Input from "../components/ui/Input";
@@ -13,7 +14,11 @@ const Settings = () => {
   const [loading, setLoading] = useState(true);
   const [adding, setAdding] = useState(false);
   const [error, setError] = useState("");
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: "", newPassword: "" });
+  const [changingPassword, setChangingPassword] = useState(false);
   const toast = useToast();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("admin");
 
   useEffect(() => {
     fetchOrigins();
@@ -64,6 +69,21 @@ const Settings = () => {
     }
   };
 
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    try {
+      setChangingPassword(true);
+      await authAPI.changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+      setPasswordForm({ currentPassword: "", newPassword: "" });
+      toast.success("Password changed");
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to change password");
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
   if (loading) {
     return (
       <Layout>
@@ -94,20 +114,22 @@ const Settings = () => {
         <h2 className="page-title" style={{ fontSize: "1.05rem" }}>Allowed Origins (CORS)</h2>
         <p className="page-subtitle">These origins are allowed to connect to websocket and API endpoints.</p>
 
-        <form onSubmit={handleAddOrigin} className="grid" style={{ marginTop: "0.8rem" }}>
-          <Input
-            type="text"
-            value={newOrigin}
-            onChange={(e) => setNewOrigin(e.target.value)}
-            placeholder="https://example.com"
-            disabled={adding}
-          />
-          <div>
-            <Button type="submit" variant="primary" disabled={adding || !newOrigin.trim()} icon={Plus}>
-              {adding ? "Adding..." : "Add Origin"}
-            </Button>
-          </div>
-        </form>
+        {canEdit && (
+          <form onSubmit={handleAddOrigin} className="grid" style={{ marginTop: "0.8rem" }}>
+            <Input
+              type="text"
+              value={newOrigin}
+              onChange={(e) => setNewOrigin(e.target.value)}
+              placeholder="https://example.com"
+              disabled={adding}
+            />
+            <div>
+              <Button type="submit" variant="primary" disabled={adding || !newOrigin.trim()} icon={Plus}>
+                {adding ? "Adding..." : "Add Origin"}
+              </Button>
+            </div>
+          </form>
+        )}
 
         <div className="grid" style={{ marginTop: "0.9rem" }}>
           {origins.length === 0 ? (
@@ -120,14 +142,51 @@ const Settings = () => {
                 style={{ padding: "0.7rem", display: "flex", justifyContent: "space-between", alignItems: "center" }}
               >
                 <code>{origin}</code>
-                <Button variant="destructive" onClick={() => handleRemoveOrigin(origin)} icon={Trash2}>
-                  Remove
-                </Button>
+                {canEdit && (
+                  <Button variant="destructive" onClick={() => handleRemoveOrigin(origin)} icon={Trash2}>
+                    Remove
+                  </Button>
+                )}
               </Card>
             ))
           )}
         </div>
       </Card>
+
+      <Card>
+        <h2 className="page-title" style={{ fontSize: "1.05rem" }}>Change Password</h2>
+        <p className="page-subtitle">Other sessions stay signed in until their token expires.</p>
+
+        <form onSubmit={handleChangePassword} className="grid" style={{ marginTop: "0.8rem" }}>
+          <div className="field">
+            <label>Current Password</label>
+            <Input
+              type="password"
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+              required
+              disabled={changingPassword}
+            />
+          </div>
+          <div className="field">
+            <label>New Password</label>
+            <Input
+              type="password"
+              value={passwordForm.newPassword}
+              onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+              required
+              minLength={8}
+              disabled={changingPassword}
+            />
+            <div className="help">At least 8 characters.</div>
+          </div>
+          <div>
+            <Button type="submit" variant="primary" disabled={changingPassword} icon={KeyRound}>
+              {changingPassword ? "Saving..." : "Change Password"}
+            </Button>
+          </div>
+        </form>
+      </Card>
     </Layout>
   );
 };
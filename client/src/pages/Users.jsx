@@ -0,0 +1,262 @@
+import { useState, useEffect } from "react";
+import { Pause, Pencil, Play, Plus, Save, Trash2, X } from "lucide-react";
+import Layout from "../components/Layout";
+import { usersAPI } from "../services/api";
+import { useToast } from "../components/Toast";
+import { useAuth } from "../context/AuthContext";
+import Dialog from "../components/ui/Dialog";
+import Button from "../components/ui/Button";
+import Card from "../components/ui/Card";
+import Input from "../components/ui/Input";
+
+const ROLE_OPTIONS = [
+  { value: "viewer", label: "Viewer", help: "Read-only access to events, apps, MQTT and monitoring" },
+  { value: "operator", label: "Operator", help: "Viewer + manage events and MQTT topics, run test queries" },
+  { value: "admin", label: "Admin", help: "Operator + manage apps, allowed origins and users" },
+];
+
+const initialForm = {
+  username: "",
+  password: "",
+  role: "viewer",
+};
+
+const roleBadge = (role) => (role === "admin" ? "error" : role === "operator" ? "warn" : "");
+
+const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingUser, setEditingUser] = useState(null);
+  const [formData, setFormData] = useState(initialForm);
+  const [error, setError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const toast = useToast();
+  const { user: currentUser } = useAuth();
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await usersAPI.getAll();
+        setUsers(response.data.data || []);
+        setError("");
+      } catch {
+        setError("Failed to fetch users.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [reloadKey]);
+
+  const reloadUsers = () => setReloadKey((key) => key + 1);
+
+  const openCreateModal = () => {
+    setEditingUser(null);
+    setFormData(initialForm);
+    setShowModal(true);
+  };
+
+  const handleEdit = (user) => {
+    setEditingUser(user);
+    setFormData({ username: user.USERNAME, password: "", role: user.ROLE });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (editingUser) {
+        await usersAPI.update(editingUser.USER_ID, {
+          role: formData.role,
+          password: formData.password || undefined,
+        });
+        toast.success("User updated successfully");
+      } else {
+        await usersAPI.create(formData);
+        toast.success("User created successfully");
+      }
+
+      setShowModal(false);
+      setEditingUser(null);
+      setFormData(initialForm);
+      reloadUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Operation failed");
+    }
+  };
+
+  const handleToggle = async (user) => {
+    try {
+      await usersAPI.update(user.USER_ID, { isActive: !user.IS_ACTIVE });
+      toast.info(`User "${user.USERNAME}" ${user.IS_ACTIVE ? "deactivated" : "activated"}`);
+      reloadUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update user");
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!confirm(`Remove user "${user.USERNAME}"?`)) return;
+
+    try {
+      await usersAPI.delete(user.USER_ID);
+      toast.success("User removed successfully");
+      reloadUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to remove user");
+    }
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <Card style={{ display: "grid", placeItems: "center" }}>
+          <div className="spinner" />
+        </Card>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="page-head">
+        <div>
+          <h1 className="page-title">Users</h1>
+          <p className="page-subtitle">Admin panel accounts and roles</p>
+        </div>
+        <Button onClick={openCreateModal} variant="primary" icon={Plus}>
+          Add User
+        </Button>
+      </div>
+
+      {error && <div className="alert error">{error}</div>}
+
+      {users.length === 0 ? (
+        <div className="alert warning">
+          No users yet. You are signed in with the .env account; create an admin user first.
+          Once a user exists, the .env login is disabled.
+        </div>
+      ) : (
+        <Card className="table-wrap">
+          <table className="ui-table">
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Last Login</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => {
+                const isSelf = user.USERNAME === currentUser?.username;
+
+                return (
+                  <tr key={user.USER_ID}>
+                    <td>
+                      <div style={{ fontWeight: 700 }}>{user.USERNAME}</div>
+                      {isSelf && <div className="help">You</div>}
+                    </td>
+                    <td>
+                      <span className={`badge ${roleBadge(user.ROLE)}`}>{user.ROLE}</span>
+                    </td>
+                    <td>
+                      <span className={`badge ${user.IS_ACTIVE ? "success" : ""}`}>
+                        {user.IS_ACTIVE ? "Active" : "Inactive"}
+                      </span>
+                    </td>
+                    <td>{user.LAST_LOGIN_AT ? new Date(user.LAST_LOGIN_AT).toLocaleString() : "Never"}</td>
+                    <td>
+                      <div className="actions">
+                        <Button
+                          onClick={() => handleToggle(user)}
+                          icon={user.IS_ACTIVE ? Pause : Play}
+                          disabled={isSelf}
+                        >
+                          {user.IS_ACTIVE ? "Deactivate" : "Activate"}
+                        </Button>
+                        <Button onClick={() => handleEdit(user)} icon={Pencil}>Edit</Button>
+                        <Button
+                          onClick={() => handleDelete(user)}
+                          variant="destructive"
+                          icon={Trash2}
+                          disabled={isSelf}
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <Dialog open={showModal} onClose={() => setShowModal(false)} title={editingUser ? "Edit User" : "Add User"}>
+        <form onSubmit={handleSubmit} className="grid">
+          <div className="field">
+            <label>Username</label>
+            <Input
+              type="text"
+              value={formData.username}
+              onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+              required
+              disabled={!!editingUser}
+              placeholder="e.g., jane.doe"
+            />
+            <div className="help">3-50 characters: letters, digits, ".", "_", "@", "-".</div>
+          </div>
+
+          <div className="field">
+            <label>Role</label>
+            <select
+              className="input"
+              value={formData.role}
+              onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+              disabled={editingUser && editingUser.USERNAME === currentUser?.username}
+            >
+              {ROLE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <div className="help">{ROLE_OPTIONS.find((option) => option.value === formData.role)?.help}</div>
+          </div>
+
+          <div className="field">
+            <label>{editingUser ? "New Password (optional)" : "Password"}</label>
+            <Input
+              type="password"
+              value={formData.password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              required={!editingUser}
+              minLength={8}
+              placeholder={editingUser ? "Leave empty to keep the current password" : ""}
+            />
+            <div className="help">At least 8 characters.</div>
+          </div>
+
+          {editingUser && (
+            <div className="alert warning">Saving signs this user out of existing sessions.</div>
+          )}
+
+          <div className="modal-actions">
+            <Button type="button" onClick={() => setShowModal(false)} icon={X}>Cancel</Button>
+            <Button type="submit" variant="primary" icon={Save}>
+              {editingUser ? "Update User" : "Add User"}
+            </Button>
+          </div>
+        </form>
+      </Dialog>
+    </Layout>
+  );
+};
+
+export default Users;
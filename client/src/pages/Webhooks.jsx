@@ -0,0 +1,523 @@
+import { useState, useEffect } from "react";
+import {
+  Copy,
+  KeyRound,
+  ListChecks,
+  Pause,
+  Pencil,
+  Play,
+  Plus,
+  Save,
+  Send,
+  Trash2,
+  X,
+} from "lucide-react";
+import Layout from "../components/Layout";
+import { webhooksAPI } from "../services/api";
+import { useToast } from "../components/Toast";
+import { useAuth } from "../context/AuthContext";
+import Dialog from "../components/ui/Dialog";
+import Button from "../components/ui/Button";
+import Card from "../components/ui/Card";
+import Input from "../components/ui/Input";
+
+const initialForm = {
+  name: "",
+  targetUrl: "",
+  channel: "",
+  triggers: ["data"],
+  description: "",
+};
+
+const TRIGGER_OPTIONS = [
+  { value: "data", label: "Data changes" },
+  { value: "health", label: "Health transitions" },
+];
+
+const DELIVERY_STATUSES = ["success", "retrying", "failed"];
+
+const statusBadge = (status) =>
+  status === "success" ? "success" : status === "failed" ? "error" : "warn";
+
+const Webhooks = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingWebhook, setEditingWebhook] = useState(null);
+  const [formData, setFormData] = useState(initialForm);
+  const [newSecret, setNewSecret] = useState(null);
+  const [deliveriesOf, setDeliveriesOf] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryStatus, setDeliveryStatus] = useState("");
+  const [error, setError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const toast = useToast();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("admin");
+
+  useEffect(() => {
+    const fetchWebhooks = async () => {
+      try {
+        const [listResponse, statusResponse] = await Promise.all([
+          webhooksAPI.getAll(),
+          webhooksAPI.getStatus(),
+        ]);
+        setWebhooks(listResponse.data.data || []);
+        setStatus(statusResponse.data.data);
+        setError("");
+      } catch {
+        setError("Failed to fetch webhooks.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchWebhooks();
+  }, [reloadKey]);
+
+  const reloadWebhooks = () => setReloadKey((key) => key + 1);
+
+  const openCreateModal = () => {
+    setEditingWebhook(null);
+    setFormData(initialForm);
+    setShowModal(true);
+  };
+
+  const handleEdit = (webhook) => {
+    setEditingWebhook(webhook);
+    setFormData({
+      name: webhook.NAME,
+      targetUrl: webhook.TARGET_URL,
+      channel: webhook.CHANNEL,
+      triggers: webhook.TRIGGERS.split(","),
+      description: webhook.DESCRIPTION || "",
+    });
+    setShowModal(true);
+  };
+
+  const toggleTrigger = (trigger) => {
+    const triggers = formData.triggers.includes(trigger)
+      ? formData.triggers.filter((t) => t !== trigger)
+      : [...formData.triggers, trigger];
+    setFormData({ ...formData, triggers });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.triggers.length === 0) {
+      toast.error("Select at least one trigger");
+      return;
+    }
+
+    const payload = { ...formData, triggers: formData.triggers.join(",") };
+
+    try {
+      if (editingWebhook) {
+        await webhooksAPI.update(editingWebhook.WEBHOOK_ID, payload);
+        toast.success("Webhook updated successfully");
+      } else {
+        const response = await webhooksAPI.create(payload);
+        setNewSecret({
+          name: response.data.data.name,
+          signingSecret: response.data.data.signingSecret,
+        });
+        toast.success("Webhook registered successfully");
+      }
+
+      setShowModal(false);
+      setEditingWebhook(null);
+      setFormData(initialForm);
+      reloadWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Operation failed");
+    }
+  };
+
+  const handleDelete = async (id, name) => {
+    if (!confirm(`Delete webhook "${name}" and its delivery log?`)) return;
+
+    try {
+      await webhooksAPI.delete(id);
+      toast.success("Webhook deleted successfully");
+      reloadWebhooks();
+    } catch {
+      toast.error("Failed to delete webhook");
+    }
+  };
+
+  const handleToggle = async (webhook) => {
+    try {
+      await webhooksAPI.toggle(webhook.WEBHOOK_ID);
+      toast.info(`Webhook "${webhook.NAME}" ${webhook.IS_ACTIVE ? "paused" : "resumed"}`);
+      reloadWebhooks();
+    } catch {
+      toast.error("Failed to toggle webhook");
+    }
+  };
+
+  const handleRotateSecret = async (id, name) => {
+    if (!confirm(`Rotate the signing secret of "${name}"? The receiver must be updated right away.`)) return;
+
+    try {
+      const response = await webhooksAPI.rotateSecret(id);
+      setNewSecret({
+        name: response.data.data.name,
+        signingSecret: response.data.data.signingSecret,
+      });
+      toast.success("Secret rotated successfully");
+      reloadWebhooks();
+    } catch {
+      toast.error("Failed to rotate secret");
+    }
+  };
+
+  const handleTest = async (id) => {
+    try {
+      const response = await webhooksAPI.test(id);
+      if (response.data.data.ok) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+      reloadWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send test delivery");
+    }
+  };
+
+  const fetchDeliveries = async (webhook, statusFilter) => {
+    try {
+      const response = await webhooksAPI.getDeliveries(webhook.WEBHOOK_ID, {
+        status: statusFilter || undefined,
+      });
+      setDeliveries(response.data.data || []);
+      setDeliveriesOf(webhook);
+      setDeliveryStatus(statusFilter);
+    } catch {
+      toast.error("Failed to fetch deliveries");
+    }
+  };
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text).then(() => {
+      toast.success("Copied to clipboard");
+    });
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <Card style={{ display: "grid", placeItems: "center" }}>
+          <div className="spinner" />
+        </Card>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="page-head">
+        <div>
+          <h1 className="page-title">Webhooks</h1>
+          <p className="page-subtitle">Signed HTTP callbacks for data changes and event health</p>
+        </div>
+        <div className="actions">
+          {canEdit && (
+            <Button onClick={openCreateModal} variant="primary" icon={Plus}>
+              Add Webhook
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="alert error">{error}</div>}
+
+      <Card className="muted">
+        Each delivery is a JSON POST signed with the webhook secret
+        (<code>X-Webhook-Signature: sha256=HMAC(secret, timestamp + "." + body)</code>). Failed
+        deliveries are retried with backoff.
+        {status && (
+          <div className="help" style={{ marginTop: "0.4rem" }}>
+            {status.enabled ? "Dispatcher running" : "Dispatcher disabled"} · {status.queued} queued ·{" "}
+            {status.waitingRetry} waiting to retry · {status.delivered} delivered · {status.failed} failed
+            {status.dropped > 0 && ` · ${status.dropped} dropped (queue full)`}
+          </div>
+        )}
+      </Card>
+
+      {newSecret && (
+        <Card>
+          <div className="page-head" style={{ alignItems: "center" }}>
+            <div>
+              <h2 className="page-title" style={{ fontSize: "1rem" }}>Signing Secret</h2>
+              <p className="page-subtitle">
+                Save this now. For {newSecret.name}, it will not be shown again.
+              </p>
+            </div>
+            <Button onClick={() => copyToClipboard(newSecret.signingSecret)} icon={Copy}>
+              Copy
+            </Button>
+          </div>
+          <pre className="surface" style={{ marginTop: "0.6rem", overflow: "auto" }}>
+            {newSecret.signingSecret}
+          </pre>
+        </Card>
+      )}
+
+      {webhooks.length === 0 ? (
+        <div className="empty">No webhooks registered yet.</div>
+      ) : (
+        <Card className="table-wrap">
+          <table className="ui-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Channel</th>
+                <th>Triggers</th>
+                <th>Status</th>
+                <th>Last Delivery</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.map((webhook) => (
+                <tr key={webhook.WEBHOOK_ID}>
+                  <td>
+                    <div style={{ fontWeight: 700 }}>{webhook.NAME}</div>
+                    <div className="help">{webhook.TARGET_URL}</div>
+                    <div className="help">
+                      Secret <code>{webhook.SECRET_HINT || "****"}</code>
+                      {webhook.DESCRIPTION ? ` · ${webhook.DESCRIPTION}` : ""}
+                    </div>
+                  </td>
+                  <td>
+                    <span className="badge">{webhook.CHANNEL}</span>
+                  </td>
+                  <td>
+                    <div className="actions">
+                      {webhook.TRIGGERS.split(",").map((trigger) => (
+                        <span key={trigger} className="badge">{trigger}</span>
+                      ))}
+                    </div>
+                  </td>
+                  <td>
+                    <span className={`badge ${webhook.IS_ACTIVE ? "success" : ""}`}>
+                      {webhook.IS_ACTIVE ? "Active" : "Paused"}
+                    </span>
+                    {webhook.FAILED_24H > 0 && (
+                      <div className="help" style={{ marginTop: "0.3rem" }}>
+                        <span className="badge error">{webhook.FAILED_24H} failed (24h)</span>
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    {webhook.LAST_DELIVERY_AT
+                      ? new Date(webhook.LAST_DELIVERY_AT).toLocaleString()
+                      : "Never"}
+                  </td>
+                  <td>
+                    <div className="actions">
+                      <Button onClick={() => fetchDeliveries(webhook, "")} icon={ListChecks}>
+                        Deliveries
+                      </Button>
+                      {hasRole("operator") && (
+                        <Button onClick={() => handleTest(webhook.WEBHOOK_ID)} icon={Send}>
+                          Test
+                        </Button>
+                      )}
+                      {canEdit && (
+                        <>
+                          <Button
+                            onClick={() => handleToggle(webhook)}
+                            icon={webhook.IS_ACTIVE ? Pause : Play}
+                          >
+                            {webhook.IS_ACTIVE ? "Pause" : "Resume"}
+                          </Button>
+                          <Button onClick={() => handleEdit(webhook)} icon={Pencil}>Edit</Button>
+                          <Button
+                            onClick={() => handleRotateSecret(webhook.WEBHOOK_ID, webhook.NAME)}
+                            variant="warn"
+                            icon={KeyRound}
+                          >
+                            Rotate
+                          </Button>
+                          <Button
+                            onClick={() => handleDelete(webhook.WEBHOOK_ID, webhook.NAME)}
+                            variant="destructive"
+                            icon={Trash2}
+                          >
+                            Delete
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <Dialog
+        open={showModal}
+        onClose={() => setShowModal(false)}
+        title={editingWebhook ? "Edit Webhook" : "Add Webhook"}
+      >
+        <form onSubmit={handleSubmit} className="grid">
+          <div className="field">
+            <label>Name</label>
+            <Input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              required
+              maxLength={100}
+              placeholder="e.g., Berth planning sync"
+            />
+          </div>
+
+          <div className="field">
+            <label>Target URL</label>
+            <Input
+              type="url"
+              value={formData.targetUrl}
+              onChange={(e) => setFormData({ ...formData, targetUrl: e.target.value })}
+              required
+              placeholder="https://example.internal/hooks/vessels"
+            />
+          </div>
+
+          <div className="field">
+            <label>Channel</label>
+            <Input
+              type="text"
+              value={formData.channel}
+              onChange={(e) => setFormData({ ...formData, channel: e.target.value })}
+              required
+              placeholder="e.g., VESSEL_ALONGSIDE"
+            />
+            <div className="help">
+              Event or MQTT channel name. <code>*</code> and <code>?</code> match any characters or
+              one character (e.g., <code>MONITORING_GATE_*</code>, or <code>*</code> for every channel).
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Triggers</label>
+            <div className="actions">
+              {TRIGGER_OPTIONS.map((option) => (
+                <label key={option.value} style={{ display: "flex", gap: "0.35rem", alignItems: "center" }}>
+                  <input
+                    type="checkbox"
+                    checked={formData.triggers.includes(option.value)}
+                    onChange={() => toggleTrigger(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <div className="help">
+              Data changes send the new rows (and inserted/updated/removed rows for events with a key
+              column) or the MQTT payload. Health transitions cover state changes (e.g. OK → ERROR)
+              and the circuit breaker opening or closing.
+            </div>
+          </div>
+
+          <div className="field">
+            <label>Description</label>
+            <Input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              placeholder="Optional"
+            />
+          </div>
+
+          {!editingWebhook && (
+            <div className="alert warning">A signing secret will be generated and shown once after creation.</div>
+          )}
+
+          <div className="modal-actions">
+            <Button type="button" onClick={() => setShowModal(false)} icon={X}>Cancel</Button>
+            <Button type="submit" variant="primary" icon={Save}>
+              {editingWebhook ? "Update Webhook" : "Add Webhook"}
+            </Button>
+          </div>
+        </form>
+      </Dialog>
+
+      <Dialog
+        open={!!deliveriesOf}
+        onClose={() => setDeliveriesOf(null)}
+        title={deliveriesOf ? `Deliveries: ${deliveriesOf.NAME}` : ""}
+      >
+        {deliveriesOf && (
+          <div className="grid">
+            <div className="field">
+              <label>Status</label>
+              <select
+                className="input"
+                value={deliveryStatus}
+                onChange={(e) => fetchDeliveries(deliveriesOf, e.target.value)}
+              >
+                <option value="">All</option>
+                {DELIVERY_STATUSES.map((value) => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </div>
+
+            {deliveries.length === 0 ? (
+              <div className="empty">No deliveries recorded.</div>
+            ) : (
+              <div className="table-wrap">
+                <table className="ui-table">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Trigger</th>
+                      <th>Status</th>
+                      <th>Attempts</th>
+                      <th>Response</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map((delivery) => (
+                      <tr key={delivery.DELIVERY_ID}>
+                        <td>
+                          <div>{new Date(delivery.CREATED_AT).toLocaleString()}</div>
+                          <div className="help">{delivery.CHANNEL}</div>
+                        </td>
+                        <td>{delivery.TRIGGER_TYPE}</td>
+                        <td>
+                          <span className={`badge ${statusBadge(delivery.STATUS)}`}>{delivery.STATUS}</span>
+                        </td>
+                        <td>{delivery.ATTEMPTS}</td>
+                        <td>
+                          <div>
+                            {delivery.RESPONSE_STATUS ? `HTTP ${delivery.RESPONSE_STATUS}` : "—"}
+                            {delivery.DURATION_MS !== null ? ` · ${delivery.DURATION_MS}ms` : ""}
+                          </div>
+                          {delivery.ERROR_MESSAGE && <div className="help">{delivery.ERROR_MESSAGE}</div>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <Button onClick={() => setDeliveriesOf(null)}>Close</Button>
+            </div>
+          </div>
+        )}
+      </Dialog>
+    </Layout>
+  );
+};
+
+export default Webhooks;
@@ -39,6 +39,9 @@ export const authAPI = {
     axios.post(`${API_BASE_URL}/admin/login`, { username, password }),
 
   verify: () => api.get("/admin/verify"),
+
+  changePassword: (currentPassword, newPassword) =>
+    api.put("/admin/password", { currentPassword, newPassword }),
 };
 
 // --- EVENTS ---
@@ -52,6 +55,15 @@ export const eventsAPI = {
       eventName: data.eventName,
       q: btoa(data.sqlQuery),
       intervalSeconds: data.intervalSeconds,
+      keyColumn: data.keyColumn || null,
+      parameters: data.parameters?.trim() || null,
+      cronExpression: data.cronExpression?.trim() || null,
+      activeWindows: data.activeWindows?.trim() || null,
+      timeoutSeconds: data.timeoutSeconds || null,
+      mqttPublishTopic: data.mqttPublishTopic?.trim() || null,
+      mqttPublishQos: Number(data.mqttPublishQos) || 0,
+      mqttPublishRetain: !!data.mqttPublishRetain,
+      mqttPublishMode: data.mqttPublishMode || "full",
     }),
 
   update: (id, data) =>
@@ -59,13 +71,29 @@ export const eventsAPI = {
       eventName: data.eventName,
       q: btoa(data.sqlQuery),
       intervalSeconds: data.intervalSeconds,
+      keyColumn: data.keyColumn || null,
+      parameters: data.parameters?.trim() || null,
+      cronExpression: data.cronExpression?.trim() || null,
+      activeWindows: data.activeWindows?.trim() || null,
+      timeoutSeconds: data.timeoutSeconds || null,
+      mqttPublishTopic: data.mqttPublishTopic?.trim() || null,
+      mqttPublishQos: Number(data.mqttPublishQos) || 0,
+      mqttPublishRetain: !!data.mqttPublishRetain,
+      mqttPublishMode: data.mqttPublishMode || "full",
     }),
 
   delete: (id) => api.delete(`/admin/events/${id}`),
 
   toggle: (id) => api.patch(`/admin/events/${id}/toggle`),
 
-  testQuery: (sql) => api.post("/admin/run", { q: btoa(sql) }),
+  getVersions: (id) => api.get(`/admin/events/${id}/versions`),
+
+  getVersion: (id, versionNo) => api.get(`/admin/events/${id}/versions/${versionNo}`),
+
+  rollback: (id, versionNo) => api.post(`/admin/events/${id}/versions/${versionNo}/rollback`),
+
+  testQuery: (sql, parameters) =>
+    api.post("/admin/run", { q: btoa(sql), parameters: parameters?.trim() || null }),
 };
 
 // --- MONITORING ---
@@ -76,6 +104,12 @@ export const monitoringAPI = {
 
   getEventStatsById: (id) => api.get(`/monitoring/events/${id}`),
 
+  getSockets: () => api.get("/monitoring/sockets"),
+
+  disconnectSocket: (socketId) => api.delete(`/monitoring/sockets/${encodeURIComponent(socketId)}`),
+
+  disconnectApp: (appName) => api.delete("/monitoring/sockets", { params: { appName } }),
+
   getHealth: () => axios.get("/health"),
 };
 
@@ -105,8 +139,36 @@ export const appsAPI = {
   update: (id, data) => api.put(`/apps/${id}`, data),
   delete: (id) => api.delete(`/apps/${id}`),
   toggle: (id) => api.patch(`/apps/${id}/toggle`),
-  rotateSecret: (id) => api.post(`/apps/${id}/rotate-secret`),
+  rotateSecret: (id, graceHours) => api.post(`/apps/${id}/rotate-secret`, { graceHours }),
+  revokePreviousSecret: (id) => api.delete(`/apps/${id}/previous-secret`),
   reload: () => api.post("/apps/reload"),
 };
 
+// --- WEBHOOKS ---
+export const webhooksAPI = {
+  getAll: () => api.get("/webhooks"),
+  getStatus: () => api.get("/webhooks/status"),
+  create: (data) => api.post("/webhooks", data),
+  update: (id, data) => api.put(`/webhooks/${id}`, data),
+  delete: (id) => api.delete(`/webhooks/${id}`),
+  toggle: (id) => api.patch(`/webhooks/${id}/toggle`),
+  rotateSecret: (id) => api.post(`/webhooks/${id}/rotate-secret`),
+  test: (id) => api.post(`/webhooks/${id}/test`),
+  getDeliveries: (id, params) => api.get(`/webhooks/${id}/deliveries`, { params }),
+};
+
+// --- ADMIN USERS ---
+export const usersAPI = {
+  getAll: () => api.get("/users"),
+  create: (data) => api.post("/users", data),
+  update: (id, data) => api.put(`/users/${id}`, data),
+  delete: (id) => api.delete(`/users/${id}`),
+};
+
+// --- AUDIT LOG ---
+export const auditAPI = {
+  getAll: (params) => api.get("/audit", { params }),
+  getById: (id) => api.get(`/audit/${id}`),
+};
+
 export default api;
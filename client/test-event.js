@@ -8,9 +8,12 @@ const socket = io("http://10.130.0.240:3000", {
 socket.on("connect", () => {
   console.log(`✅ Connected! Session ID: ${socket.id}`);
   console.log("⏳ Waiting for database events to broadcast...\n");
-  
-  // Optional: If you want to force the initial cache immediately without waiting
-  // socket.emit("REQUEST_INITIAL_STATE", { eventNames: ["Your Event Name Here"] });
+
+  // Broadcasts only reach subscribed channels: subscribe first, then
+  // optionally request the cached state instead of waiting for the next change
+  // socket.emit("SUBSCRIBE", { channels: ["YOUR_EVENT_CHANNEL"] }, () => {
+  //   socket.emit("REQUEST_INITIAL_STATE", { eventNames: ["Your Event Name Here"] });
+  // });
 });
 
 // This magic function catches ALL specific events broadcasted
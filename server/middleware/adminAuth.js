@@ -1,35 +1,135 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { getPool, oracledb } = require('../config/db');
+const { verifyPassword } = require('../utils/password');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 
-// Enforce admin credentials are set
+/**
+ * Admin roles, lowest to highest. Each role includes the ones before it:
+ *   viewer   - read-only
+ *   operator - manage events and MQTT topics, run test queries
+ *   admin    - manage apps, allowed origins and users
+ */
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// The .env account only bootstraps an empty WS_ADMIN_USERS table
 if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
-  console.error('⚠️  CRITICAL: ADMIN_USERNAME or ADMIN_PASSWORD not set in .env!');
-  process.exit(1);
+  console.warn('⚠️  ADMIN_USERNAME / ADMIN_PASSWORD not set: login requires WS_ADMIN_USERS accounts');
+} else if (ADMIN_PASSWORD === 'change-this-secure-password' || ADMIN_PASSWORD.length < 8) {
+  console.warn('⚠️  WARNING: Admin password is weak or using default value!');
 }
 
-if (ADMIN_PASSWORD === 'change-this-secure-password' || ADMIN_PASSWORD.length < 8) {
-  console.warn('⚠️  WARNING: Admin password is weak or using default value!');
+// userId -> unix seconds; tokens issued before this are rejected (role change,
+// deactivation, password reset). In-memory: each server instance tracks its own.
+const tokensRevokedAt = new Map();
+
+// Tokens are checked against WS_ADMIN_USERS, so role changes and deactivation
+// apply after a restart or on other instances too. Lookups are cached briefly.
+const ACCOUNT_CACHE_MS = 30 * 1000;
+
+// userId (or 'env' for the bootstrap account) -> { account, expiresAt }
+const accountCache = new Map();
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Does this role include the required one?
+ */
+function hasRole(role, minRole) {
+  const level = ROLES.indexOf(role);
+  return level !== -1 && level >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Verify login credentials against WS_ADMIN_USERS.
+ * Falls back to the .env account only while no users exist (or the table
+ * has not been created yet).
+ * @returns {Promise<{ userId: number|null, username: string, role: string }|null>}
+ */
+async function verifyAdminCredentials(username, password) {
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const countResult = await connection.execute(
+      `SELECT COUNT(*) AS TOTAL FROM WS_ADMIN_USERS`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (countResult.rows[0].TOTAL === 0) {
+      return verifyEnvCredentials(username, password);
+    }
+
+    const result = await connection.execute(
+      `SELECT USER_ID, USERNAME, PASSWORD_HASH, ROLE
+       FROM WS_ADMIN_USERS
+       WHERE USERNAME = :username AND IS_ACTIVE = 1`,
+      { username: String(username).trim().toLowerCase() },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const user = result.rows[0];
+    if (!user || !(await verifyPassword(password, user.PASSWORD_HASH))) {
+      return null;
+    }
+
+    await connection.execute(
+      `UPDATE WS_ADMIN_USERS SET LAST_LOGIN_AT = CURRENT_TIMESTAMP WHERE USER_ID = :id`,
+      { id: user.USER_ID },
+      { autoCommit: true }
+    );
+
+    return { userId: user.USER_ID, username: user.USERNAME, role: user.ROLE };
+  } catch (error) {
+    if (String(error.message).includes('ORA-00942')) {
+      // Migration 009 not applied yet
+      return verifyEnvCredentials(username, password);
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
 }
 
 /**
- * Verify admin login credentials (single account from .env)
+ * Bootstrap account from .env (always admin)
  */
-function verifyAdminCredentials(username, password) {
-  return username === ADMIN_USERNAME && password === ADMIN_PASSWORD;
+function verifyEnvCredentials(username, password) {
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+  if (!safeEqual(username, ADMIN_USERNAME) || !safeEqual(password, ADMIN_PASSWORD)) {
+    return null;
+  }
+  return { userId: null, username: ADMIN_USERNAME, role: 'admin' };
 }
 
 /**
  * Generate admin JWT token
+ * @param {{ userId: number|null, username: string, role: string }} user
  */
-function generateAdminToken() {
+function generateAdminToken(user) {
   return jwt.sign(
     {
-      role: 'admin',
-      username: ADMIN_USERNAME,
+      role: user.role,
+      username: user.username,
+      userId: user.userId,
       type: 'admin-ui'
     },
     JWT_SECRET,
@@ -37,11 +137,73 @@ function generateAdminToken() {
   );
 }
 
+/**
+ * Invalidate all tokens issued so far for a user (they must log in again)
+ */
+function revokeAdminTokens(userId) {
+  tokensRevokedAt.set(userId, Math.floor(Date.now() / 1000));
+  accountCache.delete(userId);
+}
+
+/**
+ * Current role of a token's account, or null when it may no longer sign in
+ * (user deactivated or deleted; .env account once WS_ADMIN_USERS has users)
+ * @param {number|null} userId - null for the .env bootstrap account
+ * @returns {Promise<{ role: string }|null>}
+ */
+async function loadAccount(userId) {
+  const cacheKey = userId || 'env';
+  const cached = accountCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.account;
+  }
+
+  const pool = getPool();
+  let connection;
+  let account;
+
+  try {
+    connection = await pool.getConnection();
+
+    if (userId) {
+      const result = await connection.execute(
+        `SELECT ROLE FROM WS_ADMIN_USERS WHERE USER_ID = :id AND IS_ACTIVE = 1`,
+        { id: userId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      account = result.rows[0] ? { role: result.rows[0].ROLE } : null;
+    } else {
+      const result = await connection.execute(
+        `SELECT COUNT(*) AS TOTAL FROM WS_ADMIN_USERS`,
+        [],
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      account = result.rows[0].TOTAL === 0 ? { role: 'admin' } : null;
+    }
+  } catch (error) {
+    if (!String(error.message).includes('ORA-00942')) throw error;
+    // Migration 009 not applied yet: only the .env account exists
+    account = userId ? null : { role: 'admin' };
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+
+  accountCache.set(cacheKey, { account, expiresAt: Date.now() + ACCOUNT_CACHE_MS });
+  return account;
+}
+
 /**
  * Middleware to protect admin API routes
- * Checks for valid admin JWT token in Authorization header
+ * Checks for a valid admin UI JWT token (any role) in Authorization header,
+ * then takes the role from the account (see loadAccount)
  */
-function requireAdminAuth(req, res, next) {
+async function requireAdminAuth(req, res, next) {
+  let decoded;
+
   try {
     const authHeader = req.headers.authorization;
 
@@ -54,20 +216,23 @@ function requireAdminAuth(req, res, next) {
 
     const token = authHeader.replace('Bearer ', '');
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
 
-    // Verify it's an admin token
-    if (decoded.role !== 'admin') {
+    // Verify it's an admin UI token (WebSocket client tokens also carry a role)
+    if (decoded.type !== 'admin-ui' || !ROLES.includes(decoded.role)) {
       return res.status(403).json({
         success: false,
         message: 'Admin access required'
       });
     }
 
-    // Attach admin info to request
-    req.admin = decoded;
-    next();
-
+    const revokedAt = decoded.userId ? tokensRevokedAt.get(decoded.userId) : undefined;
+    if (revokedAt !== undefined && decoded.iat <= revokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked, please login again'
+      });
+    }
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -81,10 +246,53 @@ function requireAdminAuth(req, res, next) {
       message: 'Invalid or malformed token'
     });
   }
+
+  // The token's role may be stale: use the account's current role
+  let account;
+  try {
+    account = await loadAccount(decoded.userId || null);
+  } catch (error) {
+    console.error('Error checking admin account:', error.message);
+    return res.status(503).json({
+      success: false,
+      message: 'Unable to verify session, please try again'
+    });
+  }
+
+  if (!account) {
+    return res.status(401).json({
+      success: false,
+      message: 'Session revoked, please login again'
+    });
+  }
+
+  // Attach admin info to request
+  req.admin = { ...decoded, role: account.role };
+  next();
+}
+
+/**
+ * Middleware factory: require at least `minRole` (use after requireAdminAuth)
+ * @param {'viewer'|'operator'|'admin'} minRole
+ */
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!req.admin || !hasRole(req.admin.role, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires ${minRole} role`
+      });
+    }
+    next();
+  };
 }
 
 module.exports = {
+  ROLES,
+  hasRole,
   verifyAdminCredentials,
   generateAdminToken,
-  requireAdminAuth
+  revokeAdminTokens,
+  requireAdminAuth,
+  requireRole
 };
@@ -1,6 +1,8 @@
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
 const AppRegistry = require('../services/appRegistry');
+const { clientIp, requestIp } = require('../utils/appPolicy');
+const { appTokenKind } = require('../utils/appToken');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const API_KEY = process.env.API_KEY;
@@ -16,7 +18,8 @@ if (!JWT_SECRET || JWT_SECRET === 'your-super-secret-jwt-key-change-this-in-prod
  *
  * Supports three authentication methods (checked in order):
  *   1. App Registry — appId + appSecret (for registered apps like ETERNAL)
- *   2. JWT Token   — Bearer token (for admin/programmatic clients)
+ *   2. JWT Token   — Bearer token: a short-lived app token from
+ *                    POST /api/apps/token, or an admin/programmatic client token
  *   3. API Key     — Static key (for simple integrations)
  *
  * The old `?dashboard=true` query parameter bypass has been REMOVED.
@@ -35,36 +38,44 @@ function authenticateSocket(socket, next) {
       const result = appRegistry.validateApp(appId, appSecret);
 
       if (result.valid) {
-        socket.user = {
-          type: 'registered-app',
-          appName: result.app.appName,
-          channels: result.app.channels,  // Set of allowed channels, or null for all
-          readonly: true
-        };
-        socket.authenticated = true;
-
-        // Fire-and-forget: update last connected timestamp
-        appRegistry.updateLastConnected(appId);
-
-        console.log(`[Auth] App "${appId}" authenticated: ${socket.id}`);
-        return next();
+        if (result.usedPreviousSecret) {
+          console.warn(`[Auth] App "${appId}" used its previous secret (grace period after rotation): ${socket.id}`);
+        }
+        return acceptRegisteredApp(socket, result, 'secret', next);
       } else {
         console.warn(`[Auth] App "${appId}" rejected: ${result.reason} (IP: ${socket.handshake.address})`);
         return next(new Error('Invalid app credentials'));
       }
     }
 
-    // 2. JWT Authentication (admin clients, programmatic access)
+    // 2. JWT Authentication (app tokens, admin clients, programmatic access)
     if (token) {
+      let decoded;
       try {
         const cleanToken = token.replace('Bearer ', '');
-        const decoded = jwt.verify(cleanToken, JWT_SECRET);
-        socket.user = decoded;
-        socket.authenticated = true;
-        return next();
+        decoded = jwt.verify(cleanToken, JWT_SECRET);
       } catch (err) {
         return next(new Error('Invalid or expired token'));
       }
+
+      const appTokenType = appTokenKind(decoded);
+      if (appTokenType === 'refresh') {
+        // Refresh tokens only work at POST /api/apps/token/refresh
+        return next(new Error('Invalid or expired token'));
+      }
+
+      if (appTokenType === 'access') {
+        const result = AppRegistry.getInstance().validateAppToken(decoded);
+        if (!result.valid) {
+          console.warn(`[Auth] App token for "${decoded.appName}" rejected: ${result.reason} (IP: ${socket.handshake.address})`);
+          return next(new Error('Invalid or expired token'));
+        }
+        return acceptRegisteredApp(socket, result, 'token', next);
+      }
+
+      socket.user = decoded;
+      socket.authenticated = true;
+      return next();
     }
 
     // 3. API Key Authentication (simple integrations)
@@ -88,6 +99,105 @@ function authenticateSocket(socket, next) {
   }
 }
 
+/**
+ * Finish a registered-app handshake (secret or app token): apply the app's
+ * connection policy and attach its identity to the socket
+ * @param {Object} result - Valid result of validateApp() / validateAppToken()
+ * @param {'secret'|'token'} via - How the app authenticated (for logs)
+ */
+function acceptRegisteredApp(socket, result, via, next) {
+  const appRegistry = AppRegistry.getInstance();
+  const { appName } = result.app;
+
+  // Per-app allowlist and socket limit (optional, set in the Apps page)
+  const ip = clientIp(socket);
+  const policy = appRegistry.checkConnectionPolicy(appName, ip);
+  if (!policy.allowed) {
+    console.warn(`[Auth] App "${appName}" rejected: ${policy.reason} (IP: ${ip})`);
+    return next(new Error('Connection not allowed for this app'));
+  }
+
+  socket.user = {
+    type: 'registered-app',
+    appId: result.app.appId,
+    appName: appName,
+    channels: result.app.channels,  // Channel grants (utils/channelGrants.js), or null for all
+    readonly: true
+  };
+  socket.authenticated = true;
+
+  // Server-side only: lets AppRegistry.reload() detect a rotated secret
+  socket.data.appSecretHash = result.secretHash;
+
+  // Fire-and-forget: update last connected timestamp
+  appRegistry.updateLastConnected(appName);
+
+  console.log(`[Auth] App "${appName}" authenticated with ${via}: ${socket.id}`);
+  return next();
+}
+
+/**
+ * Middleware to authenticate registered apps on HTTP routes (GET /api/data).
+ *
+ * Accepts the app's credentials as X-App-Id + X-App-Secret headers, or a
+ * short-lived app token from POST /api/apps/token as a Bearer token. The
+ * app's allowlist applies; its socket limit does not. Sets req.user in the
+ * same shape as socket.user, so channel grants and data rules apply as-is.
+ */
+function authenticateApp(req, res, next) {
+  const appRegistry = AppRegistry.getInstance();
+  const appId = req.get('x-app-id');
+  const appSecret = req.get('x-app-secret');
+  const authHeader = req.get('authorization');
+
+  let result;
+  if (appId && appSecret) {
+    result = appRegistry.validateApp(appId, appSecret);
+  } else if (authHeader) {
+    try {
+      const decoded = jwt.verify(authHeader.replace('Bearer ', ''), JWT_SECRET);
+      result = appTokenKind(decoded) === 'access'
+        ? appRegistry.validateAppToken(decoded)
+        : { valid: false, reason: 'Not an app access token' };
+    } catch (err) {
+      result = { valid: false, reason: 'Invalid or expired token' };
+    }
+  } else {
+    return res.status(401).json({
+      success: false,
+      message: 'App credentials required (X-App-Id + X-App-Secret, or Bearer app token)'
+    });
+  }
+
+  if (!result.valid) {
+    console.warn(`[Auth] HTTP request for app "${appId || 'token'}" rejected: ${result.reason} (IP: ${req.ip})`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid app credentials'
+    });
+  }
+
+  const { appName } = result.app;
+  const ip = requestIp(req);
+  const policy = appRegistry.checkAddressPolicy(appName, ip);
+  if (!policy.allowed) {
+    console.warn(`[Auth] App "${appName}" HTTP request rejected: ${policy.reason} (IP: ${ip})`);
+    return res.status(403).json({
+      success: false,
+      message: 'Request not allowed for this app'
+    });
+  }
+
+  req.user = {
+    type: 'registered-app',
+    appId: result.app.appId,
+    appName: appName,
+    channels: result.app.channels,
+    readonly: true
+  };
+  next();
+}
+
 /**
  * Generate JWT token for testing/client apps
  */
@@ -101,6 +211,7 @@ function verifyToken(token) {
 
 module.exports = {
   authenticateSocket,
+  authenticateApp,
   generateToken,
   verifyToken
 };
@@ -0,0 +1,17 @@
+-- Migration: Add KEY_COLUMN to WS_EVENTS for row-level delta broadcasts
+-- Description: When set, EventManager diffs consecutive results by this column
+--              and broadcasts compact patches (inserted/updated/removed rows)
+--              instead of resending the full payload.
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_EVENTS ADD (
+  KEY_COLUMN VARCHAR2(100) -- result column alias uniquely identifying a row; NULL = full payloads only
+);
+
+-- Seeded event: vessels are keyed by VES_ID (aliased as "id")
+UPDATE WS_EVENTS SET KEY_COLUMN = 'id' WHERE EVENT_NAME = 'Vessel Alongside';
+
+COMMIT;
+
+-- Verification
+SELECT EVENT_ID, EVENT_NAME, KEY_COLUMN FROM WS_EVENTS ORDER BY EVENT_ID;
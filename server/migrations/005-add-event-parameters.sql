@@ -0,0 +1,15 @@
+-- Migration: Add PARAMETERS to WS_EVENTS for parameterized events
+-- Description: JSON array of bind parameter definitions, e.g.
+--              [{"name":"berthNo","type":"string","allowed":["B1","B2"]}]
+--              Subscribers supply values on SUBSCRIBE; each distinct parameter
+--              set is executed, cached and broadcast separately.
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_EVENTS ADD (
+  PARAMETERS VARCHAR2(4000) -- JSON parameter definitions; NULL = plain event without binds
+);
+
+COMMIT;
+
+-- Verification
+SELECT EVENT_ID, EVENT_NAME, PARAMETERS FROM WS_EVENTS ORDER BY EVENT_ID;
@@ -0,0 +1,20 @@
+-- Migration: Add CRON_EXPRESSION and ACTIVE_WINDOWS to WS_EVENTS
+-- Description: Optional calendar-based scheduling per event.
+--              CRON_EXPRESSION (5 fields, server local time) replaces the fixed
+--              INTERVAL_SECONDS, e.g. '0 6,14,22 * * *' for shift-change reports.
+--              ACTIVE_WINDOWS is a JSON array of time windows; outside all windows
+--              the event is not polled, and a window may override the interval:
+--              [{"days":["MON","TUE","WED","THU","FRI"],"start":"06:00","end":"18:00"},
+--               {"start":"18:00","end":"06:00","intervalSeconds":300}]
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_EVENTS ADD (
+  CRON_EXPRESSION VARCHAR2(100),  -- NULL = run every INTERVAL_SECONDS
+  ACTIVE_WINDOWS  VARCHAR2(4000)  -- NULL = poll around the clock
+);
+
+COMMIT;
+
+-- Verification
+SELECT EVENT_ID, EVENT_NAME, INTERVAL_SECONDS, CRON_EXPRESSION, ACTIVE_WINDOWS
+FROM WS_EVENTS ORDER BY EVENT_ID;
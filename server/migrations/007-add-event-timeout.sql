@@ -0,0 +1,16 @@
+-- Migration: Add TIMEOUT_SECONDS to WS_EVENTS for per-event query timeouts
+-- Description: Maximum time a single execution may take. The query is cut off
+--              through the driver's call timeout (the connection is broken if it
+--              still hangs), LAST_EXECUTION_STATUS becomes 'timeout' and
+--              CURRENT_STATE becomes 'TIMEOUT'.
+--              NULL = server default (EVENT_QUERY_TIMEOUT_SECONDS, 30s).
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_EVENTS ADD (
+  TIMEOUT_SECONDS NUMBER CHECK (TIMEOUT_SECONDS BETWEEN 1 AND 3600)
+);
+
+COMMIT;
+
+-- Verification
+SELECT EVENT_ID, EVENT_NAME, INTERVAL_SECONDS, TIMEOUT_SECONDS FROM WS_EVENTS ORDER BY EVENT_ID;
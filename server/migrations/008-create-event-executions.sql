@@ -0,0 +1,47 @@
+-- Migration: Create WS_EVENT_EXECUTIONS table for execution history
+-- Description: One row per event execution (per parameter set), written in
+--              batches by the server. Powers latency percentiles and error
+--              rates in GET /api/monitoring/events/:id/history.
+--              Rows older than EXECUTION_HISTORY_RETENTION_DAYS (default 30)
+--              are purged by the server once a day.
+-- Compatible with Oracle 11g
+
+-- Sequence for primary key (Oracle 11g doesn't support IDENTITY)
+CREATE SEQUENCE WS_EVENT_EXECUTIONS_SEQ
+  START WITH 1
+  INCREMENT BY 1
+  CACHE 100
+  NOCYCLE;
+
+-- Table
+CREATE TABLE WS_EVENT_EXECUTIONS (
+  EXECUTION_ID  NUMBER PRIMARY KEY,
+  EVENT_ID      NUMBER NOT NULL REFERENCES WS_EVENTS(EVENT_ID) ON DELETE CASCADE,
+  PARAM_KEY     VARCHAR2(1000),                 -- parameter set ("berthNo=B1"); NULL for plain events
+  STARTED_AT    TIMESTAMP NOT NULL,
+  DURATION_MS   NUMBER NOT NULL,
+  ROW_COUNT     NUMBER,                         -- NULL when the execution failed
+  STATUS        VARCHAR2(20) NOT NULL,          -- 'success', 'error', 'timeout'
+  DATA_CHANGED  NUMBER(1) DEFAULT 0 CHECK (DATA_CHANGED IN (0,1)),
+  ERROR_MESSAGE VARCHAR2(1000)
+);
+
+-- Auto-increment trigger (Oracle 11g way)
+-- Note: Remove the trailing / if using DBeaver or other GUI tools
+CREATE OR REPLACE TRIGGER WS_EVENT_EXECUTIONS_TRG
+BEFORE INSERT ON WS_EVENT_EXECUTIONS
+FOR EACH ROW
+BEGIN
+  IF :NEW.EXECUTION_ID IS NULL THEN
+    SELECT WS_EVENT_EXECUTIONS_SEQ.NEXTVAL INTO :NEW.EXECUTION_ID FROM DUAL;
+  END IF;
+END;
+
+-- History lookups and retention purge are by event and time
+CREATE INDEX IDX_WS_EVENT_EXEC_EVENT_TIME ON WS_EVENT_EXECUTIONS(EVENT_ID, STARTED_AT);
+CREATE INDEX IDX_WS_EVENT_EXEC_TIME ON WS_EVENT_EXECUTIONS(STARTED_AT);
+
+COMMIT;
+
+-- Verification
+SELECT COUNT(*) AS EXECUTIONS FROM WS_EVENT_EXECUTIONS;
@@ -0,0 +1,45 @@
+-- Migration: Create WS_ADMIN_USERS table for admin UI accounts
+-- Description: Named admin accounts with hashed passwords (scrypt) and roles:
+--                viewer   - read-only access to events, apps, MQTT and monitoring
+--                operator - viewer + manage events and MQTT topics, run test queries
+--                admin    - operator + manage apps, allowed origins and users
+--              While this table is empty, the ADMIN_USERNAME / ADMIN_PASSWORD
+--              account from .env can still log in (as admin) to create the
+--              first users. Once a user exists the .env account is disabled.
+-- Compatible with Oracle 11g
+
+-- Sequence for primary key (Oracle 11g doesn't support IDENTITY)
+CREATE SEQUENCE WS_ADMIN_USERS_SEQ
+  START WITH 1
+  INCREMENT BY 1
+  NOCACHE
+  NOCYCLE;
+
+-- Table
+CREATE TABLE WS_ADMIN_USERS (
+  USER_ID       NUMBER PRIMARY KEY,
+  USERNAME      VARCHAR2(50) NOT NULL UNIQUE,    -- stored lower-case
+  PASSWORD_HASH VARCHAR2(255) NOT NULL,          -- scrypt$N$r$p$salt$hash
+  ROLE          VARCHAR2(20) DEFAULT 'viewer' NOT NULL
+                CHECK (ROLE IN ('viewer', 'operator', 'admin')),
+  IS_ACTIVE     NUMBER(1) DEFAULT 1 CHECK (IS_ACTIVE IN (0,1)),
+  LAST_LOGIN_AT TIMESTAMP,
+  CREATED_AT    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UPDATED_AT    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Auto-increment trigger (Oracle 11g way)
+-- Note: Remove the trailing / if using DBeaver or other GUI tools
+CREATE OR REPLACE TRIGGER WS_ADMIN_USERS_TRG
+BEFORE INSERT ON WS_ADMIN_USERS
+FOR EACH ROW
+BEGIN
+  IF :NEW.USER_ID IS NULL THEN
+    SELECT WS_ADMIN_USERS_SEQ.NEXTVAL INTO :NEW.USER_ID FROM DUAL;
+  END IF;
+END;
+
+COMMIT;
+
+-- Verification
+SELECT USER_ID, USERNAME, ROLE, IS_ACTIVE FROM WS_ADMIN_USERS ORDER BY USER_ID;
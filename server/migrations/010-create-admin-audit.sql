@@ -0,0 +1,51 @@
+-- Migration: Create WS_ADMIN_AUDIT table for the audit log of admin changes
+-- Description: One row per mutating admin API call: who, when, which entity,
+--              and JSON snapshots of the entity before and after the change
+--              (secrets and password hashes are never stored).
+--              Queried by GET /api/audit and the Audit page.
+-- Compatible with Oracle 11g
+
+-- Sequence for primary key (Oracle 11g doesn't support IDENTITY)
+CREATE SEQUENCE WS_ADMIN_AUDIT_SEQ
+  START WITH 1
+  INCREMENT BY 1
+  NOCACHE
+  NOCYCLE;
+
+-- Table
+CREATE TABLE WS_ADMIN_AUDIT (
+  AUDIT_ID     NUMBER PRIMARY KEY,
+  CREATED_AT   TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  USERNAME     VARCHAR2(50) NOT NULL,
+  USER_ROLE    VARCHAR2(20),
+  IP_ADDRESS   VARCHAR2(64),
+  ACTION       VARCHAR2(30) NOT NULL,         -- 'create', 'update', 'toggle', 'delete', 'rotate-secret', ...
+  ENTITY_TYPE  VARCHAR2(30) NOT NULL,         -- 'event', 'app', 'mqtt-topic', 'origin', 'user'
+  ENTITY_ID    VARCHAR2(100),
+  ENTITY_NAME  VARCHAR2(500),
+  BEFORE_VALUE CLOB,                          -- JSON snapshot; NULL on create
+  AFTER_VALUE  CLOB                           -- JSON snapshot; NULL on delete
+);
+
+-- Auto-increment trigger (Oracle 11g way)
+-- Note: Remove the trailing / if using DBeaver or other GUI tools
+CREATE OR REPLACE TRIGGER WS_ADMIN_AUDIT_TRG
+BEFORE INSERT ON WS_ADMIN_AUDIT
+FOR EACH ROW
+BEGIN
+  IF :NEW.AUDIT_ID IS NULL THEN
+    SELECT WS_ADMIN_AUDIT_SEQ.NEXTVAL INTO :NEW.AUDIT_ID FROM DUAL;
+  END IF;
+END;
+
+-- Indexes for the audit page filters
+CREATE INDEX IDX_WS_ADMIN_AUDIT_CREATED ON WS_ADMIN_AUDIT(CREATED_AT);
+CREATE INDEX IDX_WS_ADMIN_AUDIT_ENTITY ON WS_ADMIN_AUDIT(ENTITY_TYPE, ENTITY_ID);
+CREATE INDEX IDX_WS_ADMIN_AUDIT_USER ON WS_ADMIN_AUDIT(USERNAME);
+
+COMMIT;
+
+-- Verification
+SELECT AUDIT_ID, CREATED_AT, USERNAME, ACTION, ENTITY_TYPE, ENTITY_NAME
+FROM WS_ADMIN_AUDIT
+ORDER BY AUDIT_ID DESC;
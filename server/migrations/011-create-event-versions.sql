@@ -0,0 +1,61 @@
+-- Migration: Create WS_EVENT_VERSIONS table for event definition history
+-- Description: Every save of an event (create, update, rollback) stores a copy
+--              of its definition as a numbered version, so SQL and schedule
+--              edits can be compared and rolled back from the Events page.
+--              Existing events get version 1 from their current definition.
+--              Versions are removed together with their event.
+-- Compatible with Oracle 11g
+
+-- Sequence for primary key (Oracle 11g doesn't support IDENTITY)
+CREATE SEQUENCE WS_EVENT_VERSIONS_SEQ
+  START WITH 1
+  INCREMENT BY 1
+  NOCACHE
+  NOCYCLE;
+
+-- Table
+CREATE TABLE WS_EVENT_VERSIONS (
+  VERSION_ID       NUMBER PRIMARY KEY,
+  EVENT_ID         NUMBER NOT NULL REFERENCES WS_EVENTS(EVENT_ID) ON DELETE CASCADE,
+  VERSION_NO       NUMBER NOT NULL,
+  EVENT_NAME       VARCHAR2(100) NOT NULL,
+  SQL_QUERY        CLOB NOT NULL,
+  INTERVAL_SECONDS NUMBER NOT NULL,
+  KEY_COLUMN       VARCHAR2(100),
+  PARAMETERS       VARCHAR2(4000),
+  CRON_EXPRESSION  VARCHAR2(100),
+  ACTIVE_WINDOWS   VARCHAR2(4000),
+  TIMEOUT_SECONDS  NUMBER,
+  SOURCE           VARCHAR2(20) NOT NULL,   -- 'initial', 'create', 'update', 'rollback'
+  RESTORED_FROM    NUMBER,                  -- VERSION_NO copied by a rollback
+  CREATED_BY       VARCHAR2(50),
+  CREATED_AT       TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  CONSTRAINT UQ_WS_EVENT_VERSIONS UNIQUE (EVENT_ID, VERSION_NO)
+);
+
+-- Auto-increment trigger (Oracle 11g way)
+-- Note: Remove the trailing / if using DBeaver or other GUI tools
+CREATE OR REPLACE TRIGGER WS_EVENT_VERSIONS_TRG
+BEFORE INSERT ON WS_EVENT_VERSIONS
+FOR EACH ROW
+BEGIN
+  IF :NEW.VERSION_ID IS NULL THEN
+    SELECT WS_EVENT_VERSIONS_SEQ.NEXTVAL INTO :NEW.VERSION_ID FROM DUAL;
+  END IF;
+END;
+
+-- Version 1 of every existing event
+INSERT INTO WS_EVENT_VERSIONS (
+  EVENT_ID, VERSION_NO, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, KEY_COLUMN, PARAMETERS,
+  CRON_EXPRESSION, ACTIVE_WINDOWS, TIMEOUT_SECONDS, SOURCE
+)
+SELECT EVENT_ID, 1, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, KEY_COLUMN, PARAMETERS,
+       CRON_EXPRESSION, ACTIVE_WINDOWS, TIMEOUT_SECONDS, 'initial'
+FROM WS_EVENTS;
+
+COMMIT;
+
+-- Verification
+SELECT EVENT_ID, VERSION_NO, EVENT_NAME, SOURCE, CREATED_AT
+FROM WS_EVENT_VERSIONS
+ORDER BY EVENT_ID, VERSION_NO;
@@ -0,0 +1,30 @@
+-- Migration: Hashed app secrets with an overlapping rotation window
+-- Description: APP_SECRET now holds a salted hash (sha256$<salt>$<hmac>) instead
+--              of the secret itself. The server hashes any remaining clear-text
+--              secrets when it loads the registry, so existing clients keep
+--              working without a redeploy.
+--              On rotation the old hash moves to PREVIOUS_SECRET and stays valid
+--              until PREVIOUS_SECRET_EXPIRES_AT (APP_SECRET_GRACE_HOURS), giving
+--              client apps time to switch over.
+--              *_HINT columns keep a masked form (first/last 4 characters) for
+--              display, since a hash cannot be masked.
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_APP_REGISTRY ADD (
+  APP_SECRET_HINT            VARCHAR2(20),
+  SECRET_ROTATED_AT          TIMESTAMP,
+  PREVIOUS_SECRET            VARCHAR2(128),  -- hash of the secret replaced by the last rotation
+  PREVIOUS_SECRET_HINT       VARCHAR2(20),
+  PREVIOUS_SECRET_EXPIRES_AT TIMESTAMP       -- NULL together with PREVIOUS_SECRET
+);
+
+-- Hints for the clear-text secrets the server is about to hash
+UPDATE WS_APP_REGISTRY
+SET APP_SECRET_HINT = SUBSTR(APP_SECRET, 1, 4) || '****' || SUBSTR(APP_SECRET, -4)
+WHERE APP_SECRET NOT LIKE 'sha256$%' AND LENGTH(APP_SECRET) > 8;
+
+COMMIT;
+
+-- Verification
+SELECT APP_ID, APP_NAME, APP_SECRET_HINT, SECRET_ROTATED_AT, PREVIOUS_SECRET_EXPIRES_AT
+FROM WS_APP_REGISTRY ORDER BY APP_ID;
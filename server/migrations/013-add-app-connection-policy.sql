@@ -0,0 +1,22 @@
+-- Migration: Per-app connection policy on WS_APP_REGISTRY
+-- Description: Optional network and quota limits for each registered app,
+--              enforced at the Socket.IO handshake and connection:
+--                ALLOWED_CIDRS            - comma-separated CIDRs/addresses the app
+--                                           may connect from (NULL = anywhere)
+--                MAX_SOCKETS              - max concurrent sockets of the app
+--                                           (NULL = only the global MAX_CONNECTIONS)
+--                INITIAL_STATE_PER_MINUTE - REQUEST_INITIAL_STATE calls allowed per
+--                                           socket per minute (NULL = global limiter only)
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_APP_REGISTRY ADD (
+  ALLOWED_CIDRS            VARCHAR2(2000),
+  MAX_SOCKETS              NUMBER CHECK (MAX_SOCKETS >= 1),
+  INITIAL_STATE_PER_MINUTE NUMBER CHECK (INITIAL_STATE_PER_MINUTE >= 1)
+);
+
+COMMIT;
+
+-- Verification
+SELECT APP_ID, APP_NAME, ALLOWED_CIDRS, MAX_SOCKETS, INITIAL_STATE_PER_MINUTE
+FROM WS_APP_REGISTRY ORDER BY APP_ID;
@@ -0,0 +1,17 @@
+-- Migration: Per-app column rules on WS_APP_REGISTRY
+-- Description: JSON list of rules that hide, mask or round columns of Oracle
+--              event rows before they are sent to one app, per channel, e.g.
+--                [{"channel":"VESSEL_*","column":"OWNER_NAME","action":"hide"},
+--                 {"channel":"VESSEL_ALONGSIDE","column":"DRAFT","action":"round","digits":1}]
+--              NULL = the app receives full rows.
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_APP_REGISTRY ADD (
+  COLUMN_RULES VARCHAR2(4000)
+);
+
+COMMIT;
+
+-- Verification
+SELECT APP_ID, APP_NAME, COLUMN_RULES
+FROM WS_APP_REGISTRY ORDER BY APP_ID;
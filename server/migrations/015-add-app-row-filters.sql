@@ -0,0 +1,17 @@
+-- Migration: Per-app row filters on WS_APP_REGISTRY
+-- Description: JSON list of filters limiting which rows of an Oracle event one
+--              app receives on a channel (live broadcasts and
+--              REQUEST_INITIAL_STATE), e.g.
+--                [{"channel":"VESSEL_ALONGSIDE","column":"BERTH_NO","in":["B1","B2"]}]
+--              NULL = the app receives every row.
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_APP_REGISTRY ADD (
+  ROW_FILTERS VARCHAR2(4000)
+);
+
+COMMIT;
+
+-- Verification
+SELECT APP_ID, APP_NAME, ROW_FILTERS
+FROM WS_APP_REGISTRY ORDER BY APP_ID;
@@ -0,0 +1,83 @@
+-- Migration: Create WS_WEBHOOKS and WS_WEBHOOK_DELIVERIES for outbound webhooks
+-- Description: Admin-registered HTTP targets that receive event data changes
+--              (Oracle events and MQTT channels) and event health transitions
+--              as HMAC-signed JSON POSTs. Every delivery and its retries are
+--              logged in WS_WEBHOOK_DELIVERIES (purged after
+--              WEBHOOK_LOG_RETENTION_DAYS). Deliveries are removed together
+--              with their webhook.
+-- Compatible with Oracle 11g
+
+-- Sequences for primary keys (Oracle 11g doesn't support IDENTITY)
+CREATE SEQUENCE WS_WEBHOOKS_SEQ
+  START WITH 1
+  INCREMENT BY 1
+  NOCACHE
+  NOCYCLE;
+
+CREATE SEQUENCE WS_WEBHOOK_DELIVERIES_SEQ
+  START WITH 1
+  INCREMENT BY 1
+  NOCACHE
+  NOCYCLE;
+
+-- Webhook targets
+CREATE TABLE WS_WEBHOOKS (
+  WEBHOOK_ID     NUMBER PRIMARY KEY,
+  NAME           VARCHAR2(100) NOT NULL UNIQUE,
+  TARGET_URL     VARCHAR2(1000) NOT NULL,
+  CHANNEL        VARCHAR2(200) NOT NULL,       -- event/MQTT channel name or glob (VESSEL_*)
+  TRIGGERS       VARCHAR2(50) DEFAULT 'data' NOT NULL, -- 'data', 'health' or 'data,health'
+  SIGNING_SECRET VARCHAR2(100) NOT NULL,       -- HMAC key, needed in clear text to sign
+  SECRET_HINT    VARCHAR2(20),
+  DESCRIPTION    VARCHAR2(500),
+  IS_ACTIVE      NUMBER(1) DEFAULT 1 CHECK (IS_ACTIVE IN (0,1)),
+  CREATED_AT     TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UPDATED_AT     TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Delivery log (one row per delivery, updated on each retry)
+CREATE TABLE WS_WEBHOOK_DELIVERIES (
+  DELIVERY_ID     NUMBER PRIMARY KEY,
+  WEBHOOK_ID      NUMBER NOT NULL REFERENCES WS_WEBHOOKS(WEBHOOK_ID) ON DELETE CASCADE,
+  DELIVERY_UUID   VARCHAR2(36) NOT NULL,
+  TRIGGER_TYPE    VARCHAR2(20) NOT NULL,        -- 'data', 'health', 'test'
+  CHANNEL         VARCHAR2(200),
+  STATUS          VARCHAR2(20) NOT NULL,        -- 'retrying', 'success', 'failed'
+  ATTEMPTS        NUMBER DEFAULT 0 NOT NULL,
+  RESPONSE_STATUS NUMBER,
+  ERROR_MESSAGE   VARCHAR2(1000),
+  DURATION_MS     NUMBER,
+  PAYLOAD_BYTES   NUMBER,
+  CREATED_AT      TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  COMPLETED_AT    TIMESTAMP
+);
+
+-- Auto-increment triggers (Oracle 11g way)
+-- Note: Remove the trailing / if using DBeaver or other GUI tools
+CREATE OR REPLACE TRIGGER WS_WEBHOOKS_TRG
+BEFORE INSERT ON WS_WEBHOOKS
+FOR EACH ROW
+BEGIN
+  IF :NEW.WEBHOOK_ID IS NULL THEN
+    SELECT WS_WEBHOOKS_SEQ.NEXTVAL INTO :NEW.WEBHOOK_ID FROM DUAL;
+  END IF;
+END;
+
+CREATE OR REPLACE TRIGGER WS_WEBHOOK_DELIVERIES_TRG
+BEFORE INSERT ON WS_WEBHOOK_DELIVERIES
+FOR EACH ROW
+BEGIN
+  IF :NEW.DELIVERY_ID IS NULL THEN
+    SELECT WS_WEBHOOK_DELIVERIES_SEQ.NEXTVAL INTO :NEW.DELIVERY_ID FROM DUAL;
+  END IF;
+END;
+
+-- Delivery log lookups (per webhook, newest first) and retention purge
+CREATE INDEX IDX_WS_WEBHOOK_DELIVERIES_HOOK ON WS_WEBHOOK_DELIVERIES(WEBHOOK_ID, CREATED_AT);
+CREATE INDEX IDX_WS_WEBHOOK_DELIVERIES_TIME ON WS_WEBHOOK_DELIVERIES(CREATED_AT);
+
+COMMIT;
+
+-- Verification
+SELECT TABLE_NAME FROM USER_TABLES
+WHERE TABLE_NAME IN ('WS_WEBHOOKS', 'WS_WEBHOOK_DELIVERIES');
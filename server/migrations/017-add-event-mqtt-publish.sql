@@ -0,0 +1,31 @@
+-- Migration: Add MQTT publish settings to WS_EVENTS and WS_EVENT_VERSIONS
+-- Description: An event with MQTT_PUBLISH_TOPIC also publishes every changed
+--              result to that topic through the MQTT bridge, for consumers
+--              that subscribe to the broker instead of the WebSocket server.
+--              MQTT_PUBLISH_MODE 'full' sends the whole result; 'delta' sends
+--              the same payload as the socket broadcast (a patch for events
+--              with a key column). The topic may contain {param} placeholders
+--              for parameterized events. Retain is only allowed with 'full'.
+--              NULL topic = not published.
+-- Compatible with Oracle 11g
+
+ALTER TABLE WS_EVENTS ADD (
+  MQTT_PUBLISH_TOPIC  VARCHAR2(500),
+  MQTT_PUBLISH_QOS    NUMBER(1) DEFAULT 0 CHECK (MQTT_PUBLISH_QOS IN (0, 1, 2)),
+  MQTT_PUBLISH_RETAIN NUMBER(1) DEFAULT 0 CHECK (MQTT_PUBLISH_RETAIN IN (0, 1)),
+  MQTT_PUBLISH_MODE   VARCHAR2(10) DEFAULT 'full' CHECK (MQTT_PUBLISH_MODE IN ('full', 'delta'))
+);
+
+-- Publish settings are part of the versioned definition (NULL in older versions)
+ALTER TABLE WS_EVENT_VERSIONS ADD (
+  MQTT_PUBLISH_TOPIC  VARCHAR2(500),
+  MQTT_PUBLISH_QOS    NUMBER(1),
+  MQTT_PUBLISH_RETAIN NUMBER(1),
+  MQTT_PUBLISH_MODE   VARCHAR2(10)
+);
+
+COMMIT;
+
+-- Verification
+SELECT EVENT_ID, EVENT_NAME, MQTT_PUBLISH_TOPIC, MQTT_PUBLISH_QOS, MQTT_PUBLISH_RETAIN, MQTT_PUBLISH_MODE
+FROM WS_EVENTS ORDER BY EVENT_ID;
@@ -1,15 +1,118 @@
 const express = require("express");
-const { requireAdminAuth } = require("../middleware/adminAuth");
+const { RateLimiterMemory } = require("rate-limiter-flexible");
+const { requireAdminAuth, requireRole } = require("../middleware/adminAuth");
 const { getPool, oracledb } = require("../config/db");
 const AppRegistry = require("../services/appRegistry");
+const AuditLog = require("../services/auditLog");
+const { hashAppSecret, secretHint } = require("../utils/appSecret");
+const { parseAppPolicy } = require("../utils/appPolicy");
+const { validateChannelGrants } = require("../utils/channelGrants");
+const { parseColumnRules } = require("../utils/columnRules");
+const { parseRowFilters } = require("../utils/rowFilters");
+const { issueAccessToken, issueRefreshToken, verifyAppToken } = require("../utils/appToken");
 const router = express.Router();
+const auditLog = AuditLog.getInstance();
 
-// All app registry routes require admin authentication
+// Credential guessing against the unauthenticated token endpoints, per IP
+const tokenLimiter = new RateLimiterMemory({
+  points: 10,
+  duration: 60,
+});
+
+async function consumeTokenRequest(req, res) {
+  try {
+    await tokenLimiter.consume(req.ip);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  App token rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({ success: false, message: "Too many token requests" });
+    return false;
+  }
+}
+
+/**
+ * POST /api/apps/token
+ * Exchange app credentials for a short-lived Socket.IO token (no admin login).
+ * Meant to be called server-side, so browser code never holds the app secret.
+ *
+ * Body: { appId: string (app name), appSecret: string }
+ * Returns: { token, expiresIn, expiresAt, refreshToken, refreshExpiresAt, appName, channels }
+ */
+router.post("/token", async (req, res) => {
+  if (!(await consumeTokenRequest(req, res))) return;
+
+  const { appId, appSecret } = req.body || {};
+  const appRegistry = AppRegistry.getInstance();
+  const result = appRegistry.validateApp(appId, appSecret);
+
+  if (!result.valid) {
+    console.warn(`⚠️  App token request for "${appId}" rejected: ${result.reason} (IP: ${req.ip})`);
+    return res.status(401).json({
+      success: false,
+      message: "Invalid app credentials",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...issueAccessToken(result.app, result.secretHash),
+      ...issueRefreshToken(result.app, result.secretHash),
+      appName: result.app.appName,
+      channels: result.app.channels ? result.app.channels.entries : null,
+    },
+  });
+});
+
+/**
+ * POST /api/apps/token/refresh
+ * New access token for a refresh token. The refresh token keeps its original
+ * expiry; after that the backend requests a new pair with the app secret.
+ *
+ * Body: { refreshToken: string }
+ */
+router.post("/token/refresh", async (req, res) => {
+  if (!(await consumeTokenRequest(req, res))) return;
+
+  const { refreshToken } = req.body || {};
+
+  let decoded;
+  try {
+    decoded = verifyAppToken(String(refreshToken || ""), "refresh");
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired refresh token",
+    });
+  }
+
+  // Deactivated apps and rotated-out secrets end the session
+  const result = AppRegistry.getInstance().validateAppToken(decoded);
+  if (!result.valid) {
+    console.warn(`⚠️  App token refresh for "${decoded.appName}" rejected: ${result.reason} (IP: ${req.ip})`);
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired refresh token",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...issueAccessToken(result.app, result.secretHash),
+      appName: result.app.appName,
+      channels: result.app.channels ? result.app.channels.entries : null,
+    },
+  });
+});
+
+// All other app registry routes require admin authentication; changes need
+// the admin role (secrets), a reload only needs operator
 router.use(requireAdminAuth);
 
 /**
  * GET /api/apps
- * List all registered apps (secrets masked)
+ * List all registered apps (secret hints only; secrets are stored hashed)
  */
 router.get("/", async (req, res) => {
   const pool = getPool();
@@ -19,7 +122,9 @@ router.get("/", async (req, res) => {
     connection = await pool.getConnection();
 
     const result = await connection.execute(
-      `SELECT APP_ID, APP_NAME, APP_SECRET, APP_CHANNELS, IS_ACTIVE,
+      `SELECT APP_ID, APP_NAME, APP_SECRET_HINT, PREVIOUS_SECRET_HINT,
+              PREVIOUS_SECRET_EXPIRES_AT, SECRET_ROTATED_AT, APP_CHANNELS, ALLOWED_CIDRS,
+              MAX_SOCKETS, INITIAL_STATE_PER_MINUTE, COLUMN_RULES, ROW_FILTERS, IS_ACTIVE,
               DESCRIPTION, CREATED_AT, LAST_CONNECTED_AT
        FROM WS_APP_REGISTRY
        ORDER BY APP_ID`,
@@ -27,15 +132,9 @@ router.get("/", async (req, res) => {
       { outFormat: oracledb.OUT_FORMAT_OBJECT }
     );
 
-    // Mask secrets before sending to client
-    const apps = result.rows.map((row) => ({
-      ...row,
-      APP_SECRET: maskSecret(row.APP_SECRET),
-    }));
-
     res.json({
       success: true,
-      data: apps,
+      data: result.rows.map(presentApp),
     });
   } catch (error) {
     console.error("Error fetching apps:", error.message);
@@ -54,7 +153,7 @@ router.get("/", async (req, res) => {
 
 /**
  * GET /api/apps/:id
- * Get single app details (secret masked)
+ * Get single app details (secret hints only)
  */
 router.get("/:id", async (req, res) => {
   const appId = parseInt(req.params.id);
@@ -65,7 +164,9 @@ router.get("/:id", async (req, res) => {
     connection = await pool.getConnection();
 
     const result = await connection.execute(
-      `SELECT APP_ID, APP_NAME, APP_SECRET, APP_CHANNELS, IS_ACTIVE,
+      `SELECT APP_ID, APP_NAME, APP_SECRET_HINT, PREVIOUS_SECRET_HINT,
+              PREVIOUS_SECRET_EXPIRES_AT, SECRET_ROTATED_AT, APP_CHANNELS, ALLOWED_CIDRS,
+              MAX_SOCKETS, INITIAL_STATE_PER_MINUTE, COLUMN_RULES, ROW_FILTERS, IS_ACTIVE,
               DESCRIPTION, CREATED_AT, LAST_CONNECTED_AT
        FROM WS_APP_REGISTRY WHERE APP_ID = :id`,
       { id: appId },
@@ -79,12 +180,7 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    const app = {
-      ...result.rows[0],
-      APP_SECRET: maskSecret(result.rows[0].APP_SECRET),
-    };
-
-    res.json({ success: true, data: app });
+    res.json({ success: true, data: presentApp(result.rows[0]) });
   } catch (error) {
     console.error("Error fetching app:", error.message);
     res.status(500).json({
@@ -104,10 +200,19 @@ router.get("/:id", async (req, res) => {
  * POST /api/apps
  * Register a new app (auto-generates secret)
  *
- * Body: { appName: string, channels?: string, description?: string }
- * - channels: comma-separated channel names, or null/empty for ALL channels
+ * Body: { appName: string, channels?: string, description?: string,
+ *         allowedCidrs?: string, maxSockets?: number, initialStatePerMinute?: number,
+ *         columnRules?: Array|string, rowFilters?: Array|string }
+ * - channels: comma-separated channel names, globs (PREFIX_*) and !deny entries,
+ *             or null/empty for ALL channels
+ * - allowedCidrs: comma-separated CIDRs/addresses, or null/empty for any address
+ * - maxSockets, initialStatePerMinute: null/empty for no per-app limit
+ * - columnRules: JSON list of { channel, column, action: hide|mask|round }
+ *                (see utils/columnRules.js), or null/empty for full rows
+ * - rowFilters: JSON list of { channel, column, in|notIn: [...] }
+ *               (see utils/rowFilters.js), or null/empty for every row
  */
-router.post("/", async (req, res) => {
+router.post("/", requireRole("admin"), async (req, res) => {
   const { appName, channels, description } = req.body;
 
   if (!appName || typeof appName !== "string") {
@@ -126,6 +231,40 @@ router.post("/", async (req, res) => {
     });
   }
 
+  const grants = validateChannelGrants(channels);
+  if (!grants.valid) {
+    return res.status(400).json({
+      success: false,
+      message: grants.message,
+    });
+  }
+
+  const policy = parseAppPolicy(req.body);
+  if (!policy.valid) {
+    return res.status(400).json({
+      success: false,
+      message: policy.message,
+    });
+  }
+
+  const columnRules = parseColumnRules(req.body.columnRules);
+  const columnRulesJson = columnRules.rules ? JSON.stringify(columnRules.rules) : null;
+  if (!columnRules.valid || (columnRulesJson && columnRulesJson.length > 4000)) {
+    return res.status(400).json({
+      success: false,
+      message: columnRules.message || "columnRules is too long",
+    });
+  }
+
+  const rowFilters = parseRowFilters(req.body.rowFilters);
+  const rowFiltersJson = rowFilters.filters ? JSON.stringify(rowFilters.filters) : null;
+  if (!rowFilters.valid || (rowFiltersJson && rowFiltersJson.length > 4000)) {
+    return res.status(400).json({
+      success: false,
+      message: rowFilters.message || "rowFilters is too long",
+    });
+  }
+
   const appSecret = AppRegistry.generateSecret();
   const pool = getPool();
   let connection;
@@ -134,13 +273,21 @@ router.post("/", async (req, res) => {
     connection = await pool.getConnection();
 
     const result = await connection.execute(
-      `INSERT INTO WS_APP_REGISTRY (APP_NAME, APP_SECRET, APP_CHANNELS, DESCRIPTION, IS_ACTIVE)
-       VALUES (:appName, :appSecret, :channels, :description, 1)
+      `INSERT INTO WS_APP_REGISTRY (APP_NAME, APP_SECRET, APP_SECRET_HINT, APP_CHANNELS,
+                                    ALLOWED_CIDRS, MAX_SOCKETS, INITIAL_STATE_PER_MINUTE,
+                                    COLUMN_RULES, ROW_FILTERS, DESCRIPTION, IS_ACTIVE)
+       VALUES (:appName, :secretHash, :secretHint, :channels,
+               :allowedCidrs, :maxSockets, :initialStatePerMinute,
+               :columnRules, :rowFilters, :description, 1)
        RETURNING APP_ID INTO :id`,
       {
         appName: appName.trim().toUpperCase(),
-        appSecret: appSecret,
-        channels: channels ? channels.trim().toUpperCase() : null,
+        secretHash: hashAppSecret(appSecret),
+        secretHint: secretHint(appSecret),
+        channels: grants.value,
+        ...policy.values,
+        columnRules: columnRulesJson,
+        rowFilters: rowFiltersJson,
         description: description || null,
         id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
       },
@@ -149,6 +296,13 @@ router.post("/", async (req, res) => {
 
     const newAppId = result.outBinds.id[0];
 
+    await auditLog.record(connection, req, {
+      action: "create",
+      entityType: "app",
+      entityId: newAppId,
+      after: await auditLog.snapshot(connection, "app", newAppId),
+    });
+
     // Reload registry in memory
     const appRegistry = AppRegistry.getInstance();
     await appRegistry.reload();
@@ -160,7 +314,7 @@ router.post("/", async (req, res) => {
         appId: newAppId,
         appName: appName.trim().toUpperCase(),
         appSecret: appSecret, // Show full secret only on creation
-        channels: channels ? channels.trim().toUpperCase() : "ALL",
+        channels: grants.value || "ALL",
       },
     });
   } catch (error) {
@@ -188,9 +342,11 @@ router.post("/", async (req, res) => {
 
 /**
  * PUT /api/apps/:id
- * Update app (name, channels, description — NOT the secret)
+ * Update app (name, channels, connection policy, column rules, row filters,
+ * description — NOT the secret)
+ * Body: same fields as POST /api/apps
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireRole("admin"), async (req, res) => {
   const appId = parseInt(req.params.id);
   const { appName, channels, description } = req.body;
 
@@ -201,21 +357,65 @@ router.put("/:id", async (req, res) => {
     });
   }
 
+  const grants = validateChannelGrants(channels);
+  if (!grants.valid) {
+    return res.status(400).json({
+      success: false,
+      message: grants.message,
+    });
+  }
+
+  const policy = parseAppPolicy(req.body);
+  if (!policy.valid) {
+    return res.status(400).json({
+      success: false,
+      message: policy.message,
+    });
+  }
+
+  const columnRules = parseColumnRules(req.body.columnRules);
+  const columnRulesJson = columnRules.rules ? JSON.stringify(columnRules.rules) : null;
+  if (!columnRules.valid || (columnRulesJson && columnRulesJson.length > 4000)) {
+    return res.status(400).json({
+      success: false,
+      message: columnRules.message || "columnRules is too long",
+    });
+  }
+
+  const rowFilters = parseRowFilters(req.body.rowFilters);
+  const rowFiltersJson = rowFilters.filters ? JSON.stringify(rowFilters.filters) : null;
+  if (!rowFilters.valid || (rowFiltersJson && rowFiltersJson.length > 4000)) {
+    return res.status(400).json({
+      success: false,
+      message: rowFilters.message || "rowFilters is too long",
+    });
+  }
+
   const pool = getPool();
   let connection;
 
   try {
     connection = await pool.getConnection();
 
+    const before = await auditLog.snapshot(connection, "app", appId);
+
     const result = await connection.execute(
       `UPDATE WS_APP_REGISTRY
        SET APP_NAME = :appName,
            APP_CHANNELS = :channels,
+           ALLOWED_CIDRS = :allowedCidrs,
+           MAX_SOCKETS = :maxSockets,
+           INITIAL_STATE_PER_MINUTE = :initialStatePerMinute,
+           COLUMN_RULES = :columnRules,
+           ROW_FILTERS = :rowFilters,
            DESCRIPTION = :description
        WHERE APP_ID = :appId`,
       {
         appName: appName.trim().toUpperCase(),
-        channels: channels ? channels.trim().toUpperCase() : null,
+        channels: grants.value,
+        ...policy.values,
+        columnRules: columnRulesJson,
+        rowFilters: rowFiltersJson,
         description: description || null,
         appId: appId,
       },
@@ -229,6 +429,14 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    await auditLog.record(connection, req, {
+      action: "update",
+      entityType: "app",
+      entityId: appId,
+      before,
+      after: await auditLog.snapshot(connection, "app", appId),
+    });
+
     // Reload registry in memory
     const appRegistry = AppRegistry.getInstance();
     await appRegistry.reload();
@@ -264,7 +472,7 @@ router.put("/:id", async (req, res) => {
  * DELETE /api/apps/:id
  * Remove app from registry
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("admin"), async (req, res) => {
   const appId = parseInt(req.params.id);
   const pool = getPool();
   let connection;
@@ -272,6 +480,8 @@ router.delete("/:id", async (req, res) => {
   try {
     connection = await pool.getConnection();
 
+    const before = await auditLog.snapshot(connection, "app", appId);
+
     const result = await connection.execute(
       `DELETE FROM WS_APP_REGISTRY WHERE APP_ID = :appId`,
       { appId },
@@ -285,6 +495,13 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    await auditLog.record(connection, req, {
+      action: "delete",
+      entityType: "app",
+      entityId: appId,
+      before,
+    });
+
     // Reload registry in memory
     const appRegistry = AppRegistry.getInstance();
     await appRegistry.reload();
@@ -312,7 +529,7 @@ router.delete("/:id", async (req, res) => {
  * PATCH /api/apps/:id/toggle
  * Activate/deactivate app
  */
-router.patch("/:id/toggle", async (req, res) => {
+router.patch("/:id/toggle", requireRole("admin"), async (req, res) => {
   const appId = parseInt(req.params.id);
   const pool = getPool();
   let connection;
@@ -320,6 +537,8 @@ router.patch("/:id/toggle", async (req, res) => {
   try {
     connection = await pool.getConnection();
 
+    const before = await auditLog.snapshot(connection, "app", appId);
+
     const result = await connection.execute(
       `UPDATE WS_APP_REGISTRY
        SET IS_ACTIVE = CASE WHEN IS_ACTIVE = 1 THEN 0 ELSE 1 END
@@ -341,6 +560,14 @@ router.patch("/:id/toggle", async (req, res) => {
 
     const newStatus = result.outBinds.newStatus[0];
 
+    await auditLog.record(connection, req, {
+      action: "toggle",
+      entityType: "app",
+      entityId: appId,
+      before,
+      after: await auditLog.snapshot(connection, "app", appId),
+    });
+
     // Reload registry in memory
     const appRegistry = AppRegistry.getInstance();
     await appRegistry.reload();
@@ -369,10 +596,29 @@ router.patch("/:id/toggle", async (req, res) => {
  * POST /api/apps/:id/rotate-secret
  * Rotate (regenerate) the app secret
  * Returns the new secret — save it immediately, it won't be shown again
+ *
+ * Body: { graceHours?: number } - how long the current secret keeps working
+ * (default APP_SECRET_GRACE_HOURS, 0 = cut off immediately, max 720).
+ * A secret still in its grace period from an earlier rotation stops working.
  */
-router.post("/:id/rotate-secret", async (req, res) => {
+router.post("/:id/rotate-secret", requireRole("admin"), async (req, res) => {
   const appId = parseInt(req.params.id);
+  const appRegistry = AppRegistry.getInstance();
+  const graceHours =
+    req.body && req.body.graceHours !== undefined && req.body.graceHours !== null
+      ? Number(req.body.graceHours)
+      : appRegistry.secretGraceHours;
+
+  if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > 720) {
+    return res.status(400).json({
+      success: false,
+      message: "graceHours must be between 0 and 720",
+    });
+  }
+
   const newSecret = AppRegistry.generateSecret();
+  const previousExpiresAt =
+    graceHours > 0 ? new Date(Date.now() + graceHours * 60 * 60 * 1000) : null;
   const pool = getPool();
   let connection;
 
@@ -381,13 +627,21 @@ router.post("/:id/rotate-secret", async (req, res) => {
 
     const result = await connection.execute(
       `UPDATE WS_APP_REGISTRY
-       SET APP_SECRET = :newSecret
+       SET PREVIOUS_SECRET = CASE WHEN :keepPrevious = 1 THEN APP_SECRET END,
+           PREVIOUS_SECRET_HINT = CASE WHEN :keepPrevious = 1 THEN APP_SECRET_HINT END,
+           PREVIOUS_SECRET_EXPIRES_AT = :previousExpiresAt,
+           APP_SECRET = :secretHash,
+           APP_SECRET_HINT = :secretHint,
+           SECRET_ROTATED_AT = CURRENT_TIMESTAMP
        WHERE APP_ID = :appId
        RETURNING APP_NAME INTO :appName`,
       {
-        newSecret,
+        keepPrevious: previousExpiresAt ? 1 : 0,
+        previousExpiresAt: { val: previousExpiresAt, type: oracledb.DATE },
+        secretHash: hashAppSecret(newSecret),
+        secretHint: secretHint(newSecret),
         appId,
-        appName: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 50 },
+        appName: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 100 },
       },
       { autoCommit: true }
     );
@@ -399,8 +653,16 @@ router.post("/:id/rotate-secret", async (req, res) => {
       });
     }
 
+    // The secret itself is never written to the audit log
+    await auditLog.record(connection, req, {
+      action: "rotate-secret",
+      entityType: "app",
+      entityId: appId,
+      entityName: result.outBinds.appName[0],
+      after: { PREVIOUS_SECRET_EXPIRES_AT: previousExpiresAt },
+    });
+
     // Reload registry in memory
-    const appRegistry = AppRegistry.getInstance();
     await appRegistry.reload();
 
     res.json({
@@ -411,6 +673,7 @@ router.post("/:id/rotate-secret", async (req, res) => {
         appId: appId,
         appName: result.outBinds.appName[0],
         newSecret: newSecret,
+        previousSecretExpiresAt: previousExpiresAt,
       },
     });
   } catch (error) {
@@ -428,19 +691,83 @@ router.post("/:id/rotate-secret", async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/apps/:id/previous-secret
+ * End the grace period early: only the current secret is accepted from now on
+ */
+router.delete("/:id/previous-secret", requireRole("admin"), async (req, res) => {
+  const appId = parseInt(req.params.id);
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const result = await connection.execute(
+      `UPDATE WS_APP_REGISTRY
+       SET PREVIOUS_SECRET = NULL,
+           PREVIOUS_SECRET_HINT = NULL,
+           PREVIOUS_SECRET_EXPIRES_AT = NULL
+       WHERE APP_ID = :appId
+       RETURNING APP_NAME INTO :appName`,
+      {
+        appId,
+        appName: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 100 },
+      },
+      { autoCommit: true }
+    );
+
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "App not found",
+      });
+    }
+
+    await auditLog.record(connection, req, {
+      action: "revoke-previous-secret",
+      entityType: "app",
+      entityId: appId,
+      entityName: result.outBinds.appName[0],
+    });
+
+    // Reload registry in memory
+    const appRegistry = AppRegistry.getInstance();
+    await appRegistry.reload();
+
+    res.json({
+      success: true,
+      message: "Previous secret revoked",
+    });
+  } catch (error) {
+    console.error("Error revoking previous secret:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke previous secret",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
 /**
  * POST /api/apps/reload
  * Hot-reload the app registry from the database
  */
-router.post("/reload", async (req, res) => {
+router.post("/reload", requireRole("operator"), async (req, res) => {
   try {
     const appRegistry = AppRegistry.getInstance();
-    await appRegistry.reload();
+    const sockets = await appRegistry.reload();
 
     res.json({
       success: true,
       message: "App registry reloaded",
       data: appRegistry.getRegisteredApps(),
+      sockets,
     });
   } catch (error) {
     console.error("Error reloading registry:", error.message);
@@ -452,13 +779,21 @@ router.post("/reload", async (req, res) => {
 });
 
 /**
- * Helper: Mask secret for display
+ * Helper: Hide the previous secret once its grace period is over and add
+ * the app's live socket count
  */
-function maskSecret(secret) {
-  if (!secret || secret.length <= 8) {
-    return "****";
-  }
-  return secret.substring(0, 4) + "****" + secret.substring(secret.length - 4);
+function presentApp(row) {
+  const previousValid =
+    row.PREVIOUS_SECRET_EXPIRES_AT &&
+    new Date(row.PREVIOUS_SECRET_EXPIRES_AT).getTime() > Date.now();
+
+  return {
+    ...row,
+    APP_SECRET_HINT: row.APP_SECRET_HINT || "****",
+    PREVIOUS_SECRET_HINT: previousValid ? row.PREVIOUS_SECRET_HINT : null,
+    PREVIOUS_SECRET_EXPIRES_AT: previousValid ? row.PREVIOUS_SECRET_EXPIRES_AT : null,
+    CONNECTED_SOCKETS: AppRegistry.getInstance().countAppSockets(row.APP_ID),
+  };
 }
 
 module.exports = router;
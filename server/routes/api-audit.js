@@ -0,0 +1,131 @@
+const express = require("express");
+const { requireAdminAuth } = require("../middleware/adminAuth");
+const AuditLog = require("../services/auditLog");
+const router = express.Router();
+
+// Every admin role can read the audit log (snapshots exclude secrets)
+router.use(requireAdminAuth);
+
+/**
+ * Parse an optional ISO date filter
+ * @returns {Date|null|undefined} undefined when invalid
+ */
+function parseDateFilter(value) {
+  if (value === undefined || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Friendly error for the missing table (migration 010 not applied)
+ */
+function sendAuditError(res, error, message) {
+  if (String(error.message).includes("ORA-00942")) {
+    return res.status(503).json({
+      success: false,
+      message: "Audit log table not found (run migration 010)",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+  });
+}
+
+/**
+ * GET /api/audit
+ * Search the audit log, newest first
+ * Query: entityType, entityId, username, action, search (entity name),
+ *        from, to (ISO dates), limit (1-500, default 50), offset
+ */
+router.get("/", async (req, res) => {
+  const { entityType, entityId, username, action, search } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+  const from = parseDateFilter(req.query.from);
+  const to = parseDateFilter(req.query.to);
+
+  if (entityType && !AuditLog.ENTITY_TYPES.includes(entityType)) {
+    return res.status(400).json({
+      success: false,
+      message: `entityType must be one of: ${AuditLog.ENTITY_TYPES.join(", ")}`,
+    });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500 || !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      success: false,
+      message: "limit must be 1-500 and offset must be 0 or more",
+    });
+  }
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: "from and to must be valid dates",
+    });
+  }
+
+  try {
+    const result = await AuditLog.getInstance().query({
+      entityType,
+      entityId,
+      username,
+      action,
+      search,
+      from,
+      to,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      total: result.total,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    console.error("Error fetching audit log:", error.message);
+    sendAuditError(res, error, "Failed to fetch audit log");
+  }
+});
+
+/**
+ * GET /api/audit/:id
+ * One audit record with before/after snapshots and changed fields
+ * (multi-line values such as SQL text include a line diff)
+ */
+router.get("/:id", async (req, res) => {
+  const auditId = parseInt(req.params.id);
+
+  if (Number.isNaN(auditId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid audit ID",
+    });
+  }
+
+  try {
+    const entry = await AuditLog.getInstance().getEntry(auditId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Audit record not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Error fetching audit record:", error.message);
+    sendAuditError(res, error, "Failed to fetch audit record");
+  }
+});
+
+module.exports = router;
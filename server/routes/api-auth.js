@@ -5,16 +5,33 @@ const {
   verifyAdminCredentials,
   generateAdminToken,
   requireAdminAuth,
+  requireRole,
 } = require("../middleware/adminAuth");
 const { getPool, oracledb } = require("../config/db");
+const AuditLog = require("../services/auditLog");
+const EventVersions = require("../services/eventVersions");
+const {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+} = require("../utils/password");
+const { parseEventOptions } = require("../utils/eventOptions");
+const { checkPublishTopic } = require("../utils/mqttTopics");
+const {
+  parseParameterDefinitions,
+  sampleBinds,
+} = require("../utils/eventParams");
 const router = express.Router();
+const auditLog = AuditLog.getInstance();
+const eventVersions = EventVersions.getInstance();
 
 // Path to .env file
 const ENV_PATH = path.join(__dirname, "../../.env");
 
 /**
  * Admin Authentication Routes
- * Single account login (no database)
+ * Accounts from WS_ADMIN_USERS (roles: viewer, operator, admin); the .env
+ * account only logs in while that table is empty
  */
 
 /**
@@ -33,10 +50,9 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    // Verify credentials against .env
-    const isValid = verifyAdminCredentials(username, password);
+    const user = await verifyAdminCredentials(username, password);
 
-    if (!isValid) {
+    if (!user) {
       // Add delay to prevent brute force attacks
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
@@ -47,15 +63,15 @@ router.post("/login", async (req, res) => {
     }
 
     // Generate JWT token
-    const token = generateAdminToken();
+    const token = generateAdminToken(user);
 
     res.json({
       success: true,
       message: "Login successful",
       data: {
         token: token,
-        username: username,
-        role: "admin",
+        username: user.username,
+        role: user.role,
         expiresIn: "24h",
       },
     });
@@ -87,13 +103,92 @@ router.get(
   }
 );
 
+/**
+ * PUT /api/admin/password
+ * Change own password (WS_ADMIN_USERS accounts only)
+ * Body: { currentPassword, newPassword }
+ */
+router.put("/password", requireAdminAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!req.admin.userId) {
+    return res.status(400).json({
+      success: false,
+      message: "The .env account password is changed in .env",
+    });
+  }
+
+  const check = validatePassword(newPassword);
+  if (!currentPassword || !check.valid) {
+    return res.status(400).json({
+      success: false,
+      message: check.message || "Current password is required",
+    });
+  }
+
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const result = await connection.execute(
+      `SELECT PASSWORD_HASH FROM WS_ADMIN_USERS WHERE USER_ID = :id AND IS_ACTIVE = 1`,
+      { id: req.admin.userId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (
+      result.rows.length === 0 ||
+      !(await verifyPassword(currentPassword, result.rows[0].PASSWORD_HASH))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    await connection.execute(
+      `UPDATE WS_ADMIN_USERS
+       SET PASSWORD_HASH = :hash, UPDATED_AT = CURRENT_TIMESTAMP
+       WHERE USER_ID = :id`,
+      { hash: await hashPassword(newPassword), id: req.admin.userId },
+      { autoCommit: true }
+    );
+
+    await auditLog.record(connection, req, {
+      action: "change-password",
+      entityType: "user",
+      entityId: req.admin.userId,
+      entityName: req.admin.username,
+    });
+
+    res.json({
+      success: true,
+      message: "Password changed",
+    });
+  } catch (error) {
+    console.error("Error changing password:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to change password",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
 /**
  * POST /api/admin/run
  * Execute a SQL query for testing
  * Body: { q: "base64_encoded_sql" }
  */
-router.post("/run", requireAdminAuth, async (req, res) => {
-  const { q } = req.body;
+router.post("/run", requireAdminAuth, requireRole("operator"), async (req, res) => {
+  const { q, parameters } = req.body;
 
   if (!q) {
     return res.status(400).json({
@@ -122,6 +217,15 @@ router.post("/run", requireAdminAuth, async (req, res) => {
     });
   }
 
+  // Parameterized queries run with sample values (default or first allowed)
+  const definitions = parseParameterDefinitions(parameters);
+  if (!definitions.valid) {
+    return res.status(400).json({
+      success: false,
+      message: definitions.message,
+    });
+  }
+
   const pool = getPool();
   let connection;
   const startTime = Date.now();
@@ -129,7 +233,7 @@ router.post("/run", requireAdminAuth, async (req, res) => {
   try {
     connection = await pool.getConnection();
 
-    const result = await connection.execute(sql, [], {
+    const result = await connection.execute(sql, sampleBinds(definitions.definitions), {
       outFormat: oracledb.OUT_FORMAT_OBJECT,
       maxRows: 10000,
       fetchArraySize: 100,
@@ -177,7 +281,9 @@ router.get("/events", requireAdminAuth, async (req, res) => {
   try {
     connection = await pool.getConnection();
     const result = await connection.execute(
-      `SELECT EVENT_ID, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, IS_ACTIVE,
+      `SELECT EVENT_ID, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, KEY_COLUMN, PARAMETERS,
+              CRON_EXPRESSION, ACTIVE_WINDOWS, TIMEOUT_SECONDS, MQTT_PUBLISH_TOPIC,
+              MQTT_PUBLISH_QOS, MQTT_PUBLISH_RETAIN, MQTT_PUBLISH_MODE, IS_ACTIVE,
               LAST_EXECUTION_TIME, LAST_EXECUTION_STATUS, LAST_EXECUTION_TIMESTAMP,
               CREATED_AT, UPDATED_AT
        FROM WS_EVENTS ORDER BY EVENT_ID DESC`,
@@ -237,7 +343,7 @@ router.get("/events/:id", requireAdminAuth, async (req, res) => {
  * POST /api/admin/events
  * Create new event
  */
-router.post("/events", requireAdminAuth, async (req, res) => {
+router.post("/events", requireAdminAuth, requireRole("operator"), async (req, res) => {
   const { eventName, q, intervalSeconds } = req.body;
 
   if (!eventName || !q || !intervalSeconds) {
@@ -256,23 +362,56 @@ router.post("/events", requireAdminAuth, async (req, res) => {
       .json({ success: false, message: "Invalid base64 encoding" });
   }
 
+  const options = parseEventOptions(req.body);
+  if (!options.valid) {
+    return res.status(400).json({ success: false, message: options.message });
+  }
+
   const pool = getPool();
   let connection;
 
   try {
     connection = await pool.getConnection();
+    // The bridge would receive (and re-broadcast) the event's own results
+    const echo = await checkPublishTopic(connection, options.values.mqttPublishTopic);
+    if (echo) {
+      return res.status(400).json({ success: false, message: echo });
+    }
     const result = await connection.execute(
-      `INSERT INTO WS_EVENTS (EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, IS_ACTIVE)
-       VALUES (:eventName, :sqlQuery, :intervalSeconds, 1)
+      `INSERT INTO WS_EVENTS (EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, KEY_COLUMN, PARAMETERS,
+                              CRON_EXPRESSION, ACTIVE_WINDOWS, TIMEOUT_SECONDS,
+                              MQTT_PUBLISH_TOPIC, MQTT_PUBLISH_QOS, MQTT_PUBLISH_RETAIN,
+                              MQTT_PUBLISH_MODE, IS_ACTIVE)
+       VALUES (:eventName, :sqlQuery, :intervalSeconds, :keyColumn, :parameters,
+               :cronExpression, :activeWindows, :timeoutSeconds,
+               :mqttPublishTopic, :mqttPublishQos, :mqttPublishRetain,
+               :mqttPublishMode, 1)
        RETURNING EVENT_ID INTO :id`,
       {
         eventName,
         sqlQuery,
         intervalSeconds,
+        keyColumn: options.values.keyColumn,
+        parameters: options.values.parameters,
+        cronExpression: options.values.cronExpression,
+        activeWindows: options.values.activeWindows,
+        timeoutSeconds: options.values.timeoutSeconds,
+        mqttPublishTopic: options.values.mqttPublishTopic,
+        mqttPublishQos: options.values.mqttPublishQos,
+        mqttPublishRetain: options.values.mqttPublishRetain,
+        mqttPublishMode: options.values.mqttPublishMode,
         id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
-      },
-      { autoCommit: true }
+      }
     );
+    // The event and its first version are committed together
+    await eventVersions.record(connection, result.outBinds.id[0], req, "create");
+    await connection.commit();
+    await auditLog.record(connection, req, {
+      action: "create",
+      entityType: "event",
+      entityId: result.outBinds.id[0],
+      after: await auditLog.snapshot(connection, "event", result.outBinds.id[0]),
+    });
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
     res.status(201).json({
@@ -299,7 +438,7 @@ router.post("/events", requireAdminAuth, async (req, res) => {
  * PUT /api/admin/events/:id
  * Update event
  */
-router.put("/events/:id", requireAdminAuth, async (req, res) => {
+router.put("/events/:id", requireAdminAuth, requireRole("operator"), async (req, res) => {
   const eventId = parseInt(req.params.id);
   const { eventName, q, intervalSeconds } = req.body;
 
@@ -319,23 +458,62 @@ router.put("/events/:id", requireAdminAuth, async (req, res) => {
       .json({ success: false, message: "Invalid base64 encoding" });
   }
 
+  const options = parseEventOptions(req.body);
+  if (!options.valid) {
+    return res.status(400).json({ success: false, message: options.message });
+  }
+
   const pool = getPool();
   let connection;
 
   try {
     connection = await pool.getConnection();
+    // The bridge would receive (and re-broadcast) the event's own results
+    const echo = await checkPublishTopic(connection, options.values.mqttPublishTopic);
+    if (echo) {
+      return res.status(400).json({ success: false, message: echo });
+    }
+    const before = await auditLog.snapshot(connection, "event", eventId);
     const result = await connection.execute(
       `UPDATE WS_EVENTS SET EVENT_NAME = :eventName, SQL_QUERY = :sqlQuery,
-       INTERVAL_SECONDS = :intervalSeconds, UPDATED_AT = CURRENT_TIMESTAMP
+       INTERVAL_SECONDS = :intervalSeconds, KEY_COLUMN = :keyColumn,
+       PARAMETERS = :parameters, CRON_EXPRESSION = :cronExpression,
+       ACTIVE_WINDOWS = :activeWindows, TIMEOUT_SECONDS = :timeoutSeconds,
+       MQTT_PUBLISH_TOPIC = :mqttPublishTopic, MQTT_PUBLISH_QOS = :mqttPublishQos,
+       MQTT_PUBLISH_RETAIN = :mqttPublishRetain, MQTT_PUBLISH_MODE = :mqttPublishMode,
+       UPDATED_AT = CURRENT_TIMESTAMP
        WHERE EVENT_ID = :eventId`,
-      { eventName, sqlQuery, intervalSeconds, eventId },
-      { autoCommit: true }
+      {
+        eventName,
+        sqlQuery,
+        intervalSeconds,
+        keyColumn: options.values.keyColumn,
+        parameters: options.values.parameters,
+        cronExpression: options.values.cronExpression,
+        activeWindows: options.values.activeWindows,
+        timeoutSeconds: options.values.timeoutSeconds,
+        mqttPublishTopic: options.values.mqttPublishTopic,
+        mqttPublishQos: options.values.mqttPublishQos,
+        mqttPublishRetain: options.values.mqttPublishRetain,
+        mqttPublishMode: options.values.mqttPublishMode,
+        eventId,
+      }
     );
     if (result.rowsAffected === 0) {
       return res
         .status(404)
         .json({ success: false, message: "Event not found" });
     }
+    // The edit and its version are committed together
+    await eventVersions.record(connection, eventId, req, "update");
+    await connection.commit();
+    await auditLog.record(connection, req, {
+      action: "update",
+      entityType: "event",
+      entityId: eventId,
+      before,
+      after: await auditLog.snapshot(connection, "event", eventId),
+    });
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
     res.json({ success: true, message: "Event updated" });
@@ -358,13 +536,14 @@ router.put("/events/:id", requireAdminAuth, async (req, res) => {
  * DELETE /api/admin/events/:id
  * Delete event
  */
-router.delete("/events/:id", requireAdminAuth, async (req, res) => {
+router.delete("/events/:id", requireAdminAuth, requireRole("operator"), async (req, res) => {
   const eventId = parseInt(req.params.id);
   const pool = getPool();
   let connection;
 
   try {
     connection = await pool.getConnection();
+    const before = await auditLog.snapshot(connection, "event", eventId);
     const result = await connection.execute(
       `DELETE FROM WS_EVENTS WHERE EVENT_ID = :eventId`,
       { eventId },
@@ -375,8 +554,16 @@ router.delete("/events/:id", requireAdminAuth, async (req, res) => {
         .status(404)
         .json({ success: false, message: "Event not found" });
     }
+    await auditLog.record(connection, req, {
+      action: "delete",
+      entityType: "event",
+      entityId: eventId,
+      before,
+    });
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
+    // Buffered executions would fail the foreign key to the deleted event
+    req.app.get("executionHistory").forgetEvent(eventId);
     res.json({ success: true, message: "Event deleted" });
   } catch (error) {
     res.status(500).json({ success: false, message: "Failed to delete event" });
@@ -392,13 +579,14 @@ router.delete("/events/:id", requireAdminAuth, async (req, res) => {
  * PATCH /api/admin/events/:id/toggle
  * Toggle event active status
  */
-router.patch("/events/:id/toggle", requireAdminAuth, async (req, res) => {
+router.patch("/events/:id/toggle", requireAdminAuth, requireRole("operator"), async (req, res) => {
   const eventId = parseInt(req.params.id);
   const pool = getPool();
   let connection;
 
   try {
     connection = await pool.getConnection();
+    const before = await auditLog.snapshot(connection, "event", eventId);
     const result = await connection.execute(
       `UPDATE WS_EVENTS SET IS_ACTIVE = CASE WHEN IS_ACTIVE = 1 THEN 0 ELSE 1 END,
        UPDATED_AT = CURRENT_TIMESTAMP WHERE EVENT_ID = :eventId
@@ -411,6 +599,13 @@ router.patch("/events/:id/toggle", requireAdminAuth, async (req, res) => {
         .status(404)
         .json({ success: false, message: "Event not found" });
     }
+    await auditLog.record(connection, req, {
+      action: "toggle",
+      entityType: "event",
+      entityId: eventId,
+      before,
+      after: await auditLog.snapshot(connection, "event", eventId),
+    });
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
     res.json({
@@ -430,6 +625,107 @@ router.patch("/events/:id/toggle", requireAdminAuth, async (req, res) => {
   }
 });
 
+/**
+ * Friendly error for the missing versions table (migration 011 not applied)
+ */
+function sendVersionError(res, error, message) {
+  if (String(error.message).includes("ORA-00942")) {
+    return res
+      .status(503)
+      .json({ success: false, message: "Event versions table not found (run migration 011)" });
+  }
+  res.status(500).json({ success: false, message });
+}
+
+/**
+ * GET /api/admin/events/:id/versions
+ * Saved versions of an event, newest first
+ */
+router.get("/events/:id/versions", requireAdminAuth, async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (Number.isNaN(eventId)) {
+    return res.status(400).json({ success: false, message: "Invalid event ID" });
+  }
+
+  try {
+    res.json({ success: true, data: await eventVersions.list(eventId) });
+  } catch (error) {
+    sendVersionError(res, error, "Failed to fetch event versions");
+  }
+});
+
+/**
+ * GET /api/admin/events/:id/versions/:versionNo
+ * One version and its changes against the previous one (or ?compareTo=)
+ */
+router.get("/events/:id/versions/:versionNo", requireAdminAuth, async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  const versionNo = parseInt(req.params.versionNo);
+  const compareTo =
+    req.query.compareTo !== undefined ? parseInt(req.query.compareTo) : versionNo - 1;
+  if (Number.isNaN(eventId) || Number.isNaN(versionNo) || Number.isNaN(compareTo)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid event ID or version number" });
+  }
+
+  try {
+    const result = await eventVersions.get(eventId, versionNo, compareTo);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Version not found" });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendVersionError(res, error, "Failed to fetch event version");
+  }
+});
+
+/**
+ * POST /api/admin/events/:id/versions/:versionNo/rollback
+ * Restore an old version (saved as a new version) and reload events
+ */
+router.post(
+  "/events/:id/versions/:versionNo/rollback",
+  requireAdminAuth,
+  requireRole("operator"),
+  async (req, res) => {
+    const eventId = parseInt(req.params.id);
+    const versionNo = parseInt(req.params.versionNo);
+    if (Number.isNaN(eventId) || Number.isNaN(versionNo)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid event ID or version number" });
+    }
+
+    try {
+      const result = await eventVersions.rollback(eventId, versionNo, req);
+      if (!result) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Event or version not found" });
+      }
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+      const eventManager = req.app.get("eventManager");
+      await eventManager.reload();
+      res.json({
+        success: true,
+        message: `Event rolled back to version ${versionNo}`,
+        data: result,
+      });
+    } catch (error) {
+      if (error.message.includes("unique constraint")) {
+        return res.status(409).json({
+          success: false,
+          message: "The event name of that version is now used by another event",
+        });
+      }
+      sendVersionError(res, error, "Failed to roll back event");
+    }
+  }
+);
+
 // ==========================================
 // ALLOWED ORIGINS MANAGEMENT
 // ==========================================
@@ -509,7 +805,7 @@ router.get("/origins", requireAdminAuth, (req, res) => {
  * POST /api/admin/origins
  * Add a new allowed origin
  */
-router.post("/origins", requireAdminAuth, (req, res) => {
+router.post("/origins", requireAdminAuth, requireRole("admin"), async (req, res) => {
   try {
     const { origin } = req.body;
 
@@ -542,6 +838,7 @@ router.post("/origins", requireAdminAuth, (req, res) => {
       });
     }
 
+    const before = { ALLOWED_ORIGINS: [...origins] };
     origins.push(trimmedOrigin);
 
     if (!writeAllowedOrigins(origins)) {
@@ -551,6 +848,14 @@ router.post("/origins", requireAdminAuth, (req, res) => {
       });
     }
 
+    await auditLog.record(null, req, {
+      action: "create",
+      entityType: "origin",
+      entityName: trimmedOrigin,
+      before,
+      after: { ALLOWED_ORIGINS: origins },
+    });
+
     res.status(201).json({
       success: true,
       message: "Origin added. Restart server to apply changes.",
@@ -569,7 +874,7 @@ router.post("/origins", requireAdminAuth, (req, res) => {
  * DELETE /api/admin/origins/:origin
  * Remove an allowed origin (URL-encoded)
  */
-router.delete("/origins/:origin", requireAdminAuth, (req, res) => {
+router.delete("/origins/:origin", requireAdminAuth, requireRole("admin"), async (req, res) => {
   try {
     const originToRemove = decodeURIComponent(req.params.origin);
     const origins = readAllowedOrigins();
@@ -591,6 +896,7 @@ router.delete("/origins/:origin", requireAdminAuth, (req, res) => {
       });
     }
 
+    const before = { ALLOWED_ORIGINS: [...origins] };
     origins.splice(index, 1);
 
     if (!writeAllowedOrigins(origins)) {
@@ -600,6 +906,14 @@ router.delete("/origins/:origin", requireAdminAuth, (req, res) => {
       });
     }
 
+    await auditLog.record(null, req, {
+      action: "delete",
+      entityType: "origin",
+      entityName: originToRemove,
+      before,
+      after: { ALLOWED_ORIGINS: origins },
+    });
+
     res.json({
       success: true,
       message: "Origin removed. Restart server to apply changes.",
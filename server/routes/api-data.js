@@ -0,0 +1,116 @@
+const express = require("express");
+const crypto = require("crypto");
+const { authenticateApp } = require("../middleware/auth");
+const AppRegistry = require("../services/appRegistry");
+const { isChannelGranted } = require("../utils/channelGrants");
+const { cachedStatePayload } = require("../utils/appDataRules");
+const { requestIp } = require("../utils/appPolicy");
+
+const router = express.Router();
+
+// Registered apps only (X-App-Id + X-App-Secret, or Bearer app token)
+router.use(authenticateApp);
+
+/**
+ * GET /api/data/:channel
+ * Latest cached result of the event publishing on a channel, as sent for
+ * REQUEST_INITIAL_STATE. Served from memory, never from Oracle: only an
+ * event without a cache yet is run once.
+ *
+ * ETag changes with the data (cache hash) and Last-Modified is the time it
+ * last changed; If-None-Match / If-Modified-Since get 304 when nothing did.
+ * Age is the number of seconds since the query last ran. Reads keep the
+ * event awake like a subscriber (EventManager.recordPull).
+ * Parameterized events take their parameter values from the query string.
+ */
+router.get("/:channel", async (req, res) => {
+  const eventManager = req.app.get("eventManager");
+  if (!eventManager) {
+    return res.status(503).json({ success: false, message: "Server is starting" });
+  }
+
+  const appRegistry = AppRegistry.getInstance();
+  const channel = req.params.channel.trim().toUpperCase();
+
+  // Channel authorization: exact names, globs and deny entries (null = unrestricted)
+  if (!isChannelGranted(req.user.channels, channel)) {
+    console.warn(`⚠️  App "${req.user.appName}" not authorized for channel "${channel}" (GET /api/data)`);
+    return res.status(403).json({
+      success: false,
+      message: `App not authorized for channel ${channel}`,
+    });
+  }
+
+  const entry = eventManager.findEventByChannel(channel);
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: `No event publishes on channel ${channel}`,
+    });
+  }
+
+  const [eventId, eventData] = entry;
+  const params = eventData.config.parameters ? req.query : null;
+  const { error } = eventManager.getInstance(eventData, params);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  // Same per-app budget as REQUEST_INITIAL_STATE, per client address
+  try {
+    if (!(await appRegistry.consumeInitialStateRequest(req, `http:${requestIp(req)}`))) {
+      return res.status(429).json({
+        success: false,
+        message: "Initial state request limit exceeded for this app",
+      });
+    }
+  } catch (err) {
+    console.error("Error checking data request limit:", err.message);
+    return res.status(500).json({ success: false, message: "Failed to fetch data" });
+  }
+
+  // Polling counts as demand: the event keeps running while it is read. A
+  // sleeping event (or idle parameter set) is queried now instead of serving
+  // a result nobody has refreshed since.
+  const stale = eventManager.recordPull(eventId, params);
+  let cached = eventManager.getCachedData(eventId, params);
+  if (!cached || stale) {
+    console.warn(
+      `⚠️  ${cached ? "Stale" : "No"} cache for "${eventData.config.eventName}", triggering immediate query...`
+    );
+    await eventManager.triggerEventByName(eventData.config.eventName, params);
+    cached = eventManager.getCachedData(eventId, params);
+  }
+  if (!cached) {
+    res.set("Retry-After", "10");
+    return res.status(503).json({
+      success: false,
+      message: "No data available yet for this channel",
+    });
+  }
+
+  // Apps with column rules or row filters get their own copy, and their own ETag
+  const payload = cachedStatePayload(cached, appRegistry.getDataRules(req, channel));
+  const hash =
+    payload.data === cached.data
+      ? cached.hash
+      : crypto.createHash("md5").update(JSON.stringify(payload.data)).digest("hex");
+
+  // Weak: cacheAge in the body changes between identical versions.
+  // Age: seconds since the query last ran (a failed refresh leaves it growing)
+  const checkedAt = cached.checkedAt || cached.timestamp;
+  res.set({
+    ETag: `W/"${hash}"`,
+    "Last-Modified": cached.timestamp.toUTCString(),
+    Age: String(Math.max(0, Math.floor((Date.now() - checkedAt.getTime()) / 1000))),
+    "Cache-Control": "private, no-cache",
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.json({ success: true, data: payload });
+});
+
+module.exports = router;
@@ -1,9 +1,19 @@
 const express = require("express");
-const { requireAdminAuth } = require("../middleware/adminAuth");
+const { requireAdminAuth, requireRole } = require("../middleware/adminAuth");
 const { getPool, oracledb } = require("../config/db");
+const AuditLog = require("../services/auditLog");
+const EventVersions = require("../services/eventVersions");
+const { parseEventOptions } = require("../utils/eventOptions");
+const { checkPublishTopic } = require("../utils/mqttTopics");
+const {
+  parseParameterDefinitions,
+  sampleBinds,
+} = require("../utils/eventParams");
 const router = express.Router();
+const auditLog = AuditLog.getInstance();
+const eventVersions = EventVersions.getInstance();
 
-// All event routes require admin authentication
+// All event routes require admin authentication (changes need operator)
 router.use(requireAdminAuth);
 
 /**
@@ -69,10 +79,10 @@ function suggestInterval(executionTimeMs) {
  * POST /api/events/test-query
  * Test a SQL query before saving
  */
-router.post("/test-query", testQueryHandler);
+router.post("/test-query", requireRole("operator"), testQueryHandler);
 
 async function testQueryHandler(req, res) {
-  const { sql } = req.body;
+  const { sql, parameters } = req.body;
 
   if (!sql) {
     return res.status(400).json({
@@ -90,6 +100,15 @@ async function testQueryHandler(req, res) {
     });
   }
 
+  // Parameterized queries run with sample values (default or first allowed)
+  const definitions = parseParameterDefinitions(parameters);
+  if (!definitions.valid) {
+    return res.status(400).json({
+      success: false,
+      message: definitions.message,
+    });
+  }
+
   const pool = getPool();
   let connection;
   const startTime = Date.now();
@@ -98,7 +117,7 @@ async function testQueryHandler(req, res) {
     connection = await pool.getConnection();
 
     // Execute query with timeout
-    const result = await connection.execute(sql, [], {
+    const result = await connection.execute(sql, sampleBinds(definitions.definitions), {
       outFormat: oracledb.OUT_FORMAT_OBJECT,
       maxRows: 10000, // Limit for safety
       fetchArraySize: 100,
@@ -175,6 +194,15 @@ router.get("/", async (req, res) => {
         EVENT_NAME,
         SQL_QUERY,
         INTERVAL_SECONDS,
+        KEY_COLUMN,
+        PARAMETERS,
+        CRON_EXPRESSION,
+        ACTIVE_WINDOWS,
+        TIMEOUT_SECONDS,
+        MQTT_PUBLISH_TOPIC,
+        MQTT_PUBLISH_QOS,
+        MQTT_PUBLISH_RETAIN,
+        MQTT_PUBLISH_MODE,
         IS_ACTIVE,
         LAST_EXECUTION_TIME,
         LAST_EXECUTION_STATUS,
@@ -291,7 +319,7 @@ router.get("/:id", async (req, res) => {
  * POST /api/events
  * Create new event
  */
-router.post("/", async (req, res) => {
+router.post("/", requireRole("operator"), async (req, res) => {
   const { eventName, sqlQuery, intervalSeconds } = req.body;
 
   // Validate input
@@ -318,27 +346,66 @@ router.post("/", async (req, res) => {
     });
   }
 
+  const options = parseEventOptions(req.body);
+  if (!options.valid) {
+    return res.status(400).json({
+      success: false,
+      message: options.message,
+    });
+  }
+
   const pool = getPool();
   let connection;
 
   try {
     connection = await pool.getConnection();
 
+    // The bridge would receive (and re-broadcast) the event's own results
+    const echo = await checkPublishTopic(connection, options.values.mqttPublishTopic);
+    if (echo) {
+      return res.status(400).json({ success: false, message: echo });
+    }
+
     const result = await connection.execute(
-      `INSERT INTO WS_EVENTS (EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, IS_ACTIVE)
-       VALUES (:eventName, :sqlQuery, :intervalSeconds, 1)
+      `INSERT INTO WS_EVENTS (EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, KEY_COLUMN, PARAMETERS,
+                              CRON_EXPRESSION, ACTIVE_WINDOWS, TIMEOUT_SECONDS,
+                              MQTT_PUBLISH_TOPIC, MQTT_PUBLISH_QOS, MQTT_PUBLISH_RETAIN,
+                              MQTT_PUBLISH_MODE, IS_ACTIVE)
+       VALUES (:eventName, :sqlQuery, :intervalSeconds, :keyColumn, :parameters,
+               :cronExpression, :activeWindows, :timeoutSeconds,
+               :mqttPublishTopic, :mqttPublishQos, :mqttPublishRetain,
+               :mqttPublishMode, 1)
        RETURNING EVENT_ID INTO :id`,
       {
         eventName: eventName,
         sqlQuery: sqlQuery,
         intervalSeconds: intervalSeconds,
+        keyColumn: options.values.keyColumn,
+        parameters: options.values.parameters,
+        cronExpression: options.values.cronExpression,
+        activeWindows: options.values.activeWindows,
+        timeoutSeconds: options.values.timeoutSeconds,
+        mqttPublishTopic: options.values.mqttPublishTopic,
+        mqttPublishQos: options.values.mqttPublishQos,
+        mqttPublishRetain: options.values.mqttPublishRetain,
+        mqttPublishMode: options.values.mqttPublishMode,
         id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
-      },
-      { autoCommit: true }
+      }
     );
 
     const newEventId = result.outBinds.id[0];
 
+    // The event and its first version are committed together
+    await eventVersions.record(connection, newEventId, req, "create");
+    await connection.commit();
+
+    await auditLog.record(connection, req, {
+      action: "create",
+      entityType: "event",
+      entityId: newEventId,
+      after: await auditLog.snapshot(connection, "event", newEventId),
+    });
+
     // Reload events in eventManager
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
@@ -377,7 +444,7 @@ router.post("/", async (req, res) => {
  * PUT /api/events/:id
  * Update event
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireRole("operator"), async (req, res) => {
   const eventId = parseInt(req.params.id);
   const { eventName, sqlQuery, intervalSeconds } = req.body;
 
@@ -404,26 +471,59 @@ router.put("/:id", async (req, res) => {
     });
   }
 
+  const options = parseEventOptions(req.body);
+  if (!options.valid) {
+    return res.status(400).json({
+      success: false,
+      message: options.message,
+    });
+  }
+
   const pool = getPool();
   let connection;
 
   try {
     connection = await pool.getConnection();
 
+    // The bridge would receive (and re-broadcast) the event's own results
+    const echo = await checkPublishTopic(connection, options.values.mqttPublishTopic);
+    if (echo) {
+      return res.status(400).json({ success: false, message: echo });
+    }
+
+    const before = await auditLog.snapshot(connection, "event", eventId);
+
     const result = await connection.execute(
       `UPDATE WS_EVENTS
        SET EVENT_NAME = :eventName,
            SQL_QUERY = :sqlQuery,
            INTERVAL_SECONDS = :intervalSeconds,
+           KEY_COLUMN = :keyColumn,
+           PARAMETERS = :parameters,
+           CRON_EXPRESSION = :cronExpression,
+           ACTIVE_WINDOWS = :activeWindows,
+           TIMEOUT_SECONDS = :timeoutSeconds,
+           MQTT_PUBLISH_TOPIC = :mqttPublishTopic,
+           MQTT_PUBLISH_QOS = :mqttPublishQos,
+           MQTT_PUBLISH_RETAIN = :mqttPublishRetain,
+           MQTT_PUBLISH_MODE = :mqttPublishMode,
            UPDATED_AT = CURRENT_TIMESTAMP
        WHERE EVENT_ID = :eventId`,
       {
         eventName: eventName,
         sqlQuery: sqlQuery,
         intervalSeconds: intervalSeconds,
+        keyColumn: options.values.keyColumn,
+        parameters: options.values.parameters,
+        cronExpression: options.values.cronExpression,
+        activeWindows: options.values.activeWindows,
+        timeoutSeconds: options.values.timeoutSeconds,
+        mqttPublishTopic: options.values.mqttPublishTopic,
+        mqttPublishQos: options.values.mqttPublishQos,
+        mqttPublishRetain: options.values.mqttPublishRetain,
+        mqttPublishMode: options.values.mqttPublishMode,
         eventId: eventId,
-      },
-      { autoCommit: true }
+      }
     );
 
     if (result.rowsAffected === 0) {
@@ -433,6 +533,18 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    // The edit and its version are committed together
+    await eventVersions.record(connection, eventId, req, "update");
+    await connection.commit();
+
+    await auditLog.record(connection, req, {
+      action: "update",
+      entityType: "event",
+      entityId: eventId,
+      before,
+      after: await auditLog.snapshot(connection, "event", eventId),
+    });
+
     // Reload events in eventManager
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
@@ -468,7 +580,7 @@ router.put("/:id", async (req, res) => {
  * DELETE /api/events/:id
  * Delete event
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("operator"), async (req, res) => {
   const eventId = parseInt(req.params.id);
   const pool = getPool();
   let connection;
@@ -476,6 +588,8 @@ router.delete("/:id", async (req, res) => {
   try {
     connection = await pool.getConnection();
 
+    const before = await auditLog.snapshot(connection, "event", eventId);
+
     const result = await connection.execute(
       `DELETE FROM WS_EVENTS WHERE EVENT_ID = :eventId`,
       { eventId: eventId },
@@ -489,10 +603,20 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    await auditLog.record(connection, req, {
+      action: "delete",
+      entityType: "event",
+      entityId: eventId,
+      before,
+    });
+
     // Reload events in eventManager
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
 
+    // Buffered executions would fail the foreign key to the deleted event
+    req.app.get("executionHistory").forgetEvent(eventId);
+
     res.json({
       success: true,
       message: "Event deleted successfully",
@@ -516,7 +640,7 @@ router.delete("/:id", async (req, res) => {
  * PATCH /api/events/:id/toggle
  * Toggle event active status
  */
-router.patch("/:id/toggle", async (req, res) => {
+router.patch("/:id/toggle", requireRole("operator"), async (req, res) => {
   const eventId = parseInt(req.params.id);
   const pool = getPool();
   let connection;
@@ -524,6 +648,8 @@ router.patch("/:id/toggle", async (req, res) => {
   try {
     connection = await pool.getConnection();
 
+    const before = await auditLog.snapshot(connection, "event", eventId);
+
     // Toggle IS_ACTIVE
     const result = await connection.execute(
       `UPDATE WS_EVENTS
@@ -547,6 +673,14 @@ router.patch("/:id/toggle", async (req, res) => {
 
     const newStatus = result.outBinds.newStatus[0];
 
+    await auditLog.record(connection, req, {
+      action: "toggle",
+      entityType: "event",
+      entityId: eventId,
+      before,
+      after: await auditLog.snapshot(connection, "event", eventId),
+    });
+
     // Reload events in eventManager
     const eventManager = req.app.get("eventManager");
     await eventManager.reload();
@@ -575,4 +709,141 @@ router.patch("/:id/toggle", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/events/:id/versions
+ * Saved versions of an event definition, newest first
+ */
+router.get("/:id/versions", async (req, res) => {
+  const eventId = parseInt(req.params.id);
+
+  if (Number.isNaN(eventId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid event ID",
+    });
+  }
+
+  try {
+    const versions = await eventVersions.list(eventId);
+
+    res.json({
+      success: true,
+      data: versions,
+    });
+  } catch (error) {
+    console.error("Error fetching event versions:", error.message);
+    sendVersionError(res, error, "Failed to fetch event versions");
+  }
+});
+
+/**
+ * GET /api/events/:id/versions/:versionNo
+ * One version and its changes against the previous version
+ * (or ?compareTo=<versionNo>), with a line diff of the SQL
+ */
+router.get("/:id/versions/:versionNo", async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  const versionNo = parseInt(req.params.versionNo);
+  const compareTo =
+    req.query.compareTo !== undefined ? parseInt(req.query.compareTo) : versionNo - 1;
+
+  if (Number.isNaN(eventId) || Number.isNaN(versionNo) || Number.isNaN(compareTo)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid event ID or version number",
+    });
+  }
+
+  try {
+    const result = await eventVersions.get(eventId, versionNo, compareTo);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Version not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error fetching event version:", error.message);
+    sendVersionError(res, error, "Failed to fetch event version");
+  }
+});
+
+/**
+ * POST /api/events/:id/versions/:versionNo/rollback
+ * Restore an old definition (saved as a new version) and reload events
+ */
+router.post("/:id/versions/:versionNo/rollback", requireRole("operator"), async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  const versionNo = parseInt(req.params.versionNo);
+
+  if (Number.isNaN(eventId) || Number.isNaN(versionNo)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid event ID or version number",
+    });
+  }
+
+  try {
+    const result = await eventVersions.rollback(eventId, versionNo, req);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Event or version not found",
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    // Reload events in eventManager
+    const eventManager = req.app.get("eventManager");
+    await eventManager.reload();
+
+    res.json({
+      success: true,
+      message: `Event rolled back to version ${versionNo}`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error rolling back event:", error.message);
+
+    if (error.message.includes("unique constraint")) {
+      return res.status(409).json({
+        success: false,
+        message: "The event name of that version is now used by another event",
+      });
+    }
+
+    sendVersionError(res, error, "Failed to roll back event");
+  }
+});
+
+/**
+ * Friendly error for the missing table (migration 011 not applied)
+ */
+function sendVersionError(res, error, message) {
+  if (String(error.message).includes("ORA-00942")) {
+    return res.status(503).json({
+      success: false,
+      message: "Event versions table not found (run migration 011)",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+  });
+}
+
 module.exports = router;
@@ -1,7 +1,13 @@
 const express = require("express");
-const { requireAdminAuth } = require("../middleware/adminAuth");
+const { requireAdminAuth, requireRole } = require("../middleware/adminAuth");
 const { getPoolStats } = require("../config/db");
+const AuditLog = require("../services/auditLog");
+const ExecutionHistory = require("../services/executionHistory");
+const { checkReadiness } = require("../services/healthCheck");
+const { describeSocket, describeStream } = require("../utils/socketStats");
+const StreamHub = require("../services/streamHub");
 const router = express.Router();
+const auditLog = AuditLog.getInstance();
 
 // All monitoring routes require admin authentication
 router.use(requireAdminAuth);
@@ -16,9 +22,18 @@ router.get("/stats", (req, res) => {
     const eventManager = req.app.get("eventManager");
 
     // WebSocket stats
+    // Channel rooms only (every socket also has a private room named after its id)
+    const channelRooms = [...io.sockets.adapter.rooms.entries()].filter(
+      ([room]) => !io.sockets.sockets.has(room),
+    );
+
     const socketStats = {
       connectedClients: io.engine.clientsCount,
-      rooms: Object.keys(io.sockets.adapter.rooms).length,
+      sseStreams: StreamHub.getInstance().size,
+      rooms: channelRooms.length,
+      subscriptions: Object.fromEntries(
+        channelRooms.map(([room, members]) => [room, members.size]),
+      ),
     };
 
     // Database pool stats
@@ -63,6 +78,7 @@ router.get("/stats", (req, res) => {
         websocket: socketStats,
         database: dbPoolStats,
         events: eventStats,
+        executionHistory: req.app.get("executionHistory").getStats(),
         system: systemStats,
         timestamp: new Date().toISOString(),
       },
@@ -129,15 +145,190 @@ router.get("/events/:id", (req, res) => {
 });
 
 /**
- * GET /api/monitoring/health
- * Health check endpoint (basic, no auth required)
+ * GET /api/monitoring/events/:id/history?window=24h
+ * Latency percentiles (p50/p95/p99) and error rate from WS_EVENT_EXECUTIONS,
+ * with the preceding window of the same length for comparison
  */
-router.get("/health", (req, res) => {
+router.get("/events/:id/history", async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  const windowKey = req.query.window || "24h";
+  const executionHistory = req.app.get("executionHistory");
+
+  if (Number.isNaN(eventId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid event ID",
+    });
+  }
+
+  if (!ExecutionHistory.WINDOWS.includes(windowKey)) {
+    return res.status(400).json({
+      success: false,
+      message: `window must be one of: ${ExecutionHistory.WINDOWS.join(", ")}`,
+    });
+  }
+
+  try {
+    const history = await executionHistory.getHistory(eventId, windowKey);
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    console.error("Error fetching event history:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch event history",
+    });
+  }
+});
+
+/**
+ * GET /api/monitoring/sockets
+ * Every connected socket and SSE stream: auth type, app, IP, user agent,
+ * transport, subscribed channels and traffic counters. Oldest connection first.
+ * Query: appName, authType (registered-app | jwt | api-key | sse)
+ */
+router.get("/sockets", (req, res) => {
+  try {
+    const io = req.app.get("io");
+    const { appName, authType } = req.query;
+
+    const sockets = [
+      ...[...io.sockets.sockets.values()].map(describeSocket),
+      ...[...StreamHub.getInstance().values()].map(describeStream),
+    ]
+      .filter((socket) => !appName || socket.appName === String(appName).toUpperCase())
+      .filter((socket) => !authType || socket.authType === authType)
+      .sort((a, b) => new Date(a.connectedAt) - new Date(b.connectedAt));
+
+    res.json({
+      success: true,
+      data: sockets,
+      total: sockets.length,
+    });
+  } catch (error) {
+    console.error("Error listing sockets:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list sockets",
+    });
+  }
+});
+
+/**
+ * DELETE /api/monitoring/sockets/:id
+ * Force-disconnect one socket or SSE stream (the client may reconnect)
+ */
+router.delete("/sockets/:id", requireRole("operator"), async (req, res) => {
+  const io = req.app.get("io");
+  const socket = io.sockets.sockets.get(req.params.id);
+  const stream = socket ? null : StreamHub.getInstance().get(req.params.id);
+
+  if (!socket && !stream) {
+    return res.status(404).json({
+      success: false,
+      message: "Socket not found",
+    });
+  }
+
+  const info = socket ? describeSocket(socket) : describeStream(stream);
+  if (socket) {
+    disconnectSocket(socket);
+  } else {
+    disconnectStream(stream);
+  }
+
+  await auditLog.record(null, req, {
+    action: "disconnect",
+    entityType: "socket",
+    entityId: info.id,
+    entityName: info.appName || info.userId || info.authType,
+    before: { AUTH_TYPE: info.authType, IP: info.ip, USER_AGENT: info.userAgent },
+  });
+
+  res.json({
+    success: true,
+    message: "Socket disconnected",
+    data: { disconnected: 1 },
+  });
+});
+
+/**
+ * DELETE /api/monitoring/sockets?appName=ETERNAL
+ * Force-disconnect every socket and SSE stream of a registered app
+ */
+router.delete("/sockets", requireRole("operator"), async (req, res) => {
+  const appName = req.query.appName ? String(req.query.appName).toUpperCase() : null;
+
+  if (!appName) {
+    return res.status(400).json({
+      success: false,
+      message: "appName query parameter is required",
+    });
+  }
+
+  const io = req.app.get("io");
+  const ofApp = (client) => client.user?.type === "registered-app" && client.user.appName === appName;
+  const sockets = [...io.sockets.sockets.values()].filter(ofApp);
+  const streams = [...StreamHub.getInstance().values()].filter(ofApp);
+
+  for (const socket of sockets) {
+    disconnectSocket(socket);
+  }
+  for (const stream of streams) {
+    disconnectStream(stream);
+  }
+
+  const disconnected = sockets.length + streams.length;
+
+  await auditLog.record(null, req, {
+    action: "disconnect",
+    entityType: "socket",
+    entityName: appName,
+    before: { APP_NAME: appName, SOCKETS: sockets.length, SSE_STREAMS: streams.length },
+  });
+
   res.json({
-    status: "ok",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
+    success: true,
+    message: `Disconnected ${disconnected} socket(s) of ${appName}`,
+    data: { disconnected },
   });
 });
 
+/**
+ * Helper: Tell the client why, then close the connection
+ */
+function disconnectSocket(socket) {
+  console.warn(`🔌 Socket ${socket.id} disconnected by administrator`);
+  socket.emit("error", { message: "Disconnected by administrator" });
+  socket.disconnect(true);
+}
+
+/**
+ * Helper: Close an SSE stream (EventSource reconnects after its retry delay)
+ */
+function disconnectStream(stream) {
+  console.warn(`🔌 SSE stream ${stream.id} disconnected by administrator`);
+  stream.disconnect();
+}
+
+/**
+ * GET /api/monitoring/health
+ * Readiness detail per component (same checks as /health/ready)
+ */
+router.get("/health", async (req, res) => {
+  try {
+    const { ready, body } = await checkReadiness(req.app);
+    res.status(ready ? 200 : 503).json(body);
+  } catch (error) {
+    console.error("Error running health checks:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run health checks",
+    });
+  }
+});
+
 module.exports = router;
@@ -1,9 +1,13 @@
 const express = require("express");
-const { requireAdminAuth } = require("../middleware/adminAuth");
+const { requireAdminAuth, requireRole } = require("../middleware/adminAuth");
 const { getPool, oracledb } = require("../config/db");
+const AuditLog = require("../services/auditLog");
+const { loadSubscriptionTopics, checkSubscriptionTopics } = require("../utils/mqttTopics");
 
 const router = express.Router();
+const auditLog = AuditLog.getInstance();
 
+// Viewers can read topics and status; changes need operator
 router.use(requireAdminAuth);
 
 async function reloadBridge(req) {
@@ -83,7 +87,7 @@ router.get("/topics", async (req, res) => {
  * Add a new topic subscription
  * Body: { topicFilter, description? }
  */
-router.post("/topics", async (req, res) => {
+router.post("/topics", requireRole("operator"), async (req, res) => {
   const { topicFilter, description } = req.body;
 
   if (!topicFilter || typeof topicFilter !== "string" || !topicFilter.trim()) {
@@ -105,6 +109,17 @@ router.post("/topics", async (req, res) => {
   let connection;
   try {
     connection = await pool.getConnection();
+
+    // The bridge would receive (and re-broadcast) an event's published results
+    const topics = await loadSubscriptionTopics(connection);
+    const echo = await checkSubscriptionTopics(connection, topics, [
+      ...topics,
+      { topicFilter: filter, isActive: true },
+    ]);
+    if (echo) {
+      return res.status(400).json({ success: false, message: echo });
+    }
+
     const result = await connection.execute(
       `INSERT INTO WS_MQTT_TOPICS (TOPIC_FILTER, DESCRIPTION)
        VALUES (:filter, :description)
@@ -117,6 +132,13 @@ router.post("/topics", async (req, res) => {
       { autoCommit: true }
     );
 
+    await auditLog.record(connection, req, {
+      action: "create",
+      entityType: "mqtt-topic",
+      entityId: result.outBinds.id[0],
+      after: await auditLog.snapshot(connection, "mqtt-topic", result.outBinds.id[0]),
+    });
+
     await reloadBridge(req);
 
     res.status(201).json({
@@ -150,7 +172,7 @@ router.post("/topics", async (req, res) => {
  * PATCH /api/mqtt/topics/:id/toggle
  * Flip IS_ACTIVE for a topic and reload subscriptions
  */
-router.patch("/topics/:id/toggle", async (req, res) => {
+router.patch("/topics/:id/toggle", requireRole("operator"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!id) {
     return res
@@ -162,6 +184,20 @@ router.patch("/topics/:id/toggle", async (req, res) => {
   let connection;
   try {
     connection = await pool.getConnection();
+
+    // Activating a filter, or deactivating the last one (fallback filter),
+    // must not subscribe the bridge to an event's published results
+    const topics = await loadSubscriptionTopics(connection);
+    const echo = await checkSubscriptionTopics(
+      connection,
+      topics,
+      topics.map((topic) => (topic.topicId === id ? { ...topic, isActive: !topic.isActive } : topic))
+    );
+    if (echo) {
+      return res.status(400).json({ success: false, message: echo });
+    }
+
+    const before = await auditLog.snapshot(connection, "mqtt-topic", id);
     const result = await connection.execute(
       `UPDATE WS_MQTT_TOPICS
           SET IS_ACTIVE = CASE WHEN IS_ACTIVE = 1 THEN 0 ELSE 1 END,
@@ -177,6 +213,14 @@ router.patch("/topics/:id/toggle", async (req, res) => {
         .json({ success: false, message: "Topic not found" });
     }
 
+    await auditLog.record(connection, req, {
+      action: "toggle",
+      entityType: "mqtt-topic",
+      entityId: id,
+      before,
+      after: await auditLog.snapshot(connection, "mqtt-topic", id),
+    });
+
     await reloadBridge(req);
 
     res.json({ success: true });
@@ -198,7 +242,7 @@ router.patch("/topics/:id/toggle", async (req, res) => {
  * DELETE /api/mqtt/topics/:id
  * Remove a topic from the registry
  */
-router.delete("/topics/:id", async (req, res) => {
+router.delete("/topics/:id", requireRole("operator"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!id) {
     return res
@@ -210,6 +254,19 @@ router.delete("/topics/:id", async (req, res) => {
   let connection;
   try {
     connection = await pool.getConnection();
+
+    // Deleting the last active filter subscribes the bridge to the fallback filter
+    const topics = await loadSubscriptionTopics(connection);
+    const echo = await checkSubscriptionTopics(
+      connection,
+      topics,
+      topics.filter((topic) => topic.topicId !== id)
+    );
+    if (echo) {
+      return res.status(400).json({ success: false, message: echo });
+    }
+
+    const before = await auditLog.snapshot(connection, "mqtt-topic", id);
     const result = await connection.execute(
       `DELETE FROM WS_MQTT_TOPICS WHERE TOPIC_ID = :id`,
       { id },
@@ -222,6 +279,13 @@ router.delete("/topics/:id", async (req, res) => {
         .json({ success: false, message: "Topic not found" });
     }
 
+    await auditLog.record(connection, req, {
+      action: "delete",
+      entityType: "mqtt-topic",
+      entityId: id,
+      before,
+    });
+
     await reloadBridge(req);
 
     res.json({ success: true });
@@ -243,7 +307,7 @@ router.delete("/topics/:id", async (req, res) => {
  * POST /api/mqtt/reload
  * Force the bridge to re-read WS_MQTT_TOPICS and re-subscribe
  */
-router.post("/reload", async (req, res) => {
+router.post("/reload", requireRole("operator"), async (req, res) => {
   const mqttBridge = req.app.get("mqttBridge");
   if (!mqttBridge) {
     return res
@@ -0,0 +1,195 @@
+const express = require("express");
+const { RateLimiterMemory } = require("rate-limiter-flexible");
+const { authenticateSocket } = require("../middleware/auth");
+const AppRegistry = require("../services/appRegistry");
+const StreamHub = require("../services/streamHub");
+const { isChannelGranted } = require("../utils/channelGrants");
+const { cachedStatePayload } = require("../utils/appDataRules");
+
+const router = express.Router();
+
+// Reconnect storms from one address (EventSource retries on its own)
+const connectLimiter = new RateLimiterMemory({
+  points: 5,
+  duration: 10,
+});
+
+/**
+ * GET /api/stream?channels=VESSEL_ALONGSIDE,MQTT_CHANNEL
+ * Server-Sent Events for clients without Socket.IO. Each message is an SSE
+ * event named after its channel, with the same JSON payload sockets receive.
+ *
+ * Auth (same credentials as Socket.IO):
+ * - Authorization: Bearer <app token or JWT>, or ?token= (EventSource cannot set headers)
+ * - X-App-Id + X-App-Secret headers
+ * - app_key header or ?apiKey=
+ *
+ * Query: channels (comma-separated), params (optional JSON object of
+ * parameter values per channel, for parameterized events)
+ */
+router.get("/", async (req, res) => {
+  const eventManager = req.app.get("eventManager");
+  if (!eventManager) {
+    return res.status(503).json({ success: false, message: "Server is starting" });
+  }
+
+  try {
+    await connectLimiter.consume(req.ip);
+  } catch (error) {
+    console.warn(`⚠️  SSE rate limit exceeded for IP: ${req.ip}`);
+    return res.status(429).json({ success: false, message: "Too many stream requests" });
+  }
+
+  const requested = parseStreamQuery(req.query);
+  if (requested.error) {
+    return res.status(400).json({ success: false, message: requested.error });
+  }
+
+  const hub = StreamHub.getInstance();
+  if (hub.isFull()) {
+    console.warn(`⚠️  Max SSE streams reached (${hub.maxStreams}). Rejecting stream.`);
+    return res.status(503).json({ success: false, message: "Server at capacity" });
+  }
+
+  const stream = hub.createStream(req, res);
+
+  authenticateSocket(stream, (error) => {
+    if (error) {
+      return res.status(401).json({ success: false, message: error.message });
+    }
+
+    openStream(stream, requested.channels, eventManager).catch((err) => {
+      console.error("Error opening SSE stream:", err.message);
+      stream.disconnect();
+    });
+  });
+});
+
+/**
+ * Subscribe an authenticated stream and replay cached event data
+ */
+async function openStream(stream, channels, eventManager) {
+  const hub = StreamHub.getInstance();
+  const appRegistry = AppRegistry.getInstance();
+  const res = stream.res;
+
+  const targets = [];
+  const rejected = [];
+  const invalid = [];
+
+  for (const { channel, params } of channels) {
+    // Channel authorization: exact names, globs and deny entries (null = unrestricted)
+    if (!isChannelGranted(stream.user?.channels, channel)) {
+      rejected.push(channel);
+      continue;
+    }
+
+    const target = eventManager.resolveSubscription(channel, params);
+    if (target.error) {
+      invalid.push({ channel, message: target.error });
+      continue;
+    }
+    targets.push({ channel, ...target });
+  }
+
+  if (targets.length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: "None of the requested channels can be streamed",
+      data: { rejected, invalid },
+    });
+  }
+
+  // Client went away while credentials were being checked
+  if (res.destroyed) return;
+
+  stream.open();
+  hub.add(stream);
+  for (const target of targets) {
+    stream.join(target.room);
+  }
+
+  const identity = stream.user?.appName || stream.user?.userId || stream.user?.type || "unknown";
+  console.log(
+    "📡 SSE stream opened:",
+    stream.id,
+    `| App: ${identity}`,
+    `| Channels: [${targets.map((target) => target.channel).join(",")}]`,
+    `| Streams: ${hub.size}`,
+  );
+
+  res.on("close", () => {
+    hub.remove(stream);
+    console.log("📴 SSE stream closed:", stream.id, `| Streams: ${hub.size}`);
+  });
+
+  stream.emit("SUBSCRIBED", {
+    subscribed: targets.map((target) =>
+      target.params ? { channel: target.channel, params: target.params } : target.channel
+    ),
+    rejected,
+    invalid,
+  });
+
+  // Start consumers from the current data, as REQUEST_INITIAL_STATE does for sockets
+  for (const target of targets) {
+    if (stream.closed) return;
+
+    const entry = eventManager.findEventByChannel(target.channel);
+    if (!entry) continue; // MQTT channel: nothing cached
+
+    const eventName = entry[1].config.eventName;
+    const cached = eventManager.getCachedDataByName(eventName, target.params);
+    if (cached) {
+      stream.emit(target.channel, cachedStatePayload(cached, appRegistry.getDataRules(stream, target.channel)));
+    } else {
+      // The result is broadcast to the room, which now includes this stream
+      await eventManager.triggerEventByName(eventName, target.params);
+    }
+  }
+}
+
+/**
+ * Channels and parameter values from the query string
+ * @returns {{ channels?: Array<{ channel: string, params: Object|null }>, error?: string }}
+ */
+function parseStreamQuery(query) {
+  const raw = Array.isArray(query.channels) ? query.channels.join(",") : String(query.channels || "");
+  const names = [
+    ...new Set(
+      raw
+        .split(",")
+        .map((name) => name.trim().toUpperCase())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (names.length === 0) {
+    return { error: "channels query parameter required (e.g. ?channels=VESSEL_ALONGSIDE)" };
+  }
+
+  let params = {};
+  if (query.params) {
+    try {
+      params = JSON.parse(String(query.params));
+    } catch (error) {
+      params = null;
+    }
+    if (!params || typeof params !== "object" || Array.isArray(params)) {
+      return { error: 'params must be a JSON object keyed by channel (e.g. {"VESSEL_BY_BERTH":{"BERTH":"B1"}})' };
+    }
+  }
+
+  const byChannel = Object.fromEntries(
+    Object.entries(params).map(([channel, values]) => [channel.trim().toUpperCase(), values])
+  );
+
+  return {
+    channels: names.map((channel) => ({
+      channel,
+      params: byChannel[channel] && typeof byChannel[channel] === "object" ? byChannel[channel] : null,
+    })),
+  };
+}
+
+module.exports = router;
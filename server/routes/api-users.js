@@ -0,0 +1,390 @@
+const express = require("express");
+const {
+  ROLES,
+  requireAdminAuth,
+  requireRole,
+  revokeAdminTokens,
+} = require("../middleware/adminAuth");
+const { getPool, oracledb } = require("../config/db");
+const { hashPassword, validatePassword } = require("../utils/password");
+const AuditLog = require("../services/auditLog");
+const router = express.Router();
+const auditLog = AuditLog.getInstance();
+
+// Managing admin accounts requires the admin role
+router.use(requireAdminAuth, requireRole("admin"));
+
+/**
+ * Validate username format (stored lower-case)
+ */
+function normalizeUsername(username) {
+  if (typeof username !== "string") return null;
+  const value = username.trim().toLowerCase();
+  return /^[a-z0-9._@-]{3,50}$/.test(value) ? value : null;
+}
+
+/**
+ * Would removing admin rights from this user leave no active admin?
+ */
+async function isLastActiveAdmin(connection, userId) {
+  const result = await connection.execute(
+    `SELECT COUNT(*) AS TOTAL
+     FROM WS_ADMIN_USERS
+     WHERE ROLE = 'admin' AND IS_ACTIVE = 1 AND USER_ID != :userId`,
+    { userId },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return result.rows[0].TOTAL === 0;
+}
+
+/**
+ * GET /api/users
+ * List admin accounts (password hashes are never returned)
+ */
+router.get("/", async (req, res) => {
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const result = await connection.execute(
+      `SELECT USER_ID, USERNAME, ROLE, IS_ACTIVE, LAST_LOGIN_AT, CREATED_AT, UPDATED_AT
+       FROM WS_ADMIN_USERS
+       ORDER BY USERNAME`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      roles: ROLES,
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch users",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * POST /api/users
+ * Create an admin account
+ * Body: { username, password, role }
+ */
+router.post("/", async (req, res) => {
+  const { password, role } = req.body;
+  const username = normalizeUsername(req.body.username);
+
+  if (!username) {
+    return res.status(400).json({
+      success: false,
+      message:
+        "username must be 3-50 characters (letters, digits, '.', '_', '@', '-')",
+    });
+  }
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `role must be one of: ${ROLES.join(", ")}`,
+    });
+  }
+
+  const passwordCheck = validatePassword(password);
+  if (!passwordCheck.valid) {
+    return res.status(400).json({
+      success: false,
+      message: passwordCheck.message,
+    });
+  }
+
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    // The first account replaces the .env login, so it has to be an admin
+    if (role !== "admin") {
+      const countResult = await connection.execute(
+        `SELECT COUNT(*) AS TOTAL FROM WS_ADMIN_USERS`,
+        [],
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      if (countResult.rows[0].TOTAL === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "The first user must be an admin (it replaces the .env login)",
+        });
+      }
+    }
+
+    const result = await connection.execute(
+      `INSERT INTO WS_ADMIN_USERS (USERNAME, PASSWORD_HASH, ROLE, IS_ACTIVE)
+       VALUES (:username, :passwordHash, :role, 1)
+       RETURNING USER_ID INTO :id`,
+      {
+        username,
+        passwordHash: await hashPassword(password),
+        role,
+        id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+      },
+      { autoCommit: true }
+    );
+
+    await auditLog.record(connection, req, {
+      action: "create",
+      entityType: "user",
+      entityId: result.outBinds.id[0],
+      after: await auditLog.snapshot(connection, "user", result.outBinds.id[0]),
+    });
+
+    console.log(`👤 Admin user "${username}" (${role}) created by ${req.admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: "User created successfully",
+      data: {
+        userId: result.outBinds.id[0],
+        username,
+        role,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating user:", error.message);
+
+    if (error.message.includes("unique constraint")) {
+      return res.status(409).json({
+        success: false,
+        message: "Username already exists",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create user",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Update role, active flag and/or reset the password (all optional).
+ * The user's existing sessions are revoked.
+ * Body: { role?, isActive?, password? }
+ */
+router.put("/:id", async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { role, isActive, password } = req.body;
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `role must be one of: ${ROLES.join(", ")}`,
+    });
+  }
+
+  if (password !== undefined && password !== null && password !== "") {
+    const passwordCheck = validatePassword(password);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.message,
+      });
+    }
+  }
+
+  const demotes = (role !== undefined && role !== "admin") || isActive === false;
+
+  if (userId === req.admin.userId && demotes) {
+    return res.status(400).json({
+      success: false,
+      message: "You cannot change your own role or deactivate yourself",
+    });
+  }
+
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const existing = await connection.execute(
+      `SELECT USERNAME, ROLE, IS_ACTIVE FROM WS_ADMIN_USERS WHERE USER_ID = :userId`,
+      { userId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const user = existing.rows[0];
+    if (
+      user.ROLE === "admin" &&
+      user.IS_ACTIVE === 1 &&
+      demotes &&
+      (await isLastActiveAdmin(connection, userId))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one active admin is required",
+      });
+    }
+
+    const before = await auditLog.snapshot(connection, "user", userId);
+
+    await connection.execute(
+      `UPDATE WS_ADMIN_USERS
+       SET ROLE = :role,
+           IS_ACTIVE = :isActive,
+           PASSWORD_HASH = NVL(:passwordHash, PASSWORD_HASH),
+           UPDATED_AT = CURRENT_TIMESTAMP
+       WHERE USER_ID = :userId`,
+      {
+        role: role !== undefined ? role : user.ROLE,
+        isActive: isActive !== undefined ? (isActive ? 1 : 0) : user.IS_ACTIVE,
+        passwordHash: password ? await hashPassword(password) : null,
+        userId,
+      },
+      { autoCommit: true }
+    );
+
+    const after = await auditLog.snapshot(connection, "user", userId);
+    await auditLog.record(connection, req, {
+      action: "update",
+      entityType: "user",
+      entityId: userId,
+      before,
+      after: after && password ? { ...after, PASSWORD_RESET: true } : after,
+    });
+
+    // Tokens carry the role, so force a fresh login (but keep the caller's own session)
+    if (userId !== req.admin.userId) {
+      revokeAdminTokens(userId);
+    }
+
+    console.log(`👤 Admin user "${user.USERNAME}" updated by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating user:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update user",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Remove an admin account
+ */
+router.delete("/:id", async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (userId === req.admin.userId) {
+    return res.status(400).json({
+      success: false,
+      message: "You cannot delete your own account",
+    });
+  }
+
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const existing = await connection.execute(
+      `SELECT USERNAME, ROLE, IS_ACTIVE FROM WS_ADMIN_USERS WHERE USER_ID = :userId`,
+      { userId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const user = existing.rows[0];
+    if (
+      user.ROLE === "admin" &&
+      user.IS_ACTIVE === 1 &&
+      (await isLastActiveAdmin(connection, userId))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one active admin is required",
+      });
+    }
+
+    const before = await auditLog.snapshot(connection, "user", userId);
+
+    await connection.execute(
+      `DELETE FROM WS_ADMIN_USERS WHERE USER_ID = :userId`,
+      { userId },
+      { autoCommit: true }
+    );
+
+    await auditLog.record(connection, req, {
+      action: "delete",
+      entityType: "user",
+      entityId: userId,
+      before,
+    });
+
+    revokeAdminTokens(userId);
+
+    console.log(`👤 Admin user "${user.USERNAME}" deleted by ${req.admin.username}`);
+
+    res.json({
+      success: true,
+      message: "User removed successfully",
+    });
+  } catch (error) {
+    console.error("Error removing user:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove user",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+module.exports = router;
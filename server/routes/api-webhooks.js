@@ -0,0 +1,523 @@
+const express = require("express");
+const { requireAdminAuth, requireRole } = require("../middleware/adminAuth");
+const { getPool, oracledb } = require("../config/db");
+const AuditLog = require("../services/auditLog");
+const WebhookDispatcher = require("../services/webhookDispatcher");
+const { secretHint } = require("../utils/appSecret");
+
+const router = express.Router();
+const auditLog = AuditLog.getInstance();
+
+const CHANNEL_PATTERN = /^[^\s,|!]+$/;
+const DELIVERY_STATUSES = ["retrying", "success", "failed"];
+
+// Viewers can read webhooks and deliveries; test sends need operator, changes need admin
+router.use(requireAdminAuth);
+
+async function reloadWebhooks(req) {
+  try {
+    await WebhookDispatcher.getInstance().reload();
+
+    // Webhooks keep events awake: re-check sleep with the new targets
+    const eventManager = req.app.get("eventManager");
+    if (eventManager && eventManager.sleepModeEnabled) {
+      eventManager.checkSleepMode();
+    }
+  } catch (err) {
+    console.warn("[Webhooks] Reload after change failed:", err.message);
+  }
+}
+
+/**
+ * GET /api/webhooks/status
+ * Dispatcher queue and delivery counters
+ */
+router.get("/status", (req, res) => {
+  res.json({ success: true, data: WebhookDispatcher.getInstance().getStatus() });
+});
+
+/**
+ * GET /api/webhooks
+ * List all webhooks (secret hints only)
+ */
+router.get("/", async (req, res) => {
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const result = await connection.execute(
+      `SELECT w.WEBHOOK_ID, w.NAME, w.TARGET_URL, w.CHANNEL, w.TRIGGERS, w.SECRET_HINT,
+              w.DESCRIPTION, w.IS_ACTIVE, w.CREATED_AT, w.UPDATED_AT,
+              (SELECT MAX(d.CREATED_AT) FROM WS_WEBHOOK_DELIVERIES d
+                WHERE d.WEBHOOK_ID = w.WEBHOOK_ID) AS LAST_DELIVERY_AT,
+              (SELECT COUNT(*) FROM WS_WEBHOOK_DELIVERIES d
+                WHERE d.WEBHOOK_ID = w.WEBHOOK_ID AND d.STATUS = 'failed'
+                  AND d.CREATED_AT > SYSTIMESTAMP - INTERVAL '1' DAY) AS FAILED_24H
+       FROM WS_WEBHOOKS w
+       ORDER BY w.WEBHOOK_ID`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    console.error("Error fetching webhooks:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhooks",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook (auto-generates the signing secret)
+ *
+ * Body: { name: string, targetUrl: string, channel: string,
+ *         triggers?: "data"|"health"|"data,health", description?: string }
+ * - channel: event or MQTT channel name, or a glob (VESSEL_*, * for all)
+ */
+router.post("/", requireRole("admin"), async (req, res) => {
+  const parsed = parseWebhookBody(req.body);
+  if (!parsed.valid) {
+    return res.status(400).json({ success: false, message: parsed.message });
+  }
+
+  const signingSecret = WebhookDispatcher.generateSecret();
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const result = await connection.execute(
+      `INSERT INTO WS_WEBHOOKS (NAME, TARGET_URL, CHANNEL, TRIGGERS, SIGNING_SECRET,
+                                SECRET_HINT, DESCRIPTION, IS_ACTIVE)
+       VALUES (:name, :targetUrl, :channel, :triggers, :signingSecret,
+               :secretHint, :description, 1)
+       RETURNING WEBHOOK_ID INTO :id`,
+      {
+        ...parsed.values,
+        signingSecret,
+        secretHint: secretHint(signingSecret),
+        id: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+      },
+      { autoCommit: true }
+    );
+
+    const webhookId = result.outBinds.id[0];
+
+    await auditLog.record(connection, req, {
+      action: "create",
+      entityType: "webhook",
+      entityId: webhookId,
+      after: await auditLog.snapshot(connection, "webhook", webhookId),
+    });
+
+    await reloadWebhooks(req);
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook registered. Save the signing secret — it will not be shown again.",
+      data: {
+        webhookId,
+        ...parsed.values,
+        signingSecret, // Shown only on creation and rotation
+      },
+    });
+  } catch (error) {
+    if (error.message && error.message.includes("ORA-00001")) {
+      return res.status(409).json({
+        success: false,
+        message: "Webhook name already exists",
+      });
+    }
+    console.error("Error creating webhook:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to register webhook",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook (NOT the secret)
+ * Body: same fields as POST /api/webhooks
+ */
+router.put("/:id", requireRole("admin"), async (req, res) => {
+  const webhookId = parseInt(req.params.id, 10);
+  if (!webhookId) {
+    return res.status(400).json({ success: false, message: "Invalid webhook id" });
+  }
+
+  const parsed = parseWebhookBody(req.body);
+  if (!parsed.valid) {
+    return res.status(400).json({ success: false, message: parsed.message });
+  }
+
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const before = await auditLog.snapshot(connection, "webhook", webhookId);
+
+    const result = await connection.execute(
+      `UPDATE WS_WEBHOOKS
+       SET NAME = :name,
+           TARGET_URL = :targetUrl,
+           CHANNEL = :channel,
+           TRIGGERS = :triggers,
+           DESCRIPTION = :description,
+           UPDATED_AT = CURRENT_TIMESTAMP
+       WHERE WEBHOOK_ID = :webhookId`,
+      { ...parsed.values, webhookId },
+      { autoCommit: true }
+    );
+
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+
+    await auditLog.record(connection, req, {
+      action: "update",
+      entityType: "webhook",
+      entityId: webhookId,
+      before,
+      after: await auditLog.snapshot(connection, "webhook", webhookId),
+    });
+
+    await reloadWebhooks(req);
+
+    res.json({ success: true, message: "Webhook updated successfully" });
+  } catch (error) {
+    if (error.message && error.message.includes("ORA-00001")) {
+      return res.status(409).json({
+        success: false,
+        message: "Webhook name already exists",
+      });
+    }
+    console.error("Error updating webhook:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update webhook",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id/toggle
+ * Flip IS_ACTIVE. Deliveries waiting for a retry fail once the webhook is inactive.
+ */
+router.patch("/:id/toggle", requireRole("admin"), async (req, res) => {
+  const webhookId = parseInt(req.params.id, 10);
+  if (!webhookId) {
+    return res.status(400).json({ success: false, message: "Invalid webhook id" });
+  }
+
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    const before = await auditLog.snapshot(connection, "webhook", webhookId);
+
+    const result = await connection.execute(
+      `UPDATE WS_WEBHOOKS
+          SET IS_ACTIVE = CASE WHEN IS_ACTIVE = 1 THEN 0 ELSE 1 END,
+              UPDATED_AT = CURRENT_TIMESTAMP
+        WHERE WEBHOOK_ID = :webhookId`,
+      { webhookId },
+      { autoCommit: true }
+    );
+
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+
+    await auditLog.record(connection, req, {
+      action: "toggle",
+      entityType: "webhook",
+      entityId: webhookId,
+      before,
+      after: await auditLog.snapshot(connection, "webhook", webhookId),
+    });
+
+    await reloadWebhooks(req);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error toggling webhook:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to toggle webhook",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a webhook and its delivery log
+ */
+router.delete("/:id", requireRole("admin"), async (req, res) => {
+  const webhookId = parseInt(req.params.id, 10);
+  if (!webhookId) {
+    return res.status(400).json({ success: false, message: "Invalid webhook id" });
+  }
+
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    const before = await auditLog.snapshot(connection, "webhook", webhookId);
+
+    const result = await connection.execute(
+      `DELETE FROM WS_WEBHOOKS WHERE WEBHOOK_ID = :webhookId`,
+      { webhookId },
+      { autoCommit: true }
+    );
+
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+
+    await auditLog.record(connection, req, {
+      action: "delete",
+      entityType: "webhook",
+      entityId: webhookId,
+      before,
+    });
+
+    await reloadWebhooks(req);
+
+    res.json({ success: true, message: "Webhook deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting webhook:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete webhook",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret (effective immediately for new attempts)
+ * Returns the new secret — save it immediately, it won't be shown again
+ */
+router.post("/:id/rotate-secret", requireRole("admin"), async (req, res) => {
+  const webhookId = parseInt(req.params.id, 10);
+  if (!webhookId) {
+    return res.status(400).json({ success: false, message: "Invalid webhook id" });
+  }
+
+  const signingSecret = WebhookDispatcher.generateSecret();
+  const pool = getPool();
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const result = await connection.execute(
+      `UPDATE WS_WEBHOOKS
+       SET SIGNING_SECRET = :signingSecret,
+           SECRET_HINT = :secretHint,
+           UPDATED_AT = CURRENT_TIMESTAMP
+       WHERE WEBHOOK_ID = :webhookId
+       RETURNING NAME INTO :name`,
+      {
+        signingSecret,
+        secretHint: secretHint(signingSecret),
+        webhookId,
+        name: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 100 },
+      },
+      { autoCommit: true }
+    );
+
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+
+    // The secret itself is never written to the audit log
+    await auditLog.record(connection, req, {
+      action: "rotate-secret",
+      entityType: "webhook",
+      entityId: webhookId,
+      entityName: result.outBinds.name[0],
+    });
+
+    await reloadWebhooks(req);
+
+    res.json({
+      success: true,
+      message: "Secret rotated successfully. Save the new secret — it will not be shown again.",
+      data: {
+        webhookId,
+        name: result.outBinds.name[0],
+        signingSecret,
+      },
+    });
+  } catch (error) {
+    console.error("Error rotating webhook secret:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to rotate secret",
+    });
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (e) {}
+    }
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send one signed test delivery now (no retries), also for inactive webhooks
+ */
+router.post("/:id/test", requireRole("operator"), async (req, res) => {
+  const webhookId = parseInt(req.params.id, 10);
+  if (!webhookId) {
+    return res.status(400).json({ success: false, message: "Invalid webhook id" });
+  }
+
+  try {
+    const result = await WebhookDispatcher.getInstance().sendTest(webhookId);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+
+    res.json({
+      success: true,
+      message: result.ok
+        ? `Test delivered (HTTP ${result.status}, ${result.durationMs}ms)`
+        : `Test delivery failed: ${result.error}`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error sending webhook test:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send test delivery",
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Recent deliveries, newest first
+ * Query: limit (1-200, default 50), status (retrying|success|failed)
+ */
+router.get("/:id/deliveries", async (req, res) => {
+  const webhookId = parseInt(req.params.id, 10);
+  if (!webhookId) {
+    return res.status(400).json({ success: false, message: "Invalid webhook id" });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+    });
+  }
+
+  try {
+    const deliveries = await WebhookDispatcher.getInstance().listDeliveries(webhookId, {
+      limit,
+      status,
+    });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    console.error("Error fetching webhook deliveries:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch deliveries",
+    });
+  }
+});
+
+/**
+ * Validate a create/update body
+ * @returns {{ valid: boolean, message?: string, values?: Object }} values are
+ *          the column binds (name, targetUrl, channel, triggers, description)
+ */
+function parseWebhookBody(body = {}) {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name || name.length > 100) {
+    return { valid: false, message: "name is required (max 100 characters)" };
+  }
+
+  const targetUrl = typeof body.targetUrl === "string" ? body.targetUrl.trim() : "";
+  let url;
+  try {
+    url = new URL(targetUrl);
+  } catch (e) {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol) || targetUrl.length > 1000) {
+    return { valid: false, message: "targetUrl must be an http(s) URL (max 1000 characters)" };
+  }
+
+  const channel = typeof body.channel === "string" ? body.channel.trim().toUpperCase() : "";
+  if (!channel || channel.length > 200 || !CHANNEL_PATTERN.test(channel)) {
+    return {
+      valid: false,
+      message: "channel is required: a channel name or glob (PREFIX_*, * for all)",
+    };
+  }
+
+  const triggers = WebhookDispatcher.parseTriggers(body.triggers ?? "data");
+  if (!triggers) {
+    return {
+      valid: false,
+      message: `triggers must be a list of: ${WebhookDispatcher.TRIGGERS.join(", ")}`,
+    };
+  }
+
+  const description = body.description ? String(body.description).trim().slice(0, 500) : null;
+
+  return {
+    valid: true,
+    values: { name, targetUrl, channel, triggers: triggers.join(","), description },
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require("express");
+const { checkReadiness } = require("../services/healthCheck");
+const router = express.Router();
+
+/**
+ * GET /health
+ * Basic health check (no auth required) — kept for existing monitors
+ */
+router.get("/", (req, res) => {
+  res.json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * GET /health/live
+ * Liveness: the process is up and the event loop responds. Does not touch
+ * dependencies, so a database outage does not get the container restarted.
+ */
+router.get("/live", (req, res) => {
+  res.json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * GET /health/ready
+ * Readiness: database, app registry, event manager and MQTT bridge.
+ * 503 with per-component detail when any of them fails.
+ */
+router.get("/ready", async (req, res) => {
+  try {
+    const { ready, body } = await checkReadiness(req.app);
+    res.status(ready ? 200 : 503).json(body);
+  } catch (error) {
+    console.error("Readiness check failed:", error.message);
+    res.status(503).json({
+      status: "not_ready",
+      timestamp: new Date().toISOString(),
+      message: "Readiness check failed",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require("express");
+const crypto = require("crypto");
+const { getPoolStats } = require("../config/db");
+const PrometheusText = require("../utils/prometheus");
+const { channelFromRoom } = require("../utils/eventParams");
+const router = express.Router();
+
+/**
+ * Optional bearer token for scrapers (METRICS_TOKEN). Without it /metrics is
+ * open like /health, so keep it on an internal network.
+ */
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return next();
+
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+  const valid =
+    token.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+
+  if (!valid) {
+    return res.status(401).type("text/plain").send("Unauthorized\n");
+  }
+  next();
+}
+
+/**
+ * Event execution, cache, sleep and circuit metrics (from EventManager stats)
+ */
+function collectEventMetrics(out, eventManager) {
+  const events = eventManager ? eventManager.getMemoryStats() : [];
+  const labelsOf = (e) => ({ event: e.eventName, event_id: e.eventId });
+
+  out.counter(
+    "event_executions_total",
+    "Event query executions by outcome",
+    events.flatMap((e) => [
+      { labels: { ...labelsOf(e), status: "success" }, value: e.stats.successCount },
+      {
+        labels: { ...labelsOf(e), status: "error" },
+        value: e.stats.errorCount - e.stats.timeoutCount,
+      },
+      { labels: { ...labelsOf(e), status: "timeout" }, value: e.stats.timeoutCount },
+    ])
+  );
+  out.counter(
+    "event_skipped_total",
+    "Event ticks skipped without running the query",
+    events.flatMap((e) => [
+      { labels: { ...labelsOf(e), reason: "overlap" }, value: e.stats.skippedCount },
+      { labels: { ...labelsOf(e), reason: "circuit_open" }, value: e.stats.circuitSkippedCount },
+    ])
+  );
+  out.metric(
+    "event_execution_duration_seconds",
+    "summary",
+    "Event query execution time",
+    events.flatMap((e) => [
+      { suffix: "_sum", labels: labelsOf(e), value: e.stats.totalExecutionTime / 1000 },
+      { suffix: "_count", labels: labelsOf(e), value: e.stats.totalExecutions },
+    ])
+  );
+  out.gauge(
+    "event_last_execution_duration_seconds",
+    "Duration of the most recent execution",
+    events.map((e) => ({
+      labels: labelsOf(e),
+      value: e.stats.lastExecutionTime === null ? NaN : e.stats.lastExecutionTime / 1000,
+    }))
+  );
+  out.gauge(
+    "event_last_success_timestamp_seconds",
+    "Unix time of the last successful execution",
+    events.map((e) => ({
+      labels: labelsOf(e),
+      value: e.health.lastSuccessAt ? e.health.lastSuccessAt.getTime() / 1000 : NaN,
+    }))
+  );
+  out.counter(
+    "event_broadcasts_total",
+    "Results broadcast to subscribers (data changed)",
+    events.map((e) => ({ labels: labelsOf(e), value: e.stats.broadcasts }))
+  );
+  out.gauge(
+    "event_cache_bytes",
+    "Size of cached results (all parameter sets)",
+    events.map((e) => ({ labels: labelsOf(e), value: e.stats.cacheSize }))
+  );
+  out.gauge(
+    "event_subscribers",
+    "Sockets subscribed to the event channel",
+    events.map((e) => ({ labels: labelsOf(e), value: e.subscribers }))
+  );
+  out.gauge(
+    "event_sleeping",
+    "1 when the event is paused for lack of subscribers",
+    events.map((e) => ({ labels: labelsOf(e), value: e.isSleeping }))
+  );
+  out.gauge(
+    "event_circuit_open",
+    "1 when the circuit breaker is open (or probing)",
+    events.map((e) => ({ labels: labelsOf(e), value: e.circuit.state !== "CLOSED" }))
+  );
+  out.gauge(
+    "event_consecutive_errors",
+    "Consecutive failed executions",
+    events.map((e) => ({ labels: labelsOf(e), value: e.health.consecutiveErrors }))
+  );
+}
+
+/**
+ * Connected sockets per app and subscribers per channel
+ */
+function collectSocketMetrics(out, io) {
+  if (!io) return; // Not started yet
+
+  const perApp = new Map();
+  for (const socket of io.sockets.sockets.values()) {
+    const app = socket.user?.appName || socket.user?.type || "unknown";
+    perApp.set(app, (perApp.get(app) || 0) + 1);
+  }
+
+  // Parameter-set rooms ("CHANNEL|key") are summed into their channel
+  const perChannel = new Map();
+  for (const [room, members] of io.sockets.adapter.rooms.entries()) {
+    if (io.sockets.sockets.has(room)) continue; // private socket-id room
+    const channel = channelFromRoom(room);
+    perChannel.set(channel, (perChannel.get(channel) || 0) + members.size);
+  }
+
+  out.gauge(
+    "connected_sockets",
+    "Connected WebSocket clients by app",
+    [...perApp.entries()].map(([app, count]) => ({ labels: { app }, value: count }))
+  );
+  out.gauge(
+    "channel_subscribers",
+    "Subscriptions per channel",
+    [...perChannel.entries()].map(([channel, count]) => ({ labels: { channel }, value: count }))
+  );
+}
+
+/**
+ * MQTT bridge connection state and per-topic message counters
+ */
+function collectMqttMetrics(out, mqttBridge) {
+  const status = mqttBridge ? mqttBridge.getStatus() : null;
+
+  out.gauge("mqtt_connected", "1 when connected to the MQTT broker", status ? status.connected : 0);
+  out.gauge(
+    "mqtt_subscribed_topics",
+    "Topic filters currently subscribed",
+    status ? status.subscribedTopics.length : 0
+  );
+
+  const topics = mqttBridge ? [...mqttBridge.topicStats.entries()] : [];
+  out.counter(
+    "mqtt_messages_total",
+    "MQTT messages received by topic and outcome",
+    topics.flatMap(([topic, stats]) => [
+      { labels: { topic, result: "broadcast" }, value: stats.broadcast },
+      { labels: { topic, result: "no_subscribers" }, value: stats.noSubscribers },
+      { labels: { topic, result: "invalid" }, value: stats.invalid },
+    ])
+  );
+}
+
+/**
+ * Oracle connection pool (getPoolStats)
+ */
+function collectPoolMetrics(out) {
+  const pool = getPoolStats();
+  if (!pool) return;
+
+  out.gauge("db_pool_connections_open", "Open pool connections", pool.connectionsOpen);
+  out.gauge("db_pool_connections_in_use", "Pool connections in use", pool.connectionsInUse);
+  out.gauge("db_pool_connections_max", "Configured poolMax", pool.poolMax);
+  out.gauge("db_pool_connections_min", "Configured poolMin", pool.poolMin);
+
+  const stats = pool.statistics;
+  if (stats) {
+    out.counter("db_pool_requests_total", "Connection requests", stats.totalConnectionRequests);
+    out.counter("db_pool_requests_enqueued_total", "Requests that had to queue", stats.totalRequestsEnqueued);
+    out.counter("db_pool_requests_failed_total", "Failed connection requests", stats.totalFailedRequests);
+    out.counter("db_pool_requests_timed_out_total", "Timed out connection requests", stats.totalTimedOutRequests);
+    out.gauge("db_pool_queue_length", "Requests waiting for a connection", stats.currentQueueLength);
+    out.gauge(
+      "db_pool_average_get_time_seconds",
+      "Average time to get a connection",
+      stats.averageGetTimeInMillis / 1000
+    );
+  }
+}
+
+/**
+ * GET /metrics
+ * Prometheus text format
+ */
+router.get("/", requireMetricsToken, (req, res) => {
+  try {
+    const out = new PrometheusText("tpks_ws");
+    const mem = process.memoryUsage();
+
+    out.gauge("process_uptime_seconds", "Process uptime", process.uptime());
+    out.gauge("process_resident_memory_bytes", "Resident memory", mem.rss);
+    out.gauge("process_heap_used_bytes", "V8 heap in use", mem.heapUsed);
+
+    collectSocketMetrics(out, req.app.get("io"));
+    collectEventMetrics(out, req.app.get("eventManager"));
+    collectMqttMetrics(out, req.app.get("mqttBridge"));
+    collectPoolMetrics(out);
+
+    const history = req.app.get("executionHistory");
+    if (history) {
+      const historyStats = history.getStats();
+      out.gauge("execution_history_buffered", "Executions waiting to be written", historyStats.buffered);
+      out.counter(
+        "execution_history_dropped_total",
+        "Executions dropped because the buffer was full",
+        historyStats.droppedCount
+      );
+    }
+
+    res.type(PrometheusText.CONTENT_TYPE).send(out.toString());
+  } catch (error) {
+    console.error("Error collecting metrics:", error.message);
+    res.status(500).type("text/plain").send("Failed to collect metrics\n");
+  }
+});
+
+module.exports = router;
@@ -9,9 +9,15 @@ const path = require("path");
 const { initializePool, closePool, logPoolHealth } = require("./config/db");
 const { authenticateSocket } = require("./middleware/auth");
 const EventManager = require("./services/eventManager");
+const ExecutionHistory = require("./services/executionHistory");
 const AppRegistry = require("./services/appRegistry");
 const MqttBridge = require("./services/mqttBridge");
+const WebhookDispatcher = require("./services/webhookDispatcher");
+const StreamHub = require("./services/streamHub");
 const { getLogger } = require("./utils/logger");
+const { trackSocket } = require("./utils/socketStats");
+const { isChannelGranted } = require("./utils/channelGrants");
+const { cachedStatePayload } = require("./utils/appDataRules");
 
 // Import API routes
 const apiAuth = require("./routes/api-auth");
@@ -19,6 +25,13 @@ const apiEvents = require("./routes/api-events");
 const apiMonitoring = require("./routes/api-monitoring");
 const apiApps = require("./routes/api-apps");
 const apiMqtt = require("./routes/api-mqtt");
+const apiUsers = require("./routes/api-users");
+const apiAudit = require("./routes/api-audit");
+const apiWebhooks = require("./routes/api-webhooks");
+const apiStream = require("./routes/api-stream");
+const apiData = require("./routes/api-data");
+const metrics = require("./routes/metrics");
+const health = require("./routes/health");
 
 const app = express();
 
@@ -68,7 +81,11 @@ app.use((req, res, next) => {
     "Access-Control-Allow-Methods",
     "GET, POST, PUT, DELETE, PATCH, OPTIONS",
   );
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-App-Id, X-App-Secret, If-None-Match",
+  );
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
   res.setHeader("Access-Control-Allow-Credentials", "true");
 
   if (req.method === "OPTIONS") {
@@ -84,15 +101,21 @@ app.use("/api/events", apiEvents);
 app.use("/api/monitoring", apiMonitoring);
 app.use("/api/apps", apiApps);
 app.use("/api/mqtt", apiMqtt);
+app.use("/api/users", apiUsers);
+app.use("/api/audit", apiAudit);
+app.use("/api/webhooks", apiWebhooks);
 
-// Basic health check (no auth required)
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-  });
-});
+// Server-Sent Events for non-Socket.IO consumers (app credentials, see routes/api-stream.js)
+app.use("/api/stream", apiStream);
+
+// Cached event data for polling apps (app credentials, ETag / If-None-Match)
+app.use("/api/data", apiData);
+
+// Prometheus scrape endpoint (optional METRICS_TOKEN bearer auth)
+app.use("/metrics", metrics);
+
+// Health checks (no auth required): /health, /health/live, /health/ready
+app.use("/health", health);
 
 // Serve React admin UI in production
 if (process.env.NODE_ENV === "production") {
@@ -113,6 +136,9 @@ app.get("/", (req, res) => {
     status: "running",
     endpoints: {
       health: "/health",
+      live: "/health/live",
+      ready: "/health/ready",
+      metrics: "/metrics",
       admin: "/admin",
       api: "/api",
     },
@@ -180,6 +206,30 @@ const connectionLimiter = new RateLimiterMemory({
 let activeConnections = 0;
 const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS) || 100;
 
+/**
+ * Normalize a SUBSCRIBE/UNSUBSCRIBE payload into a list of { channel, params }.
+ * Accepts { channels: [...] } or a bare array; each entry is a channel name or
+ * { channel, params } for parameterized events. Channels are upper-cased.
+ */
+function parseChannelList(data) {
+  const list = Array.isArray(data) ? data : data?.channels;
+  if (!Array.isArray(list)) {
+    return null;
+  }
+
+  const entries = new Map();
+  for (const item of list) {
+    const name = typeof item === "string" ? item : item?.channel;
+    if (typeof name !== "string" || !name.trim()) continue;
+
+    const channel = name.trim().toUpperCase();
+    const params =
+      item.params && typeof item.params === "object" ? item.params : null;
+    entries.set(`${channel}:${JSON.stringify(params)}`, { channel, params });
+  }
+  return [...entries.values()];
+}
+
 // --- WEBSOCKET AUTHENTICATION ---
 io.use(authenticateSocket);
 
@@ -199,6 +249,7 @@ io.use(async (socket, next) => {
 // --- WEBSOCKET CONNECTION HANDLER ---
 io.on("connection", (socket) => {
   activeConnections++;
+  trackSocket(socket);
 
   // Check connection limit
   if (activeConnections > MAX_CONNECTIONS) {
@@ -211,6 +262,17 @@ io.on("connection", (socket) => {
     return;
   }
 
+  // Per-app socket limit (authenticateSocket pre-checks; concurrent handshakes can overshoot)
+  if (AppRegistry.getInstance().isOverSocketLimit(socket)) {
+    console.warn(
+      `⚠️  Socket limit reached for app "${socket.user.appName}". Rejecting connection.`,
+    );
+    socket.emit("error", { message: "App connection limit reached" });
+    socket.disconnect(true);
+    activeConnections--;
+    return;
+  }
+
   // Build identity string for logging
   const identity =
     socket.user?.appName ||
@@ -218,7 +280,7 @@ io.on("connection", (socket) => {
     socket.user?.type ||
     "unknown";
   const channelInfo = socket.user?.channels
-    ? `[${[...socket.user.channels].join(",")}]`
+    ? `[${socket.user.channels.entries.join(",")}]`
     : "[ALL]";
 
   console.log(
@@ -237,13 +299,6 @@ io.on("connection", (socket) => {
     });
   });
 
-  // Check sleep mode on connection
-  const eventManager = app.get("eventManager");
-  if (eventManager) {
-    console.log(`🔄 Client connected, checking sleep mode...`);
-    eventManager.checkSleepMode();
-  }
-
   // Handle client request for updates
   socket.on("REQUEST_UPDATE", async (data) => {
     try {
@@ -260,11 +315,120 @@ io.on("connection", (socket) => {
     }
   });
 
-  // Handle client request for initial cached state (Data Hydration)
+  // Subscribe to channels — joins one Socket.IO room per authorized channel
+  // (one room per parameter set for parameterized events).
+  // Payload: { channels: ["VESSEL_ALONGSIDE", { channel, params }, ...] },
+  // optional ack callback.
+  socket.on("SUBSCRIBE", async (data, ack) => {
+    try {
+      await rateLimiter.consume(socket.id);
+    } catch (error) {
+      socket.emit("error", { message: "Request rate limit exceeded" });
+      return;
+    }
+
+    const channels = parseChannelList(data);
+    if (!channels || channels.length === 0) {
+      socket.emit("error", {
+        message: "channels array required",
+        example: { channels: ["VESSEL_ALONGSIDE"] },
+      });
+      return;
+    }
+
+    const eventManager = app.get("eventManager");
+    const subscribed = [];
+    const rejected = [];
+    const invalid = [];
+
+    for (const { channel, params } of channels) {
+      // Channel authorization: exact names, globs and deny entries (null = unrestricted)
+      if (!isChannelGranted(socket.user?.channels, channel)) {
+        rejected.push(channel);
+        continue;
+      }
+
+      const target = eventManager.resolveSubscription(channel, params);
+      if (target.error) {
+        invalid.push({ channel, message: target.error });
+        continue;
+      }
+
+      socket.join(target.room);
+      subscribed.push(
+        target.params ? { channel, params: target.params } : channel,
+      );
+    }
+
+    if (rejected.length > 0) {
+      console.warn(
+        `⚠️  ${identity} not authorized for channel(s) [${rejected.join(",")}] — skipping`,
+      );
+    }
+
+    const result = { subscribed, rejected, invalid };
+    if (typeof ack === "function") {
+      ack(result);
+    } else {
+      socket.emit("SUBSCRIBED", result);
+    }
+  });
+
+  // Unsubscribe from channels — leaves the matching rooms. A bare channel name
+  // leaves every parameter set of that channel; { channel, params } leaves one.
+  socket.on("UNSUBSCRIBE", async (data, ack) => {
+    try {
+      await rateLimiter.consume(socket.id);
+    } catch (error) {
+      socket.emit("error", { message: "Request rate limit exceeded" });
+      return;
+    }
+
+    const channels = parseChannelList(data);
+    if (!channels || channels.length === 0) {
+      socket.emit("error", {
+        message: "channels array required",
+        example: { channels: ["VESSEL_ALONGSIDE"] },
+      });
+      return;
+    }
+
+    const eventManager = app.get("eventManager");
+    const unsubscribed = [];
+
+    for (const { channel, params } of channels) {
+      const rooms = eventManager.getSubscriptionRooms(socket, channel, params);
+      const joined = rooms.filter((room) => socket.rooms.has(room));
+      if (joined.length === 0) continue;
+
+      for (const room of joined) {
+        socket.leave(room);
+      }
+      unsubscribed.push(params ? { channel, params } : channel);
+    }
+
+    const result = { unsubscribed };
+    if (typeof ack === "function") {
+      ack(result);
+    } else {
+      socket.emit("UNSUBSCRIBED", result);
+    }
+  });
+
+  // Handle client request for initial cached state (Data Hydration).
+  // Also used as the resync path when a client detects a gap in patch seq numbers.
   socket.on("REQUEST_INITIAL_STATE", async (data) => {
     try {
       await rateLimiter.consume(socket.id);
 
+      // Per-app limit on top of the global one (registered apps only)
+      if (!(await AppRegistry.getInstance().consumeInitialStateRequest(socket))) {
+        socket.emit("error", {
+          message: "Initial state request limit exceeded for this app",
+        });
+        return;
+      }
+
       const eventManager = app.get("eventManager");
 
       // Require client to specify event names
@@ -280,28 +444,28 @@ io.on("connection", (socket) => {
         return;
       }
 
-      // Send only requested events (with channel authorization check)
-      for (const eventName of data.eventNames) {
+      // Send only requested events (with channel authorization check).
+      // Parameterized events are requested as { eventName, params }.
+      for (const entry of data.eventNames) {
+        const eventName = typeof entry === "string" ? entry : entry?.eventName;
+        const params = typeof entry === "string" ? null : entry?.params || null;
+        if (typeof eventName !== "string") continue;
+
         const channel = eventManager.getEventChannel(eventName);
 
         // Channel authorization: skip channels the app is not allowed to receive
-        if (socket.user?.channels && !socket.user.channels.has(channel)) {
+        if (!isChannelGranted(socket.user?.channels, channel)) {
           console.warn(
             `⚠️  App "${socket.user.appName}" not authorized for channel "${channel}" — skipping`,
           );
           continue;
         }
 
-        const cached = eventManager.getCachedDataByName(eventName);
+        const cached = eventManager.getCachedDataByName(eventName, params);
         if (cached) {
-          socket.emit(channel, {
-            eventName: eventName,
-            data: cached.data,
-            rowCount: cached.rowCount,
-            timestamp: cached.timestamp.toISOString(),
-            fromCache: true,
-            cacheAge: cached.age,
-          });
+          // Per-app column rules and row filters, as for live broadcasts
+          const dataRules = AppRegistry.getInstance().getDataRules(socket, channel);
+          socket.emit(channel, cachedStatePayload(cached, dataRules));
           console.log(
             `📦 Sent cached "${eventName}" to ${socket.id} (${cached.age}ms old)`,
           );
@@ -310,10 +474,34 @@ io.on("connection", (socket) => {
             `⚠️  No cache found for "${eventName}", triggering immediate query...`,
           );
           // Trigger immediate execution for this event
-          const triggered = await eventManager.triggerEventByName(eventName);
+          const triggered = await eventManager.triggerEventByName(
+            eventName,
+            params,
+          );
           if (!triggered) {
             console.error(`❌ Failed to trigger event: "${eventName}"`);
           }
+
+          const fresh = triggered
+            ? eventManager.getCachedDataByName(eventName, params)
+            : null;
+          if (!fresh) {
+            socket.emit("error", {
+              message: `No data available yet for ${channel}`,
+              channel,
+            });
+            continue;
+          }
+
+          // The result was broadcast to the channel room only: a socket that
+          // has not subscribed (yet) gets it directly
+          const subscribed = eventManager
+            .getSubscriptionRooms(socket, channel, params)
+            .some((room) => socket.rooms.has(room));
+          if (!subscribed) {
+            const dataRules = AppRegistry.getInstance().getDataRules(socket, channel);
+            socket.emit(channel, cachedStatePayload(fresh, dataRules));
+          }
         }
       }
     } catch (error) {
@@ -332,13 +520,7 @@ io.on("connection", (socket) => {
       `| Reason: ${reason}`,
       `| Total: ${activeConnections}`,
     );
-
-    // Check sleep mode on disconnect
-    const eventManager = app.get("eventManager");
-    if (eventManager) {
-      console.log(`🔄 Client disconnected, checking sleep mode...`);
-      eventManager.checkSleepMode();
-    }
+    // Rooms are left automatically; EventManager reacts via adapter events
   });
 });
 
@@ -352,27 +534,46 @@ async function startApp() {
     const appRegistry = new AppRegistry();
     await appRegistry.initialize();
 
-    // 3. Initialize EventManager
-    const eventManager = new EventManager(io);
-    await eventManager.initialize();
+    // 3. Start execution history (batched writes to WS_EVENT_EXECUTIONS)
+    const executionHistory = new ExecutionHistory();
+    executionHistory.start();
 
-    // Make eventManager, appRegistry and io available to routes
-    app.set("eventManager", eventManager);
-    app.set("appRegistry", appRegistry);
-    app.set("io", io);
+    // 4. Load webhooks (before EventManager: webhook targets keep events awake)
+    const webhookDispatcher = new WebhookDispatcher();
+    await webhookDispatcher.initialize();
 
-    // 4. Initialize MQTT bridge (loads topics from WS_MQTT_TOPICS)
+    // 5. Initialize MQTT bridge (loads topics from WS_MQTT_TOPICS; before
+    // EventManager: events with an MQTT publish topic publish through it).
     // Gated by MQTT_ENABLED — set to "false" to skip the broker connection
     // entirely (avoids reconnect spam when no broker is available).
+    let mqttBridge = null;
     if (process.env.MQTT_ENABLED !== "false") {
-      const mqttBridge = new MqttBridge(io);
+      mqttBridge = new MqttBridge(io);
       app.set("mqttBridge", mqttBridge);
       await mqttBridge.start();
     } else {
       console.log("⏸️  MQTT bridge disabled (MQTT_ENABLED=false)");
     }
 
-    // 5. Start server
+    // 6. Initialize EventManager
+    const eventManager = new EventManager(io);
+    if (mqttBridge) {
+      eventManager.attachMqtt(mqttBridge);
+    }
+    await eventManager.initialize();
+
+    // Make eventManager, appRegistry and io available to routes
+    app.set("eventManager", eventManager);
+    app.set("executionHistory", executionHistory);
+    app.set("appRegistry", appRegistry);
+    app.set("webhookDispatcher", webhookDispatcher);
+    app.set("io", io);
+
+    // Registry reloads re-check already-connected app sockets and SSE streams
+    appRegistry.attachIo(io);
+    appRegistry.attachStreams(StreamHub.getInstance());
+
+    // 7. Start server
     const PORT = process.env.PORT || 3000;
     const HOST = process.env.HOST || "0.0.0.0"; // Bind to all interfaces
     server.listen(PORT, HOST, () => {
@@ -387,7 +588,7 @@ async function startApp() {
       console.log(`${"=".repeat(60)}\n`);
     });
 
-    // 6. Start periodic pool health monitoring (every 5 minutes)
+    // 8. Start periodic pool health monitoring (every 5 minutes)
     setInterval(
       () => {
         logPoolHealth();
@@ -404,10 +605,11 @@ async function startApp() {
 async function gracefulShutdown(signal) {
   console.log(`\n${signal} received, closing server gracefully...`);
 
-  // Stop accepting new connections
+  // Stop accepting new connections (open SSE streams would keep it waiting)
   server.close(() => {
     console.log("✅ HTTP server closed");
   });
+  StreamHub.getInstance().closeAll();
 
   // Stop event manager
   const eventManager = app.get("eventManager");
@@ -416,12 +618,26 @@ async function gracefulShutdown(signal) {
     console.log("✅ Event manager stopped");
   }
 
+  // Write buffered execution history before the pool closes
+  const executionHistory = app.get("executionHistory");
+  if (executionHistory) {
+    await executionHistory.stop();
+    console.log("✅ Execution history flushed");
+  }
+
   const mqttBridge = app.get("mqttBridge");
   if (mqttBridge) {
     mqttBridge.stop();
     console.log("✅ MQTT bridge stopped");
   }
 
+  // Pending webhook retries are dropped (they stay "retrying" in the delivery log)
+  const webhookDispatcher = app.get("webhookDispatcher");
+  if (webhookDispatcher) {
+    webhookDispatcher.stop();
+    console.log("✅ Webhook dispatcher stopped");
+  }
+
   // Close database pool
   await closePool();
 
@@ -1,14 +1,46 @@
 const { getPool, oracledb } = require("../config/db");
 const crypto = require("crypto");
 const { getLogger } = require("../utils/logger");
+const {
+  hashAppSecret,
+  verifyAppSecret,
+  isHashedSecret,
+  secretHint,
+  secretFingerprint,
+} = require("../utils/appSecret");
+const { channelFromRoom } = require("../utils/eventParams");
+const { buildAllowlist, isIpAllowed, clientIp } = require("../utils/appPolicy");
+const { parseChannelGrants, isChannelGranted } = require("../utils/channelGrants");
+const { parseColumnRules, compileColumnRules } = require("../utils/columnRules");
+const { parseRowFilters, compileRowFilters } = require("../utils/rowFilters");
+const { RateLimiterMemory } = require("rate-limiter-flexible");
+
+// setTimeout cannot wait longer than ~24.8 days; longer grace periods re-arm
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
 
 /**
  * AppRegistry — Manages registered application identities for WebSocket authentication.
  *
  * Loaded from WS_APP_REGISTRY table on startup. Each registered app has:
- *   - appName:   Unique identifier (e.g., 'ETERNAL', 'CBS-MONITOR')
- *   - appSecret: Shared secret for authentication
- *   - channels:  Set of allowed channels, or null for unrestricted access
+ *   - appName:    Unique identifier (e.g., 'ETERNAL', 'CBS-MONITOR')
+ *   - secretHash: Salted hash of the shared secret (see utils/appSecret.js)
+ *   - previous:   Hash of the secret replaced by the last rotation, accepted
+ *                 until its expiry so client apps can be redeployed
+ *   - channels:   Compiled channel grants (exact names, globs, !deny entries;
+ *                 see utils/channelGrants.js), or null for unrestricted access
+ *   - policy:     Optional CIDR allowlist, max concurrent sockets and
+ *                 REQUEST_INITIAL_STATE calls per minute (see utils/appPolicy.js)
+ *   - columnRules: Optional per-channel hide/mask/round rules applied to the
+ *                 rows the app receives (see utils/columnRules.js)
+ *   - rowFilters: Optional per-channel filters limiting which rows the app
+ *                 receives (see utils/rowFilters.js)
+ *
+ * Once attached to Socket.IO (attachIo), every reload also re-checks the sockets
+ * that are already connected: sockets of removed or deactivated apps, or using
+ * a secret that is no longer valid, are disconnected; the others get their
+ * channel set and room memberships updated. Sockets connected from an address
+ * the app's allowlist no longer covers are disconnected as well; lowering
+ * maxSockets only applies to new connections.
  *
  * Singleton pattern — use AppRegistry.getInstance() after initial construction.
  */
@@ -18,9 +50,18 @@ class AppRegistry {
       return AppRegistry._instance;
     }
 
-    this.apps = new Map(); // Map<appName, { appId, appSecret, channels, description, isActive }>
+    this.apps = new Map(); // Map<appName, { appId, secretHash, secretHint, previous, channels, policy, columnRules, rowFilters, description, isActive }>
+    this.initialStateLimiters = new Map(); // Map<appId, { points, limiter }>, kept across reloads
     this.isInitialized = false;
     this.logger = getLogger();
+    this.io = null;
+    this.graceTimer = null;
+
+    // How long the old secret keeps working after a rotation (0 = cut off immediately)
+    this.secretGraceHours =
+      process.env.APP_SECRET_GRACE_HOURS !== undefined
+        ? parseFloat(process.env.APP_SECRET_GRACE_HOURS) || 0
+        : 24;
 
     AppRegistry._instance = this;
   }
@@ -58,8 +99,13 @@ class AppRegistry {
     try {
       connection = await pool.getConnection();
 
+      await this._hashLegacySecrets(connection);
+
       const result = await connection.execute(
-        `SELECT APP_ID, APP_NAME, APP_SECRET, APP_CHANNELS, IS_ACTIVE, DESCRIPTION
+        `SELECT APP_ID, APP_NAME, APP_SECRET, APP_SECRET_HINT, PREVIOUS_SECRET,
+                PREVIOUS_SECRET_HINT, PREVIOUS_SECRET_EXPIRES_AT, APP_CHANNELS,
+                ALLOWED_CIDRS, MAX_SOCKETS, INITIAL_STATE_PER_MINUTE, COLUMN_RULES,
+                ROW_FILTERS, IS_ACTIVE, DESCRIPTION
          FROM WS_APP_REGISTRY
          WHERE IS_ACTIVE = 1
          ORDER BY APP_ID`,
@@ -71,24 +117,48 @@ class AppRegistry {
       this.apps.clear();
 
       for (const row of result.rows) {
-        const channels = row.APP_CHANNELS
-          ? new Set(
-              row.APP_CHANNELS.split(",")
-                .map((ch) => ch.trim().toUpperCase())
-                .filter(Boolean)
-            )
-          : null; // null = unrestricted (all channels)
+        const channels = parseChannelGrants(row.APP_CHANNELS); // null = unrestricted (all channels)
+
+        // Rules are validated on save; a hand-edited invalid value is ignored
+        const columnRules = parseColumnRules(row.COLUMN_RULES);
+        if (!columnRules.valid) {
+          console.warn(`⚠️  AppRegistry ignored invalid column rules of "${row.APP_NAME}": ${columnRules.message}`);
+        }
+        const rowFilters = parseRowFilters(row.ROW_FILTERS);
+        if (!rowFilters.valid) {
+          console.warn(`⚠️  AppRegistry ignored invalid row filters of "${row.APP_NAME}": ${rowFilters.message}`);
+        }
 
         this.apps.set(row.APP_NAME, {
           appId: row.APP_ID,
           appName: row.APP_NAME,
-          appSecret: row.APP_SECRET,
+          secretHash: row.APP_SECRET,
+          secretHint: row.APP_SECRET_HINT || "****",
+          previous: row.PREVIOUS_SECRET
+            ? {
+                secretHash: row.PREVIOUS_SECRET,
+                secretHint: row.PREVIOUS_SECRET_HINT || "****",
+                expiresAt: row.PREVIOUS_SECRET_EXPIRES_AT,
+              }
+            : null,
           channels: channels,
+          policy: {
+            allowedCidrs: row.ALLOWED_CIDRS || null,
+            allowlist: buildAllowlist(row.ALLOWED_CIDRS),
+            maxSockets: row.MAX_SOCKETS || null,
+            initialStatePerMinute: row.INITIAL_STATE_PER_MINUTE || null,
+          },
+          columnRules: columnRules.valid ? columnRules.rules : null,
+          columnRulesFor: columnRules.valid ? compileColumnRules(columnRules.rules) : null,
+          rowFilters: rowFilters.valid ? rowFilters.filters : null,
+          rowFiltersFor: rowFilters.valid ? compileRowFilters(rowFilters.filters) : null,
           description: row.DESCRIPTION || "",
           isActive: row.IS_ACTIVE === 1,
         });
       }
 
+      this._syncInitialStateLimiters();
+
       console.log(
         `🔐 AppRegistry loaded ${this.apps.size} registered app(s): [${[
           ...this.apps.keys(),
@@ -127,22 +197,60 @@ class AppRegistry {
       return { valid: false, app: null, reason: "App is deactivated" };
     }
 
-    // Constant-time comparison to prevent timing attacks
-    const secretBuffer = Buffer.from(appSecret);
-    const storedBuffer = Buffer.from(app.appSecret);
+    // The old secret still works during the grace period after a rotation
+    let usedPreviousSecret = false;
+    if (!verifyAppSecret(appSecret, app.secretHash)) {
+      if (!this._previousSecretValid(app) || !verifyAppSecret(appSecret, app.previous.secretHash)) {
+        return { valid: false, app: null, reason: "Invalid secret" };
+      }
+      usedPreviousSecret = true;
+    }
+
+    return {
+      valid: true,
+      usedPreviousSecret,
+      // Which stored hash matched, so reloads can tell when it stops being valid
+      secretHash: usedPreviousSecret ? app.previous.secretHash : app.secretHash,
+      app: {
+        appId: app.appId,
+        appName: app.appName,
+        channels: app.channels,
+        description: app.description,
+      },
+    };
+  }
 
-    if (secretBuffer.length !== storedBuffer.length) {
-      return { valid: false, app: null, reason: "Invalid secret" };
+  /**
+   * Validate a decoded app token (see utils/appToken.js) against the live
+   * registry: the app must still be active and the secret the token was
+   * issued for still accepted.
+   * @param {Object} decoded - Verified JWT payload with appId and sfp
+   * @returns {{ valid: boolean, app: object|null, secretHash?: string, reason?: string }}
+   */
+  validateAppToken(decoded) {
+    const app = [...this.apps.values()].find((entry) => entry.appId === decoded.appId);
+
+    if (!app || !app.isActive) {
+      return { valid: false, app: null, reason: "App deactivated or removed" };
     }
 
-    const isValid = crypto.timingSafeEqual(secretBuffer, storedBuffer);
+    let secretHash = null;
+    if (decoded.sfp === secretFingerprint(app.secretHash)) {
+      secretHash = app.secretHash;
+    } else if (
+      this._previousSecretValid(app) &&
+      decoded.sfp === secretFingerprint(app.previous.secretHash)
+    ) {
+      secretHash = app.previous.secretHash;
+    }
 
-    if (!isValid) {
-      return { valid: false, app: null, reason: "Invalid secret" };
+    if (!secretHash) {
+      return { valid: false, app: null, reason: "App secret rotated" };
     }
 
     return {
       valid: true,
+      secretHash,
       app: {
         appId: app.appId,
         appName: app.appName,
@@ -165,12 +273,115 @@ class AppRegistry {
       return false;
     }
 
-    // null channels = unrestricted access
-    if (app.channels === null) {
-      return true;
+    return isChannelGranted(app.channels, channelName);
+  }
+
+  /**
+   * Column rules and row filters a socket's app has for a channel
+   * @param {Object} socket
+   * @param {string} channel
+   * @returns {{ columns: Array|null, filters: Array|null }|null} null = send
+   *          full rows (see utils/appDataRules.js)
+   */
+  getDataRules(socket, channel) {
+    if (socket.user?.type !== "registered-app") return null;
+
+    const app = this.apps.get(socket.user.appName);
+    if (!app) return null;
+
+    const columns = app.columnRulesFor ? app.columnRulesFor(channel) : null;
+    const filters = app.rowFiltersFor ? app.rowFiltersFor(channel) : null;
+    return columns || filters ? { columns, filters } : null;
+  }
+
+  /**
+   * Check an authenticated app's network and quota policy before it connects
+   * @param {string} appName - App identifier (already validated)
+   * @param {string} ip - Client address (see utils/appPolicy.js clientIp)
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  checkConnectionPolicy(appName, ip) {
+    const address = this.checkAddressPolicy(appName, ip);
+    if (!address.allowed) return address;
+
+    const app = this.apps.get(appName);
+
+    // The handshaking socket is not counted yet
+    if (app.policy.maxSockets && this.countAppSockets(app.appId) >= app.policy.maxSockets) {
+      return { allowed: false, reason: `Socket limit reached (${app.policy.maxSockets})` };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check an authenticated app's allowlist (HTTP requests: no socket limit)
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  checkAddressPolicy(appName, ip) {
+    const app = this.apps.get(appName);
+    if (!app) {
+      return { allowed: false, reason: "App not registered" };
+    }
+
+    if (!isIpAllowed(app.policy.allowlist, ip)) {
+      return { allowed: false, reason: `Address ${ip} not in allowlist` };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Does a newly connected socket take its app over maxSockets?
+   * Checked again in the connection handler because handshakes run concurrently.
+   * @returns {boolean}
+   */
+  isOverSocketLimit(socket) {
+    if (socket.user?.type !== "registered-app") return false;
+
+    const app = this.apps.get(socket.user.appName);
+    if (!app || !app.policy.maxSockets) return false;
+
+    return this.countAppSockets(app.appId) > app.policy.maxSockets;
+  }
+
+  /**
+   * Connected sockets and SSE streams of a registered app
+   * @param {number} appId
+   * @returns {number}
+   */
+  countAppSockets(appId) {
+    if (!this.io) return 0;
+
+    let count = this.streams ? this.streams.countApp(appId) : 0;
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.user?.type === "registered-app" && socket.user.appId === appId) {
+        count++;
+      }
     }
+    return count;
+  }
+
+  /**
+   * Consume one REQUEST_INITIAL_STATE call from the app's per-socket budget
+   * @param {Object} socket - Socket, or request with `user` (GET /api/data)
+   * @param {string} [key] - Budget to charge (default: the socket)
+   * @returns {Promise<boolean>} false when the app's limit is exceeded
+   *          (always true for apps without a limit and non-app sockets)
+   */
+  async consumeInitialStateRequest(socket, key = socket.id) {
+    if (socket.user?.type !== "registered-app") return true;
 
-    return app.channels.has(channelName.toUpperCase());
+    const entry = this.initialStateLimiters.get(socket.user.appId);
+    if (!entry) return true;
+
+    try {
+      await entry.limiter.consume(key);
+      return true;
+    } catch (rejection) {
+      if (rejection instanceof Error) throw rejection;
+      return false;
+    }
   }
 
   /**
@@ -217,8 +428,17 @@ class AppRegistry {
       apps.push({
         appId: app.appId,
         appName: app.appName,
-        appSecret: this._maskSecret(app.appSecret),
-        channels: app.channels ? [...app.channels] : null,
+        appSecret: app.secretHint,
+        previousSecret: this._previousSecretValid(app)
+          ? { hint: app.previous.secretHint, expiresAt: app.previous.expiresAt }
+          : null,
+        channels: app.channels ? app.channels.entries : null,
+        allowedCidrs: app.policy.allowedCidrs ? app.policy.allowedCidrs.split(",") : null,
+        maxSockets: app.policy.maxSockets,
+        initialStatePerMinute: app.policy.initialStatePerMinute,
+        connectedSockets: this.countAppSockets(app.appId),
+        columnRules: app.columnRules,
+        rowFilters: app.rowFilters,
         description: app.description,
         isActive: app.isActive,
       });
@@ -237,22 +457,220 @@ class AppRegistry {
 
   /**
    * Hot-reload the registry from the database (callable from Admin API)
+   * and re-check connected sockets
+   * @returns {Promise<{ disconnected: number, updated: number }>}
    */
   async reload() {
     console.log("🔄 AppRegistry reloading...");
     await this.loadApps();
+    return this.reconcileSockets();
+  }
+
+  /**
+   * Give the registry access to connected sockets (called once at startup)
+   * @param {import("socket.io").Server} io
+   */
+  attachIo(io) {
+    this.io = io;
+    this._scheduleGraceExpiry();
   }
 
   /**
-   * Mask a secret for display (show first 4 and last 4 characters)
-   * @param {string} secret
-   * @returns {string}
+   * Give the registry access to open SSE streams (called once at startup).
+   * Streams count against MAX_SOCKETS and are re-checked like sockets.
+   * @param {import("./streamHub")} streams
    */
-  _maskSecret(secret) {
-    if (!secret || secret.length <= 8) {
-      return "****";
+  attachStreams(streams) {
+    this.streams = streams;
+  }
+
+  /**
+   * Re-check every connected registered-app socket (and SSE stream) against the loaded registry
+   * @returns {{ disconnected: number, updated: number }}
+   */
+  reconcileSockets() {
+    const summary = { disconnected: 0, updated: 0 };
+    if (!this.io) return summary;
+
+    const appsById = new Map([...this.apps.values()].map((app) => [app.appId, app]));
+
+    const clients = [
+      ...this.io.sockets.sockets.values(),
+      ...(this.streams ? this.streams.values() : []),
+    ];
+    for (const socket of clients) {
+      if (socket.user?.type !== "registered-app") continue;
+
+      const app = appsById.get(socket.user.appId);
+      let reason = null;
+
+      if (!app) {
+        reason = "App deactivated or removed";
+      } else if (!this._secretStillValid(app, socket.data.appSecretHash)) {
+        reason = "App secret rotated";
+      } else if (!isIpAllowed(app.policy.allowlist, clientIp(socket))) {
+        reason = "Address no longer allowed for this app";
+      }
+
+      if (reason) {
+        console.warn(`🔌 Disconnecting ${socket.user.appName} socket ${socket.id}: ${reason}`);
+        socket.emit("error", { message: `${reason}. Reconnect with valid credentials.` });
+        socket.disconnect(true);
+        summary.disconnected++;
+        continue;
+      }
+
+      if (this._applyAppToSocket(socket, app)) {
+        summary.updated++;
+      }
+    }
+
+    if (summary.disconnected > 0 || summary.updated > 0) {
+      console.log(
+        `🔐 AppRegistry re-checked sockets: ${summary.disconnected} disconnected, ${summary.updated} updated`
+      );
+    }
+
+    this._scheduleGraceExpiry();
+    return summary;
+  }
+
+  /**
+   * Update a live socket's app name and channels, leaving rooms of channels
+   * it may no longer receive
+   * @returns {boolean} Whether anything changed
+   */
+  _applyAppToSocket(socket, app) {
+    const before = socket.user.channels ? [...socket.user.channels.entries].sort().join(",") : null;
+    const after = app.channels ? [...app.channels.entries].sort().join(",") : null;
+    const renamed = socket.user.appName !== app.appName;
+
+    socket.user.appName = app.appName;
+    socket.user.channels = app.channels;
+
+    const unsubscribed = [];
+    if (app.channels) {
+      for (const room of [...socket.rooms]) {
+        if (room === socket.id) continue;
+
+        const channel = channelFromRoom(room);
+        if (!isChannelGranted(app.channels, channel)) {
+          socket.leave(room);
+          if (!unsubscribed.includes(channel)) unsubscribed.push(channel);
+        }
+      }
+    }
+
+    if (before === after && !renamed && unsubscribed.length === 0) {
+      return false;
+    }
+
+    socket.emit("ACCESS_UPDATED", {
+      appName: app.appName,
+      channels: app.channels ? app.channels.entries : null,
+      unsubscribed,
+    });
+    return true;
+  }
+
+  /**
+   * Create, replace or drop the per-app REQUEST_INITIAL_STATE limiters.
+   * Unchanged limits keep their limiter so a reload does not reset budgets.
+   */
+  _syncInitialStateLimiters() {
+    const limits = new Map();
+    for (const app of this.apps.values()) {
+      if (app.policy.initialStatePerMinute) {
+        limits.set(app.appId, app.policy.initialStatePerMinute);
+      }
+    }
+
+    for (const appId of [...this.initialStateLimiters.keys()]) {
+      if (!limits.has(appId)) this.initialStateLimiters.delete(appId);
+    }
+
+    for (const [appId, points] of limits) {
+      if (this.initialStateLimiters.get(appId)?.points === points) continue;
+      this.initialStateLimiters.set(appId, {
+        points,
+        limiter: new RateLimiterMemory({ points, duration: 60 }),
+      });
+    }
+  }
+
+  /**
+   * Is the stored hash a socket authenticated with still accepted?
+   */
+  _secretStillValid(app, secretHash) {
+    if (!secretHash || secretHash === app.secretHash) return true;
+    return this._previousSecretValid(app) && secretHash === app.previous.secretHash;
+  }
+
+  /**
+   * Re-check sockets when the earliest rotation grace period ends, so clients
+   * still on the old secret are cut off on time (not only on the next reload)
+   */
+  _scheduleGraceExpiry() {
+    if (this.graceTimer) {
+      clearTimeout(this.graceTimer);
+      this.graceTimer = null;
+    }
+    if (!this.io) return;
+
+    const expiries = [...this.apps.values()]
+      .filter((app) => this._previousSecretValid(app))
+      .map((app) => new Date(app.previous.expiresAt).getTime());
+    if (expiries.length === 0) return;
+
+    const delay = Math.min(Math.max(Math.min(...expiries) - Date.now(), 0) + 1000, MAX_TIMER_MS);
+    this.graceTimer = setTimeout(() => {
+      this.graceTimer = null;
+      this.reconcileSockets();
+    }, delay);
+    this.graceTimer.unref();
+  }
+
+  /**
+   * Is the secret replaced by the last rotation still accepted?
+   */
+  _previousSecretValid(app) {
+    return (
+      !!app.previous &&
+      !!app.previous.expiresAt &&
+      new Date(app.previous.expiresAt).getTime() > Date.now()
+    );
+  }
+
+  /**
+   * Replace clear-text secrets (from before migration 012, or inserted by hand)
+   * with salted hashes. Clients keep using the same secret.
+   */
+  async _hashLegacySecrets(connection) {
+    const result = await connection.execute(
+      `SELECT APP_ID, APP_NAME, APP_SECRET FROM WS_APP_REGISTRY
+       WHERE APP_SECRET NOT LIKE 'sha256$%'`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    for (const row of result.rows) {
+      if (isHashedSecret(row.APP_SECRET)) continue;
+
+      await connection.execute(
+        `UPDATE WS_APP_REGISTRY
+         SET APP_SECRET = :secretHash,
+             APP_SECRET_HINT = :secretHint
+         WHERE APP_ID = :appId`,
+        {
+          secretHash: hashAppSecret(row.APP_SECRET),
+          secretHint: secretHint(row.APP_SECRET),
+          appId: row.APP_ID,
+        },
+        { autoCommit: true }
+      );
+
+      console.log(`🔐 AppRegistry hashed the stored secret of "${row.APP_NAME}"`);
     }
-    return secret.substring(0, 4) + "****" + secret.substring(secret.length - 4);
   }
 }
 
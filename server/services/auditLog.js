@@ -0,0 +1,299 @@
+const { getPool, oracledb } = require("../config/db");
+const { getLogger } = require("../utils/logger");
+const { diffObjects } = require("../utils/textDiff");
+
+/**
+ * Columns captured for each audited entity type. Secrets and password hashes
+ * are left out on purpose: the audit log is readable by every admin role.
+ */
+const ENTITY_SNAPSHOTS = {
+  event: {
+    sql: `SELECT EVENT_ID, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, KEY_COLUMN, PARAMETERS,
+                 CRON_EXPRESSION, ACTIVE_WINDOWS, TIMEOUT_SECONDS, MQTT_PUBLISH_TOPIC,
+                 MQTT_PUBLISH_QOS, MQTT_PUBLISH_RETAIN, MQTT_PUBLISH_MODE, IS_ACTIVE
+          FROM WS_EVENTS WHERE EVENT_ID = :id`,
+    nameField: "EVENT_NAME",
+    fetchInfo: { SQL_QUERY: { type: oracledb.STRING } },
+  },
+  app: {
+    sql: `SELECT APP_ID, APP_NAME, APP_CHANNELS, ALLOWED_CIDRS, MAX_SOCKETS,
+                 INITIAL_STATE_PER_MINUTE, COLUMN_RULES, ROW_FILTERS, DESCRIPTION,
+                 IS_ACTIVE
+          FROM WS_APP_REGISTRY WHERE APP_ID = :id`,
+    nameField: "APP_NAME",
+  },
+  "mqtt-topic": {
+    sql: `SELECT TOPIC_ID, TOPIC_FILTER, DESCRIPTION, IS_ACTIVE
+          FROM WS_MQTT_TOPICS WHERE TOPIC_ID = :id`,
+    nameField: "TOPIC_FILTER",
+  },
+  webhook: {
+    sql: `SELECT WEBHOOK_ID, NAME, TARGET_URL, CHANNEL, TRIGGERS, DESCRIPTION, IS_ACTIVE
+          FROM WS_WEBHOOKS WHERE WEBHOOK_ID = :id`,
+    nameField: "NAME",
+  },
+  user: {
+    sql: `SELECT USER_ID, USERNAME, ROLE, IS_ACTIVE
+          FROM WS_ADMIN_USERS WHERE USER_ID = :id`,
+    nameField: "USERNAME",
+  },
+};
+
+const ENTITY_TYPES = [...Object.keys(ENTITY_SNAPSHOTS), "origin", "socket"];
+
+/**
+ * AuditLog — Records every mutating admin API call in WS_ADMIN_AUDIT.
+ *
+ * Routes take a snapshot of the entity before the change, apply it, then call
+ * record() with the before and after snapshots. Recording never fails the
+ * request: errors are logged and the change itself stands.
+ *
+ * Singleton pattern — use AuditLog.getInstance() after initial construction.
+ */
+class AuditLog {
+  constructor() {
+    if (AuditLog._instance) {
+      return AuditLog._instance;
+    }
+
+    this.logger = getLogger();
+
+    // Disabled automatically when the table has not been created yet
+    this.tableAvailable = true;
+
+    AuditLog._instance = this;
+  }
+
+  /**
+   * Get the singleton instance
+   */
+  static getInstance() {
+    if (!AuditLog._instance) {
+      new AuditLog();
+    }
+    return AuditLog._instance;
+  }
+
+  /**
+   * Current state of an entity, as stored in the audit log
+   * @param {Object} connection - Open connection (the route's own)
+   * @param {string} entityType - Key of ENTITY_SNAPSHOTS
+   * @param {number} id
+   * @returns {Promise<Object|null>} null when the row does not exist (or on error)
+   */
+  async snapshot(connection, entityType, id) {
+    if (!this.tableAvailable) return null;
+
+    const spec = ENTITY_SNAPSHOTS[entityType];
+    try {
+      const result = await connection.execute(
+        spec.sql,
+        { id },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT, fetchInfo: spec.fetchInfo }
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      // Never fail the admin change because of the audit trail
+      this.logger.error(`Error reading ${entityType} ${id} for audit:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write one audit record
+   * @param {Object|null} connection - Route's connection, or null to borrow one
+   * @param {Object} req - Express request (req.admin identifies the user)
+   * @param {Object} entry - { action, entityType, entityId?, entityName?, before?, after? }
+   */
+  async record(connection, req, entry) {
+    if (!this.tableAvailable) return;
+
+    const { action, entityType, before = null, after = null } = entry;
+    const spec = ENTITY_SNAPSHOTS[entityType];
+    const entityName =
+      entry.entityName ?? (spec ? (after || before || {})[spec.nameField] : null) ?? null;
+    const username = req.admin?.username || "unknown";
+
+    let ownConnection = null;
+
+    try {
+      if (!connection) {
+        ownConnection = await getPool().getConnection();
+      }
+
+      await (connection || ownConnection).execute(
+        `INSERT INTO WS_ADMIN_AUDIT
+           (USERNAME, USER_ROLE, IP_ADDRESS, ACTION, ENTITY_TYPE, ENTITY_ID, ENTITY_NAME,
+            BEFORE_VALUE, AFTER_VALUE)
+         VALUES
+           (:username, :userRole, :ipAddress, :action, :entityType, :entityId, :entityName,
+            :beforeValue, :afterValue)`,
+        {
+          username,
+          userRole: req.admin?.role || null,
+          ipAddress: req.ip ? String(req.ip).slice(0, 64) : null,
+          action,
+          entityType,
+          entityId: entry.entityId !== undefined && entry.entityId !== null ? String(entry.entityId) : null,
+          entityName: entityName !== null ? String(entityName).slice(0, 500) : null,
+          beforeValue: { val: before !== null ? JSON.stringify(before) : null, type: oracledb.CLOB },
+          afterValue: { val: after !== null ? JSON.stringify(after) : null, type: oracledb.CLOB },
+        },
+        { autoCommit: true }
+      );
+
+      this.logger.info(
+        `Audit: ${username} ${action} ${entityType}${entityName ? ` "${entityName}"` : ""}`
+      );
+    } catch (error) {
+      if (String(error.message).includes("ORA-00942")) {
+        this.tableAvailable = false;
+        this.logger.warn(
+          "WS_ADMIN_AUDIT table not available; audit log disabled (run migration 010)"
+        );
+      } else {
+        this.logger.error("Error writing audit record:", error);
+      }
+    } finally {
+      if (ownConnection) {
+        try {
+          await ownConnection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Search audit records (newest first, without the snapshots)
+   * @param {Object} filters - { entityType, entityId, username, action, search, from, to, limit, offset }
+   * @returns {Promise<{ total: number, entries: Array }>}
+   */
+  async query(filters) {
+    const conditions = [];
+    const binds = {};
+
+    if (filters.entityType) {
+      conditions.push("ENTITY_TYPE = :entityType");
+      binds.entityType = filters.entityType;
+    }
+    if (filters.entityId) {
+      conditions.push("ENTITY_ID = :entityId");
+      binds.entityId = String(filters.entityId);
+    }
+    if (filters.username) {
+      conditions.push("LOWER(USERNAME) = :username");
+      binds.username = String(filters.username).trim().toLowerCase();
+    }
+    if (filters.action) {
+      conditions.push("ACTION = :action");
+      binds.action = filters.action;
+    }
+    if (filters.search) {
+      conditions.push("UPPER(ENTITY_NAME) LIKE :search");
+      binds.search = `%${String(filters.search).trim().toUpperCase()}%`;
+    }
+    if (filters.from) {
+      conditions.push("CREATED_AT >= :fromTs");
+      binds.fromTs = filters.from;
+    }
+    if (filters.to) {
+      conditions.push("CREATED_AT < :toTs");
+      binds.toTs = filters.to;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const countResult = await connection.execute(
+        `SELECT COUNT(*) AS TOTAL FROM WS_ADMIN_AUDIT ${where}`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      // ROWNUM paging (Oracle 11g has no OFFSET/FETCH)
+      const result = await connection.execute(
+        `SELECT AUDIT_ID, CREATED_AT, USERNAME, USER_ROLE, IP_ADDRESS, ACTION,
+                ENTITY_TYPE, ENTITY_ID, ENTITY_NAME
+         FROM (
+           SELECT a.*, ROWNUM AS RN
+           FROM (
+             SELECT AUDIT_ID, CREATED_AT, USERNAME, USER_ROLE, IP_ADDRESS, ACTION,
+                    ENTITY_TYPE, ENTITY_ID, ENTITY_NAME
+             FROM WS_ADMIN_AUDIT
+             ${where}
+             ORDER BY CREATED_AT DESC, AUDIT_ID DESC
+           ) a
+           WHERE ROWNUM <= :maxRow
+         )
+         WHERE RN > :minRow`,
+        { ...binds, maxRow: filters.offset + filters.limit, minRow: filters.offset },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      return { total: countResult.rows[0].TOTAL, entries: result.rows };
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * One audit record with its snapshots and the changed fields
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(auditId) {
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const result = await connection.execute(
+        `SELECT AUDIT_ID, CREATED_AT, USERNAME, USER_ROLE, IP_ADDRESS, ACTION,
+                ENTITY_TYPE, ENTITY_ID, ENTITY_NAME, BEFORE_VALUE, AFTER_VALUE
+         FROM WS_ADMIN_AUDIT
+         WHERE AUDIT_ID = :auditId`,
+        { auditId },
+        {
+          outFormat: oracledb.OUT_FORMAT_OBJECT,
+          fetchInfo: {
+            BEFORE_VALUE: { type: oracledb.STRING },
+            AFTER_VALUE: { type: oracledb.STRING },
+          },
+        }
+      );
+
+      const row = result.rows[0];
+      if (!row) return null;
+
+      const before = row.BEFORE_VALUE ? JSON.parse(row.BEFORE_VALUE) : null;
+      const after = row.AFTER_VALUE ? JSON.parse(row.AFTER_VALUE) : null;
+      const { BEFORE_VALUE, AFTER_VALUE, ...entry } = row;
+
+      return {
+        ...entry,
+        before,
+        after,
+        // SQL is diffed line by line even when it fits on one line
+        changes: diffObjects(before, after, { lineFields: ["SQL_QUERY"] }),
+      };
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+}
+
+AuditLog.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = AuditLog;
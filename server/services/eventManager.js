@@ -1,6 +1,40 @@
 const { getPool, oracledb } = require("../config/db");
 const crypto = require("crypto");
 const { getLogger } = require("../utils/logger");
+const { unauthorizedSocketIds } = require("../utils/channelGrants");
+const { applyDataRulesToPayload } = require("../utils/appDataRules");
+const AppRegistry = require("./appRegistry");
+const ExecutionHistory = require("./executionHistory");
+const WebhookDispatcher = require("./webhookDispatcher");
+const StreamHub = require("./streamHub");
+const { resolveKeyField, indexRows, diffRows } = require("../utils/rowDelta");
+const {
+  parseParameterDefinitions,
+  resolveParams,
+  paramRoom,
+  fillTopic,
+  channelFromRoom,
+  parseRoom,
+} = require("../utils/eventParams");
+const {
+  parseCron,
+  parseActiveWindows,
+  isWithinWindows,
+  findActiveWindow,
+  getNextRunTime,
+} = require("../utils/schedule");
+
+// Longest single timer; longer waits (cron, next active window) are re-armed in steps
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// Extra time given to the driver's call timeout before the connection is broken
+const TIMEOUT_GRACE_MS = 5000;
+
+// Driver/database errors meaning the call was cut off by callTimeout or break()
+const TIMEOUT_ERROR_PATTERNS = ["DPI-1067", "NJS-123", "ORA-03156", "ORA-01013"];
+
+// Connections abandoned by the timeout watchdog; they are dropped once their call settles
+const abandonedConnections = new WeakSet();
 
 class EventManager {
   constructor(io) {
@@ -8,21 +42,47 @@ class EventManager {
     this.events = new Map();
     this.isInitialized = false;
     this.logger = getLogger();
+    this.history = ExecutionHistory.getInstance();
+    this.webhooks = WebhookDispatcher.getInstance();
+    this.streams = StreamHub.getInstance();
+    this.mqtt = null; // MqttBridge, see attachMqtt()
 
     // Caching configuration
     this.maxCacheSize = parseInt(process.env.MAX_EVENT_CACHE_MB) || 10; // 10MB per event
 
+    // Distinct parameter sets (executions + caches) allowed per parameterized event
+    this.maxParamSets = parseInt(process.env.MAX_EVENT_PARAM_SETS) || 50;
+
+    // Circuit breaker: after N consecutive failures an event stops querying and
+    // only probes with exponential backoff until a probe succeeds (0 = disabled)
+    this.circuitThreshold =
+      process.env.CIRCUIT_BREAKER_THRESHOLD !== undefined
+        ? parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 0
+        : 5;
+    this.circuitBaseDelay = parseInt(process.env.CIRCUIT_BREAKER_BASE_SECONDS) || 30;
+    this.circuitMaxDelay = parseInt(process.env.CIRCUIT_BREAKER_MAX_SECONDS) || 600;
+
+    // Query timeout for events without their own TIMEOUT_SECONDS (0 = no limit)
+    this.defaultQueryTimeout =
+      process.env.EVENT_QUERY_TIMEOUT_SECONDS !== undefined
+        ? parseInt(process.env.EVENT_QUERY_TIMEOUT_SECONDS) || 0
+        : 30;
+
     // Staggered start configuration
     this.startupQueue = [];
     this.isStaggering = false;
     this.maxStaggerDelay = parseInt(process.env.MAX_STAGGER_DELAY) || 10000;
 
-    // Sleep mode configuration
-    this.isSleeping = false;
+    // Sleep mode configuration (per event, driven by channel subscriptions)
     this.sleepModeEnabled = process.env.SLEEP_MODE_ENABLED !== "false"; // Default: true
     this.sleepOnStartup = process.env.SLEEP_ON_STARTUP !== "false"; // NEW: Default: true
-    this.sleepDelay = parseInt(process.env.SLEEP_MODE_DELAY) || 30000; // 30 seconds
-    this.sleepTimer = null;
+    this.sleepDelay = parseInt(process.env.SLEEP_MODE_DELAY) || 30000; // Grace period: 30 seconds
+
+    // Wake/sleep events as sockets and SSE streams join and leave channel rooms
+    this.io.sockets.adapter.on("join-room", (room) => this.onChannelDemandChange(room));
+    this.io.sockets.adapter.on("leave-room", (room) => this.onChannelDemandChange(room));
+    this.streams.on("join-room", (room) => this.onChannelDemandChange(room));
+    this.streams.on("leave-room", (room) => this.onChannelDemandChange(room));
 
     // Persist success heartbeat occasionally (avoid writing each successful run)
     this.successHeartbeatMs =
@@ -32,16 +92,25 @@ class EventManager {
     this.healthColumnsAvailable = true;
   }
 
+  /**
+   * MQTT bridge used to publish results of events with an MQTT publish topic
+   * (not attached when MQTT_ENABLED=false)
+   */
+  attachMqtt(mqttBridge) {
+    this.mqtt = mqttBridge;
+  }
+
   createEventData(config) {
     return {
       config: config,
       timer: null,
+      nextRunAt: null,
       isRunning: false,
-      lastDataHash: null,
-      cachedData: null,
-      cacheTimestamp: null,
-      cacheSize: 0,
-      cacheTruncated: false,
+      isSleeping: false,
+      sleepTimer: null,
+      lastPulledAt: null, // Last GET /api/data read (see recordPull)
+      // Parameter set key -> execution state; plain events have one entry under ""
+      instances: this.restoreInstances(config),
       health: {
         currentState: "INIT",
         lastSuccessAt: null,
@@ -50,31 +119,163 @@ class EventManager {
         consecutiveErrors: 0,
         lastPersistedSuccessAt: null,
       },
+      circuit: {
+        state: "CLOSED", // CLOSED -> OPEN -> HALF_OPEN (probing) -> CLOSED | OPEN
+        openedAt: null,
+        nextProbeAt: null,
+        backoffSeconds: 0,
+        openCount: 0, // consecutive openings, drives the backoff exponent
+      },
       stats: {
         totalExecutions: 0,
         successCount: 0,
         errorCount: 0,
         lastExecutionTime: null,
+        totalExecutionTime: 0, // ms, summed over all executions (for average/rate)
         lastExecutionStatus: null,
         lastExecutionTimestamp: null,
         skippedCount: 0,
+        timeoutCount: 0,
+        circuitSkippedCount: 0,
         broadcasts: 0,
       },
     };
   }
 
   /**
-   * Safely broadcast to a socket with error handling
+   * Build the initial parameter sets of an event. Plain events get their single
+   * state; parameterized events pick up rooms that still have subscribers
+   * (after a reload), as long as the values are valid for the new definitions.
+   */
+  restoreInstances(config) {
+    const channel = this.getEventChannel(config.eventName);
+
+    if (!config.parameters) {
+      return new Map([["", this.createInstance(channel)]]);
+    }
+
+    const instances = new Map();
+    const rooms = new Set([...this.io.sockets.adapter.rooms.keys(), ...this.streams.roomNames()]);
+    for (const room of rooms) {
+      if (room === channel || channelFromRoom(room) !== channel) continue;
+
+      const { key, values } = parseRoom(room);
+      const resolved = resolveParams(config.parameters, values);
+      if (resolved.valid && resolved.key === key) {
+        instances.set(key, this.createInstance(channel, resolved));
+      } else {
+        this.logger.warn(
+          `Subscribers of "${room}" no longer match the parameters of "${config.eventName}"`
+        );
+      }
+    }
+
+    return instances;
+  }
+
+  /**
+   * Execution state for one parameter set of an event (cache, hash, delta index)
+   * @param {string} channel - Event channel
+   * @param {Object} [resolved] - Result of resolveParams(); omit for plain events
+   */
+  createInstance(channel, resolved = null) {
+    const key = resolved ? resolved.key : "";
+    return {
+      key: key,
+      room: paramRoom(channel, key),
+      params: resolved ? resolved.binds : null,
+      binds: resolved ? resolved.binds : {},
+      lastDemandAt: Date.now(),
+      lastPulledAt: null,
+      lastDataHash: null,
+      seq: 0, // Incremented on every data broadcast (full or patch)
+      keyField: null, // Resolved key column name as returned by Oracle
+      rowIndex: null, // Map<key, serializedRow> of the last broadcast result
+      keyWarningLogged: false,
+      cachedData: null,
+      cacheTimestamp: null,
+      checkedAt: null, // Last successful query, changed or not
+      cacheSize: 0,
+      cacheTruncated: false,
+    };
+  }
+
+  /**
+   * Safely broadcast to every socket subscribed to a channel room.
+   * Room membership is gated by socket.user.channels at SUBSCRIBE time; the
+   * grants are checked again here so sockets never get a denied channel.
+   * Apps with column rules or row filters for the channel get their own copy.
+   * @param {string} channel - Socket.IO event name clients listen on
+   * @param {Object} data - Payload
+   * @param {string} [room] - Target room when it differs from the channel (parameter sets)
+   * @param {Array} [rows] - Complete result, for per-app copies of a patch
+   * @returns {number} Number of sockets and SSE streams the message was sent to
    */
-  safeBroadcast(socket, channel, data) {
+  broadcastToChannel(channel, data, room = channel, rows = null) {
+    const subscribers = this.getSubscriberCount(room);
+    if (subscribers === 0) {
+      return 0;
+    }
+
+    let sent = 0;
     try {
-      socket.emit(channel, data);
+      const sockets = this.io.sockets.adapter.rooms.get(room)?.size || 0;
+      if (sockets > 0) {
+        const denied = unauthorizedSocketIds(this.io, room, channel);
+        const restricted = this.groupByDataRules(room, channel, denied);
+
+        this.io
+          .to(room)
+          .except([...denied, ...[...restricted.values()].flatMap((group) => group.socketIds)])
+          .emit(channel, data);
+
+        for (const group of restricted.values()) {
+          this.io
+            .to(group.socketIds)
+            .emit(channel, applyDataRulesToPayload(data, group.rules, rows));
+        }
+        sent += sockets - denied.length;
+      }
+
+      // SSE streams (GET /api/stream) get the same payloads
+      sent += this.streams.broadcast(channel, data, room, rows);
     } catch (error) {
-      this.logger.error("Failed to emit to socket:", error, {
-        socketId: socket.id,
+      this.logger.error("Failed to broadcast to channel:", error, {
         channel: channel,
+        room: room,
+        subscribers: subscribers,
       });
     }
+
+    return sent;
+  }
+
+  /**
+   * Sockets in a room whose app has column rules or row filters for the
+   * channel, grouped by app
+   * @returns {Map<string, { rules: Array, socketIds: string[] }>}
+   */
+  groupByDataRules(room, channel, excluded = []) {
+    const groups = new Map();
+    const members = this.io.sockets.adapter.rooms.get(room);
+    if (!members) return groups;
+
+    const appRegistry = AppRegistry.getInstance();
+    for (const socketId of members) {
+      if (excluded.includes(socketId)) continue;
+
+      const socket = this.io.sockets.sockets.get(socketId);
+      const rules = socket ? appRegistry.getDataRules(socket, channel) : null;
+      if (!rules) continue;
+
+      const key = socket.user.appName;
+      if (!groups.has(key)) {
+        groups.set(key, { rules, socketIds: [] });
+      }
+      groups.get(key).socketIds.push(socketId);
+    }
+
+    return groups;
   }
 
   async initialize() {
@@ -101,34 +302,17 @@ class EventManager {
     try {
       connection = await pool.getConnection();
 
-      const result = await connection.execute(
-        `SELECT EVENT_ID, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, IS_ACTIVE
-         FROM WS_EVENTS
-         WHERE IS_ACTIVE = 1
-         ORDER BY EVENT_ID`,
-        [],
-        {
-          outFormat: oracledb.OUT_FORMAT_OBJECT,
-          fetchInfo: {
-            SQL_QUERY: { type: oracledb.STRING }, // Convert CLOB to string
-          },
-        }
-      );
+      const eventConfigs = await this.fetchActiveEventConfigs(connection);
 
       this.stopAll();
 
       // Start timer for each active event
-      for (const row of result.rows) {
-        this.startEvent({
-          eventId: row.EVENT_ID,
-          eventName: row.EVENT_NAME,
-          sqlQuery: row.SQL_QUERY,
-          intervalSeconds: row.INTERVAL_SECONDS,
-        });
+      for (const config of eventConfigs) {
+        this.startEvent(config);
       }
 
       console.log(
-        `📊 Loaded ${result.rows.length} active events from database`
+        `📊 Loaded ${eventConfigs.length} active events from database`
       );
     } catch (error) {
       console.error("Error loading events:", error.message);
@@ -142,6 +326,71 @@ class EventManager {
     }
   }
 
+  /**
+   * Read active event definitions from WS_EVENTS and map them to configs
+   */
+  async fetchActiveEventConfigs(connection) {
+    const result = await connection.execute(
+      `SELECT EVENT_ID, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, KEY_COLUMN, PARAMETERS,
+              CRON_EXPRESSION, ACTIVE_WINDOWS, TIMEOUT_SECONDS, MQTT_PUBLISH_TOPIC,
+              MQTT_PUBLISH_QOS, MQTT_PUBLISH_RETAIN, MQTT_PUBLISH_MODE, IS_ACTIVE
+       FROM WS_EVENTS
+       WHERE IS_ACTIVE = 1
+       ORDER BY EVENT_ID`,
+      [],
+      {
+        outFormat: oracledb.OUT_FORMAT_OBJECT,
+        fetchInfo: {
+          SQL_QUERY: { type: oracledb.STRING }, // Convert CLOB to string
+        },
+      }
+    );
+
+    const configs = [];
+
+    for (const row of result.rows) {
+      const parsed = parseParameterDefinitions(row.PARAMETERS);
+      if (!parsed.valid) {
+        this.logger.error(
+          `Event "${row.EVENT_NAME}" has invalid PARAMETERS (${parsed.message}) - not started`
+        );
+        continue;
+      }
+
+      const cron = parseCron(row.CRON_EXPRESSION);
+      const windows = parseActiveWindows(row.ACTIVE_WINDOWS);
+      if (!cron.valid || !windows.valid) {
+        this.logger.error(
+          `Event "${row.EVENT_NAME}" has an invalid schedule (${cron.message || windows.message}) - not started`
+        );
+        continue;
+      }
+
+      configs.push({
+        eventId: row.EVENT_ID,
+        eventName: row.EVENT_NAME,
+        sqlQuery: row.SQL_QUERY,
+        intervalSeconds: row.INTERVAL_SECONDS,
+        keyColumn: row.KEY_COLUMN || null, // Enables row-level delta broadcasts
+        parameters: parsed.definitions, // null = plain event (no binds)
+        cronExpression: row.CRON_EXPRESSION || null,
+        cron: cron.cron, // compiled; replaces the fixed interval when set
+        activeWindows: windows.windows, // null = poll around the clock
+        timeoutSeconds: row.TIMEOUT_SECONDS || this.defaultQueryTimeout, // 0 = no limit
+        mqttPublish: row.MQTT_PUBLISH_TOPIC // null = results are not published to MQTT
+          ? {
+              topic: row.MQTT_PUBLISH_TOPIC,
+              qos: row.MQTT_PUBLISH_QOS || 0,
+              retain: row.MQTT_PUBLISH_RETAIN === 1,
+              mode: row.MQTT_PUBLISH_MODE === "delta" ? "delta" : "full",
+            }
+          : null,
+      });
+    }
+
+    return configs;
+  }
+
   /**
    * Load events with staggered start to prevent connection pool exhaustion
    */
@@ -152,29 +401,10 @@ class EventManager {
     try {
       connection = await pool.getConnection();
 
-      const result = await connection.execute(
-        `SELECT EVENT_ID, EVENT_NAME, SQL_QUERY, INTERVAL_SECONDS, IS_ACTIVE
-         FROM WS_EVENTS
-         WHERE IS_ACTIVE = 1
-         ORDER BY EVENT_ID`,
-        [],
-        {
-          outFormat: oracledb.OUT_FORMAT_OBJECT,
-          fetchInfo: {
-            SQL_QUERY: { type: oracledb.STRING }, // Convert CLOB to string
-          },
-        }
-      );
+      const eventConfigs = await this.fetchActiveEventConfigs(connection);
 
       this.stopAll();
 
-      const eventConfigs = result.rows.map((row) => ({
-        eventId: row.EVENT_ID,
-        eventName: row.EVENT_NAME,
-        sqlQuery: row.SQL_QUERY,
-        intervalSeconds: row.INTERVAL_SECONDS,
-      }));
-
       if (eventConfigs.length === 0) {
         this.logger.info("No active events to load");
         return;
@@ -213,7 +443,7 @@ class EventManager {
         this.isStaggering = false;
         this.logger.info(`All ${eventConfigs.length} events started`);
 
-        // NEW: Check if we should immediately go to sleep (no clients connected)
+        // Put events without subscribers to sleep (after the grace period)
         if (this.sleepOnStartup) {
           setTimeout(() => {
             this.checkSleepMode();
@@ -249,17 +479,17 @@ class EventManager {
     // Create event data structure
     const eventData = this.createEventData(config);
 
-    // Execute immediately on start
-    this.executeEvent(eventId, eventData);
-
-    // Set interval timer
-    eventData.timer = setInterval(() => {
+    // Execute immediately on start (unless outside its active windows)
+    if (isWithinWindows(config.activeWindows, new Date())) {
       this.executeEvent(eventId, eventData);
-    }, intervalSeconds * 1000);
+    }
+
+    // Arm the schedule timer
+    this.scheduleNext(eventId, eventData);
 
     this.events.set(eventId, eventData);
 
-    this.logger.info(`Started event: "${eventName}" (ID: ${eventId}) - Interval: ${intervalSeconds}s`);
+    this.logger.info(`Started event: "${eventName}" (ID: ${eventId}) - ${this.describeSchedule(config)}`);
   }
 
   /**
@@ -281,23 +511,67 @@ class EventManager {
     this.events.set(eventId, eventData);
 
     // Execute immediately if requested (for staggered start)
-    if (executeImmediately) {
+    if (executeImmediately && isWithinWindows(config.activeWindows, new Date())) {
       this.executeEvent(eventId, eventData);
     }
 
-    // Set interval timer
-    eventData.timer = setInterval(() => {
+    // Arm the schedule timer
+    this.scheduleNext(eventId, eventData);
+
+    this.logger.info(`Started event: "${eventName}" (ID: ${eventId}) - ${this.describeSchedule(config)}`);
+  }
+
+  /**
+   * Arm the timer for the event's next run: fixed interval, the interval of
+   * the current active window, or the next cron time. A setTimeout chain is
+   * used instead of setInterval so every run can pick its own delay.
+   * @param {Date} [from] - Compute the next run strictly after this time
+   */
+  scheduleNext(eventId, eventData, from = new Date()) {
+    const { eventName } = eventData.config;
+    const runAt = getNextRunTime(eventData.config, from);
+
+    eventData.nextRunAt = runAt;
+    if (!runAt) {
+      eventData.timer = null;
+      this.logger.warn(`Event "${eventName}" has no upcoming run in its schedule`);
+      return;
+    }
+
+    const delay = Math.min(Math.max(runAt.getTime() - Date.now(), 0), MAX_TIMER_MS);
+
+    eventData.timer = setTimeout(() => {
+      // Long wait split into steps: keep the same target
+      if (runAt.getTime() - Date.now() > 1000) {
+        this.scheduleNext(eventId, eventData, new Date(from.getTime()));
+        return;
+      }
+
+      this.scheduleNext(eventId, eventData, new Date(Math.max(Date.now(), runAt.getTime())));
       this.executeEvent(eventId, eventData);
-    }, intervalSeconds * 1000);
+    }, delay);
+  }
 
-    this.logger.info(`Started event: "${eventName}" (ID: ${eventId}) - Interval: ${intervalSeconds}s`);
+  /**
+   * Human readable schedule for logs
+   */
+  describeSchedule(config) {
+    const base = config.cron
+      ? `Cron: "${config.cronExpression}"`
+      : `Interval: ${config.intervalSeconds}s`;
+    return config.activeWindows
+      ? `${base} within ${config.activeWindows.length} active window(s)`
+      : base;
   }
 
   /**
-   * Execute event query and broadcast results
+   * Execute event query and broadcast results.
+   * Parameterized events run one query per subscribed parameter set, sequentially,
+   * so a tick never holds more than one pool connection per event.
+   * @param {Object} [onlyInstance] - Run just this parameter set (cache hydration)
    */
-  async executeEvent(eventId, eventData) {
-    const { eventName, sqlQuery } = eventData.config;
+  async executeEvent(eventId, eventData, onlyInstance = null) {
+    const { eventName } = eventData.config;
 
     // Prevent overlap: Skip if previous execution still running
     if (eventData.isRunning) {
@@ -306,7 +580,73 @@ class EventManager {
       return;
     }
 
+    // Circuit open: no query and no DB write until the next probe is due
+    const circuit = eventData.circuit;
+    if (circuit.state === "OPEN") {
+      if (Date.now() < circuit.nextProbeAt.getTime()) {
+        eventData.stats.circuitSkippedCount++;
+        return;
+      }
+      circuit.state = "HALF_OPEN";
+      this.logger.info(`Circuit for "${eventName}" half-open - probing`);
+    }
+
     eventData.isRunning = true;
+
+    try {
+      let instances = onlyInstance ? [onlyInstance] : this.getDueInstances(eventData);
+
+      // A probe is a single query; remaining parameter sets resume once it succeeds
+      if (circuit.state === "HALF_OPEN") {
+        instances = instances.slice(0, 1);
+      }
+
+      for (const instance of instances) {
+        await this.executeInstance(eventId, eventData, instance);
+        if (circuit.state === "OPEN") break;
+      }
+    } finally {
+      eventData.isRunning = false;
+    }
+  }
+
+  /**
+   * Parameter sets to run on this tick. Plain events always have exactly one.
+   * Parameter sets without subscribers (or recent HTTP reads) are skipped, and
+   * dropped (with their cache) once unsubscribed for longer than the sleep
+   * grace period.
+   */
+  getDueInstances(eventData) {
+    if (!eventData.config.parameters) {
+      return [...eventData.instances.values()];
+    }
+
+    const due = [];
+    const now = Date.now();
+
+    for (const [key, instance] of eventData.instances.entries()) {
+      if (this.getSubscriberCount(instance.room) > 0) {
+        instance.lastDemandAt = now;
+        due.push(instance);
+      } else if (this.isRecentlyPulled(instance, now)) {
+        due.push(instance);
+      } else if (now - instance.lastDemandAt > this.sleepDelay) {
+        eventData.instances.delete(key);
+        this.logger.debug(
+          `Dropped parameter set "${key}" of "${eventData.config.eventName}" (no subscribers)`
+        );
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Execute one parameter set of an event and broadcast to its room
+   */
+  async executeInstance(eventId, eventData, instance) {
+    const { eventName, sqlQuery } = eventData.config;
+
     eventData.stats.totalExecutions++;
     const startTime = Date.now();
 
@@ -314,24 +654,35 @@ class EventManager {
     let connection;
     const previousStatus = eventData.stats.lastExecutionStatus;
 
+    let timedOut = false;
+
     try {
       connection = await pool.getConnection();
 
-      const result = await connection.execute(sqlQuery, [], {
-        outFormat: oracledb.OUT_FORMAT_OBJECT,
-        maxRows: 1000, // Increased limit from 50 to allow full dashboard payloads
-        fetchArraySize: 1000,
-      });
+      const result = await this.executeWithTimeout(
+        connection,
+        sqlQuery,
+        instance.binds,
+        {
+          outFormat: oracledb.OUT_FORMAT_OBJECT,
+          maxRows: 1000, // Increased limit from 50 to allow full dashboard payloads
+          fetchArraySize: 1000,
+        },
+        eventData.config.timeoutSeconds
+      );
 
       const executionTime = Date.now() - startTime;
+      instance.checkedAt = new Date();
       const dataHash = crypto
         .createHash("md5")
         .update(JSON.stringify(result.rows))
         .digest("hex");
 
       // Only broadcast if data has changed
-      if (dataHash !== eventData.lastDataHash) {
-        eventData.lastDataHash = dataHash;
+      const dataChanged = dataHash !== instance.lastDataHash;
+      if (dataChanged) {
+        const firstResult = instance.lastDataHash === null;
+        instance.lastDataHash = dataHash;
         eventData.stats.broadcasts++;
 
         // NEW: Store cached data with memory management
@@ -341,48 +692,84 @@ class EventManager {
 
         if (dataSizeBytes > maxSizeBytes) {
           // Truncate to first 100 rows if exceeds limit
-          eventData.cachedData = result.rows.slice(0, 100);
-          eventData.cacheTruncated = true;
-          eventData.cacheSize = Buffer.byteLength(
-            JSON.stringify(eventData.cachedData),
+          instance.cachedData = result.rows.slice(0, 100);
+          instance.cacheTruncated = true;
+          instance.cacheSize = Buffer.byteLength(
+            JSON.stringify(instance.cachedData),
             "utf8"
           );
           this.logger.warn(
             `Cache for "${eventName}" exceeds ${this.maxCacheSize}MB, truncated to 100 rows`
           );
         } else {
-          eventData.cachedData = result.rows;
-          eventData.cacheTruncated = false;
-          eventData.cacheSize = dataSizeBytes;
+          instance.cachedData = result.rows;
+          instance.cacheTruncated = false;
+          instance.cacheSize = dataSizeBytes;
         }
 
-        eventData.cacheTimestamp = new Date();
+        instance.cacheTimestamp = new Date();
+
+        // Row-level delta against the previous result (null = send full payload)
+        const delta = this.buildDelta(eventData.config, instance, result.rows);
+        instance.seq++;
 
         // Prepare broadcast data
-        const broadcastData = {
-          eventName: eventName,
-          data: result.rows,
-          rowCount: result.rows.length,
-          timestamp: new Date().toISOString(),
-          executionTime: executionTime,
-        };
-
-        // Broadcast to authorized clients only (channel-scoped)
+        const broadcastData = delta
+          ? {
+              eventName: eventName,
+              type: "patch",
+              seq: instance.seq,
+              keyColumn: instance.keyField,
+              inserted: delta.inserted,
+              updated: delta.updated,
+              removed: delta.removed,
+              ...(delta.order ? { order: delta.order } : {}),
+              rowCount: result.rows.length,
+              timestamp: new Date().toISOString(),
+              executionTime: executionTime,
+            }
+          : {
+              eventName: eventName,
+              type: "full",
+              seq: instance.seq,
+              data: result.rows,
+              rowCount: result.rows.length,
+              timestamp: new Date().toISOString(),
+              executionTime: executionTime,
+            };
+        if (instance.params) {
+          broadcastData.params = instance.params;
+        }
+
+        // Broadcast to subscribed clients only (channel or parameter-set room)
         const channel = this.getEventChannel(eventName);
-        let sentCount = 0;
-
-        for (const [socketId, socket] of this.io.sockets.sockets) {
-          // If user has no channel restrictions (null), they get everything
-          // If user has channel restrictions, check if this channel is allowed
-          if (!socket.user?.channels || socket.user.channels.has(channel)) {
-            this.safeBroadcast(socket, channel, broadcastData);
-            sentCount++;
-          }
+        const sentCount = this.broadcastToChannel(
+          channel,
+          broadcastData,
+          instance.room,
+          result.rows
+        );
+
+        // Webhooks get changes only, not the first result after a start or reload
+        if (!firstResult) {
+          this.webhooks.dispatch("data", channel, {
+            eventName: eventName,
+            ...(instance.params ? { params: instance.params } : {}),
+            seq: instance.seq,
+            rowCount: result.rows.length,
+            rows: result.rows,
+            changes: delta
+              ? { inserted: delta.inserted, updated: delta.updated, removed: delta.removed }
+              : null,
+          });
         }
 
+        if (eventData.config.mqttPublish) {
+          this.publishToMqtt(eventData.config, instance, broadcastData, result.rows);
+        }
 
         this.logger.debug(
-          `Event "${eventName}" executed and broadcasted (${executionTime}ms, ${result.rows.length} rows)`
+          `Event "${eventName}" executed and broadcasted (${executionTime}ms, ${result.rows.length} rows, ${sentCount} subscriber(s))`
         );
       } else {
         this.logger.debug(
@@ -393,15 +780,32 @@ class EventManager {
       // Update stats (in memory only for success)
       eventData.stats.successCount++;
       eventData.stats.lastExecutionTime = executionTime;
+      eventData.stats.totalExecutionTime += executionTime;
       eventData.stats.lastExecutionStatus = "success";
       eventData.stats.lastExecutionTimestamp = new Date();
+      const previousState = eventData.health.currentState;
       eventData.health.currentState = "OK";
       eventData.health.lastSuccessAt = new Date();
       eventData.health.consecutiveErrors = 0;
       eventData.health.lastErrorMessage = null;
+      if (previousState !== "OK" && previousState !== "INIT") {
+        this.notifyHealth(eventData, "state", previousState);
+      }
+      this.closeCircuit(eventData);
+
+      this.history.record({
+        eventId: eventId,
+        paramKey: instance.key,
+        startedAt: new Date(startTime),
+        durationMs: executionTime,
+        rowCount: result.rows.length,
+        status: "success",
+        dataChanged: dataChanged,
+      });
 
-      // Persist success health on transition (error -> success) or heartbeat cadence.
-      const shouldPersistTransition = previousStatus === "error";
+      // Persist success health on transition (error/timeout -> success) or heartbeat cadence.
+      const shouldPersistTransition =
+        previousStatus === "error" || previousStatus === "timeout";
       const shouldPersistHeartbeat =
         !eventData.health.lastPersistedSuccessAt ||
         Date.now() - eventData.health.lastPersistedSuccessAt.getTime() >=
@@ -422,27 +826,56 @@ class EventManager {
       // Success stats are kept in memory to reduce database writes by ~90%
     } catch (error) {
       const executionTime = Date.now() - startTime;
+      timedOut = this.isTimeoutError(error);
+      const status = timedOut ? "timeout" : "error";
 
       eventData.stats.errorCount++;
+      if (timedOut) eventData.stats.timeoutCount++;
       eventData.stats.lastExecutionTime = executionTime;
-      eventData.stats.lastExecutionStatus = "error";
+      eventData.stats.totalExecutionTime += executionTime;
+      eventData.stats.lastExecutionStatus = status;
       eventData.stats.lastExecutionTimestamp = new Date();
-      eventData.health.currentState = "ERROR";
+      const previousState = eventData.health.currentState;
+      eventData.health.currentState = timedOut ? "TIMEOUT" : "ERROR";
       eventData.health.lastErrorAt = new Date();
-      eventData.health.lastErrorMessage = this.truncateErrorMessage(error.message);
+      eventData.health.lastErrorMessage = this.truncateErrorMessage(
+        timedOut
+          ? `Query exceeded ${eventData.config.timeoutSeconds}s timeout`
+          : error.message
+      );
       eventData.health.consecutiveErrors += 1;
+      if (previousState !== eventData.health.currentState) {
+        this.notifyHealth(eventData, "state", previousState);
+      }
+      this.recordCircuitFailure(eventData);
+
+      this.history.record({
+        eventId: eventId,
+        paramKey: instance.key,
+        startedAt: new Date(startTime),
+        durationMs: executionTime,
+        status: status,
+        errorMessage: eventData.health.lastErrorMessage,
+      });
 
       // Persist error snapshot to DB (with backward-compatible fallback).
+      // While the circuit is open this only happens once per probe.
       await this.persistHealthSnapshot(eventId, {
-        currentState: "ERROR",
+        currentState: eventData.health.currentState,
         lastErrorAt: eventData.health.lastErrorAt,
         lastErrorMessage: eventData.health.lastErrorMessage,
         consecutiveErrors: eventData.health.consecutiveErrors,
         lastExecutionTime: executionTime,
-        legacyStatus: "error",
+        legacyStatus: status,
       });
 
-      this.logger.error(`Event "${eventName}" execution failed:`, error);
+      if (timedOut) {
+        this.logger.error(
+          `Event "${eventName}" timed out after ${executionTime}ms (limit ${eventData.config.timeoutSeconds}s)`
+        );
+      } else {
+        this.logger.error(`Event "${eventName}" execution failed:`, error);
+      }
 
       // Emit error to clients (without exposing sensitive error details)
       const errorChannel = this.getEventChannel(eventName);
@@ -452,23 +885,213 @@ class EventManager {
         message: "Data temporarily unavailable",
         timestamp: new Date().toISOString(),
       };
-
-      for (const [, socket] of this.io.sockets.sockets) {
-        if (!socket.user?.channels || socket.user.channels.has(errorChannel)) {
-          this.safeBroadcast(socket, errorChannel, errorData);
-        }
+      if (instance.params) {
+        errorData.params = instance.params;
       }
-    } finally {
-      eventData.isRunning = false;
 
-      if (connection) {
+      this.broadcastToChannel(errorChannel, errorData, instance.room);
+    } finally {
+      // A timed-out connection may still be mid-call or broken: drop it from the pool
+      if (connection && !abandonedConnections.has(connection)) {
         try {
-          await connection.close();
+          await connection.close(timedOut ? { drop: true } : undefined);
         } catch (e) {}
       }
     }
   }
 
+  /**
+   * Execute a query bounded by the event timeout. The driver's callTimeout
+   * interrupts the round trip; if the call still has not returned after a
+   * grace period, the connection is broken and the execution is abandoned so
+   * the event is not stuck "running". The connection is then dropped (not
+   * returned to the pool) once the call finally settles.
+   * callTimeout is always cleared again: the connection goes back to the pool
+   * and must not carry this event's limit to its next user.
+   * @param {number} timeoutSeconds - 0 = no limit
+   */
+  async executeWithTimeout(connection, sql, binds, options, timeoutSeconds) {
+    if (!timeoutSeconds) {
+      connection.callTimeout = 0;
+      return connection.execute(sql, binds, options);
+    }
+
+    const timeoutMs = timeoutSeconds * 1000;
+    connection.callTimeout = timeoutMs;
+
+    const execution = connection.execute(sql, binds, options);
+    let watchdog;
+
+    const abandon = new Promise((resolve, reject) => {
+      watchdog = setTimeout(() => {
+        const error = new Error(`Query exceeded ${timeoutSeconds}s timeout`);
+        error.code = "EVENT_TIMEOUT";
+
+        abandonedConnections.add(connection);
+        connection.break().catch(() => {});
+        execution
+          .catch(() => {})
+          .finally(() => connection.close({ drop: true }).catch(() => {}));
+
+        reject(error);
+      }, timeoutMs + TIMEOUT_GRACE_MS);
+    });
+
+    try {
+      return await Promise.race([execution, abandon]);
+    } finally {
+      clearTimeout(watchdog);
+      connection.callTimeout = 0;
+    }
+  }
+
+  /**
+   * Did this error come from the query timeout (callTimeout, break or watchdog)?
+   */
+  isTimeoutError(error) {
+    if (!error) return false;
+    if (error.code === "EVENT_TIMEOUT") return true;
+    const message = String(error.message || "");
+    return TIMEOUT_ERROR_PATTERNS.some((pattern) => message.includes(pattern));
+  }
+
+  /**
+   * Count a failed execution against the circuit breaker. Opens the circuit
+   * once the threshold is reached; a failed probe re-opens it with a doubled
+   * backoff (capped at CIRCUIT_BREAKER_MAX_SECONDS).
+   */
+  recordCircuitFailure(eventData) {
+    const circuit = eventData.circuit;
+    if (!this.circuitThreshold) return;
+
+    const probeFailed = circuit.state === "HALF_OPEN";
+    if (!probeFailed && eventData.health.consecutiveErrors < this.circuitThreshold) return;
+    if (circuit.state === "OPEN") return;
+
+    circuit.openCount++;
+    circuit.backoffSeconds = Math.min(
+      this.circuitBaseDelay * 2 ** (circuit.openCount - 1),
+      this.circuitMaxDelay
+    );
+    circuit.state = "OPEN";
+    circuit.openedAt = circuit.openedAt || new Date();
+    circuit.nextProbeAt = new Date(Date.now() + circuit.backoffSeconds * 1000);
+
+    this.logger.warn(
+      `Circuit for "${eventData.config.eventName}" open after ${eventData.health.consecutiveErrors} consecutive failures - next probe in ${circuit.backoffSeconds}s`
+    );
+    // Failed probes re-open the circuit with a longer backoff; only the first opening is sent
+    if (circuit.openCount === 1) {
+      this.notifyHealth(eventData, "circuit-open");
+    }
+  }
+
+  /**
+   * Reset the circuit breaker after a successful execution
+   */
+  closeCircuit(eventData) {
+    const circuit = eventData.circuit;
+    if (circuit.state === "CLOSED") return;
+
+    this.logger.info(`Circuit for "${eventData.config.eventName}" closed - probe succeeded`);
+    circuit.state = "CLOSED";
+    circuit.openedAt = null;
+    circuit.nextProbeAt = null;
+    circuit.backoffSeconds = 0;
+    circuit.openCount = 0;
+    this.notifyHealth(eventData, "circuit-closed");
+  }
+
+  /**
+   * Send a health transition to webhooks registered for the event's channel
+   * @param {Object} eventData
+   * @param {"state"|"circuit-open"|"circuit-closed"} transition
+   * @param {string} [previousState] - For "state" transitions
+   */
+  notifyHealth(eventData, transition, previousState = null) {
+    const { health, circuit } = eventData;
+    this.webhooks.dispatch("health", this.getEventChannel(eventData.config.eventName), {
+      eventName: eventData.config.eventName,
+      transition: transition,
+      previousState: previousState || health.currentState,
+      currentState: health.currentState,
+      consecutiveErrors: health.consecutiveErrors,
+      lastErrorMessage: health.lastErrorMessage,
+      lastErrorAt: health.lastErrorAt,
+      lastSuccessAt: health.lastSuccessAt,
+      circuit: {
+        state: circuit.state,
+        openCount: circuit.openCount,
+        backoffSeconds: circuit.backoffSeconds,
+        nextProbeAt: circuit.nextProbeAt,
+      },
+    });
+  }
+
+  /**
+   * Publish a changed result to the event's MQTT topic. "full" mode turns a
+   * patch back into the whole result, so retained messages are always complete.
+   * @param {Object} broadcastData - Payload sent to sockets (full or patch)
+   * @param {Array} rows - Complete result
+   */
+  publishToMqtt(config, instance, broadcastData, rows) {
+    if (!this.mqtt) return;
+
+    const { topic, qos, retain, mode } = config.mqttPublish;
+    const payload =
+      mode === "full" && broadcastData.type === "patch"
+        ? {
+            eventName: broadcastData.eventName,
+            ...(instance.params ? { params: instance.params } : {}),
+            type: "full",
+            seq: broadcastData.seq,
+            data: rows,
+            rowCount: rows.length,
+            timestamp: broadcastData.timestamp,
+            executionTime: broadcastData.executionTime,
+          }
+        : broadcastData;
+
+    this.mqtt.publish(fillTopic(topic, instance.params), payload, { qos, retain });
+  }
+
+  /**
+   * Compute a row-level delta for events with a key column.
+   * Returns null when a full payload must be sent instead: no key column,
+   * first result, missing/duplicate keys, truncated cache, or a patch that
+   * would touch more than half of the rows.
+   */
+  buildDelta(config, instance, rows) {
+    const { eventName, keyColumn } = config;
+    if (!keyColumn) return null;
+
+    const keyField =
+      rows.length > 0 ? resolveKeyField(rows[0], keyColumn) : instance.keyField;
+    const nextIndex = keyField ? indexRows(rows, keyField) : null;
+    const previousIndex = instance.rowIndex;
+
+    instance.keyField = keyField;
+    instance.rowIndex = nextIndex;
+
+    if (!nextIndex) {
+      if (!instance.keyWarningLogged) {
+        this.logger.warn(
+          `Key column "${keyColumn}" missing or not unique in "${eventName}" results, sending full payloads`
+        );
+        instance.keyWarningLogged = true;
+      }
+      return null;
+    }
+    instance.keyWarningLogged = false;
+
+    if (!previousIndex || instance.cacheTruncated) return null;
+
+    const delta = diffRows(previousIndex, nextIndex, rows, keyField);
+    if (delta.changedCount > rows.length / 2) return null;
+
+    return delta;
+  }
+
   /**
    * Keep DB error message compact and safe for VARCHAR2 column
    */
@@ -567,8 +1190,10 @@ class EventManager {
   stopEvent(eventId) {
     const eventData = this.events.get(eventId);
 
-    if (eventData && eventData.timer) {
-      clearInterval(eventData.timer);
+    if (eventData) {
+      // A sleeping event has no interval timer but must still be removed
+      if (eventData.timer) clearTimeout(eventData.timer);
+      if (eventData.sleepTimer) clearTimeout(eventData.sleepTimer);
       this.events.delete(eventId);
       this.logger.debug(`Stopped event ID: ${eventId}`);
     }
@@ -580,7 +1205,10 @@ class EventManager {
   stopAll() {
     for (const [eventId, eventData] of this.events.entries()) {
       if (eventData.timer) {
-        clearInterval(eventData.timer);
+        clearTimeout(eventData.timer);
+      }
+      if (eventData.sleepTimer) {
+        clearTimeout(eventData.sleepTimer);
       }
     }
     this.events.clear();
@@ -593,6 +1221,9 @@ class EventManager {
   async reload() {
     console.log("🔄 Reloading events...");
     await this.loadEvents();
+
+    // Reloaded events start awake; put unsubscribed ones back to sleep
+    this.checkSleepMode();
   }
 
   /**
@@ -614,8 +1245,10 @@ class EventManager {
         eventId: eventId,
         eventName: eventData.config.eventName,
         intervalSeconds: eventData.config.intervalSeconds,
+        schedule: this.getScheduleInfo(eventData),
         isRunning: eventData.isRunning,
         health: eventData.health,
+        circuit: eventData.circuit,
         stats: eventData.stats,
       });
     }
@@ -633,62 +1266,168 @@ class EventManager {
           eventId: eventId,
           eventName: eventData.config.eventName,
           intervalSeconds: eventData.config.intervalSeconds,
+          schedule: this.getScheduleInfo(eventData),
           isRunning: eventData.isRunning,
           health: eventData.health,
+          circuit: eventData.circuit,
           stats: eventData.stats,
         }
       : null;
   }
 
+  /**
+   * Find an event by name
+   * @returns {[number, Object]|null} [eventId, eventData]
+   */
+  findEventByName(eventName) {
+    for (const entry of this.events.entries()) {
+      if (entry[1].config.eventName === eventName) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find an event by its channel
+   * @returns {[number, Object]|null} [eventId, eventData]
+   */
+  findEventByChannel(channel) {
+    for (const entry of this.events.entries()) {
+      if (this.getEventChannel(entry[1].config.eventName) === channel) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Look up (or create) the execution state for a parameter set.
+   * Plain events ignore params and always return their single state.
+   * @returns {{ instance?: Object, error?: string }}
+   */
+  getInstance(eventData, params, create = false) {
+    const { eventName, parameters } = eventData.config;
+
+    if (!parameters) {
+      return { instance: eventData.instances.get("") };
+    }
+
+    const resolved = resolveParams(parameters, params);
+    if (!resolved.valid) {
+      return { error: resolved.message };
+    }
+
+    let instance = eventData.instances.get(resolved.key);
+    if (!instance && create) {
+      if (eventData.instances.size >= this.maxParamSets) {
+        return { error: `Too many parameter sets for "${eventName}"` };
+      }
+      instance = this.createInstance(this.getEventChannel(eventName), resolved);
+      eventData.instances.set(resolved.key, instance);
+    }
+
+    return { instance };
+  }
+
+  /**
+   * Resolve the room a socket must join to subscribe to a channel.
+   * Non-event channels (MQTT) and plain events use the channel itself;
+   * parameterized events get one room per validated parameter set.
+   * @returns {{ room?: string, params?: Object|null, error?: string }}
+   */
+  resolveSubscription(channel, params) {
+    const entry = this.findEventByChannel(channel);
+    if (!entry || !entry[1].config.parameters) {
+      return { room: channel, params: null };
+    }
+
+    const { instance, error } = this.getInstance(entry[1], params, true);
+    if (error) {
+      return { error };
+    }
+
+    instance.lastDemandAt = Date.now();
+    return { room: instance.room, params: instance.params };
+  }
+
+  /**
+   * Rooms a socket should leave when unsubscribing from a channel.
+   * Without params: the channel and all its parameter-set rooms.
+   */
+  getSubscriptionRooms(socket, channel, params) {
+    if (params) {
+      const entry = this.findEventByChannel(channel);
+      if (entry && entry[1].config.parameters) {
+        const resolved = resolveParams(entry[1].config.parameters, params);
+        return resolved.valid ? [paramRoom(channel, resolved.key)] : [];
+      }
+    }
+
+    return [...socket.rooms].filter((room) => channelFromRoom(room) === channel);
+  }
+
   /**
    * Get cached data for an event by ID
+   * @param {Object} [params] - Parameter values (parameterized events only)
    */
-  getCachedData(eventId) {
+  getCachedData(eventId, params = null) {
     const eventData = this.events.get(eventId);
+    if (!eventData) {
+      return null;
+    }
 
-    if (!eventData || !eventData.cachedData) {
+    const { instance } = this.getInstance(eventData, params);
+    if (!instance || !instance.cachedData) {
       return null;
     }
 
     return {
       eventName: eventData.config.eventName,
-      data: eventData.cachedData,
-      rowCount: eventData.cachedData.length,
-      timestamp: eventData.cacheTimestamp,
-      age: eventData.cacheTimestamp
-        ? Date.now() - eventData.cacheTimestamp.getTime()
+      params: instance.params,
+      seq: instance.seq,
+      hash: instance.lastDataHash, // md5 of the full result
+      data: instance.cachedData,
+      rowCount: instance.cachedData.length,
+      timestamp: instance.cacheTimestamp,
+      checkedAt: instance.checkedAt,
+      age: instance.cacheTimestamp
+        ? Date.now() - instance.cacheTimestamp.getTime()
         : null,
-      truncated: eventData.cacheTruncated || false,
-      cacheSize: eventData.cacheSize,
+      truncated: instance.cacheTruncated || false,
+      cacheSize: instance.cacheSize,
     };
   }
 
   /**
    * Get cached data for an event by name
    */
-  getCachedDataByName(eventName) {
-    for (const [eventId, eventData] of this.events.entries()) {
-      if (eventData.config.eventName === eventName) {
-        return this.getCachedData(eventId);
-      }
-    }
-    return null;
+  getCachedDataByName(eventName, params = null) {
+    const entry = this.findEventByName(eventName);
+    return entry ? this.getCachedData(entry[0], params) : null;
   }
 
   /**
    * Trigger immediate execution of an event by name
    * Used when client requests data but cache is not populated yet
    */
-  async triggerEventByName(eventName) {
-    for (const [eventId, eventData] of this.events.entries()) {
-      if (eventData.config.eventName === eventName) {
-        console.log(`🔄 Triggering immediate execution for "${eventName}"`);
-        await this.executeEvent(eventId, eventData);
-        return true;
-      }
+  async triggerEventByName(eventName, params = null) {
+    const entry = this.findEventByName(eventName);
+    if (!entry) {
+      console.warn(`⚠️  Event not found: "${eventName}"`);
+      return false;
     }
-    console.warn(`⚠️  Event not found: "${eventName}"`);
-    return false;
+
+    const [eventId, eventData] = entry;
+    const { instance, error } = this.getInstance(eventData, params, true);
+    if (error) {
+      console.warn(`⚠️  Cannot trigger "${eventName}": ${error}`);
+      return false;
+    }
+
+    console.log(`🔄 Triggering immediate execution for "${eventName}"`);
+    await this.executeEvent(eventId, eventData, instance);
+    return true;
   }
 
   /**
@@ -702,16 +1441,16 @@ class EventManager {
         eventId: eventId,
         eventName: eventData.config.eventName,
         intervalSeconds: eventData.config.intervalSeconds,
+        schedule: this.getScheduleInfo(eventData),
         isRunning: eventData.isRunning,
-        isSleeping: this.isSleeping,
+        isSleeping: eventData.isSleeping,
+        subscribers: this.getEventSubscriberCount(eventData),
+        paramSets: eventData.config.parameters ? eventData.instances.size : null,
         health: eventData.health,
+        circuit: eventData.circuit,
         stats: {
           ...eventData.stats,
-          cacheSize: eventData.cacheSize,
-          cacheAge: eventData.cacheTimestamp
-            ? Date.now() - eventData.cacheTimestamp.getTime()
-            : null,
-          cacheTruncated: eventData.cacheTruncated,
+          ...this.getCacheStats(eventData),
         },
       });
     }
@@ -720,131 +1459,251 @@ class EventManager {
   }
 
   /**
-   * Check sleep mode and wake/sleep accordingly based on client connections
+   * Schedule summary for monitoring
    */
-  checkSleepMode() {
-    if (!this.sleepModeEnabled) {
-      console.log("💡 Sleep mode disabled via config");
-      return;
+  getScheduleInfo(eventData) {
+    const { cronExpression, activeWindows } = eventData.config;
+    const now = new Date();
+
+    return {
+      cronExpression: cronExpression,
+      activeWindows: activeWindows,
+      currentWindow: activeWindows ? findActiveWindow(activeWindows, now) : null,
+      nextRunAt: eventData.nextRunAt ? eventData.nextRunAt.toISOString() : null,
+    };
+  }
+
+  /**
+   * Cache metrics summed over all parameter sets of an event
+   */
+  getCacheStats(eventData) {
+    let cacheSize = 0;
+    let latest = null;
+    let cacheTruncated = false;
+
+    for (const instance of eventData.instances.values()) {
+      cacheSize += instance.cacheSize;
+      cacheTruncated = cacheTruncated || instance.cacheTruncated;
+      if (instance.cacheTimestamp && (!latest || instance.cacheTimestamp > latest)) {
+        latest = instance.cacheTimestamp;
+      }
     }
 
-    const connectedClients = this.io.engine.clientsCount;
+    return {
+      cacheSize: cacheSize,
+      cacheAge: latest ? Date.now() - latest.getTime() : null,
+      cacheTruncated: cacheTruncated,
+    };
+  }
 
-    console.log(
-      `🔍 Sleep check: ${connectedClients} client(s) connected, sleeping: ${this.isSleeping}`
-    );
+  /**
+   * Number of sockets and SSE streams currently subscribed to a room
+   */
+  getSubscriberCount(room) {
+    return (this.io.sockets.adapter.rooms.get(room)?.size || 0) + this.streams.count(room);
+  }
 
-    // Wake up: Clients connected and we're sleeping
-    if (connectedClients > 0 && this.isSleeping) {
-      this.wakeUp();
+  /**
+   * Subscribers of an event across all of its parameter-set rooms
+   */
+  getEventSubscriberCount(eventData) {
+    let total = 0;
+    for (const instance of eventData.instances.values()) {
+      total += this.getSubscriberCount(instance.room);
     }
+    return total;
+  }
 
-    // Go to sleep: No clients and we're awake
-    if (connectedClients === 0 && !this.isSleeping) {
-      // Don't sleep immediately (prevent flapping)
-      if (this.sleepTimer) {
-        clearTimeout(this.sleepTimer);
-      }
+  /**
+   * Webhooks and MQTT publishing keep plain events awake without socket
+   * subscribers. Parameterized events only run parameter sets that sockets
+   * subscribed to, so they still sleep.
+   */
+  hasBackgroundDemand(eventData) {
+    if (eventData.config.parameters) return false;
+    if (eventData.config.mqttPublish && this.mqtt) return true;
+
+    const channel = this.getEventChannel(eventData.config.eventName);
+    return this.webhooks.hasTargets(channel, "data") || this.webhooks.hasTargets(channel, "health");
+  }
 
-      console.log(`⏱️  Scheduling sleep in ${this.sleepDelay / 1000}s...`);
+  /**
+   * Whether an event (or parameter set) was read over HTTP within the sleep
+   * grace period
+   */
+  isRecentlyPulled(target, now = Date.now()) {
+    return target.lastPulledAt !== null && now - target.lastPulledAt < this.sleepDelay;
+  }
 
-      this.sleepTimer = setTimeout(() => {
-        // Double-check client count before sleeping
-        if (this.io.engine.clientsCount === 0) {
-          this.goToSleep();
-        }
-      }, this.sleepDelay);
+  /**
+   * GET /api/data read: counts as demand like a subscriber that just left, so
+   * the event (and the parameter set read) keeps running until
+   * SLEEP_MODE_DELAY after the last read.
+   * @returns {boolean} true when the result was not being refreshed (sleeping
+   *          event, idle parameter set) and the cache must not be served as is
+   */
+  recordPull(eventId, params = null) {
+    const eventData = this.events.get(eventId);
+    if (!eventData) return false;
+
+    const now = Date.now();
+    let stale = eventData.isSleeping;
+
+    if (eventData.config.parameters) {
+      const { instance } = this.getInstance(eventData, params, true);
+      if (instance) {
+        stale =
+          stale || (this.getSubscriberCount(instance.room) === 0 && !this.isRecentlyPulled(instance, now));
+        instance.lastDemandAt = now;
+        instance.lastPulledAt = now;
+      }
     }
 
-    // Cancel sleep timer if clients reconnect
-    if (connectedClients > 0 && this.sleepTimer) {
-      console.log("⏰ Sleep cancelled - client connected");
-      clearTimeout(this.sleepTimer);
-      this.sleepTimer = null;
+    eventData.lastPulledAt = now;
+    if (eventData.isSleeping) {
+      this.wakeEvent(eventId, false);
     }
+    this.checkEventDemand(eventId);
+
+    return stale;
   }
 
   /**
-   * Put EventManager to sleep - pause all timers
+   * Adapter hook: a socket joined or left a room. Rooms that are not event
+   * channels (socket id rooms, MQTT channels) match no event and are ignored.
    */
-  goToSleep() {
-    if (this.isSleeping) return;
-
-    console.log("💤 Sleep mode activated - No clients connected");
-    this.isSleeping = true;
-
-    // Pause all timers (but keep event config and cache)
+  onChannelDemandChange(room) {
+    const channel = channelFromRoom(room);
     for (const [eventId, eventData] of this.events.entries()) {
-      if (eventData.timer) {
-        clearInterval(eventData.timer);
-        eventData.timer = null;
-        if (eventData.stats) {
-          eventData.stats.lastSleepTimestamp = new Date();
-        }
+      if (this.getEventChannel(eventData.config.eventName) === channel) {
+        this.checkEventDemand(eventId);
       }
     }
+  }
 
-    console.log(`⏸️  Paused ${this.events.size} events`);
+  /**
+   * Check sleep mode for every event (startup, reload)
+   */
+  checkSleepMode() {
+    if (!this.sleepModeEnabled) {
+      console.log("💡 Sleep mode disabled via config");
+      return;
+    }
+
+    for (const eventId of this.events.keys()) {
+      this.checkEventDemand(eventId);
+    }
   }
 
   /**
-   * Wake up EventManager - resume all timers with staggering
+   * Wake or schedule sleep for a single event based on its channel subscribers
    */
-  async wakeUp() {
-    if (!this.isSleeping) return;
+  checkEventDemand(eventId) {
+    if (!this.sleepModeEnabled) return;
 
-    console.log("⏰ Waking up from sleep mode - Client connected");
-    this.isSleeping = false;
+    const eventData = this.events.get(eventId);
+    if (!eventData) return;
 
-    // Get all event configs
-    const eventConfigs = [];
-    for (const [eventId, eventData] of this.events.entries()) {
-      eventConfigs.push(eventData.config);
-    }
+    const { eventName } = eventData.config;
+    const subscribers = this.getEventSubscriberCount(eventData);
 
-    if (eventConfigs.length === 0) {
-      console.log("⚠️  No events to wake");
+    if (subscribers > 0 || this.hasBackgroundDemand(eventData)) {
+      // Cancel pending sleep if a subscriber came back during the grace period
+      if (eventData.sleepTimer) {
+        clearTimeout(eventData.sleepTimer);
+        eventData.sleepTimer = null;
+        this.logger.debug(`Sleep cancelled for "${eventName}" - subscriber joined`);
+      }
+      if (eventData.isSleeping) {
+        this.wakeEvent(eventId);
+      }
       return;
     }
 
-    // Calculate stagger interval for wake-up
-    const smallestInterval = Math.min(
-      ...eventConfigs.map((e) => e.intervalSeconds)
-    );
-    const staggerDelay = Math.max(
-      Math.min(
-        (smallestInterval * 1000) / eventConfigs.length,
-        this.maxStaggerDelay / eventConfigs.length
-      ),
-      500
-    );
+    // No subscribers: sleep after the grace period (prevents flapping)
+    // A recent HTTP read counts as a subscriber that left at that time.
+    if (!eventData.isSleeping && !eventData.sleepTimer) {
+      const delay = this.isRecentlyPulled(eventData)
+        ? eventData.lastPulledAt + this.sleepDelay - Date.now()
+        : this.sleepDelay;
+      this.logger.debug(
+        `Scheduling sleep for "${eventName}" in ${Math.round(delay / 1000)}s (no subscribers)`
+      );
 
-    console.log(
-      `▶️  Resuming ${eventConfigs.length} events with ${staggerDelay}ms stagger...`
-    );
+      eventData.sleepTimer = setTimeout(() => {
+        eventData.sleepTimer = null;
+        if (this.events.get(eventId) !== eventData) return;
 
-    // Restart timers with staggering
-    eventConfigs.forEach((config, index) => {
-      setTimeout(() => {
-        const eventData = this.events.get(config.eventId);
-        if (eventData) {
-          // Set interval timer (don't execute immediately, will execute at interval)
-          eventData.timer = setInterval(() => {
-            this.executeEvent(config.eventId, eventData);
-          }, config.intervalSeconds * 1000);
-
-          // Execute once with random jitter to refresh cache
-          const jitter = Math.random() * 2000; // 0-2s random delay
-          setTimeout(() => {
-            this.executeEvent(config.eventId, eventData);
-          }, jitter);
+        // Read over HTTP during the grace period: wait until the reads stop
+        if (this.isRecentlyPulled(eventData)) {
+          this.checkEventDemand(eventId);
+          return;
         }
-      }, index * staggerDelay);
-    });
 
+        // Double-check subscriber count
+        if (this.getEventSubscriberCount(eventData) === 0 && !this.hasBackgroundDemand(eventData)) {
+          this.sleepEvent(eventId);
+        }
+      }, delay);
+    }
+  }
+
+  /**
+   * Put a single event to sleep - pause its timer (keep config and cache)
+   */
+  sleepEvent(eventId) {
+    const eventData = this.events.get(eventId);
+    if (!eventData || eventData.isSleeping) return;
+
+    if (eventData.timer) {
+      clearTimeout(eventData.timer);
+      eventData.timer = null;
+    }
+    eventData.nextRunAt = null;
+    eventData.isSleeping = true;
+    eventData.stats.lastSleepTimestamp = new Date();
+
+    // Nobody is subscribed to any parameter set: release their caches
+    if (eventData.config.parameters) {
+      eventData.instances.clear();
+    }
+
+    console.log(`💤 Event "${eventData.config.eventName}" sleeping - no subscribers`);
+  }
+
+  /**
+   * Wake a single event - resume its timer and refresh the cache
+   * @param {boolean} [refresh=true] - false when the caller runs the query itself
+   */
+  wakeEvent(eventId, refresh = true) {
+    const eventData = this.events.get(eventId);
+    if (!eventData || !eventData.isSleeping) return;
+
+    const { eventName, activeWindows } = eventData.config;
+    eventData.isSleeping = false;
+
+    // Re-arm the schedule timer (don't execute immediately, will execute at next run)
+    this.scheduleNext(eventId, eventData);
+
+    if (!refresh) {
+      console.log(`⏰ Event "${eventName}" woke up - read over HTTP`);
+      return;
+    }
+
+    // Execute once with random jitter to refresh cache (spreads simultaneous wakes).
+    // Outside the active windows the cache is left as is.
+    const jitter = Math.random() * 2000; // 0-2s random delay
     setTimeout(() => {
-      console.log(`✅ All ${eventConfigs.length} events resumed`);
-    }, staggerDelay * eventConfigs.length + 3000);
+      if (
+        this.events.get(eventId) === eventData &&
+        !eventData.isSleeping &&
+        isWithinWindows(activeWindows, new Date())
+      ) {
+        this.executeEvent(eventId, eventData);
+      }
+    }, jitter);
+
+    console.log(`⏰ Event "${eventName}" woke up - subscriber joined`);
   }
 }
 
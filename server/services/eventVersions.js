@@ -0,0 +1,282 @@
+const { getPool, oracledb } = require("../config/db");
+const { getLogger } = require("../utils/logger");
+const { diffObjects } = require("../utils/textDiff");
+const { checkPublishTopic } = require("../utils/mqttTopics");
+const AuditLog = require("./auditLog");
+
+// Event columns that make up a version (IS_ACTIVE and runtime status are not versioned)
+const DEFINITION_FIELDS = [
+  "EVENT_NAME",
+  "SQL_QUERY",
+  "INTERVAL_SECONDS",
+  "KEY_COLUMN",
+  "PARAMETERS",
+  "CRON_EXPRESSION",
+  "ACTIVE_WINDOWS",
+  "TIMEOUT_SECONDS",
+  "MQTT_PUBLISH_TOPIC",
+  "MQTT_PUBLISH_QOS",
+  "MQTT_PUBLISH_RETAIN",
+  "MQTT_PUBLISH_MODE",
+];
+
+const DEFINITION_COLUMNS = DEFINITION_FIELDS.join(", ");
+
+/**
+ * EventVersions — Numbered history of event definitions (WS_EVENT_VERSIONS).
+ *
+ * Every create/update stores the saved definition as the next version.
+ * Rolling back copies an old version onto WS_EVENTS and stores the result as
+ * a new version, so history is never rewritten.
+ *
+ * Singleton pattern — use EventVersions.getInstance() after initial construction.
+ */
+class EventVersions {
+  constructor() {
+    if (EventVersions._instance) {
+      return EventVersions._instance;
+    }
+
+    this.logger = getLogger();
+
+    // Disabled automatically when the table has not been created yet
+    this.tableAvailable = true;
+
+    EventVersions._instance = this;
+  }
+
+  /**
+   * Get the singleton instance
+   */
+  static getInstance() {
+    if (!EventVersions._instance) {
+      new EventVersions();
+    }
+    return EventVersions._instance;
+  }
+
+  /**
+   * Copy the current definition of an event into a new version, in the
+   * route's transaction: the caller commits the event change and its version
+   * together (as rollback() does). Only a missing table is tolerated.
+   * @param {Object} connection - Route's open connection (uncommitted change)
+   * @param {number} eventId
+   * @param {Object} req - Express request (req.admin identifies the user)
+   * @param {"create"|"update"} source
+   */
+  async record(connection, eventId, req, source) {
+    if (!this.tableAvailable) return;
+
+    try {
+      await this._insertVersion(connection, eventId, {
+        source,
+        restoredFrom: null,
+        createdBy: req.admin?.username || null,
+      });
+    } catch (error) {
+      if (!String(error.message).includes("ORA-00942")) throw error;
+
+      this.tableAvailable = false;
+      this.logger.warn(
+        "WS_EVENT_VERSIONS table not available; event versioning disabled (run migration 011)"
+      );
+    }
+  }
+
+  /**
+   * All versions of an event, newest first
+   * @returns {Promise<Array>}
+   */
+  async list(eventId) {
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const result = await connection.execute(
+        `SELECT VERSION_NO, ${DEFINITION_COLUMNS}, SOURCE, RESTORED_FROM, CREATED_BY, CREATED_AT
+         FROM WS_EVENT_VERSIONS
+         WHERE EVENT_ID = :eventId
+         ORDER BY VERSION_NO DESC`,
+        { eventId },
+        {
+          outFormat: oracledb.OUT_FORMAT_OBJECT,
+          fetchInfo: { SQL_QUERY: { type: oracledb.STRING } },
+        }
+      );
+
+      return result.rows;
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * One version and the fields changed relative to another one
+   * @param {number} eventId
+   * @param {number} versionNo
+   * @param {number} [compareTo] - Defaults to the previous version
+   * @returns {Promise<{ version: Object, compareTo: Object|null, changes: Array }|null>}
+   */
+  async get(eventId, versionNo, compareTo = versionNo - 1) {
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const result = await connection.execute(
+        `SELECT VERSION_NO, ${DEFINITION_COLUMNS}, SOURCE, RESTORED_FROM, CREATED_BY, CREATED_AT
+         FROM WS_EVENT_VERSIONS
+         WHERE EVENT_ID = :eventId AND VERSION_NO IN (:versionNo, :compareTo)`,
+        { eventId, versionNo, compareTo },
+        {
+          outFormat: oracledb.OUT_FORMAT_OBJECT,
+          fetchInfo: { SQL_QUERY: { type: oracledb.STRING } },
+        }
+      );
+
+      const version = result.rows.find((row) => row.VERSION_NO === versionNo);
+      if (!version) return null;
+
+      const other = result.rows.find((row) => row.VERSION_NO === compareTo) || null;
+
+      return {
+        version,
+        compareTo: other,
+        changes: diffObjects(definitionOf(other), definitionOf(version), {
+          lineFields: ["SQL_QUERY"],
+        }),
+      };
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Restore an old version onto WS_EVENTS (recorded as a new version).
+   * The caller reloads the EventManager.
+   * @returns {Promise<{ versionNo: number, restoredFrom: number }|{ error: string }|null>}
+   *          null when the event or version does not exist, error when its MQTT
+   *          publish topic now matches a bridge subscription
+   */
+  async rollback(eventId, versionNo, req) {
+    const auditLog = AuditLog.getInstance();
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const before = await auditLog.snapshot(connection, "event", eventId);
+
+      const result = await connection.execute(
+        `UPDATE WS_EVENTS
+         SET (${DEFINITION_COLUMNS}) = (
+               SELECT ${DEFINITION_COLUMNS}
+               FROM WS_EVENT_VERSIONS
+               WHERE EVENT_ID = :eventId AND VERSION_NO = :versionNo
+             ),
+             UPDATED_AT = CURRENT_TIMESTAMP
+         WHERE EVENT_ID = :eventId
+           AND EXISTS (
+             SELECT 1 FROM WS_EVENT_VERSIONS
+             WHERE EVENT_ID = :eventId AND VERSION_NO = :versionNo
+           )`,
+        { eventId, versionNo }
+      );
+
+      if (result.rowsAffected === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      // Subscriptions may have changed since that version was saved
+      const restored = await connection.execute(
+        `SELECT MQTT_PUBLISH_TOPIC FROM WS_EVENTS WHERE EVENT_ID = :eventId`,
+        { eventId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      const echo = await checkPublishTopic(connection, restored.rows[0].MQTT_PUBLISH_TOPIC);
+      if (echo) {
+        await connection.rollback();
+        return { error: echo };
+      }
+
+      // Same transaction: a rollback is never applied without its version row
+      const newVersionNo = await this._insertVersion(connection, eventId, {
+        source: "rollback",
+        restoredFrom: versionNo,
+        createdBy: req.admin?.username || null,
+      });
+      await connection.commit();
+
+      await auditLog.record(connection, req, {
+        action: "rollback",
+        entityType: "event",
+        entityId: eventId,
+        before,
+        after: await auditLog.snapshot(connection, "event", eventId),
+      });
+
+      this.logger.info(`Event ${eventId} rolled back to version ${versionNo} (now version ${newVersionNo})`);
+
+      return { versionNo: newVersionNo, restoredFrom: versionNo };
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Insert the event's current definition as the next version (not committed)
+   * @returns {Promise<number>} The new VERSION_NO
+   */
+  async _insertVersion(connection, eventId, { source, restoredFrom, createdBy }) {
+    await connection.execute(
+      `INSERT INTO WS_EVENT_VERSIONS
+         (EVENT_ID, VERSION_NO, ${DEFINITION_COLUMNS}, SOURCE, RESTORED_FROM, CREATED_BY)
+       SELECT e.EVENT_ID,
+              (SELECT NVL(MAX(v.VERSION_NO), 0) + 1 FROM WS_EVENT_VERSIONS v WHERE v.EVENT_ID = e.EVENT_ID),
+              ${DEFINITION_FIELDS.map((field) => `e.${field}`).join(", ")},
+              :source, :restoredFrom, :createdBy
+       FROM WS_EVENTS e
+       WHERE e.EVENT_ID = :eventId`,
+      { eventId, source, restoredFrom, createdBy }
+    );
+
+    const result = await connection.execute(
+      `SELECT MAX(VERSION_NO) AS VERSION_NO FROM WS_EVENT_VERSIONS WHERE EVENT_ID = :eventId`,
+      { eventId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    return result.rows[0].VERSION_NO;
+  }
+}
+
+/**
+ * Definition fields of a version row (null stays null)
+ */
+function definitionOf(row) {
+  if (!row) return null;
+  const definition = {};
+  for (const field of DEFINITION_FIELDS) {
+    definition[field] = row[field] ?? null;
+  }
+  return definition;
+}
+
+module.exports = EventVersions;
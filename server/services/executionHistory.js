@@ -0,0 +1,337 @@
+const { getPool, oracledb } = require("../config/db");
+const { getLogger } = require("../utils/logger");
+
+/**
+ * Selectable history windows for latency/error summaries
+ */
+const HISTORY_WINDOWS = {
+  "1h": 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * ExecutionHistory — Records every event execution into WS_EVENT_EXECUTIONS.
+ *
+ * Executions are buffered in memory and written in batches (executeMany) every
+ * EXECUTION_HISTORY_FLUSH_MS or once EXECUTION_HISTORY_BATCH_SIZE rows are
+ * queued, so history costs one round trip per batch instead of one per run.
+ * Rows older than EXECUTION_HISTORY_RETENTION_DAYS are purged daily.
+ *
+ * Singleton pattern — use ExecutionHistory.getInstance() after initial construction.
+ */
+class ExecutionHistory {
+  constructor() {
+    if (ExecutionHistory._instance) {
+      return ExecutionHistory._instance;
+    }
+
+    this.logger = getLogger();
+    this.enabled = process.env.EXECUTION_HISTORY_ENABLED !== "false"; // Default: true
+    this.batchSize = parseInt(process.env.EXECUTION_HISTORY_BATCH_SIZE) || 100;
+    this.flushIntervalMs = parseInt(process.env.EXECUTION_HISTORY_FLUSH_MS) || 10000;
+    this.retentionDays = parseInt(process.env.EXECUTION_HISTORY_RETENTION_DAYS) || 30;
+
+    // Cap the buffer so an unreachable database cannot grow memory without bound
+    this.maxBuffered = this.batchSize * 50;
+
+    this.buffer = [];
+    this.isFlushing = false;
+    this.droppedCount = 0;
+    this.flushTimer = null;
+    this.purgeTimer = null;
+
+    // Disabled automatically when the table has not been created yet
+    this.tableAvailable = true;
+
+    ExecutionHistory._instance = this;
+  }
+
+  /**
+   * Get the singleton instance
+   */
+  static getInstance() {
+    if (!ExecutionHistory._instance) {
+      new ExecutionHistory();
+    }
+    return ExecutionHistory._instance;
+  }
+
+  /**
+   * Start the periodic flush and retention purge
+   */
+  start() {
+    if (!this.enabled) {
+      console.log("⏸️  Execution history disabled (EXECUTION_HISTORY_ENABLED=false)");
+      return;
+    }
+
+    this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+    this.purgeTimer = setInterval(() => this.purge(), 24 * 60 * 60 * 1000);
+    this.purge();
+
+    this.logger.info(
+      `Execution history started (batch ${this.batchSize}, flush every ${this.flushIntervalMs}ms, retention ${this.retentionDays}d)`
+    );
+  }
+
+  /**
+   * Stop timers and write whatever is still buffered
+   */
+  async stop() {
+    clearInterval(this.flushTimer);
+    clearInterval(this.purgeTimer);
+    this.flushTimer = null;
+    this.purgeTimer = null;
+    await this.flush();
+  }
+
+  /**
+   * Queue one execution for the next batch
+   * @param {Object} entry - { eventId, paramKey, startedAt, durationMs, rowCount, status, dataChanged, errorMessage }
+   */
+  record(entry) {
+    if (!this.enabled || !this.tableAvailable) return;
+
+    this.buffer.push({
+      eventId: entry.eventId,
+      paramKey: entry.paramKey || null,
+      startedAt: entry.startedAt,
+      durationMs: entry.durationMs,
+      rowCount: entry.rowCount ?? null,
+      status: entry.status,
+      dataChanged: entry.dataChanged ? 1 : 0,
+      errorMessage: entry.errorMessage ? String(entry.errorMessage).slice(0, 1000) : null,
+    });
+
+    if (this.buffer.length > this.maxBuffered) {
+      this.droppedCount += this.buffer.length - this.maxBuffered;
+      this.buffer.splice(0, this.buffer.length - this.maxBuffered);
+    }
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Drop buffered executions of a deleted event (they would fail the
+   * EVENT_ID foreign key)
+   */
+  forgetEvent(eventId) {
+    this.buffer = this.buffer.filter((entry) => entry.eventId !== eventId);
+  }
+
+  /**
+   * Write buffered executions in one batch. Rows rejected by the database
+   * (e.g. their event was deleted meanwhile) are dropped; the batch is only
+   * re-queued when the write itself failed.
+   */
+  async flush() {
+    if (this.isFlushing || this.buffer.length === 0) return;
+
+    this.isFlushing = true;
+    const batch = this.buffer.splice(0, this.buffer.length);
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const result = await connection.executeMany(
+        `INSERT INTO WS_EVENT_EXECUTIONS
+           (EVENT_ID, PARAM_KEY, STARTED_AT, DURATION_MS, ROW_COUNT, STATUS, DATA_CHANGED, ERROR_MESSAGE)
+         VALUES
+           (:eventId, :paramKey, :startedAt, :durationMs, :rowCount, :status, :dataChanged, :errorMessage)`,
+        batch,
+        {
+          batchErrors: true,
+          bindDefs: {
+            eventId: { type: oracledb.NUMBER },
+            paramKey: { type: oracledb.STRING, maxSize: 1000 },
+            startedAt: { type: oracledb.DATE },
+            durationMs: { type: oracledb.NUMBER },
+            rowCount: { type: oracledb.NUMBER },
+            status: { type: oracledb.STRING, maxSize: 20 },
+            dataChanged: { type: oracledb.NUMBER },
+            errorMessage: { type: oracledb.STRING, maxSize: 1000 },
+          },
+        }
+      );
+      await connection.commit();
+
+      const rejected = result.batchErrors || [];
+      if (rejected.length > 0) {
+        this.droppedCount += rejected.length;
+        this.logger.warn(
+          `Execution history: dropped ${rejected.length} row(s) rejected by the database (${rejected[0].message})`
+        );
+      }
+
+      this.logger.debug(`Execution history: wrote ${batch.length - rejected.length} row(s)`);
+    } catch (error) {
+      if (String(error.message).includes("ORA-00942")) {
+        this.tableAvailable = false;
+        this.buffer = [];
+        this.logger.warn(
+          "WS_EVENT_EXECUTIONS table not available; execution history disabled (run migration 008)"
+        );
+      } else {
+        // Keep the rows for the next attempt (the buffer cap still applies)
+        this.buffer.unshift(...batch);
+        if (this.buffer.length > this.maxBuffered) {
+          this.droppedCount += this.buffer.length - this.maxBuffered;
+          this.buffer.splice(0, this.buffer.length - this.maxBuffered);
+        }
+        this.logger.error("Error writing execution history:", error);
+      }
+    } finally {
+      this.isFlushing = false;
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Delete executions older than the retention period
+   */
+  async purge() {
+    if (!this.tableAvailable) return;
+
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+      const result = await connection.execute(
+        `DELETE FROM WS_EVENT_EXECUTIONS
+         WHERE STARTED_AT < SYSTIMESTAMP - NUMTODSINTERVAL(:days, 'DAY')`,
+        { days: this.retentionDays },
+        { autoCommit: true }
+      );
+
+      if (result.rowsAffected > 0) {
+        this.logger.info(`Execution history: purged ${result.rowsAffected} row(s)`);
+      }
+    } catch (error) {
+      if (String(error.message).includes("ORA-00942")) {
+        this.tableAvailable = false;
+      } else {
+        this.logger.error("Error purging execution history:", error);
+      }
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Latency percentiles and error rate for one event over a window, plus the
+   * preceding window of the same length for comparison.
+   * @param {number} eventId
+   * @param {string} windowKey - One of HISTORY_WINDOWS
+   */
+  async getHistory(eventId, windowKey) {
+    const windowMs = HISTORY_WINDOWS[windowKey];
+    const to = new Date();
+    const from = new Date(to.getTime() - windowMs);
+    const previousFrom = new Date(from.getTime() - windowMs);
+
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+
+      const current = await this.summarize(connection, eventId, from, to);
+      const previous = await this.summarize(connection, eventId, previousFrom, from);
+
+      return {
+        eventId: eventId,
+        window: windowKey,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        ...current,
+        previous: {
+          from: previousFrom.toISOString(),
+          to: from.toISOString(),
+          ...previous,
+        },
+      };
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Aggregate one time range. Percentiles only consider successful runs,
+   * so failures (often instant) do not hide a slowing query.
+   */
+  async summarize(connection, eventId, from, to) {
+    const result = await connection.execute(
+      `SELECT COUNT(*) AS EXECUTIONS,
+              NVL(SUM(CASE WHEN STATUS = 'success' THEN 1 ELSE 0 END), 0) AS SUCCESS_COUNT,
+              NVL(SUM(CASE WHEN STATUS = 'error' THEN 1 ELSE 0 END), 0) AS ERROR_COUNT,
+              NVL(SUM(CASE WHEN STATUS = 'timeout' THEN 1 ELSE 0 END), 0) AS TIMEOUT_COUNT,
+              NVL(SUM(DATA_CHANGED), 0) AS CHANGED_COUNT,
+              ROUND(AVG(CASE WHEN STATUS = 'success' THEN DURATION_MS END)) AS AVG_MS,
+              MAX(CASE WHEN STATUS = 'success' THEN DURATION_MS END) AS MAX_MS,
+              PERCENTILE_CONT(0.50) WITHIN GROUP (ORDER BY CASE WHEN STATUS = 'success' THEN DURATION_MS END) AS P50_MS,
+              PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY CASE WHEN STATUS = 'success' THEN DURATION_MS END) AS P95_MS,
+              PERCENTILE_CONT(0.99) WITHIN GROUP (ORDER BY CASE WHEN STATUS = 'success' THEN DURATION_MS END) AS P99_MS
+       FROM WS_EVENT_EXECUTIONS
+       WHERE EVENT_ID = :eventId
+         AND STARTED_AT >= :fromTs
+         AND STARTED_AT < :toTs`,
+      { eventId: eventId, fromTs: from, toTs: to },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const row = result.rows[0];
+    const failures = row.ERROR_COUNT + row.TIMEOUT_COUNT;
+    const round = (value) => (value === null ? null : Math.round(value));
+
+    return {
+      executions: row.EXECUTIONS,
+      successCount: row.SUCCESS_COUNT,
+      errorCount: row.ERROR_COUNT,
+      timeoutCount: row.TIMEOUT_COUNT,
+      changedCount: row.CHANGED_COUNT,
+      errorRate: row.EXECUTIONS > 0 ? failures / row.EXECUTIONS : null,
+      latencyMs: {
+        avg: row.AVG_MS,
+        max: row.MAX_MS,
+        p50: round(row.P50_MS),
+        p95: round(row.P95_MS),
+        p99: round(row.P99_MS),
+      },
+    };
+  }
+
+  /**
+   * Buffer state for monitoring
+   */
+  getStats() {
+    return {
+      enabled: this.enabled && this.tableAvailable,
+      buffered: this.buffer.length,
+      droppedCount: this.droppedCount,
+    };
+  }
+}
+
+ExecutionHistory.WINDOWS = Object.keys(HISTORY_WINDOWS);
+
+module.exports = ExecutionHistory;
@@ -0,0 +1,161 @@
+const { getPool, getPoolStats } = require("../config/db");
+
+/**
+ * Readiness checks for /health/ready.
+ *
+ * Each check returns { status: "ok" | "fail" | "disabled", ...detail }. The
+ * node is ready only when no component fails; load balancers and Docker use
+ * the 503 to stop routing to it.
+ */
+
+// Max time for the database round trip (a saturated pool would otherwise
+// hold the probe for the full queueTimeout)
+const DB_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS) || 3000;
+
+/**
+ * Pool exists, is not exhausted, and a pooled connection answers a ping
+ */
+async function checkDatabase() {
+  const stats = getPoolStats();
+  if (!stats) {
+    return { status: "fail", message: "Pool not initialized" };
+  }
+
+  const detail = {
+    connectionsInUse: stats.connectionsInUse,
+    connectionsOpen: stats.connectionsOpen,
+    poolMax: stats.poolMax,
+    queueLength: stats.statistics?.currentQueueLength ?? null,
+  };
+
+  if (stats.connectionsInUse >= stats.poolMax && detail.queueLength > 0) {
+    return { status: "fail", message: "Connection pool exhausted", ...detail };
+  }
+
+  const startTime = Date.now();
+  const acquire = getPool().getConnection();
+  let timer;
+
+  try {
+    const connection = await Promise.race([
+      acquire,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`No connection within ${DB_CHECK_TIMEOUT_MS}ms`)),
+          DB_CHECK_TIMEOUT_MS
+        );
+      }),
+    ]);
+
+    try {
+      await connection.ping();
+    } finally {
+      await connection.close();
+    }
+
+    return { status: "ok", latencyMs: Date.now() - startTime, ...detail };
+  } catch (error) {
+    // Release the connection if it arrives after the probe gave up
+    acquire.then((connection) => connection.close()).catch(() => {});
+    return { status: "fail", message: error.message, ...detail };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * App registry loaded (socket authentication depends on it)
+ */
+function checkAppRegistry(appRegistry) {
+  if (!appRegistry || !appRegistry.isInitialized) {
+    return { status: "fail", message: "App registry not initialized" };
+  }
+  return { status: "ok", apps: appRegistry.apps.size };
+}
+
+/**
+ * EventManager initialized, and not too many awake events failing.
+ * READY_MAX_FAILING_EVENTS sets the limit; without it the node is only
+ * unready when every awake event is failing (usually a database problem).
+ */
+function checkEventManager(eventManager) {
+  if (!eventManager || !eventManager.isInitialized) {
+    return { status: "fail", message: "Event manager not initialized" };
+  }
+
+  const events = eventManager.getMemoryStats();
+  const awake = events.filter((e) => !e.isSleeping);
+  const failing = awake.filter(
+    (e) =>
+      e.health.currentState === "ERROR" ||
+      e.health.currentState === "TIMEOUT" ||
+      e.circuit.state !== "CLOSED"
+  );
+
+  const limit =
+    process.env.READY_MAX_FAILING_EVENTS !== undefined
+      ? parseInt(process.env.READY_MAX_FAILING_EVENTS)
+      : null;
+  const tooMany =
+    limit !== null && !Number.isNaN(limit)
+      ? failing.length > limit
+      : awake.length > 0 && failing.length === awake.length;
+
+  const detail = {
+    events: events.length,
+    awake: awake.length,
+    failing: failing.map((e) => e.eventName),
+  };
+
+  return tooMany
+    ? { status: "fail", message: `${failing.length} event(s) failing`, ...detail }
+    : { status: "ok", ...detail };
+}
+
+/**
+ * MQTT bridge connected (only when MQTT_ENABLED)
+ */
+function checkMqtt(mqttBridge) {
+  if (process.env.MQTT_ENABLED === "false") {
+    return { status: "disabled" };
+  }
+  if (!mqttBridge) {
+    return { status: "fail", message: "MQTT bridge not started" };
+  }
+
+  const status = mqttBridge.getStatus();
+  return status.connected
+    ? { status: "ok", subscribedTopics: status.subscribedTopics.length }
+    : { status: "fail", message: "MQTT broker disconnected", brokerUrl: status.brokerUrl };
+}
+
+/**
+ * Run all readiness checks
+ * @param {Object} app - Express app (services are registered with app.set)
+ * @returns {Promise<{ ready: boolean, body: Object }>}
+ */
+async function checkReadiness(app) {
+  const components = {
+    database: await checkDatabase().catch((error) => ({
+      status: "fail",
+      message: error.message,
+    })),
+    appRegistry: checkAppRegistry(app.get("appRegistry")),
+    eventManager: checkEventManager(app.get("eventManager")),
+    mqtt: checkMqtt(app.get("mqttBridge")),
+  };
+
+  const ready = Object.values(components).every((c) => c.status !== "fail");
+
+  return {
+    ready,
+    body: {
+      status: ready ? "ready" : "not_ready",
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      components,
+    },
+  };
+}
+
+module.exports = { checkReadiness };
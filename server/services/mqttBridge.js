@@ -1,6 +1,9 @@
 const mqtt = require("mqtt");
 const { getPool, oracledb } = require("../config/db");
 const { getLogger } = require("../utils/logger");
+const { unauthorizedSocketIds } = require("../utils/channelGrants");
+const WebhookDispatcher = require("./webhookDispatcher");
+const StreamHub = require("./streamHub");
 
 class MqttBridge {
   constructor(io) {
@@ -10,6 +13,14 @@ class MqttBridge {
     this.brokerUrl = process.env.MQTT_URL || "ws://10.130.0.240:49001/mqtt";
     this.subscribedTopics = new Set();
     this.logger = getLogger();
+    this.webhooks = WebhookDispatcher.getInstance();
+    this.streams = StreamHub.getInstance();
+
+    // Per-topic message counters: topic -> { broadcast, noSubscribers, invalid }
+    this.topicStats = new Map();
+
+    // Event results published to the broker (EventManager.publishToMqtt)
+    this.publishStats = { published: 0, failed: 0, lastError: null };
   }
 
   async start() {
@@ -24,6 +35,18 @@ class MqttBridge {
     });
 
     this.client.on("message", (topic, payloadBuffer) => {
+      const channel = this.topicToChannel(topic);
+
+      // Only sockets and SSE streams subscribed to this channel (room) receive
+      // it; skip parsing entirely when nobody (client or webhook) is listening.
+      const socketCount = this.io.sockets.adapter.rooms.get(channel)?.size || 0;
+      const sentCount = socketCount + this.streams.count(channel);
+      const hasWebhooks = this.webhooks.hasTargets(channel, "data");
+      if (sentCount === 0 && !hasWebhooks) {
+        this.countMessage(topic, "noSubscribers");
+        return;
+      }
+
       const payloadText = payloadBuffer.toString("utf8");
       let payload;
 
@@ -31,10 +54,10 @@ class MqttBridge {
         payload = JSON.parse(payloadText);
       } catch (error) {
         this.logger.warn(`MQTT Non-JSON payload skipped`, { topic: topic });
+        this.countMessage(topic, "invalid");
         return;
       }
 
-      const channel = this.topicToChannel(topic);
       const message = {
         eventName: channel,
         source: "mqtt",
@@ -43,30 +66,32 @@ class MqttBridge {
         timestamp: new Date().toISOString(),
       };
 
-      let sentCount = 0;
-      let failCount = 0;
-      for (const [, socket] of this.io.sockets.sockets) {
-        if (!socket.user?.channels || socket.user.channels.has(channel)) {
-          try {
-            socket.emit(channel, message);
-            sentCount++;
-          } catch (error) {
-            this.logger.error("MQTT broadcast failed:", error, {
-              socketId: socket.id,
-              topic: topic,
-              channel: channel,
-            });
-            failCount++;
-          }
-        }
+      if (hasWebhooks) {
+        this.webhooks.dispatch("data", channel, { topic, payload });
       }
 
-      if (sentCount > 0 || failCount > 0) {
+      if (sentCount === 0) {
+        this.countMessage(topic, "noSubscribers");
+        return;
+      }
+
+      try {
+        // Channel grants (globs and deny entries) are re-checked per socket
+        if (socketCount > 0) {
+          const denied = unauthorizedSocketIds(this.io, channel, channel);
+          this.io.to(channel).except(denied).emit(channel, message);
+        }
+        this.streams.broadcast(channel, message);
+        this.countMessage(topic, "broadcast");
         this.logger.debug(`MQTT broadcasted`, {
           topic: topic,
           channel: channel,
           sent: sentCount,
-          failed: failCount,
+        });
+      } catch (error) {
+        this.logger.error("MQTT broadcast failed:", error, {
+          topic: topic,
+          channel: channel,
         });
       }
     });
@@ -190,11 +215,55 @@ class MqttBridge {
     return topics;
   }
 
+  /**
+   * Publish a JSON payload (event results). While the broker is unreachable
+   * the client queues messages and sends them after reconnecting.
+   * @param {string} topic
+   * @param {Object} payload
+   * @param {{ qos?: 0|1|2, retain?: boolean }} [options]
+   * @returns {boolean} false when the bridge is stopped
+   */
+  publish(topic, payload, options = {}) {
+    if (!this.client) {
+      return false;
+    }
+
+    this.client.publish(
+      topic,
+      JSON.stringify(payload),
+      { qos: options.qos || 0, retain: options.retain === true },
+      (err) => {
+        if (err) {
+          this.publishStats.failed++;
+          this.publishStats.lastError = err.message;
+          this.logger.error(`MQTT Publish failed`, err, { topic: topic });
+          return;
+        }
+        this.publishStats.published++;
+        this.logger.debug(`MQTT Published`, { topic: topic, qos: options.qos || 0 });
+      }
+    );
+    return true;
+  }
+
+  /**
+   * Count a received message by topic and outcome
+   */
+  countMessage(topic, outcome) {
+    let stats = this.topicStats.get(topic);
+    if (!stats) {
+      stats = { broadcast: 0, noSubscribers: 0, invalid: 0 };
+      this.topicStats.set(topic, stats);
+    }
+    stats[outcome]++;
+  }
+
   getStatus() {
     return {
       connected: this.connected,
       brokerUrl: this.brokerUrl,
       subscribedTopics: Array.from(this.subscribedTopics),
+      publish: { ...this.publishStats },
     };
   }
 
@@ -0,0 +1,286 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { getLogger } = require("../utils/logger");
+const { isChannelGranted } = require("../utils/channelGrants");
+const { applyDataRulesToPayload } = require("../utils/appDataRules");
+const AppRegistry = require("./appRegistry");
+
+/**
+ * One Server-Sent Events response (GET /api/stream).
+ *
+ * Shaped like a Socket.IO socket where the rest of the server looks at one
+ * (id, handshake, user, data, rooms, emit, join, leave, disconnect), so
+ * authenticateSocket, channel grants, data rules and AppRegistry reconciles
+ * apply to streams unchanged.
+ */
+class SseStream {
+  /**
+   * @param {import("express").Request} req
+   * @param {import("express").Response} res
+   * @param {StreamHub} hub
+   */
+  constructor(req, res, hub) {
+    this.id = `sse-${crypto.randomUUID()}`;
+    this.res = res;
+    this.hub = hub;
+    this.handshake = {
+      auth: {
+        appId: req.get("x-app-id"),
+        appSecret: req.get("x-app-secret"),
+      },
+      query: req.query,
+      headers: req.headers,
+      address: req.socket.remoteAddress,
+    };
+    this.user = null;
+    this.data = {};
+    this.rooms = new Set();
+    this.connectedAt = new Date();
+    this.closed = false;
+    // Data frames sent (heartbeats excluded), for the Clients inspector
+    this.messagesSent = 0;
+    this.bytesSent = 0;
+  }
+
+  /**
+   * Send the response headers and the client reconnect delay
+   */
+  open() {
+    this.res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx: do not buffer the stream
+    });
+    this.write(`retry: ${this.hub.retryMs}\n\n`);
+  }
+
+  /**
+   * Send one named event (the channel name for data, like Socket.IO)
+   */
+  emit(event, data) {
+    this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Write a pre-serialized frame. Streams whose client stops reading are
+   * closed once SSE_MAX_BUFFER_KB is queued.
+   * @returns {boolean} false when the stream is closed
+   */
+  write(frame) {
+    if (this.closed) return false;
+
+    this.res.write(frame);
+    if (!frame.startsWith(":")) {
+      this.messagesSent++;
+      this.bytesSent += Buffer.byteLength(frame);
+    }
+    if (this.res.writableLength > this.hub.maxBufferBytes) {
+      this.hub.logger.warn(`SSE stream ${this.id} closed: client too slow (${this.res.writableLength} bytes queued)`);
+      this.disconnect();
+      return false;
+    }
+    return true;
+  }
+
+  join(room) {
+    this.hub.join(this, room);
+  }
+
+  leave(room) {
+    this.hub.leave(this, room);
+  }
+
+  disconnect() {
+    if (this.closed) return;
+    this.hub.remove(this);
+    this.res.end();
+  }
+}
+
+/**
+ * StreamHub — Registry of open SSE streams and their channel rooms.
+ *
+ * Mirrors the Socket.IO adapter for the rest of the server: EventManager and
+ * MqttBridge count and broadcast to stream rooms next to socket rooms, and
+ * "join-room" / "leave-room" events drive sleep mode the same way. Idle
+ * streams get a comment line every SSE_HEARTBEAT_SECONDS so proxies keep them open.
+ *
+ * Singleton pattern — use StreamHub.getInstance() after initial construction.
+ */
+class StreamHub extends EventEmitter {
+  constructor() {
+    if (StreamHub._instance) {
+      return StreamHub._instance;
+    }
+
+    super();
+    this.logger = getLogger();
+    this.maxStreams = parseInt(process.env.SSE_MAX_STREAMS) || 100;
+    this.heartbeatMs = (parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 25) * 1000;
+    this.maxBufferBytes = (parseInt(process.env.SSE_MAX_BUFFER_KB) || 1024) * 1024;
+    this.retryMs = 10000;
+
+    this.streams = new Map();
+    // room -> Set<SseStream>
+    this.rooms = new Map();
+    this.heartbeatTimer = null;
+
+    StreamHub._instance = this;
+  }
+
+  /**
+   * Get the singleton instance
+   */
+  static getInstance() {
+    if (!StreamHub._instance) {
+      new StreamHub();
+    }
+    return StreamHub._instance;
+  }
+
+  get size() {
+    return this.streams.size;
+  }
+
+  isFull() {
+    return this.streams.size >= this.maxStreams;
+  }
+
+  /**
+   * New stream for a request (not registered until add())
+   */
+  createStream(req, res) {
+    return new SseStream(req, res, this);
+  }
+
+  add(stream) {
+    this.streams.set(stream.id, stream);
+
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => {
+        for (const open of this.streams.values()) {
+          open.write(": keepalive\n\n");
+        }
+      }, this.heartbeatMs);
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Forget a stream and leave all its rooms (called when the client goes away)
+   */
+  remove(stream) {
+    if (stream.closed) return;
+    stream.closed = true;
+
+    for (const room of [...stream.rooms]) {
+      this.leave(stream, room);
+    }
+    this.streams.delete(stream.id);
+
+    if (this.streams.size === 0 && this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  join(stream, room) {
+    if (stream.closed || stream.rooms.has(room)) return;
+
+    stream.rooms.add(room);
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(stream);
+    this.emit("join-room", room);
+  }
+
+  leave(stream, room) {
+    if (!stream.rooms.delete(room)) return;
+
+    const members = this.rooms.get(room);
+    if (members) {
+      members.delete(stream);
+      if (members.size === 0) this.rooms.delete(room);
+    }
+    this.emit("leave-room", room);
+  }
+
+  /**
+   * Streams subscribed to a room
+   */
+  count(room) {
+    return this.rooms.get(room)?.size || 0;
+  }
+
+  /**
+   * Open streams of a registered app (counted against its socket limit)
+   */
+  countApp(appId) {
+    let count = 0;
+    for (const stream of this.streams.values()) {
+      if (stream.user?.type === "registered-app" && stream.user.appId === appId) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  get(id) {
+    return this.streams.get(id) || null;
+  }
+
+  values() {
+    return this.streams.values();
+  }
+
+  roomNames() {
+    return this.rooms.keys();
+  }
+
+  /**
+   * Send a channel payload to every stream in a room. Channel grants are
+   * re-checked per stream, and apps with column rules or row filters get
+   * their own copy (serialized once per app).
+   * @param {string} channel
+   * @param {Object} data
+   * @param {string} [room]
+   * @param {Array} [rows] - Complete result, for per-app copies of a patch
+   * @returns {number} Streams the message was sent to
+   */
+  broadcast(channel, data, room = channel, rows = null) {
+    const members = this.rooms.get(room);
+    if (!members) return 0;
+
+    const appRegistry = AppRegistry.getInstance();
+    const frames = new Map();
+    let sent = 0;
+
+    for (const stream of [...members]) {
+      if (!isChannelGranted(stream.user?.channels, channel)) continue;
+
+      const rules = appRegistry.getDataRules(stream, channel);
+      const key = rules ? stream.user.appName : "";
+      if (!frames.has(key)) {
+        const payload = rules ? applyDataRulesToPayload(data, rules, rows) : data;
+        frames.set(key, `event: ${channel}\ndata: ${JSON.stringify(payload)}\n\n`);
+      }
+
+      if (stream.write(frames.get(key))) sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Close every stream (shutdown)
+   */
+  closeAll() {
+    for (const stream of [...this.streams.values()]) {
+      stream.disconnect();
+    }
+  }
+}
+
+module.exports = StreamHub;
@@ -0,0 +1,596 @@
+const crypto = require("crypto");
+const { getPool, oracledb } = require("../config/db");
+const { getLogger } = require("../utils/logger");
+const { compilePattern } = require("../utils/channelGrants");
+
+const TRIGGERS = ["data", "health"];
+
+// Longest wait between two attempts of one delivery
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * WebhookDispatcher — POSTs event data changes and health transitions to the
+ * targets registered in WS_WEBHOOKS.
+ *
+ * Every delivery is a JSON envelope signed with the webhook's secret
+ * (X-Webhook-Signature: sha256=HMAC(secret, "<timestamp>.<body>")). Network
+ * errors, 408, 429 and 5xx responses are retried with exponential backoff up
+ * to WEBHOOK_MAX_ATTEMPTS; each delivery is one row in WS_WEBHOOK_DELIVERIES,
+ * updated on every attempt and purged after WEBHOOK_LOG_RETENTION_DAYS.
+ * Deliveries run WEBHOOK_CONCURRENCY at a time from a bounded in-memory queue.
+ *
+ * Singleton pattern — use WebhookDispatcher.getInstance() after initial construction.
+ */
+class WebhookDispatcher {
+  constructor() {
+    if (WebhookDispatcher._instance) {
+      return WebhookDispatcher._instance;
+    }
+
+    this.logger = getLogger();
+    this.enabled = process.env.WEBHOOKS_ENABLED !== "false"; // Default: true
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+    this.concurrency = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+    this.maxQueued = parseInt(process.env.WEBHOOK_MAX_QUEUE) || 1000;
+    this.retentionDays = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 7;
+
+    // webhookId -> { id, name, url, secret, channel, matcher, triggers }
+    this.webhooks = new Map();
+
+    this.queue = [];
+    this.inFlight = 0;
+    this.retryTimers = new Set();
+    this.purgeTimer = null;
+    this.stats = { delivered: 0, failed: 0, retried: 0, dropped: 0 };
+
+    // Disabled automatically when the tables have not been created yet
+    this.tableAvailable = true;
+
+    WebhookDispatcher._instance = this;
+  }
+
+  /**
+   * Get the singleton instance
+   */
+  static getInstance() {
+    if (!WebhookDispatcher._instance) {
+      new WebhookDispatcher();
+    }
+    return WebhookDispatcher._instance;
+  }
+
+  /**
+   * Random signing secret for a new webhook
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  /**
+   * Load webhooks and start the delivery log purge
+   */
+  async initialize() {
+    if (!this.enabled) {
+      console.log("⏸️  Webhooks disabled (WEBHOOKS_ENABLED=false)");
+      return;
+    }
+
+    await this.loadWebhooks();
+
+    this.purgeTimer = setInterval(() => this.purge(), 24 * 60 * 60 * 1000);
+    this.purge();
+
+    console.log(`🪝 Webhooks loaded: ${this.webhooks.size} active target(s)`);
+  }
+
+  /**
+   * Stop retries and the purge timer (queued deliveries are dropped)
+   */
+  stop() {
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    this.queue = [];
+  }
+
+  /**
+   * Read active webhooks from WS_WEBHOOKS
+   */
+  async loadWebhooks() {
+    if (!this.tableAvailable) return;
+
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+      const result = await connection.execute(
+        `SELECT WEBHOOK_ID, NAME, TARGET_URL, CHANNEL, TRIGGERS, SIGNING_SECRET
+         FROM WS_WEBHOOKS
+         WHERE IS_ACTIVE = 1`,
+        [],
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      const webhooks = new Map();
+      for (const row of result.rows) {
+        const channel = row.CHANNEL.toUpperCase();
+        webhooks.set(row.WEBHOOK_ID, {
+          id: row.WEBHOOK_ID,
+          name: row.NAME,
+          url: row.TARGET_URL,
+          secret: row.SIGNING_SECRET,
+          channel,
+          matcher: compilePattern(channel),
+          triggers: new Set(parseTriggers(row.TRIGGERS) || ["data"]),
+        });
+      }
+      this.webhooks = webhooks;
+    } catch (error) {
+      if (String(error.message).includes("ORA-00942")) {
+        this.tableAvailable = false;
+        this.webhooks = new Map();
+        this.logger.warn("WS_WEBHOOKS table not available; webhooks disabled (run migration 016)");
+      } else {
+        this.logger.error("Error loading webhooks:", error);
+      }
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Hot-reload webhooks (callable from Admin API). Deliveries already queued
+   * or waiting for a retry use the reloaded URL and secret.
+   */
+  async reload() {
+    if (!this.enabled) return;
+    await this.loadWebhooks();
+    this.logger.info(`Webhooks reloaded: ${this.webhooks.size} active target(s)`);
+  }
+
+  /**
+   * Is any active webhook registered for this channel and trigger?
+   * @param {string} channel
+   * @param {"data"|"health"} trigger
+   */
+  hasTargets(channel, trigger) {
+    if (this.webhooks.size === 0) return false;
+    for (const webhook of this.webhooks.values()) {
+      if (webhook.triggers.has(trigger) && webhook.matcher(channel)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Queue a delivery to every webhook matching the channel and trigger
+   * @param {"data"|"health"} trigger
+   * @param {string} channel
+   * @param {Object} data - Envelope "data" field
+   * @returns {number} Deliveries queued
+   */
+  dispatch(trigger, channel, data) {
+    if (!this.enabled || !this.hasTargets(channel, trigger)) return 0;
+
+    // Serialized once, shared by every target
+    const body = JSON.stringify({
+      type: trigger,
+      channel,
+      timestamp: new Date().toISOString(),
+      data,
+    });
+
+    let queued = 0;
+    for (const webhook of this.webhooks.values()) {
+      if (!webhook.triggers.has(trigger) || !webhook.matcher(channel)) continue;
+
+      if (this.queue.length >= this.maxQueued) {
+        this.stats.dropped++;
+        this.logger.warn(`Webhook queue full (${this.maxQueued}), dropped "${trigger}" for "${webhook.name}"`);
+        continue;
+      }
+
+      this.queue.push({
+        webhookId: webhook.id,
+        uuid: crypto.randomUUID(),
+        trigger,
+        channel,
+        body,
+        attempts: 0,
+        logId: null,
+      });
+      queued++;
+    }
+
+    this.pump();
+    return queued;
+  }
+
+  /**
+   * Send one signed test delivery now (no retries) and return the outcome
+   * @returns {Promise<Object|null>} null when the webhook does not exist
+   */
+  async sendTest(webhookId) {
+    const webhook = await this.fetchWebhook(webhookId);
+    if (!webhook) return null;
+
+    const delivery = {
+      webhookId: webhook.id,
+      uuid: crypto.randomUUID(),
+      trigger: "test",
+      channel: webhook.channel,
+      body: JSON.stringify({
+        type: "test",
+        channel: webhook.channel,
+        timestamp: new Date().toISOString(),
+        data: { message: `Test delivery for webhook "${webhook.name}"` },
+      }),
+      attempts: 0,
+      logId: null,
+    };
+
+    const outcome = await this.post(webhook, delivery);
+    delivery.attempts = 1;
+    await this.logAttempt(delivery, outcome, outcome.ok ? "success" : "failed");
+
+    return {
+      deliveryId: delivery.uuid,
+      ok: outcome.ok,
+      status: outcome.status,
+      error: outcome.error,
+      durationMs: outcome.durationMs,
+    };
+  }
+
+  /**
+   * Recent deliveries of one webhook, newest first
+   * @param {number} webhookId
+   * @param {Object} options - { limit, status }
+   * @returns {Promise<Array>}
+   */
+  async listDeliveries(webhookId, { limit = 50, status } = {}) {
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+      const result = await connection.execute(
+        `SELECT * FROM (
+           SELECT DELIVERY_ID, DELIVERY_UUID, TRIGGER_TYPE, CHANNEL, STATUS, ATTEMPTS,
+                  RESPONSE_STATUS, ERROR_MESSAGE, DURATION_MS, PAYLOAD_BYTES,
+                  CREATED_AT, COMPLETED_AT
+           FROM WS_WEBHOOK_DELIVERIES
+           WHERE WEBHOOK_ID = :webhookId
+             AND (:status IS NULL OR STATUS = :status)
+           ORDER BY CREATED_AT DESC, DELIVERY_ID DESC
+         )
+         WHERE ROWNUM <= :maxRows`,
+        { webhookId, status: status || null, maxRows: limit },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      return result.rows;
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Queue and delivery counters for the admin UI
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled && this.tableAvailable,
+      activeWebhooks: this.webhooks.size,
+      queued: this.queue.length,
+      inFlight: this.inFlight,
+      waitingRetry: this.retryTimers.size,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Start queued deliveries up to the concurrency limit
+   */
+  pump() {
+    while (this.inFlight < this.concurrency && this.queue.length > 0) {
+      const delivery = this.queue.shift();
+      this.inFlight++;
+      this.attempt(delivery)
+        .catch((error) => this.logger.error("Webhook delivery failed unexpectedly:", error))
+        .finally(() => {
+          this.inFlight--;
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * One attempt of a delivery; schedules the retry when it may succeed later
+   */
+  async attempt(delivery) {
+    const webhook = this.webhooks.get(delivery.webhookId);
+    delivery.attempts++;
+
+    if (!webhook) {
+      // Deleted or disabled while the delivery was waiting
+      this.stats.failed++;
+      await this.logAttempt(delivery, { ok: false, error: "Webhook removed or disabled" }, "failed");
+      return;
+    }
+
+    const outcome = await this.post(webhook, delivery);
+
+    if (outcome.ok) {
+      this.stats.delivered++;
+      await this.logAttempt(delivery, outcome, "success");
+      return;
+    }
+
+    if (outcome.retryable && delivery.attempts < this.maxAttempts) {
+      this.stats.retried++;
+      await this.logAttempt(delivery, outcome, "retrying");
+      this.scheduleRetry(delivery);
+      return;
+    }
+
+    this.stats.failed++;
+    await this.logAttempt(delivery, outcome, "failed");
+    this.logger.warn(
+      `Webhook "${webhook.name}" gave up on ${delivery.trigger} delivery after ${delivery.attempts} attempt(s): ${outcome.error}`
+    );
+  }
+
+  /**
+   * Re-queue a delivery after base * 2^(attempts-1) ms (±20% jitter)
+   */
+  scheduleRetry(delivery) {
+    const backoff = Math.min(this.retryBaseMs * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS);
+    const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.queue.push(delivery);
+      this.pump();
+    }, delay);
+    timer.unref();
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * POST the signed body
+   * @returns {Promise<{ ok: boolean, retryable?: boolean, status?: number, error?: string, durationMs: number }>}
+   */
+  async post(webhook, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto
+      .createHmac("sha256", webhook.secret)
+      .update(`${timestamp}.${delivery.body}`)
+      .digest("hex");
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "ws-event-server-webhooks",
+          "X-Webhook-Id": String(webhook.id),
+          "X-Webhook-Event": delivery.trigger,
+          "X-Webhook-Delivery": delivery.uuid,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signature}`,
+        },
+        body: delivery.body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+
+      const durationMs = Date.now() - startTime;
+      if (response.ok) {
+        return { ok: true, status: response.status, durationMs };
+      }
+
+      return {
+        ok: false,
+        retryable: response.status === 408 || response.status === 429 || response.status >= 500,
+        status: response.status,
+        error: `HTTP ${response.status}`,
+        durationMs,
+      };
+    } catch (error) {
+      const timedOut = error.name === "TimeoutError";
+      return {
+        ok: false,
+        retryable: true,
+        error: timedOut
+          ? `Timed out after ${this.timeoutMs}ms`
+          : error.cause?.code || error.cause?.message || error.message,
+        durationMs: Date.now() - startTime,
+      };
+    }
+  }
+
+  /**
+   * Insert or update the delivery's log row
+   */
+  async logAttempt(delivery, outcome, status) {
+    if (!this.tableAvailable) return;
+
+    const pool = getPool();
+    let connection;
+
+    const binds = {
+      status,
+      attempts: delivery.attempts,
+      responseStatus: outcome.status ?? null,
+      errorMessage: outcome.error ? String(outcome.error).slice(0, 1000) : null,
+      durationMs: outcome.durationMs ?? null,
+      completed: status === "retrying" ? 0 : 1,
+    };
+
+    try {
+      connection = await pool.getConnection();
+
+      if (delivery.logId) {
+        await connection.execute(
+          `UPDATE WS_WEBHOOK_DELIVERIES
+           SET STATUS = :status,
+               ATTEMPTS = :attempts,
+               RESPONSE_STATUS = :responseStatus,
+               ERROR_MESSAGE = :errorMessage,
+               DURATION_MS = :durationMs,
+               COMPLETED_AT = CASE WHEN :completed = 1 THEN CURRENT_TIMESTAMP END
+           WHERE DELIVERY_ID = :logId`,
+          { ...binds, logId: delivery.logId },
+          { autoCommit: true }
+        );
+        return;
+      }
+
+      const result = await connection.execute(
+        `INSERT INTO WS_WEBHOOK_DELIVERIES
+           (WEBHOOK_ID, DELIVERY_UUID, TRIGGER_TYPE, CHANNEL, STATUS, ATTEMPTS,
+            RESPONSE_STATUS, ERROR_MESSAGE, DURATION_MS, PAYLOAD_BYTES, COMPLETED_AT)
+         VALUES
+           (:webhookId, :uuid, :trigger, :channel, :status, :attempts,
+            :responseStatus, :errorMessage, :durationMs, :payloadBytes,
+            CASE WHEN :completed = 1 THEN CURRENT_TIMESTAMP END)
+         RETURNING DELIVERY_ID INTO :logId`,
+        {
+          ...binds,
+          webhookId: delivery.webhookId,
+          uuid: delivery.uuid,
+          trigger: delivery.trigger,
+          channel: delivery.channel,
+          payloadBytes: Buffer.byteLength(delivery.body, "utf8"),
+          logId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT },
+        },
+        { autoCommit: true }
+      );
+      delivery.logId = result.outBinds.logId[0];
+    } catch (error) {
+      if (String(error.message).includes("ORA-00942")) {
+        this.tableAvailable = false;
+        this.logger.warn(
+          "WS_WEBHOOK_DELIVERIES table not available; webhook delivery log disabled (run migration 016)"
+        );
+      } else if (!String(error.message).includes("ORA-02291")) {
+        // ORA-02291: the webhook was deleted meanwhile — nothing to log against
+        this.logger.error("Error writing webhook delivery log:", error);
+      }
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * Delete delivery log rows older than the retention period
+   */
+  async purge() {
+    if (!this.tableAvailable) return;
+
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+      const result = await connection.execute(
+        `DELETE FROM WS_WEBHOOK_DELIVERIES
+         WHERE CREATED_AT < SYSTIMESTAMP - NUMTODSINTERVAL(:days, 'DAY')`,
+        { days: this.retentionDays },
+        { autoCommit: true }
+      );
+
+      if (result.rowsAffected > 0) {
+        this.logger.info(`Webhook delivery log: purged ${result.rowsAffected} row(s)`);
+      }
+    } catch (error) {
+      if (String(error.message).includes("ORA-00942")) {
+        this.tableAvailable = false;
+      } else {
+        this.logger.error("Error purging webhook delivery log:", error);
+      }
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  /**
+   * One webhook by id, active or not (for test deliveries)
+   */
+  async fetchWebhook(webhookId) {
+    const pool = getPool();
+    let connection;
+
+    try {
+      connection = await pool.getConnection();
+      const result = await connection.execute(
+        `SELECT WEBHOOK_ID, NAME, TARGET_URL, CHANNEL, SIGNING_SECRET
+         FROM WS_WEBHOOKS
+         WHERE WEBHOOK_ID = :webhookId`,
+        { webhookId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      const row = result.rows[0];
+      if (!row) return null;
+      return {
+        id: row.WEBHOOK_ID,
+        name: row.NAME,
+        url: row.TARGET_URL,
+        secret: row.SIGNING_SECRET,
+        channel: row.CHANNEL.toUpperCase(),
+      };
+    } finally {
+      if (connection) {
+        try {
+          await connection.close();
+        } catch (e) {}
+      }
+    }
+  }
+}
+
+/**
+ * Parse a TRIGGERS value ("data", "health" or "data,health")
+ * @param {string|Array} value
+ * @returns {string[]|null} null when empty or containing an unknown trigger
+ */
+function parseTriggers(value) {
+  const list = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((trigger) => String(trigger).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (list.length === 0 || list.some((trigger) => !TRIGGERS.includes(trigger))) {
+    return null;
+  }
+  return TRIGGERS.filter((trigger) => list.includes(trigger));
+}
+
+WebhookDispatcher.TRIGGERS = TRIGGERS;
+WebhookDispatcher.parseTriggers = parseTriggers;
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,89 @@
+const { applyColumnRules } = require("./columnRules");
+const { filterRows } = require("./rowFilters");
+
+/**
+ * What one registered app may see of an Oracle event on a channel:
+ *   { columns: column rules (utils/columnRules.js) | null,
+ *     filters: row filters (utils/rowFilters.js) | null }
+ * Built by AppRegistry.getDataRules(); null means full rows.
+ */
+
+/**
+ * Apply an app's data rules to result rows. Rows are filtered before columns
+ * are changed, so filters can use columns the app does not receive.
+ * @param {Array<Object>} rows
+ * @param {Object|null} rules
+ * @returns {Array<Object>}
+ */
+function applyDataRules(rows, rules) {
+  if (!rules) return rows;
+  return applyColumnRules(filterRows(rows, rules.filters), rules.columns);
+}
+
+/**
+ * Apply an app's data rules to a broadcast payload (full or patch).
+ * A patch becomes a full payload built from `rows` when the app has row
+ * filters (rows can enter or leave its subset) or when its column rules hide
+ * or mask the key column; the client could not apply it otherwise.
+ * @param {Object} payload - Event broadcast payload
+ * @param {Object|null} rules
+ * @param {Array<Object>} [rows] - Complete current result (for patches)
+ * @returns {Object}
+ */
+function applyDataRulesToPayload(payload, rules, rows) {
+  if (!rules) return payload;
+
+  if (payload.type === "patch") {
+    const keyColumn = String(payload.keyColumn).toUpperCase();
+    const keyChanged = (rules.columns || []).some(
+      (rule) => rule.action !== "round" && rule.column === keyColumn
+    );
+
+    if (!rules.filters && !keyChanged) {
+      return {
+        ...payload,
+        inserted: applyColumnRules(payload.inserted, rules.columns),
+        updated: applyColumnRules(payload.updated, rules.columns),
+      };
+    }
+
+    const { keyColumn: key, inserted, updated, removed, order, ...rest } = payload;
+    const data = applyDataRules(rows || [], rules);
+    return { ...rest, type: "full", data, rowCount: data.length };
+  }
+
+  if (Array.isArray(payload.data)) {
+    const data = applyDataRules(payload.data, rules);
+    return { ...payload, data, rowCount: data.length };
+  }
+
+  return payload;
+}
+
+/**
+ * Full payload replaying an event's cached result (REQUEST_INITIAL_STATE and
+ * SSE connect), with the app's data rules applied
+ * @param {Object} cached - EventManager.getCachedData() result
+ * @param {Object|null} rules
+ * @returns {Object}
+ */
+function cachedStatePayload(cached, rules) {
+  const rows = applyDataRules(cached.data, rules);
+  return {
+    eventName: cached.eventName,
+    ...(cached.params && { params: cached.params }),
+    type: "full",
+    seq: cached.seq,
+    data: rows,
+    rowCount: rules?.filters ? rows.length : cached.rowCount,
+    timestamp: cached.timestamp.toISOString(),
+    fromCache: true,
+    cacheAge: cached.age,
+  };
+}
+
+module.exports = {
+  applyDataRules,
+  applyDataRulesToPayload,
+  cachedStatePayload,
+};
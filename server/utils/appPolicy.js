@@ -0,0 +1,160 @@
+const net = require("net");
+
+/**
+ * Per-app connection policy for registered apps (WS_APP_REGISTRY, migration 013):
+ * CIDR allowlist, max concurrent sockets and REQUEST_INITIAL_STATE rate limit.
+ * Validation is shared by POST/PUT /api/apps; AppRegistry enforces the values.
+ */
+
+// Behind a reverse proxy the socket address is the proxy's; trust its header instead
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
+
+/**
+ * Split a comma/newline separated CIDR list ("10.0.0.0/8, 192.168.1.20").
+ * A bare address means a single host.
+ * @returns {{ valid: boolean, message?: string, entries?: Array<{ address: string, prefix: number, type: string }> }}
+ */
+function parseCidrList(text) {
+  const entries = [];
+
+  for (const item of String(text).split(/[\s,]+/).filter(Boolean)) {
+    const [address, prefixText] = item.split("/");
+    const version = net.isIP(address);
+    if (version === 0) {
+      return { valid: false, message: `Invalid IP address in allowlist: ${item}` };
+    }
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+      return { valid: false, message: `Invalid prefix length in allowlist: ${item}` };
+    }
+
+    entries.push({ address, prefix, type: version === 4 ? "ipv4" : "ipv6" });
+  }
+
+  return { valid: true, entries };
+}
+
+/**
+ * Build a matcher for a stored allowlist
+ * @param {string|null} text - ALLOWED_CIDRS column
+ * @returns {net.BlockList|null} null = any address (also for an unreadable list,
+ *          which the API never stores)
+ */
+function buildAllowlist(text) {
+  if (!text) return null;
+
+  const parsed = parseCidrList(text);
+  if (!parsed.valid || parsed.entries.length === 0) return null;
+
+  const list = new net.BlockList();
+  for (const entry of parsed.entries) {
+    list.addSubnet(entry.address, entry.prefix, entry.type);
+  }
+  return list;
+}
+
+/**
+ * Is an address inside the allowlist? (null allowlist = always)
+ */
+function isIpAllowed(allowlist, ip) {
+  if (!allowlist) return true;
+  if (!ip) return false;
+
+  // IPv4 clients on a dual-stack listener show up as ::ffff:a.b.c.d
+  const address = ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  const type = net.isIPv4(address) ? "ipv4" : "ipv6";
+
+  try {
+    return allowlist.check(address, type);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Client address of a socket (first X-Forwarded-For entry when TRUST_PROXY=true)
+ */
+function clientIp(socket) {
+  if (TRUST_PROXY) {
+    const forwarded = socket.handshake.headers?.["x-forwarded-for"];
+    if (forwarded) return String(forwarded).split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * Client address of an HTTP request (same rules as clientIp)
+ */
+function requestIp(req) {
+  if (TRUST_PROXY) {
+    const forwarded = req.headers["x-forwarded-for"];
+    if (forwarded) return String(forwarded).split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Optional positive whole number (empty = no limit)
+ */
+function validateLimit(value, name, max) {
+  if (value === undefined || value === null || value === "") {
+    return { valid: true, value: null };
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    return { valid: false, message: `${name} must be a whole number between 1 and ${max}` };
+  }
+
+  return { valid: true, value: number };
+}
+
+/**
+ * Validate the policy fields of an app request body.
+ * @returns {{ valid: boolean, message?: string, values?: Object }}
+ *   values are ready to bind (column-ready, nulls for unset)
+ */
+function parseAppPolicy(body) {
+  let allowedCidrs = null;
+  if (body.allowedCidrs !== undefined && body.allowedCidrs !== null && String(body.allowedCidrs).trim()) {
+    const parsed = parseCidrList(body.allowedCidrs);
+    if (!parsed.valid) return parsed;
+
+    allowedCidrs = parsed.entries
+      .map((entry) => `${entry.address}/${entry.prefix}`)
+      .join(",");
+    if (allowedCidrs.length > 2000) {
+      return { valid: false, message: "allowedCidrs is too long (max 2000 characters)" };
+    }
+  }
+
+  const maxSockets = validateLimit(body.maxSockets, "maxSockets", 100000);
+  if (!maxSockets.valid) return maxSockets;
+
+  const initialStatePerMinute = validateLimit(
+    body.initialStatePerMinute,
+    "initialStatePerMinute",
+    10000
+  );
+  if (!initialStatePerMinute.valid) return initialStatePerMinute;
+
+  return {
+    valid: true,
+    values: {
+      allowedCidrs,
+      maxSockets: maxSockets.value,
+      initialStatePerMinute: initialStatePerMinute.value,
+    },
+  };
+}
+
+module.exports = {
+  parseCidrList,
+  buildAllowlist,
+  isIpAllowed,
+  clientIp,
+  requestIp,
+  parseAppPolicy,
+};
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+
+/**
+ * Storage format for app secrets: sha256$<salt hex>$<HMAC-SHA256(salt, secret) hex>.
+ *
+ * App secrets are 256-bit random values, so a fast salted hash is enough (no
+ * password stretching), which keeps validation synchronous on every socket
+ * handshake.
+ */
+
+const PREFIX = "sha256";
+
+/**
+ * Hash an app secret for storage
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashAppSecret(secret) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.createHmac("sha256", salt).update(String(secret)).digest("hex");
+  return [PREFIX, salt, hash].join("$");
+}
+
+/**
+ * Check a secret against a stored hash (constant-time compare)
+ * @param {string} secret
+ * @param {string} stored - Output of hashAppSecret()
+ * @returns {boolean}
+ */
+function verifyAppSecret(secret, stored) {
+  if (!isHashedSecret(stored)) return false;
+
+  const [, salt, hash] = stored.split("$");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.createHmac("sha256", salt).update(String(secret)).digest();
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Is this value a hash (as opposed to a legacy clear-text secret)?
+ */
+function isHashedSecret(stored) {
+  return typeof stored === "string" && stored.startsWith(`${PREFIX}$`) && stored.split("$").length === 3;
+}
+
+/**
+ * Masked form of a secret for display (first and last 4 characters)
+ * @param {string} secret
+ * @returns {string}
+ */
+function secretHint(secret) {
+  if (!secret || secret.length <= 8) {
+    return "****";
+  }
+  return secret.substring(0, 4) + "****" + secret.substring(secret.length - 4);
+}
+
+/**
+ * Short, non-reversible id of a stored hash. Client tokens carry it so they stop
+ * working once the secret they were issued for is rotated out.
+ * @param {string} stored - Output of hashAppSecret()
+ * @returns {string}
+ */
+function secretFingerprint(stored) {
+  return crypto.createHash("sha256").update(String(stored)).digest("hex").substring(0, 16);
+}
+
+module.exports = { hashAppSecret, verifyAppSecret, isHashedSecret, secretHint, secretFingerprint };
@@ -0,0 +1,105 @@
+const jwt = require("jsonwebtoken");
+const { secretFingerprint } = require("./appSecret");
+
+/**
+ * Short-lived client tokens for registered apps (POST /api/apps/token).
+ *
+ * A backend that holds the app secret exchanges it for an access token, which
+ * browser code passes to Socket.IO as `auth.token`, and a refresh token used
+ * to get new access tokens without the secret. Both are JWTs signed with
+ * JWT_SECRET and bound to the secret they were issued for.
+ */
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+const ACCESS_TTL_SECONDS = Math.round(
+  (parseFloat(process.env.APP_TOKEN_TTL_MINUTES) || 15) * 60
+);
+const REFRESH_TTL_SECONDS = Math.round(
+  (parseFloat(process.env.APP_REFRESH_TOKEN_HOURS) || 12) * 60 * 60
+);
+
+const ACCESS_TYPE = "app-token";
+const REFRESH_TYPE = "app-refresh";
+
+/**
+ * Sign an access token for an app
+ * @param {{ appId: number, appName: string, channels: Object|null }} app
+ * @param {string} secretHash - Stored hash the credentials matched
+ * @returns {{ token: string, expiresIn: number, expiresAt: string }}
+ */
+function issueAccessToken(app, secretHash) {
+  const token = jwt.sign(
+    {
+      type: ACCESS_TYPE,
+      appId: app.appId,
+      appName: app.appName,
+      // Informational: the registry's current grants are applied at connect time
+      channels: app.channels ? app.channels.entries : null,
+      sfp: secretFingerprint(secretHash),
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TTL_SECONDS }
+  );
+
+  return {
+    token,
+    expiresIn: ACCESS_TTL_SECONDS,
+    expiresAt: new Date(Date.now() + ACCESS_TTL_SECONDS * 1000).toISOString(),
+  };
+}
+
+/**
+ * Sign a refresh token (fixed lifetime: refreshing does not extend it)
+ * @returns {{ refreshToken: string, refreshExpiresAt: string }}
+ */
+function issueRefreshToken(app, secretHash) {
+  const refreshToken = jwt.sign(
+    {
+      type: REFRESH_TYPE,
+      appId: app.appId,
+      sfp: secretFingerprint(secretHash),
+    },
+    JWT_SECRET,
+    { expiresIn: REFRESH_TTL_SECONDS }
+  );
+
+  return {
+    refreshToken,
+    refreshExpiresAt: new Date(Date.now() + REFRESH_TTL_SECONDS * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify a token of the given kind
+ * @param {string} token
+ * @param {"access"|"refresh"} kind
+ * @returns {Object} Decoded payload
+ * @throws When the signature, expiry or kind is wrong
+ */
+function verifyAppToken(token, kind) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const expected = kind === "refresh" ? REFRESH_TYPE : ACCESS_TYPE;
+
+  if (decoded.type !== expected) {
+    throw new Error(`Not an app ${kind} token`);
+  }
+  return decoded;
+}
+
+/**
+ * Kind of an already verified JWT
+ * @returns {"access"|"refresh"|null} null for tokens that are not app tokens
+ */
+function appTokenKind(decoded) {
+  if (decoded?.type === ACCESS_TYPE) return "access";
+  if (decoded?.type === REFRESH_TYPE) return "refresh";
+  return null;
+}
+
+module.exports = {
+  issueAccessToken,
+  issueRefreshToken,
+  verifyAppToken,
+  appTokenKind,
+};
@@ -0,0 +1,137 @@
+/**
+ * Channel grants of registered apps (WS_APP_REGISTRY.APP_CHANNELS).
+ *
+ * APP_CHANNELS is a comma-separated list of entries:
+ *   VESSEL_ALONGSIDE        exact channel
+ *   MONITORING_GATE_*       glob: * = any characters, ? = one character
+ *   !MONITORING_GATE_LANE9  deny entry (exact or glob), wins over any allow
+ *
+ * A list with only deny entries grants every other channel; NULL/empty grants
+ * all channels. Used for SUBSCRIBE, REQUEST_INITIAL_STATE and again when
+ * EventManager and MqttBridge broadcast, so all paths agree.
+ */
+
+const ENTRY_PATTERN = /^!?[^\s,|!]+$/;
+
+/**
+ * Validate an APP_CHANNELS value from the admin API
+ * @param {string|null} text
+ * @returns {{ valid: boolean, message?: string, value?: string|null }} value is
+ *          the normalized column value (upper-cased, no blanks)
+ */
+function validateChannelGrants(text) {
+  if (text === undefined || text === null || !String(text).trim()) {
+    return { valid: true, value: null };
+  }
+
+  const entries = splitEntries(text);
+  for (const entry of entries) {
+    if (!ENTRY_PATTERN.test(entry) || entry === "!") {
+      return {
+        valid: false,
+        message: `Invalid channel entry "${entry}" (use NAME, PREFIX_*, or !NAME to deny)`,
+      };
+    }
+  }
+
+  return { valid: true, value: entries.length > 0 ? entries.join(",") : null };
+}
+
+/**
+ * Compile an APP_CHANNELS value
+ * @param {string|null} text
+ * @returns {{ entries: string[], allow: Array, deny: Array }|null} null = all channels
+ */
+function parseChannelGrants(text) {
+  if (!text) return null;
+
+  const entries = splitEntries(text);
+  if (entries.length === 0) return null;
+
+  const grants = { entries, allow: [], deny: [] };
+  for (const entry of entries) {
+    const deny = entry.startsWith("!");
+    const pattern = deny ? entry.slice(1) : entry;
+    if (!pattern) continue;
+
+    (deny ? grants.deny : grants.allow).push(compilePattern(pattern));
+  }
+
+  return grants;
+}
+
+/**
+ * May a holder of these grants receive a channel?
+ * @param {Object|null} grants - From parseChannelGrants (null = all channels)
+ * @param {string} channel
+ * @returns {boolean}
+ */
+function isChannelGranted(grants, channel) {
+  if (!grants) return true;
+  if (typeof channel !== "string") return false;
+
+  const name = channel.toUpperCase();
+  if (grants.deny.some((matcher) => matcher(name))) return false;
+
+  // Deny-only lists grant everything else
+  return grants.allow.length === 0 || grants.allow.some((matcher) => matcher(name));
+}
+
+/**
+ * Ids of sockets in a room that may not receive the channel — excluded from
+ * broadcasts as a second line of defence behind the SUBSCRIBE check
+ * @param {import("socket.io").Server} io
+ * @param {string} room
+ * @param {string} channel
+ * @returns {string[]}
+ */
+function unauthorizedSocketIds(io, room, channel) {
+  const members = io.sockets.adapter.rooms.get(room);
+  if (!members) return [];
+
+  const denied = [];
+  for (const socketId of members) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && !isChannelGranted(socket.user?.channels, channel)) {
+      denied.push(socketId);
+    }
+  }
+  return denied;
+}
+
+function splitEntries(text) {
+  return String(text)
+    .split(",")
+    .map((entry) => entry.trim().toUpperCase())
+    .filter(Boolean)
+    .filter((entry, index, all) => all.indexOf(entry) === index);
+}
+
+/**
+ * Matcher for one upper-case channel pattern. Exact entries compare
+ * directly; globs become an anchored RegExp.
+ * @param {string} pattern
+ * @returns {(name: string) => boolean}
+ */
+function compilePattern(pattern) {
+  if (!/[*?]/.test(pattern)) {
+    return (name) => name === pattern;
+  }
+
+  const source = pattern
+    .split("")
+    .map((char) =>
+      char === "*" ? ".*" : char === "?" ? "." : char.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    )
+    .join("");
+  const regex = new RegExp(`^${source}$`);
+  return (name) => regex.test(name);
+}
+
+module.exports = {
+  validateChannelGrants,
+  parseChannelGrants,
+  isChannelGranted,
+  unauthorizedSocketIds,
+  compilePattern,
+};
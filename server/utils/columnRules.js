@@ -0,0 +1,176 @@
+const { compilePattern } = require("./channelGrants");
+
+/**
+ * Per-app column rules (WS_APP_REGISTRY.COLUMN_RULES, migration 014).
+ *
+ * Stored as JSON, for example:
+ *   [{ "channel": "VESSEL_*", "column": "OWNER_NAME", "action": "hide" },
+ *    { "channel": "VESSEL_ALONGSIDE", "column": "IMO_NO", "action": "mask", "keep": 3 },
+ *    { "channel": "VESSEL_ALONGSIDE", "column": "DRAFT", "action": "round", "digits": 1 }]
+ *
+ * channel is an exact name or glob (as in APP_CHANNELS). Rules change the rows
+ * an app receives from Oracle events; other apps keep the full rows.
+ */
+
+const ACTIONS = ["hide", "mask", "round"];
+
+/**
+ * Validate column rules (from the admin API or the database).
+ * @param {Array|string|null} raw - Rules array or its JSON text
+ * @returns {{ valid: boolean, message?: string, rules?: Array|null }}
+ */
+function parseColumnRules(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return { valid: true, rules: null };
+  }
+
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch (error) {
+      return { valid: false, message: "columnRules must be valid JSON" };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { valid: false, message: "columnRules must be an array" };
+  }
+
+  if (list.length === 0) {
+    return { valid: true, rules: null };
+  }
+
+  const rules = [];
+
+  for (const item of list) {
+    const channel = typeof item?.channel === "string" ? item.channel.trim().toUpperCase() : "";
+    const column = typeof item?.column === "string" ? item.column.trim().toUpperCase() : "";
+
+    if (!channel || /[\s,|!]/.test(channel)) {
+      return { valid: false, message: "Each column rule needs a channel name or pattern" };
+    }
+    if (!column) {
+      return { valid: false, message: `Column rule for ${channel} needs a column` };
+    }
+    if (!ACTIONS.includes(item.action)) {
+      return {
+        valid: false,
+        message: `Column rule ${channel}.${column} has unsupported action "${item.action}" (use ${ACTIONS.join(", ")})`,
+      };
+    }
+
+    const rule = { channel, column, action: item.action };
+
+    if (item.action === "mask") {
+      const keep = item.keep ?? 0;
+      if (!Number.isInteger(keep) || keep < 0 || keep > 20) {
+        return { valid: false, message: `Column rule ${channel}.${column} keep must be 0-20` };
+      }
+      rule.keep = keep;
+    }
+
+    if (item.action === "round") {
+      const digits = item.digits ?? 0;
+      if (!Number.isInteger(digits) || digits < -6 || digits > 6) {
+        return { valid: false, message: `Column rule ${channel}.${column} digits must be -6 to 6` };
+      }
+      rule.digits = digits;
+    }
+
+    rules.push(rule);
+  }
+
+  return { valid: true, rules };
+}
+
+/**
+ * Compile stored rules into a lookup by channel
+ * @param {Array|null} rules - From parseColumnRules
+ * @returns {((channel: string) => Array|null)|null} null when the app has no rules
+ */
+function compileColumnRules(rules) {
+  if (!rules || rules.length === 0) return null;
+
+  const compiled = rules.map((rule) => ({ ...rule, matches: compilePattern(rule.channel) }));
+  const byChannel = new Map();
+
+  return (channel) => {
+    const name = String(channel).toUpperCase();
+    if (!byChannel.has(name)) {
+      // Last matching rule per column wins, so specific rules can follow globs
+      const columns = new Map();
+      for (const rule of compiled) {
+        if (rule.matches(name)) columns.set(rule.column, rule);
+      }
+      byChannel.set(name, columns.size > 0 ? [...columns.values()] : null);
+    }
+    return byChannel.get(name);
+  };
+}
+
+/**
+ * Apply column rules to result rows (returns new rows; input is untouched)
+ * @param {Array<Object>} rows - OUT_FORMAT_OBJECT rows
+ * @param {Array} columnRules - Rules for one channel
+ * @returns {Array<Object>}
+ */
+function applyColumnRules(rows, columnRules) {
+  if (!Array.isArray(rows) || !columnRules) return rows;
+
+  return rows.map((row) => {
+    const masked = { ...row };
+
+    for (const rule of columnRules) {
+      const field = findField(masked, rule.column);
+      if (field === undefined) continue;
+
+      if (rule.action === "hide") {
+        delete masked[field];
+      } else if (rule.action === "mask") {
+        masked[field] = maskValue(masked[field], rule.keep);
+      } else if (rule.action === "round") {
+        masked[field] = roundValue(masked[field], rule.digits);
+      }
+    }
+
+    return masked;
+  });
+}
+
+/**
+ * Property name of a column in a row (Oracle returns upper case; aliases in
+ * quotes keep their case)
+ */
+function findField(row, column) {
+  if (Object.prototype.hasOwnProperty.call(row, column)) return column;
+  return Object.keys(row).find((key) => key.toUpperCase() === column);
+}
+
+/**
+ * Replace all but the last `keep` characters with *
+ */
+function maskValue(value, keep) {
+  if (value === null || value === undefined) return value;
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  const visible = keep > 0 ? text.slice(-keep) : "";
+  return "*".repeat(Math.max(text.length - visible.length, 0)) + visible;
+}
+
+/**
+ * Round numbers to `digits` decimals (negative = tens, hundreds, ...);
+ * other values are left alone
+ */
+function roundValue(value, digits) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return value;
+
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  parseColumnRules,
+  compileColumnRules,
+  applyColumnRules,
+};
@@ -0,0 +1,155 @@
+const { parseParameterDefinitions } = require("./eventParams");
+const { parseCron, parseActiveWindows } = require("./schedule");
+
+/**
+ * Validation for optional WS_EVENTS settings shared by the event CRUD routes
+ * (/api/events and the base64 /api/admin/events variant).
+ */
+
+/**
+ * Validate optional key column (result column alias used for delta broadcasts)
+ */
+function validateKeyColumn(keyColumn) {
+  if (keyColumn === undefined || keyColumn === null || keyColumn === "") {
+    return { valid: true, value: null };
+  }
+
+  if (
+    typeof keyColumn !== "string" ||
+    keyColumn.trim().length > 100 ||
+    !/^[A-Za-z_][A-Za-z0-9_$#]*$/.test(keyColumn.trim())
+  ) {
+    return {
+      valid: false,
+      message: "keyColumn must be a valid column alias (letters, digits, _, $, #)",
+    };
+  }
+
+  return { valid: true, value: keyColumn.trim() };
+}
+
+/**
+ * Validate optional query timeout (seconds; empty = server default)
+ */
+function validateTimeoutSeconds(timeoutSeconds) {
+  if (timeoutSeconds === undefined || timeoutSeconds === null || timeoutSeconds === "") {
+    return { valid: true, value: null };
+  }
+
+  const value = Number(timeoutSeconds);
+  if (!Number.isInteger(value) || value < 1 || value > 3600) {
+    return {
+      valid: false,
+      message: "timeoutSeconds must be a whole number between 1 and 3600",
+    };
+  }
+
+  return { valid: true, value };
+}
+
+const MQTT_PUBLISH_MODES = ["full", "delta"];
+
+/**
+ * Validate optional MQTT publishing (topic, QoS, retain, payload mode)
+ * @param {Object} body
+ * @param {Array|null} parameters - Parsed parameter definitions ({name} placeholders)
+ */
+function validateMqttPublish(body, parameters) {
+  const topic = typeof body.mqttPublishTopic === "string" ? body.mqttPublishTopic.trim() : "";
+  if (body.mqttPublishTopic && typeof body.mqttPublishTopic !== "string") {
+    return { valid: false, message: "mqttPublishTopic must be a string" };
+  }
+  if (!topic) {
+    return { valid: true, value: { topic: null, qos: 0, retain: 0, mode: "full" } };
+  }
+
+  if (topic.length > 500 || /[+#\u0000]/.test(topic) || topic.startsWith("$")) {
+    return {
+      valid: false,
+      message: "mqttPublishTopic must be a topic name of at most 500 characters, without +, # or a leading $",
+    };
+  }
+
+  const names = new Set((parameters || []).map((def) => def.name));
+  for (const [, name] of topic.matchAll(/\{([^}]*)\}/g)) {
+    if (!names.has(name)) {
+      return { valid: false, message: `mqttPublishTopic placeholder {${name}} is not a parameter of this event` };
+    }
+  }
+
+  const qos = body.mqttPublishQos === undefined || body.mqttPublishQos === null || body.mqttPublishQos === ""
+    ? 0
+    : Number(body.mqttPublishQos);
+  if (![0, 1, 2].includes(qos)) {
+    return { valid: false, message: "mqttPublishQos must be 0, 1 or 2" };
+  }
+
+  const mode = body.mqttPublishMode || "full";
+  if (!MQTT_PUBLISH_MODES.includes(mode)) {
+    return { valid: false, message: `mqttPublishMode must be one of: ${MQTT_PUBLISH_MODES.join(", ")}` };
+  }
+
+  const retain = body.mqttPublishRetain === true || body.mqttPublishRetain === 1;
+  if (retain && mode !== "full") {
+    return { valid: false, message: "Retained messages require mqttPublishMode \"full\" (a retained patch cannot be applied)" };
+  }
+
+  return { valid: true, value: { topic, qos, retain: retain ? 1 : 0, mode } };
+}
+
+/**
+ * Validate all optional event settings from a request body.
+ * @returns {{ valid: boolean, message?: string, values?: Object }}
+ *   values are ready to bind (column-ready, nulls for unset)
+ */
+function parseEventOptions(body) {
+  const keyColumn = validateKeyColumn(body.keyColumn);
+  if (!keyColumn.valid) return keyColumn;
+
+  // Bind parameter definitions, stored as normalized JSON text
+  const parameters = parseParameterDefinitions(body.parameters);
+  if (!parameters.valid) return parameters;
+
+  const parametersJson = parameters.definitions
+    ? JSON.stringify(parameters.definitions)
+    : null;
+  if (parametersJson && parametersJson.length > 4000) {
+    return { valid: false, message: "parameters definition is too long" };
+  }
+
+  // Optional cron schedule (replaces the fixed interval)
+  const cron = parseCron(body.cronExpression);
+  if (!cron.valid) return cron;
+
+  // Optional active windows, stored as normalized JSON text
+  const windows = parseActiveWindows(body.activeWindows);
+  if (!windows.valid) return windows;
+
+  const windowsJson = windows.windows ? JSON.stringify(windows.windows) : null;
+  if (windowsJson && windowsJson.length > 4000) {
+    return { valid: false, message: "activeWindows definition is too long" };
+  }
+
+  const timeoutSeconds = validateTimeoutSeconds(body.timeoutSeconds);
+  if (!timeoutSeconds.valid) return timeoutSeconds;
+
+  const mqttPublish = validateMqttPublish(body, parameters.definitions);
+  if (!mqttPublish.valid) return mqttPublish;
+
+  return {
+    valid: true,
+    values: {
+      keyColumn: keyColumn.value,
+      parameters: parametersJson,
+      cronExpression: cron.cron ? cron.cron.expression : null,
+      activeWindows: windowsJson,
+      timeoutSeconds: timeoutSeconds.value,
+      mqttPublishTopic: mqttPublish.value.topic,
+      mqttPublishQos: mqttPublish.value.qos,
+      mqttPublishRetain: mqttPublish.value.retain,
+      mqttPublishMode: mqttPublish.value.mode,
+    },
+  };
+}
+
+module.exports = { parseEventOptions };
@@ -0,0 +1,213 @@
+/**
+ * Bind parameter helpers for parameterized events.
+ *
+ * An event declares its parameters in WS_EVENTS.PARAMETERS as JSON:
+ *   [{ "name": "berthNo", "type": "string", "allowed": ["B1", "B2"] },
+ *    { "name": "terminal", "type": "number", "required": false, "default": 1 }]
+ *
+ * Subscribers supply values per channel; each distinct parameter set gets its
+ * own room ("VESSEL_ALONGSIDE|berthNo=B1") and its own cached execution.
+ */
+
+const PARAM_TYPES = ["string", "number"];
+const ROOM_SEPARATOR = "|";
+
+/**
+ * Validate parameter definitions (from the admin API or the database).
+ * @param {Array|string|null} raw - Definitions array or its JSON text
+ * @returns {{ valid: boolean, message?: string, definitions?: Array|null }}
+ */
+function parseParameterDefinitions(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return { valid: true, definitions: null };
+  }
+
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch (error) {
+      return { valid: false, message: "parameters must be valid JSON" };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { valid: false, message: "parameters must be an array" };
+  }
+
+  if (list.length === 0) {
+    return { valid: true, definitions: null };
+  }
+
+  const names = new Set();
+  const definitions = [];
+
+  for (const def of list) {
+    if (!def || typeof def.name !== "string" || !/^[A-Za-z][A-Za-z0-9_]{0,29}$/.test(def.name)) {
+      return {
+        valid: false,
+        message: "Each parameter needs a name usable as a bind variable (letters, digits, _)",
+      };
+    }
+    if (names.has(def.name)) {
+      return { valid: false, message: `Duplicate parameter: ${def.name}` };
+    }
+    names.add(def.name);
+
+    const type = def.type || "string";
+    if (!PARAM_TYPES.includes(type)) {
+      return {
+        valid: false,
+        message: `Parameter "${def.name}" has unsupported type "${type}" (use ${PARAM_TYPES.join(" or ")})`,
+      };
+    }
+
+    let allowed = null;
+    if (def.allowed !== undefined && def.allowed !== null) {
+      if (!Array.isArray(def.allowed) || def.allowed.length === 0) {
+        return { valid: false, message: `Parameter "${def.name}" allowed must be a non-empty array` };
+      }
+      allowed = def.allowed.map((v) => coerceValue(v, type));
+      if (allowed.some((v) => v === undefined)) {
+        return { valid: false, message: `Parameter "${def.name}" has allowed values that are not ${type}s` };
+      }
+    }
+
+    const definition = {
+      name: def.name,
+      type,
+      required: def.required !== false,
+      allowed,
+    };
+
+    if (def.default !== undefined && def.default !== null) {
+      definition.default = coerceValue(def.default, type);
+      if (definition.default === undefined) {
+        return { valid: false, message: `Parameter "${def.name}" default is not a ${type}` };
+      }
+    }
+
+    definitions.push(definition);
+  }
+
+  return { valid: true, definitions };
+}
+
+/**
+ * Coerce a supplied value to the declared type. Returns undefined if impossible.
+ */
+function coerceValue(value, type) {
+  if (type === "number") {
+    const num = typeof value === "number" ? value : Number(value);
+    return typeof value !== "boolean" && value !== "" && Number.isFinite(num) ? num : undefined;
+  }
+  return typeof value === "string" || typeof value === "number" ? String(value) : undefined;
+}
+
+/**
+ * Validate subscriber-supplied values against the definitions.
+ * @param {Array} definitions - Parsed parameter definitions
+ * @param {Object} values - Values supplied by the subscriber
+ * @returns {{ valid: boolean, message?: string, binds?: Object, key?: string }}
+ *   binds: ready for connection.execute(); key: canonical parameter-set key
+ */
+function resolveParams(definitions, values) {
+  const supplied = values && typeof values === "object" ? values : {};
+  const binds = {};
+
+  for (const def of definitions) {
+    let value = supplied[def.name];
+
+    if (value === undefined || value === null || value === "") {
+      if (def.default !== undefined) {
+        value = def.default;
+      } else if (def.required) {
+        return { valid: false, message: `Missing parameter: ${def.name}` };
+      } else {
+        binds[def.name] = null;
+        continue;
+      }
+    }
+
+    const coerced = coerceValue(value, def.type);
+    if (coerced === undefined) {
+      return { valid: false, message: `Parameter "${def.name}" must be a ${def.type}` };
+    }
+    if (def.allowed && !def.allowed.includes(coerced)) {
+      return { valid: false, message: `Value not allowed for parameter "${def.name}"` };
+    }
+
+    binds[def.name] = coerced;
+  }
+
+  const key = Object.keys(binds)
+    .sort()
+    .map((name) => `${name}=${encodeURIComponent(binds[name] === null ? "" : binds[name])}`)
+    .join("&");
+
+  return { valid: true, binds, key };
+}
+
+/**
+ * Sample binds for testing a parameterized query (default, else first allowed value)
+ */
+function sampleBinds(definitions) {
+  const binds = {};
+  for (const def of definitions || []) {
+    binds[def.name] =
+      def.default !== undefined ? def.default : def.allowed ? def.allowed[0] : null;
+  }
+  return binds;
+}
+
+/**
+ * Room name for a parameter set ("CHANNEL|a=1&b=2"); plain channel when key is empty
+ */
+function paramRoom(channel, key) {
+  return key ? `${channel}${ROOM_SEPARATOR}${key}` : channel;
+}
+
+/**
+ * MQTT topic for a parameter set: {name} placeholders are replaced by the
+ * bound values (/, + and # become _ so a value cannot change the topic level)
+ */
+function fillTopic(template, binds) {
+  return template.replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    const value = binds?.[name];
+    return value === undefined || value === null ? "" : String(value).replace(/[/+#]/g, "_");
+  });
+}
+
+/**
+ * Channel part of a room name
+ */
+function channelFromRoom(room) {
+  const index = room.indexOf(ROOM_SEPARATOR);
+  return index === -1 ? room : room.slice(0, index);
+}
+
+/**
+ * Split a parameter-set room back into its channel and raw values
+ * (used to rebuild parameter sets for existing subscribers after a reload)
+ * @returns {{ channel: string, key: string, values: Object }}
+ */
+function parseRoom(room) {
+  const channel = channelFromRoom(room);
+  const key = room.slice(channel.length + ROOM_SEPARATOR.length);
+  const values = {};
+  for (const pair of key ? key.split("&") : []) {
+    const [name, value = ""] = pair.split("=");
+    values[name] = decodeURIComponent(value);
+  }
+  return { channel, key, values };
+}
+
+module.exports = {
+  parseParameterDefinitions,
+  resolveParams,
+  sampleBinds,
+  paramRoom,
+  fillTopic,
+  channelFromRoom,
+  parseRoom,
+};
@@ -0,0 +1,129 @@
+const { oracledb } = require("../config/db");
+
+/**
+ * Overlap between event publish topics and the MQTT bridge's own
+ * subscriptions. The bridge broadcasts whatever it receives, so an event
+ * publishing to a topic it subscribes to would echo every result back to
+ * socket clients (and the broker).
+ */
+
+/**
+ * Filters the bridge subscribes to for a set of WS_MQTT_TOPICS rows, with the
+ * same fallback as MqttBridge.loadTopicsFromDB when none is active
+ * @param {Array<{ topicFilter: string, isActive: boolean }>} topics
+ * @returns {string[]}
+ */
+function subscriptionFilters(topics) {
+  const active = topics.filter((topic) => topic.isActive).map((topic) => topic.topicFilter);
+  return active.length > 0 ? active : [process.env.MQTT_TOPIC_FILTER || "#"];
+}
+
+/**
+ * How a subscription filter is named in error messages
+ */
+function describeFilter(filter, topics) {
+  return topics.some((topic) => topic.isActive)
+    ? `MQTT subscription "${filter}"`
+    : `MQTT fallback subscription "${filter}" (MQTT_TOPIC_FILTER, used while no topic is active)`;
+}
+
+/**
+ * Whether a publish topic can match a subscription filter. A level with a
+ * {param} placeholder can become any value, so it matches any filter level.
+ */
+function topicMatchesFilter(topic, filter) {
+  const topicLevels = topic.split("/");
+  const filterLevels = filter.split("/");
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === "#") return true; // also matches the parent level
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] === "+" || topicLevels[i].includes("{")) continue;
+    if (filterLevels[i] !== topicLevels[i]) return false;
+  }
+
+  return topicLevels.length === filterLevels.length;
+}
+
+/**
+ * First filter a publish topic would be received on, or null
+ * @param {string} topic
+ * @param {string[]} filters
+ */
+function findEchoFilter(topic, filters) {
+  return filters.find((filter) => topicMatchesFilter(topic, filter)) || null;
+}
+
+/**
+ * All WS_MQTT_TOPICS rows (active and inactive); empty if the table is missing
+ */
+async function loadSubscriptionTopics(connection) {
+  try {
+    const result = await connection.execute(
+      `SELECT TOPIC_ID, TOPIC_FILTER, IS_ACTIVE FROM WS_MQTT_TOPICS`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows.map((r) => ({
+      topicId: r.TOPIC_ID,
+      topicFilter: r.TOPIC_FILTER,
+      isActive: r.IS_ACTIVE === 1,
+    }));
+  } catch (error) {
+    if (error.message && error.message.includes("ORA-00942")) return [];
+    throw error;
+  }
+}
+
+/**
+ * Message for an event publish topic the bridge would receive, or null
+ * @param {Object} connection - Oracle connection
+ * @param {string|null} topic - Validated MQTT_PUBLISH_TOPIC
+ */
+async function checkPublishTopic(connection, topic) {
+  if (!topic) return null;
+
+  const topics = await loadSubscriptionTopics(connection);
+  const filter = findEchoFilter(topic, subscriptionFilters(topics));
+  if (!filter) return null;
+
+  return `mqttPublishTopic "${topic}" matches the ${describeFilter(filter, topics)}: the bridge would receive and re-broadcast every published result`;
+}
+
+/**
+ * Message for a subscription change that would make the bridge receive an
+ * event's published results, or null. Only filters the change subscribes to
+ * are checked, so removing a filter is never blocked.
+ * @param {Object} connection - Oracle connection
+ * @param {Array<{ topicFilter: string, isActive: boolean }>} before - WS_MQTT_TOPICS rows
+ * @param {Array<{ topicFilter: string, isActive: boolean }>} after - Rows after the change
+ */
+async function checkSubscriptionTopics(connection, before, after) {
+  const current = new Set(subscriptionFilters(before));
+  const filters = subscriptionFilters(after).filter((filter) => !current.has(filter));
+  if (filters.length === 0) return null;
+
+  const result = await connection.execute(
+    `SELECT EVENT_NAME, MQTT_PUBLISH_TOPIC
+       FROM WS_EVENTS
+      WHERE MQTT_PUBLISH_TOPIC IS NOT NULL
+      ORDER BY EVENT_ID`,
+    [],
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  for (const row of result.rows) {
+    const filter = findEchoFilter(row.MQTT_PUBLISH_TOPIC, filters);
+    if (filter) {
+      return `${describeFilter(filter, after)} matches the publish topic "${row.MQTT_PUBLISH_TOPIC}" of event "${row.EVENT_NAME}": the bridge would receive and re-broadcast its results`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadSubscriptionTopics,
+  checkPublishTopic,
+  checkSubscriptionTopics,
+};
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+/**
+ * Password hashing for admin accounts (scrypt, no native dependency).
+ *
+ * Stored format: scrypt$N$r$p$<salt base64>$<hash base64>, so the cost
+ * parameters can be raised later without invalidating existing hashes.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+  });
+
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * Check a password against a stored hash (constant-time compare)
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const parts = typeof stored === "string" ? stored.split("$") : [];
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+
+  const [, n, r, p, saltText, hashText] = parts;
+  const expected = Buffer.from(hashText, "base64");
+
+  const actual = await scrypt(String(password), Buffer.from(saltText, "base64"), expected.length, {
+    N: parseInt(n, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Minimal password policy for new and changed passwords
+ * @returns {{ valid: boolean, message?: string }}
+ */
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return {
+      valid: false,
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    };
+  }
+  if (password.length > 200) {
+    return { valid: false, message: "Password must be at most 200 characters" };
+  }
+  return { valid: true };
+}
+
+module.exports = { hashPassword, verifyPassword, validatePassword };
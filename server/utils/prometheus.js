@@ -0,0 +1,77 @@
+/**
+ * Minimal Prometheus text exposition format (version 0.0.4) writer.
+ *
+ *   const out = new PrometheusText("tpks_ws");
+ *   out.gauge("connected_sockets", "Connected sockets", [{ labels: { app: "X" }, value: 3 }]);
+ *   res.type(PrometheusText.CONTENT_TYPE).send(out.toString());
+ */
+
+/**
+ * Escape a label value (backslash, double quote, newline)
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Render a label set: {a:"1"} -> '{a="1"}'
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(
+    ([, value]) => value !== undefined && value !== null
+  );
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+/**
+ * Render a sample value (Prometheus accepts NaN/+Inf; booleans become 0/1)
+ */
+function formatValue(value) {
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (value === null || value === undefined || Number.isNaN(Number(value))) return "NaN";
+  return String(Number(value));
+}
+
+class PrometheusText {
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.lines = [];
+  }
+
+  /**
+   * Add one metric family.
+   * @param {string} name - Name without namespace
+   * @param {string} type - counter | gauge | summary | untyped
+   * @param {string} help
+   * @param {number|Array<{labels?: Object, value: number, suffix?: string}>} samples
+   */
+  metric(name, type, help, samples) {
+    const fullName = `${this.namespace}_${name}`;
+    const list = Array.isArray(samples) ? samples : [{ value: samples }];
+
+    this.lines.push(`# HELP ${fullName} ${help}`);
+    this.lines.push(`# TYPE ${fullName} ${type}`);
+    for (const sample of list) {
+      this.lines.push(
+        `${fullName}${sample.suffix || ""}${formatLabels(sample.labels)} ${formatValue(sample.value)}`
+      );
+    }
+  }
+
+  gauge(name, help, samples) {
+    this.metric(name, "gauge", help, samples);
+  }
+
+  counter(name, help, samples) {
+    this.metric(name, "counter", help, samples);
+  }
+
+  toString() {
+    return `${this.lines.join("\n")}\n`;
+  }
+}
+
+PrometheusText.CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+module.exports = PrometheusText;
@@ -0,0 +1,98 @@
+/**
+ * Row-level delta helpers for keyed event results.
+ *
+ * An event declares a key column (e.g. "id" for Vessel Alongside). Each
+ * result is indexed as Map<key, serializedRow> in query order, and two
+ * consecutive indexes are diffed into inserted / updated / removed rows.
+ */
+
+/**
+ * Resolve the actual property name of the key column in a result row.
+ * Oracle upper-cases unquoted aliases, so "id" usually arrives as "ID".
+ * @param {Object} row - Any row of the result set
+ * @param {string} keyColumn - Key column as configured on the event
+ * @returns {string|null}
+ */
+function resolveKeyField(row, keyColumn) {
+  if (!row || !keyColumn) return null;
+  if (Object.prototype.hasOwnProperty.call(row, keyColumn)) return keyColumn;
+
+  const upper = keyColumn.toUpperCase();
+  return Object.keys(row).find((col) => col.toUpperCase() === upper) || null;
+}
+
+/**
+ * Map key for a key column value. DATE / TIMESTAMP keys arrive as Date
+ * objects, which a Map compares by reference; use the ISO string clients
+ * receive in the JSON instead.
+ */
+function rowKey(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Index rows by key field, preserving query order.
+ * Returns null when a key is missing or duplicated (diffing is impossible).
+ * @param {Array<Object>} rows
+ * @param {string} keyField
+ * @returns {Map<*, string>|null}
+ */
+function indexRows(rows, keyField) {
+  const index = new Map();
+
+  for (const row of rows) {
+    const key = rowKey(row[keyField]);
+    if (key === null || key === undefined || index.has(key)) {
+      return null;
+    }
+    index.set(key, JSON.stringify(row));
+  }
+
+  return index;
+}
+
+/**
+ * Diff two row indexes.
+ * @param {Map<*, string>} previousIndex - Index of the last broadcast result
+ * @param {Map<*, string>} nextIndex - Index of the new result
+ * @param {Array<Object>} nextRows - New result rows (same order as nextIndex)
+ * @param {string} keyField
+ * @returns {{ inserted: Array, updated: Array, removed: Array, order: Array|null, changedCount: number }}
+ */
+function diffRows(previousIndex, nextIndex, nextRows, keyField) {
+  const inserted = [];
+  const updated = [];
+  const removed = [];
+
+  for (const row of nextRows) {
+    const key = rowKey(row[keyField]);
+    const previous = previousIndex.get(key);
+
+    if (previous === undefined) {
+      inserted.push(row);
+    } else if (previous !== nextIndex.get(key)) {
+      updated.push(row);
+    }
+  }
+
+  for (const key of previousIndex.keys()) {
+    if (!nextIndex.has(key)) {
+      removed.push(key);
+    }
+  }
+
+  // Row order only needs to be sent when inserts happened or surviving rows moved
+  const survivingBefore = [...previousIndex.keys()].filter((k) => nextIndex.has(k));
+  const survivingAfter = [...nextIndex.keys()].filter((k) => previousIndex.has(k));
+  const reordered = survivingBefore.some((k, i) => k !== survivingAfter[i]);
+
+  return {
+    inserted,
+    updated,
+    removed,
+    order: inserted.length > 0 || reordered ? [...nextIndex.keys()] : null,
+    changedCount: inserted.length + updated.length + removed.length,
+  };
+}
+
+module.exports = { resolveKeyField, indexRows, diffRows };
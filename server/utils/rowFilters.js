@@ -0,0 +1,132 @@
+const { compilePattern } = require("./channelGrants");
+
+/**
+ * Per-app row filters (WS_APP_REGISTRY.ROW_FILTERS, migration 015).
+ *
+ * Stored as JSON, for example:
+ *   [{ "channel": "VESSEL_ALONGSIDE", "column": "BERTH_NO", "in": ["B1", "B2"] },
+ *    { "channel": "GATE_*", "column": "TERMINAL", "notIn": [9] }]
+ *
+ * channel is an exact name or glob (as in APP_CHANNELS). All filters matching
+ * a channel must pass for a row to be sent to the app.
+ */
+
+const MAX_VALUES = 200;
+
+/**
+ * Validate row filters (from the admin API or the database).
+ * @param {Array|string|null} raw - Filters array or its JSON text
+ * @returns {{ valid: boolean, message?: string, filters?: Array|null }}
+ */
+function parseRowFilters(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return { valid: true, filters: null };
+  }
+
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch (error) {
+      return { valid: false, message: "rowFilters must be valid JSON" };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { valid: false, message: "rowFilters must be an array" };
+  }
+
+  if (list.length === 0) {
+    return { valid: true, filters: null };
+  }
+
+  const filters = [];
+
+  for (const item of list) {
+    const channel = typeof item?.channel === "string" ? item.channel.trim().toUpperCase() : "";
+    const column = typeof item?.column === "string" ? item.column.trim().toUpperCase() : "";
+
+    if (!channel || /[\s,|!]/.test(channel)) {
+      return { valid: false, message: "Each row filter needs a channel name or pattern" };
+    }
+    if (!column) {
+      return { valid: false, message: `Row filter for ${channel} needs a column` };
+    }
+
+    const hasIn = item.in !== undefined;
+    const hasNotIn = item.notIn !== undefined;
+    if (hasIn === hasNotIn) {
+      return { valid: false, message: `Row filter ${channel}.${column} needs either "in" or "notIn"` };
+    }
+
+    const values = hasIn ? item.in : item.notIn;
+    if (
+      !Array.isArray(values) ||
+      values.length === 0 ||
+      values.length > MAX_VALUES ||
+      values.some((value) => typeof value !== "string" && typeof value !== "number")
+    ) {
+      return {
+        valid: false,
+        message: `Row filter ${channel}.${column} needs 1-${MAX_VALUES} string or number values`,
+      };
+    }
+
+    filters.push({ channel, column, [hasIn ? "in" : "notIn"]: values });
+  }
+
+  return { valid: true, filters };
+}
+
+/**
+ * Compile stored filters into a lookup by channel
+ * @param {Array|null} filters - From parseRowFilters
+ * @returns {((channel: string) => Array|null)|null} null when the app has no filters
+ */
+function compileRowFilters(filters) {
+  if (!filters || filters.length === 0) return null;
+
+  const compiled = filters.map((filter) => ({
+    column: filter.column,
+    include: filter.in !== undefined,
+    values: new Set((filter.in || filter.notIn).map((value) => String(value))),
+    matches: compilePattern(filter.channel),
+  }));
+  const byChannel = new Map();
+
+  return (channel) => {
+    const name = String(channel).toUpperCase();
+    if (!byChannel.has(name)) {
+      const matching = compiled.filter((filter) => filter.matches(name));
+      byChannel.set(name, matching.length > 0 ? matching : null);
+    }
+    return byChannel.get(name);
+  };
+}
+
+/**
+ * Rows passing every filter (values compare as text, so 1 matches "1")
+ * @param {Array<Object>} rows - OUT_FORMAT_OBJECT rows
+ * @param {Array} filters - Compiled filters for one channel
+ * @returns {Array<Object>}
+ */
+function filterRows(rows, filters) {
+  if (!Array.isArray(rows) || !filters) return rows;
+
+  return rows.filter((row) =>
+    filters.every((filter) => {
+      const field = Object.prototype.hasOwnProperty.call(row, filter.column)
+        ? filter.column
+        : Object.keys(row).find((key) => key.toUpperCase() === filter.column);
+      const value = field !== undefined ? row[field] : null;
+      const listed = value !== null && value !== undefined && filter.values.has(String(value));
+      return filter.include ? listed : !listed;
+    })
+  );
+}
+
+module.exports = {
+  parseRowFilters,
+  compileRowFilters,
+  filterRows,
+};
@@ -0,0 +1,383 @@
+/**
+ * Schedule helpers for events: cron expressions and active windows.
+ *
+ * Cron uses the standard 5 fields (minute hour day-of-month month day-of-week)
+ * with *, lists, ranges, steps and JAN-DEC / SUN-SAT names, e.g. "0 6,14,22 * * *".
+ *
+ * Active windows are stored in WS_EVENTS.ACTIVE_WINDOWS as JSON:
+ *   [{ "days": ["MON","TUE","WED","THU","FRI"], "start": "06:00", "end": "18:00" },
+ *    { "start": "18:00", "end": "06:00", "intervalSeconds": 300 }]
+ * A window ending before it starts runs past midnight; "days" (default: every
+ * day) refers to the day the window starts. Outside all windows the event is
+ * not polled.
+ *
+ * All times use the server's local time zone (set TZ to change it).
+ */
+
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+const CRON_MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Searching further than this means the expression can never fire (e.g. "0 0 31 2 *")
+const MAX_CRON_LOOKAHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one cron field value (number or name)
+ */
+function parseCronValue(text, field) {
+  const upper = text.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + field.offset;
+  }
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+/**
+ * Expand one cron field into the set of matching values
+ * @returns {Set<number>|null} null when the field is invalid
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+    } else {
+      start = parseCronValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (Number.isNaN(start) || Number.isNaN(end) || start < field.min || end > field.max || start > end) {
+      return null;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Validate and compile a cron expression.
+ * @param {string|null} expression
+ * @returns {{ valid: boolean, message?: string, cron?: Object|null }}
+ */
+function parseCron(expression) {
+  if (expression === undefined || expression === null || String(expression).trim() === "") {
+    return { valid: true, cron: null };
+  }
+  if (typeof expression !== "string") {
+    return { valid: false, message: "cronExpression must be a string" };
+  }
+
+  const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    return {
+      valid: false,
+      message: "cronExpression must have 5 fields: minute hour day-of-month month day-of-week",
+    };
+  }
+
+  const sets = [];
+  for (let i = 0; i < CRON_FIELDS.length; i++) {
+    const values = parseCronField(parts[i], CRON_FIELDS[i]);
+    if (!values) {
+      return { valid: false, message: `Invalid ${CRON_FIELDS[i].name} field: "${parts[i]}"` };
+    }
+    sets.push(values);
+  }
+
+  // 7 is an alias for Sunday
+  if (sets[4].has(7)) {
+    sets[4].delete(7);
+    sets[4].add(0);
+  }
+
+  const cron = {
+    expression: expression.trim(),
+    minutes: sets[0],
+    hours: sets[1],
+    daysOfMonth: sets[2],
+    months: sets[3],
+    daysOfWeek: sets[4],
+    // Standard cron: when both day fields are restricted, either may match
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+
+  if (!nextCronTime(cron, new Date())) {
+    return { valid: false, message: "cronExpression never fires" };
+  }
+
+  return { valid: true, cron };
+}
+
+/**
+ * Does the cron day fields match this date?
+ */
+function cronDayMatches(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getDate());
+  const dowMatch = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Next time (strictly after `from`) a compiled cron expression fires
+ * @returns {Date|null} null if it does not fire within a year
+ */
+function nextCronTime(cron, from) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_CRON_LOOKAHEAD_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseTimeOfDay(text) {
+  const match = typeof text === "string" && /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  // 24:00 is allowed as an end of day
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate active window definitions (from the admin API or the database).
+ * @param {Array|string|null} raw - Windows array or its JSON text
+ * @returns {{ valid: boolean, message?: string, windows?: Array|null }}
+ */
+function parseActiveWindows(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return { valid: true, windows: null };
+  }
+
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch (error) {
+      return { valid: false, message: "activeWindows must be valid JSON" };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { valid: false, message: "activeWindows must be an array" };
+  }
+
+  if (list.length === 0) {
+    return { valid: true, windows: null };
+  }
+
+  const windows = [];
+
+  for (const [index, win] of list.entries()) {
+    const label = `Active window ${index + 1}`;
+    if (!win || typeof win !== "object") {
+      return { valid: false, message: `${label} must be an object` };
+    }
+
+    const start = parseTimeOfDay(win.start);
+    const end = parseTimeOfDay(win.end);
+    if (start === null || end === null) {
+      return { valid: false, message: `${label} needs start and end as "HH:MM"` };
+    }
+    if (start === end) {
+      return { valid: false, message: `${label} start and end must differ` };
+    }
+
+    let days = null;
+    if (win.days !== undefined && win.days !== null) {
+      if (!Array.isArray(win.days) || win.days.length === 0) {
+        return { valid: false, message: `${label} days must be a non-empty array` };
+      }
+      days = [];
+      for (const day of win.days) {
+        const upper = typeof day === "string" ? day.trim().toUpperCase().slice(0, 3) : "";
+        if (!DAY_NAMES.includes(upper)) {
+          return { valid: false, message: `${label} has an invalid day: "${day}"` };
+        }
+        if (!days.includes(upper)) days.push(upper);
+      }
+    }
+
+    const definition = { start: win.start.trim(), end: win.end.trim() };
+    if (days) definition.days = days;
+
+    if (win.intervalSeconds !== undefined && win.intervalSeconds !== null) {
+      const interval = Number(win.intervalSeconds);
+      if (!Number.isInteger(interval) || interval < 1) {
+        return { valid: false, message: `${label} intervalSeconds must be a positive integer` };
+      }
+      definition.intervalSeconds = interval;
+    }
+
+    windows.push(definition);
+  }
+
+  return { valid: true, windows };
+}
+
+/**
+ * Does a window contain this date?
+ */
+function windowContains(win, date) {
+  const start = parseTimeOfDay(win.start);
+  const end = parseTimeOfDay(win.end);
+  const minute = date.getHours() * 60 + date.getMinutes();
+
+  const startsOn = (day) => !win.days || win.days.includes(DAY_NAMES[day]);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  if (start < end) {
+    return startsOn(today) && minute >= start && minute < end;
+  }
+
+  // Overnight window: either started today, or started yesterday and not over yet
+  return (startsOn(today) && minute >= start) || (startsOn(yesterday) && minute < end);
+}
+
+/**
+ * First window containing this date
+ * @returns {Object|null}
+ */
+function findActiveWindow(windows, date) {
+  return windows.find((win) => windowContains(win, date)) || null;
+}
+
+/**
+ * Next time (strictly after `from`) any window opens
+ * @returns {Date|null}
+ */
+function nextWindowStart(windows, from) {
+  let next = null;
+
+  for (const win of windows) {
+    const start = parseTimeOfDay(win.start);
+
+    // Today plus the next 7 days covers every weekday
+    for (let offset = 0; offset <= 7; offset++) {
+      const candidate = new Date(from.getTime());
+      candidate.setDate(candidate.getDate() + offset);
+      candidate.setHours(Math.floor(start / 60), start % 60, 0, 0);
+
+      if (candidate <= from) continue;
+      if (win.days && !win.days.includes(DAY_NAMES[candidate.getDay()])) continue;
+
+      if (!next || candidate < next) next = candidate;
+      break;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Is an event allowed to poll at this time? (no windows = always)
+ */
+function isWithinWindows(windows, date) {
+  return !windows || findActiveWindow(windows, date) !== null;
+}
+
+/**
+ * Next time an event should run after `from`.
+ * Cron events follow their expression (skipping fires outside the windows);
+ * interval events use the active window's interval, or wait for the next window.
+ * @param {Object} config - Event config ({ intervalSeconds, cron, activeWindows })
+ * @returns {Date|null} null = nothing scheduled within a year
+ */
+function getNextRunTime(config, from) {
+  const { cron, activeWindows, intervalSeconds } = config;
+
+  if (cron) {
+    let next = nextCronTime(cron, from);
+    const limit = from.getTime() + MAX_CRON_LOOKAHEAD_MS;
+    while (next && activeWindows && !isWithinWindows(activeWindows, next)) {
+      next = next.getTime() > limit ? null : nextCronTime(cron, next);
+    }
+    return next;
+  }
+
+  if (!activeWindows) {
+    return new Date(from.getTime() + intervalSeconds * 1000);
+  }
+
+  const current = findActiveWindow(activeWindows, from);
+  if (current) {
+    const next = new Date(from.getTime() + (current.intervalSeconds || intervalSeconds) * 1000);
+    // Stay on the interval while still inside a window, otherwise wait for the next one
+    if (isWithinWindows(activeWindows, next)) {
+      return next;
+    }
+  }
+
+  return nextWindowStart(activeWindows, from);
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  parseActiveWindows,
+  findActiveWindow,
+  isWithinWindows,
+  getNextRunTime,
+};
@@ -0,0 +1,101 @@
+/**
+ * Per-socket traffic counters and the inspector view of a connected socket
+ * or SSE stream (GET /api/monitoring/sockets).
+ */
+
+/**
+ * Start counting what the server sends to a socket. Counts engine.io message
+ * packets, so room broadcasts are included, not only direct emits.
+ */
+function trackSocket(socket) {
+  const stats = {
+    connectedAt: new Date(),
+    messagesSent: 0,
+    bytesSent: 0,
+    messagesReceived: 0,
+  };
+  socket.data.stats = stats;
+
+  socket.conn.on("packetCreate", (packet) => {
+    if (packet.type !== "message") return;
+    stats.messagesSent++;
+    stats.bytesSent += packetSize(packet.data);
+  });
+
+  socket.onAny(() => {
+    stats.messagesReceived++;
+  });
+}
+
+function packetSize(data) {
+  if (typeof data === "string") return Buffer.byteLength(data);
+  if (data && typeof data.byteLength === "number") return data.byteLength;
+  return 0;
+}
+
+/**
+ * How a socket authenticated (see middleware/auth.js)
+ * @returns {"registered-app"|"api-key"|"jwt"}
+ */
+function authTypeOf(socket) {
+  if (socket.user?.type === "registered-app") return "registered-app";
+  if (socket.user?.type === "api-client") return "api-key";
+  return "jwt";
+}
+
+/**
+ * Inspector view of a socket (no credentials)
+ */
+function describeSocket(socket) {
+  const headers = socket.handshake.headers || {};
+  const stats = socket.data.stats || {};
+  const authType = authTypeOf(socket);
+
+  return {
+    id: socket.id,
+    authType,
+    appName: socket.user?.appName || null,
+    // JWT clients: subject and role from the token
+    userId: authType === "jwt" ? socket.user?.userId || null : null,
+    role: authType === "jwt" ? socket.user?.role || null : null,
+    ip: socket.handshake.address,
+    forwardedFor: headers["x-forwarded-for"] || null,
+    userAgent: headers["user-agent"] || null,
+    origin: headers.origin || null,
+    transport: socket.conn?.transport?.name || null,
+    connectedAt: stats.connectedAt || new Date(socket.handshake.issued),
+    channels: [...socket.rooms].filter((room) => room !== socket.id),
+    messagesSent: stats.messagesSent || 0,
+    bytesSent: stats.bytesSent || 0,
+    messagesReceived: stats.messagesReceived || 0,
+  };
+}
+
+/**
+ * Inspector view of an SSE stream (GET /api/stream), shaped like describeSocket
+ */
+function describeStream(stream) {
+  const headers = stream.handshake.headers || {};
+  const jwt = authTypeOf(stream) === "jwt";
+
+  return {
+    id: stream.id,
+    authType: "sse",
+    appName: stream.user?.appName || null,
+    // JWT clients: subject and role from the token
+    userId: jwt ? stream.user?.userId || null : null,
+    role: jwt ? stream.user?.role || null : null,
+    ip: stream.handshake.address,
+    forwardedFor: headers["x-forwarded-for"] || null,
+    userAgent: headers["user-agent"] || null,
+    origin: headers.origin || null,
+    transport: "sse",
+    connectedAt: stream.connectedAt,
+    channels: [...stream.rooms],
+    messagesSent: stream.messagesSent,
+    bytesSent: stream.bytesSent,
+    messagesReceived: 0,
+  };
+}
+
+module.exports = { trackSocket, describeSocket, describeStream, authTypeOf };
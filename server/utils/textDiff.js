@@ -0,0 +1,112 @@
+/**
+ * Line and field diffs for the audit log (and anything else that needs to show
+ * "what changed"), e.g. the SQL text of an event before and after an edit.
+ */
+
+// Above this many cells the LCS table gets too big; fall back to delete+add
+const MAX_LCS_CELLS = 4000000;
+
+function splitLines(text) {
+  if (text === undefined || text === null || text === "") return [];
+  return String(text).replace(/\r\n/g, "\n").split("\n");
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @returns {Array<{ type: "same"|"add"|"del", text: string }>}
+ */
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ type: "same", text }));
+  const tail = a.slice(endA).map((text) => ({ type: "same", text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  let middle;
+  if ((midA.length + 1) * (midB.length + 1) > MAX_LCS_CELLS) {
+    middle = [
+      ...midA.map((text) => ({ type: "del", text })),
+      ...midB.map((text) => ({ type: "add", text })),
+    ];
+  } else {
+    middle = lcsDiff(midA, midB);
+  }
+
+  return [...head, ...middle, ...tail];
+}
+
+function lcsDiff(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] =
+        a[i] === b[j]
+          ? table[(i + 1) * cols + j + 1] + 1
+          : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      result.push({ type: "del", text: a[i++] });
+    } else {
+      result.push({ type: "add", text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "del", text: a[i++] });
+  while (j < b.length) result.push({ type: "add", text: b[j++] });
+
+  return result;
+}
+
+/**
+ * Changed fields between two flat objects (either may be null for create/delete).
+ * Multi-line text values, and any field listed in options.lineFields, also get
+ * a line diff.
+ * @returns {Array<{ field: string, before: *, after: *, lines?: Array }>}
+ */
+function diffObjects(before, after, options = {}) {
+  const lineFields = options.lineFields || [];
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    const oldValue = before ? before[field] ?? null : null;
+    const newValue = after ? after[field] ?? null : null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    const change = { field, before: oldValue, after: newValue };
+    const multiline = (value) => typeof value === "string" && value.includes("\n");
+    if (lineFields.includes(field) || multiline(oldValue) || multiline(newValue)) {
+      change.lines = diffLines(oldValue, newValue);
+    }
+    changes.push(change);
+  }
+
+  return changes;
+}
+
+module.exports = { diffLines, diffObjects };
@@ -12,14 +12,18 @@ const socket = io('http://localhost:3000', {
 socket.on('connect', () => {
   console.log('✅ Connected! Socket ID:', socket.id);
 
-  // Request initial state
-  socket.emit('REQUEST_INITIAL_STATE', {
-    eventNames: ['Vessel Alongside'],
+  // Join the channel room first (broadcasts only reach subscribers),
+  // then hydrate from the cache
+  socket.emit('SUBSCRIBE', { channels: ['VESSEL_ALONGSIDE'] }, (result) => {
+    console.log('📡 Subscribed:', result);
+    socket.emit('REQUEST_INITIAL_STATE', {
+      eventNames: ['Vessel Alongside'],
+    });
   });
 });
 
-socket.on('VESSELALONGSIDE', (data) => {
-  console.log('📨 Received VESSELALONGSIDE:', data);
+socket.on('VESSEL_ALONGSIDE', (data) => {
+  console.log('📨 Received VESSEL_ALONGSIDE:', data);
 });
 
 socket.on('error', (error) => {